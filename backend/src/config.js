@@ -23,9 +23,45 @@ const config = {
   videoExtensions: ['.mp4', '.mov', '.avi', '.mkv', '.wmv', '.flv', '.webm', '.m4v', '.3gp'],
   documentExtensions: ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.txt', '.rtf', '.odt', '.ods', '.odp'],
 
+  // Companion files, kept together with the photo they belong to when organizing
+  rawExtensions: ['.raw', '.cr2', '.nef', '.arw'],
+  sidecarExtensions: ['.xmp', '.aae', '.thm'],
+
+  // Near-duplicate detection: max differing bits between perceptual hashes (0-64)
+  similarityThreshold: parseInt(process.env.SIMILARITY_THRESHOLD) || 10,
+
+  // Where quarantined duplicates are moved; can be reverted from the operations log.
+  // Trashed files go to the .trash folder of their destination, see services/trash.js
+  quarantinePath: process.env.QUARANTINE_PATH || path.join(__dirname, '..', 'data', 'quarantine'),
+  // Days trashed files are kept before emptying the trash deletes them
+  trashRetentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+
+  // Date settings
+  // Timezone for capture times that carry no offset or GPS position (IANA name or "+02:00");
+  // unset means the server's timezone. Can be changed in the app's settings.
+  defaultTimezone: process.env.DEFAULT_TIMEZONE || null,
+  // Write corrected dates back to the files: 'off', 'sidecar' (.xmp next to each file) or 'embed'
+  // (into JPEGs, sidecars for other formats). Can be changed in the app's settings.
+  dateWriteBack: process.env.DATE_WRITE_BACK || 'off',
+
+  // Organize settings
+  // Destination layout, see services/pathTemplate.js for the available tokens
+  pathTemplate: process.env.PATH_TEMPLATE || '{year}/{month}/{day}/{filename}',
+  // Read copies back and compare hashes after copying or moving across filesystems
+  verifyAfterWrite: process.env.VERIFY_AFTER_WRITE !== 'false',
+
+  // Thumbnail settings
+  thumbnailCachePath: process.env.THUMBNAIL_CACHE_PATH || path.join(__dirname, '..', 'data', 'thumbnails'),
+  thumbnailSizes: { small: 160, medium: 480, large: 1280 }, // Longest edge in pixels
+  thumbnailQuality: parseInt(process.env.THUMBNAIL_QUALITY) || 80,
+  thumbnailCacheMaxBytes: parseInt(process.env.THUMBNAIL_CACHE_MAX_BYTES) || 500 * 1024 * 1024, // 500MB
+  thumbnailCacheMaxAgeDays: parseInt(process.env.THUMBNAIL_CACHE_MAX_AGE_DAYS) || 90,
+  // Formats browsers can't display; previews come from their embedded JPEG
+  embeddedPreviewExtensions: ['.heic', '.heif', '.raw', '.cr2', '.nef', '.arw'],
+
   // Files to skip during scanning
   skipFiles: ['.DS_Store', 'Thumbs.db', 'desktop.ini', '.gitkeep', '.gitignore'],
-  skipDirectories: ['node_modules', '.git', '__pycache__', '.cache', '.Trash'],
+  skipDirectories: ['node_modules', '.git', '__pycache__', '.cache', '.Trash', '.trash'],
 
   // Logging settings
   logPath: process.env.LOG_PATH || path.join(__dirname, '..', 'logs'),
@@ -60,11 +60,11 @@ export function closeDatabase() {
 export const fileQueries = {
   insertFile: () => db.prepare(`
     INSERT INTO files (original_path, current_path, filename, extension, size, hash_sha256, hash_partial,
-                       mime_type, created_at, modified_at, exif_date, resolved_date, date_source,
-                       status, metadata_json)
+                       hash_perceptual, mime_type, created_at, modified_at, exif_date, resolved_date,
+                       date_source, local_date, utc_offset, timezone_source, status, metadata_json)
     VALUES (@original_path, @current_path, @filename, @extension, @size, @hash_sha256, @hash_partial,
-            @mime_type, @created_at, @modified_at, @exif_date, @resolved_date, @date_source,
-            @status, @metadata_json)
+            @hash_perceptual, @mime_type, @created_at, @modified_at, @exif_date, @resolved_date,
+            @date_source, @local_date, @utc_offset, @timezone_source, @status, @metadata_json)
   `),
 
   updateFile: () => db.prepare(`
@@ -83,8 +83,81 @@ export const fileQueries = {
     WHERE id = @id
   `),
 
+  updateFileStats: () => db.prepare(`
+    UPDATE files SET
+      filename = @filename,
+      extension = @extension,
+      size = @size,
+      created_at = @created_at,
+      modified_at = @modified_at,
+      updated_timestamp = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `),
+
+  updateCompanionOf: () => db.prepare(`
+    UPDATE files SET companion_of = @companion_of, updated_timestamp = CURRENT_TIMESTAMP WHERE id = @id
+  `),
+
+  getCompanions: () => db.prepare('SELECT * FROM files WHERE companion_of = ? ORDER BY id'),
+
+  updateVerification: () => db.prepare(`
+    UPDATE files SET verified_at = @verified_at, verify_result = @verify_result WHERE id = @id
+  `),
+
+  getVerifyProblems: () => db.prepare(`
+    SELECT * FROM files
+    WHERE status = 'moved' AND verify_result IS NOT NULL AND verify_result != 'ok'
+    ORDER BY verified_at DESC, id
+    LIMIT @limit OFFSET @offset
+  `),
+
+  countVerifyProblems: () => db.prepare(`
+    SELECT verify_result, COUNT(*) as count FROM files
+    WHERE status = 'moved' AND verify_result IS NOT NULL AND verify_result != 'ok'
+    GROUP BY verify_result
+  `),
+
+  updateContent: () => db.prepare(`
+    UPDATE files SET
+      size = @size,
+      hash_sha256 = @hash_sha256,
+      hash_partial = @hash_partial,
+      updated_timestamp = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `),
+
+  updateCaptureTime: () => db.prepare(`
+    UPDATE files SET
+      resolved_date = @resolved_date,
+      date_source = @date_source,
+      local_date = @local_date,
+      utc_offset = @utc_offset,
+      timezone_source = @timezone_source,
+      updated_timestamp = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `),
+
+  updatePerceptualHash: () => db.prepare(`
+    UPDATE files SET hash_perceptual = @hash_perceptual, updated_timestamp = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `),
+
+  getFilesWithPerceptualHash: () => db.prepare(`
+    SELECT * FROM files
+    WHERE hash_perceptual IS NOT NULL AND status NOT IN ('error', 'missing')
+  `),
+
   getFileById: () => db.prepare('SELECT * FROM files WHERE id = ?'),
 
+  getFileByCurrentPath: () => db.prepare('SELECT * FROM files WHERE current_path = ? LIMIT 1'),
+
+  getFilesByHash: () => db.prepare('SELECT * FROM files WHERE hash_sha256 = ?'),
+
+  getFilesUnderPath: () => db.prepare(`
+    SELECT * FROM files
+    WHERE (current_path LIKE @prefix ESCAPE '\\') AND status != 'missing'
+  `),
+
   getFileByPath: () => db.prepare('SELECT * FROM files WHERE original_path = ?'),
 
   getFileByHash: () => db.prepare('SELECT * FROM files WHERE hash_sha256 = ? AND status != ?'),
@@ -126,6 +199,15 @@ export const operationQueries = {
     VALUES (@batch_id, @file_id, @operation_type, @source_path, @destination_path, @hash_used, @reason, @status)
   `),
 
+  insertOperationWithDetails: () => db.prepare(`
+    INSERT INTO operations (batch_id, file_id, operation_type, source_path, destination_path, hash_used, reason, status,
+                            details_json)
+    VALUES (@batch_id, @file_id, @operation_type, @source_path, @destination_path, @hash_used, @reason, @status,
+            @details_json)
+  `),
+
+  getOperationById: () => db.prepare('SELECT * FROM operations WHERE id = ?'),
+
   getOperationsByBatch: () => db.prepare('SELECT * FROM operations WHERE batch_id = ? ORDER BY created_at'),
 
   getOperationsByFile: () => db.prepare('SELECT * FROM operations WHERE file_id = ? ORDER BY created_at DESC'),
@@ -148,15 +230,239 @@ export const operationQueries = {
  */
 export const errorQueries = {
   insertError: () => db.prepare(`
-    INSERT INTO errors (file_id, file_path, error_type, error_message, stack_trace)
-    VALUES (@file_id, @file_path, @error_type, @error_message, @stack_trace)
+    INSERT INTO errors (file_id, file_path, error_type, error_message, stack_trace, context_json)
+    VALUES (@file_id, @file_path, @error_type, @error_message, @stack_trace, @context_json)
   `),
 
   getErrors: () => db.prepare('SELECT * FROM errors ORDER BY created_at DESC LIMIT ? OFFSET ?'),
 
+  getErrorsByStatus: () => db.prepare('SELECT * FROM errors WHERE status = ? ORDER BY created_at DESC LIMIT ? OFFSET ?'),
+
+  getAllErrorsByStatus: () => db.prepare('SELECT * FROM errors WHERE status = ? ORDER BY created_at DESC, id DESC'),
+
+  getErrorById: () => db.prepare('SELECT * FROM errors WHERE id = ?'),
+
   getErrorsByFile: () => db.prepare('SELECT * FROM errors WHERE file_id = ?'),
 
-  countErrors: () => db.prepare('SELECT COUNT(*) as count FROM errors')
+  updateErrorStatus: () => db.prepare(`
+    UPDATE errors SET status = @status, resolved_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `),
+
+  countErrors: () => db.prepare('SELECT COUNT(*) as count FROM errors'),
+
+  countErrorsByStatus: () => db.prepare('SELECT COUNT(*) as count FROM errors WHERE status = ?')
+};
+
+/**
+ * Prepared statements for background jobs
+ */
+export const jobQueries = {
+  insertJob: () => db.prepare(`
+    INSERT INTO jobs (type, status, params_json)
+    VALUES (@type, 'queued', @params_json)
+  `),
+
+  getJobById: () => db.prepare('SELECT * FROM jobs WHERE id = ?'),
+
+  getJobs: () => db.prepare('SELECT * FROM jobs ORDER BY id DESC LIMIT ? OFFSET ?'),
+
+  getJobsByStatus: () => db.prepare('SELECT * FROM jobs WHERE status = ? ORDER BY id DESC LIMIT ? OFFSET ?'),
+
+  countJobs: () => db.prepare('SELECT COUNT(*) as count FROM jobs'),
+
+  countJobsByStatus: () => db.prepare('SELECT COUNT(*) as count FROM jobs WHERE status = ?'),
+
+  // Oldest first: jobs run in the order they were queued
+  getNextQueuedJob: () => db.prepare("SELECT * FROM jobs WHERE status = 'queued' ORDER BY id LIMIT 1"),
+
+  getUnfinishedScanJobForSession: () => db.prepare(`
+    SELECT * FROM jobs
+    WHERE type = 'scan' AND status IN ('queued', 'running', 'paused')
+      AND json_extract(params_json, '$.sessionId') = ?
+    ORDER BY id DESC LIMIT 1
+  `),
+
+  markJobRunning: () => db.prepare(`
+    UPDATE jobs SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+    WHERE id = ?
+  `),
+
+  // Finished jobs get a completed_at; paused and requeued jobs have none
+  updateJobStatus: () => db.prepare(`
+    UPDATE jobs SET status = @status, result_json = @result_json, error_message = @error_message,
+      completed_at = CASE WHEN @completed = 1 THEN CURRENT_TIMESTAMP END
+    WHERE id = @id
+  `),
+
+  requeueRunningJobs: () => db.prepare("UPDATE jobs SET status = 'queued' WHERE status = 'running' RETURNING id"),
+
+  insertLog: () => db.prepare(`
+    INSERT INTO job_logs (job_id, level, message)
+    VALUES (@job_id, @level, @message)
+  `),
+
+  getLogs: () => db.prepare('SELECT * FROM job_logs WHERE job_id = ? ORDER BY id LIMIT ? OFFSET ?'),
+
+  countLogs: () => db.prepare('SELECT COUNT(*) as count FROM job_logs WHERE job_id = ?')
+};
+
+/**
+ * Prepared statements for scanner ignore patterns
+ */
+export const ignorePatternQueries = {
+  insertPattern: () => db.prepare('INSERT OR IGNORE INTO ignore_patterns (pattern) VALUES (?)'),
+
+  getPatterns: () => db.prepare('SELECT * FROM ignore_patterns ORDER BY created_at, id'),
+
+  getPatternByValue: () => db.prepare('SELECT * FROM ignore_patterns WHERE pattern = ?'),
+
+  deletePattern: () => db.prepare('DELETE FROM ignore_patterns WHERE id = ?')
+};
+
+/**
+ * Prepared statements for key/value settings
+ */
+export const settingQueries = {
+  getSetting: () => db.prepare('SELECT * FROM settings WHERE key = ?'),
+
+  setSetting: () => db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (@key, @value)'),
+
+  deleteSetting: () => db.prepare('DELETE FROM settings WHERE key = ?')
+};
+
+/**
+ * Prepared statements for organize profiles
+ */
+export const profileQueries = {
+  getProfiles: () => db.prepare('SELECT * FROM organize_profiles ORDER BY name COLLATE NOCASE'),
+
+  getProfileById: () => db.prepare('SELECT * FROM organize_profiles WHERE id = ?'),
+
+  getProfileByName: () => db.prepare('SELECT * FROM organize_profiles WHERE name = ?'),
+
+  insertProfile: () => db.prepare(`
+    INSERT INTO organize_profiles (name, template, rules_json)
+    VALUES (@name, @template, @rules_json)
+  `),
+
+  updateProfile: () => db.prepare(`
+    UPDATE organize_profiles
+    SET name = @name, template = @template, rules_json = @rules_json, updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `),
+
+  deleteProfile: () => db.prepare('DELETE FROM organize_profiles WHERE id = ?')
+};
+
+/**
+ * Prepared statements for organize plans and their items
+ */
+export const planQueries = {
+  insertPlan: () => db.prepare(`
+    INSERT INTO plans (destination_path, template, profile_id, profile_name, mode, verify)
+    VALUES (@destination_path, @template, @profile_id, @profile_name, @mode, @verify)
+  `),
+
+  getPlanById: () => db.prepare('SELECT * FROM plans WHERE id = ?'),
+
+  getPlans: () => db.prepare('SELECT * FROM plans ORDER BY id DESC LIMIT ? OFFSET ?'),
+
+  countPlans: () => db.prepare('SELECT COUNT(*) as count FROM plans'),
+
+  updatePlanStatus: () => db.prepare(`
+    UPDATE plans
+    SET status = @status, batch_id = COALESCE(@batch_id, batch_id), executed_at = COALESCE(@executed_at, executed_at),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+  `),
+
+  touchPlan: () => db.prepare('UPDATE plans SET updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
+
+  deletePlan: () => db.prepare('DELETE FROM plans WHERE id = ?'),
+
+  insertItem: () => db.prepare(`
+    INSERT INTO plan_items (plan_id, position, file_id, companion_of, action, source_path, destination_path,
+                            planned_destination_path, intended_path, conflicts_with, duplicate_of, rule,
+                            hash_sha256, size, source_mtime, resolved_date, date_source, excluded)
+    VALUES (@plan_id, @position, @file_id, @companion_of, @action, @source_path, @destination_path,
+            @destination_path, @intended_path, @conflicts_with, @duplicate_of, @rule,
+            @hash_sha256, @size, @source_mtime, @resolved_date, @date_source, @excluded)
+  `),
+
+  getItems: () => db.prepare('SELECT * FROM plan_items WHERE plan_id = ? ORDER BY position LIMIT ? OFFSET ?'),
+
+  getAllItems: () => db.prepare('SELECT * FROM plan_items WHERE plan_id = ? ORDER BY position'),
+
+  getItemById: () => db.prepare('SELECT * FROM plan_items WHERE plan_id = ? AND id = ?'),
+
+  getCompanionItems: () => db.prepare(`
+    SELECT * FROM plan_items WHERE plan_id = ? AND companion_of = ? ORDER BY position
+  `),
+
+  getItemByDestination: () => db.prepare(`
+    SELECT * FROM plan_items WHERE plan_id = ? AND destination_path = ? AND excluded = 0
+  `),
+
+  countItemsByAction: () => db.prepare(`
+    SELECT action, excluded, COUNT(*) as count, COALESCE(SUM(size), 0) as bytes
+    FROM plan_items
+    WHERE plan_id = ?
+    GROUP BY action, excluded
+  `),
+
+  countItemsByStatus: () => db.prepare(`
+    SELECT status, COUNT(*) as count FROM plan_items WHERE plan_id = ? GROUP BY status
+  `),
+
+  updateItemPlan: () => db.prepare(`
+    UPDATE plan_items SET destination_path = @destination_path, excluded = @excluded WHERE id = @id
+  `),
+
+  updateItemStatus: () => db.prepare('UPDATE plan_items SET status = @status, message = @message WHERE id = @id')
+};
+
+/**
+ * Prepared statements for the trash
+ */
+export const trashQueries = {
+  insertItem: () => db.prepare(`
+    INSERT INTO trash_items (file_id, operation_id, batch_id, trash_root, original_path, trash_path, hash_sha256, size,
+                             previous_status, previous_duplicate_of, reason, trashed_at, expires_at)
+    VALUES (@file_id, @operation_id, @batch_id, @trash_root, @original_path, @trash_path, @hash_sha256, @size,
+            @previous_status, @previous_duplicate_of, @reason, @trashed_at, @expires_at)
+  `),
+
+  getItemById: () => db.prepare('SELECT * FROM trash_items WHERE id = ?'),
+
+  getItemByOperation: () => db.prepare('SELECT * FROM trash_items WHERE operation_id = ?'),
+
+  getTrashedItems: () => db.prepare(`
+    SELECT * FROM trash_items WHERE status = 'trashed' ORDER BY trashed_at DESC, id DESC LIMIT ? OFFSET ?
+  `),
+
+  getTrashedItemsByRoot: () => db.prepare(`
+    SELECT * FROM trash_items WHERE status = 'trashed' AND trash_root = ? ORDER BY id
+  `),
+
+  // Items to delete when emptying: all of them, or those kept past their retention (@before)
+  getItemsToEmpty: () => db.prepare(`
+    SELECT * FROM trash_items WHERE status = 'trashed' AND (@before IS NULL OR expires_at <= @before) ORDER BY id
+  `),
+
+  countTrashed: () => db.prepare(`
+    SELECT COUNT(*) as count, COALESCE(SUM(size), 0) as bytes,
+           COALESCE(SUM(CASE WHEN expires_at <= ? THEN 1 ELSE 0 END), 0) as expired
+    FROM trash_items WHERE status = 'trashed'
+  `),
+
+  markRestored: () => db.prepare(`
+    UPDATE trash_items SET status = 'restored', restored_at = CURRENT_TIMESTAMP WHERE id = ?
+  `),
+
+  markDeleted: () => db.prepare(`
+    UPDATE trash_items SET status = 'deleted', deleted_at = CURRENT_TIMESTAMP WHERE id = ?
+  `)
 };
 
 /**
@@ -164,8 +470,8 @@ export const errorQueries = {
  */
 export const scanSessionQueries = {
   createSession: () => db.prepare(`
-    INSERT INTO scan_sessions (source_path, status)
-    VALUES (@source_path, 'in_progress')
+    INSERT INTO scan_sessions (source_path, recursive, incremental, status)
+    VALUES (@source_path, @recursive, @incremental, @status)
   `),
 
   updateSession: () => db.prepare(`
@@ -176,7 +482,52 @@ export const scanSessionQueries = {
 
   getSession: () => db.prepare('SELECT * FROM scan_sessions WHERE id = ?'),
 
-  getActiveSession: () => db.prepare("SELECT * FROM scan_sessions WHERE status = 'in_progress' ORDER BY started_at DESC LIMIT 1")
+  getActiveSession: () => db.prepare("SELECT * FROM scan_sessions WHERE status = 'in_progress' ORDER BY started_at DESC LIMIT 1"),
+
+  markInterruptedSessions: () => db.prepare("UPDATE scan_sessions SET status = 'interrupted' WHERE status = 'in_progress'"),
+
+  getResumableSessions: () => db.prepare(`
+    SELECT * FROM scan_sessions
+    WHERE status IN ('interrupted', 'cancelled')
+    ORDER BY started_at DESC
+    LIMIT ?
+  `)
+};
+
+/**
+ * Prepared statements for per-directory scan checkpoints
+ */
+export const scanCheckpointQueries = {
+  insertCheckpoint: () => db.prepare(`
+    INSERT OR REPLACE INTO scan_checkpoints (session_id, directory_path, file_count)
+    VALUES (@session_id, @directory_path, @file_count)
+  `),
+
+  getCheckpointsBySession: () => db.prepare('SELECT * FROM scan_checkpoints WHERE session_id = ?')
+};
+
+/**
+ * Prepared statements for incremental scan change reports
+ */
+export const scanChangeQueries = {
+  insertChange: () => db.prepare(`
+    INSERT INTO scan_changes (session_id, file_id, change_type, path, previous_path, previous_hash)
+    VALUES (@session_id, @file_id, @change_type, @path, @previous_path, @previous_hash)
+  `),
+
+  getChangesBySession: () => db.prepare(`
+    SELECT * FROM scan_changes
+    WHERE session_id = @session_id AND (@change_type IS NULL OR change_type = @change_type)
+    ORDER BY id
+    LIMIT @limit OFFSET @offset
+  `),
+
+  countChangesByType: () => db.prepare(`
+    SELECT change_type, COUNT(*) as count
+    FROM scan_changes
+    WHERE session_id = ?
+    GROUP BY change_type
+  `)
 };
 
 export default {
@@ -186,5 +537,13 @@ export default {
   fileQueries,
   operationQueries,
   errorQueries,
-  scanSessionQueries
+  jobQueries,
+  ignorePatternQueries,
+  settingQueries,
+  profileQueries,
+  planQueries,
+  trashQueries,
+  scanSessionQueries,
+  scanCheckpointQueries,
+  scanChangeQueries
 };
@@ -31,6 +31,21 @@ export function runMigrations(db) {
     )
   `);
 
+  // Perceptual (dHash) fingerprint for near-duplicate image detection
+  addColumnIfMissing(db, 'files', 'hash_perceptual', 'TEXT');
+
+  // Capture-local time behind resolved_date (which is UTC), its offset and where the timezone came from
+  addColumnIfMissing(db, 'files', 'local_date', 'TEXT');
+  addColumnIfMissing(db, 'files', 'utc_offset', 'TEXT');
+  addColumnIfMissing(db, 'files', 'timezone_source', 'TEXT');
+
+  // Primary file of a companion group (RAW+JPEG, sidecars, Live Photo video); null for primaries and lone files
+  addColumnIfMissing(db, 'files', 'companion_of', 'INTEGER REFERENCES files(id)');
+
+  // Last integrity check of an organized file and its outcome: ok, missing, modified or corrupted
+  addColumnIfMissing(db, 'files', 'verified_at', 'TEXT');
+  addColumnIfMissing(db, 'files', 'verify_result', 'TEXT');
+
   // Create operations table (audit trail)
   db.exec(`
     CREATE TABLE IF NOT EXISTS operations (
@@ -47,6 +62,9 @@ export function runMigrations(db) {
     )
   `);
 
+  // Values needed to undo operations that change file records rather than move files
+  addColumnIfMissing(db, 'operations', 'details_json', 'TEXT');
+
   // Create errors table
   db.exec(`
     CREATE TABLE IF NOT EXISTS errors (
@@ -60,6 +78,48 @@ export function runMigrations(db) {
     )
   `);
 
+  // open, resolved (retry succeeded), retried (superseded by a newer error) or ignored
+  addColumnIfMissing(db, 'errors', 'status', "TEXT DEFAULT 'open'");
+  // What is needed to retry, e.g. the organize destination
+  addColumnIfMissing(db, 'errors', 'context_json', 'TEXT');
+  addColumnIfMissing(db, 'errors', 'resolved_at', 'TEXT');
+
+  // Create ignore_patterns table: user-defined path globs the scanner skips
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ignore_patterns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      pattern TEXT NOT NULL UNIQUE,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create jobs table: background scans, organizes, reverts and verifications, run one at a time
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      status TEXT DEFAULT 'queued',
+      params_json TEXT,
+      result_json TEXT,
+      error_message TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      started_at TEXT,
+      completed_at TEXT
+    )
+  `);
+
+  // Create job_logs table
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS job_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER NOT NULL,
+      level TEXT DEFAULT 'info',
+      message TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (job_id) REFERENCES jobs(id)
+    )
+  `);
+
   // Create settings table
   db.exec(`
     CREATE TABLE IF NOT EXISTS settings (
@@ -68,11 +128,99 @@ export function runMigrations(db) {
     )
   `);
 
+  // Create organize_profiles table: named rule sets choosing a path template per file
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS organize_profiles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      template TEXT,
+      rules_json TEXT NOT NULL DEFAULT '[]',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create plans table: reviewed dry runs that can be edited and executed
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS plans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      destination_path TEXT NOT NULL,
+      template TEXT,
+      profile_id INTEGER,
+      profile_name TEXT,
+      mode TEXT NOT NULL DEFAULT 'move',
+      verify INTEGER,
+      status TEXT NOT NULL DEFAULT 'draft',
+      batch_id TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      executed_at TEXT
+    )
+  `);
+
+  // Create plan_items table: one planned action per file, with what the source looked like when planned
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS plan_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plan_id INTEGER NOT NULL REFERENCES plans(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      file_id INTEGER NOT NULL REFERENCES files(id),
+      companion_of INTEGER REFERENCES files(id),
+      action TEXT NOT NULL,
+      source_path TEXT NOT NULL,
+      destination_path TEXT,
+      planned_destination_path TEXT,
+      intended_path TEXT,
+      conflicts_with TEXT,
+      duplicate_of INTEGER,
+      rule TEXT,
+      hash_sha256 TEXT,
+      size INTEGER,
+      source_mtime TEXT,
+      resolved_date TEXT,
+      date_source TEXT,
+      excluded INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'planned',
+      message TEXT
+    )
+  `);
+
+  // Create trash_items table: files moved to a trash folder, restorable until the trash is emptied
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS trash_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_id INTEGER NOT NULL REFERENCES files(id),
+      operation_id INTEGER NOT NULL REFERENCES operations(id),
+      batch_id TEXT NOT NULL,
+      trash_root TEXT NOT NULL,
+      original_path TEXT NOT NULL,
+      trash_path TEXT NOT NULL,
+      hash_sha256 TEXT,
+      size INTEGER,
+      previous_status TEXT,
+      previous_duplicate_of INTEGER,
+      reason TEXT,
+      status TEXT NOT NULL DEFAULT 'trashed',
+      trashed_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      restored_at TEXT,
+      deleted_at TEXT
+    )
+  `);
+
+  // Dry runs used to be logged as operations, which could then be offered for revert
+  if (getSchemaVersion(db) < 2) {
+    removeDryRunOperations(db);
+    setSchemaVersion(db, 2);
+  }
+
   // Create scan_sessions table to track scanning progress
   db.exec(`
     CREATE TABLE IF NOT EXISTS scan_sessions (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       source_path TEXT NOT NULL,
+      recursive INTEGER DEFAULT 1,
+      incremental INTEGER DEFAULT 0,
       status TEXT DEFAULT 'in_progress',
       total_files INTEGER DEFAULT 0,
       processed_files INTEGER DEFAULT 0,
@@ -81,6 +229,35 @@ export function runMigrations(db) {
     )
   `);
 
+  addColumnIfMissing(db, 'scan_sessions', 'recursive', 'INTEGER DEFAULT 1');
+  addColumnIfMissing(db, 'scan_sessions', 'incremental', 'INTEGER DEFAULT 0');
+
+  // Create scan_checkpoints table: directories whose files a session has fully processed
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS scan_checkpoints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL REFERENCES scan_sessions(id),
+      directory_path TEXT NOT NULL,
+      file_count INTEGER DEFAULT 0,
+      completed_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(session_id, directory_path)
+    )
+  `);
+
+  // Create scan_changes table: per-session report of an incremental rescan
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS scan_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER NOT NULL REFERENCES scan_sessions(id),
+      file_id INTEGER REFERENCES files(id),
+      change_type TEXT NOT NULL,
+      path TEXT NOT NULL,
+      previous_path TEXT,
+      previous_hash TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
   // Create indexes for common queries
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_files_status ON files(status);
@@ -92,11 +269,58 @@ export function runMigrations(db) {
     CREATE INDEX IF NOT EXISTS idx_operations_batch_id ON operations(batch_id);
     CREATE INDEX IF NOT EXISTS idx_operations_file_id ON operations(file_id);
     CREATE INDEX IF NOT EXISTS idx_errors_file_id ON errors(file_id);
+    CREATE INDEX IF NOT EXISTS idx_errors_status ON errors(status);
+    CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+    CREATE INDEX IF NOT EXISTS idx_job_logs_job_id ON job_logs(job_id);
+    CREATE INDEX IF NOT EXISTS idx_scan_checkpoints_session_id ON scan_checkpoints(session_id);
+    CREATE INDEX IF NOT EXISTS idx_scan_changes_session_id ON scan_changes(session_id);
+    CREATE INDEX IF NOT EXISTS idx_files_current_path ON files(current_path);
+    CREATE INDEX IF NOT EXISTS idx_files_companion_of ON files(companion_of);
+    CREATE INDEX IF NOT EXISTS idx_plan_items_plan_id ON plan_items(plan_id, position);
+    CREATE INDEX IF NOT EXISTS idx_trash_items_status ON trash_items(status, expires_at);
+    CREATE INDEX IF NOT EXISTS idx_trash_items_operation_id ON trash_items(operation_id);
   `);
 
   return true;
 }
 
+/**
+ * Add a column to an existing table if an older database lacks it
+ * @param {Object} db - Database instance
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Remove what dry runs left behind before they were stored as plans. A dry
+ * run logged every file it would place, in a batch that also held the files
+ * it skipped or took for duplicates, and it marked those duplicates in the
+ * files table. They go back to pending unless a later operation touched them.
+ * @param {Object} db - Database instance
+ */
+function removeDryRunOperations(db) {
+  const dryRunBatches = "SELECT DISTINCT batch_id FROM operations WHERE reason LIKE 'Dry run - would %'";
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE files SET status = 'pending', duplicate_of = NULL, updated_timestamp = CURRENT_TIMESTAMP
+      WHERE status = 'duplicate' AND id IN (
+        SELECT o.file_id FROM operations o
+        WHERE o.operation_type = 'duplicate' AND o.batch_id IN (${dryRunBatches})
+          AND o.id = (SELECT MAX(id) FROM operations WHERE file_id = o.file_id)
+      )
+    `).run();
+    db.prepare(`DELETE FROM operations WHERE batch_id IN (${dryRunBatches})`).run();
+  })();
+}
+
 export function getSchemaVersion(db) {
   const result = db.prepare("SELECT value FROM settings WHERE key = 'schema_version'").get();
   return result ? parseInt(result.value) : 0;
@@ -7,13 +7,28 @@ import scanRouter from './routes/scan.js';
 import organizeRouter from './routes/organize.js';
 import operationsRouter from './routes/operations.js';
 import searchRouter from './routes/search.js';
+import duplicatesRouter from './routes/duplicates.js';
+import eventsRouter from './routes/events.js';
+import jobsRouter from './routes/jobs.js';
+import settingsRouter from './routes/settings.js';
+import libraryRouter from './routes/library.js';
+import profilesRouter from './routes/profiles.js';
+import plansRouter from './routes/plans.js';
+import trashRouter from './routes/trash.js';
+import { markInterruptedScans } from './services/scanner.js';
+import { closeAllStreams } from './services/events.js';
+import { recoverJobs } from './services/jobQueue.js';
+import { loadFilenameDatePatterns } from './services/filenameDates.js';
+import { loadDefaultTimezone } from './services/timezone.js';
+import { loadDateWriteBack } from './services/dateWriteBack.js';
+import { validateTemplate } from './services/pathTemplate.js';
 
 const app = express();
 
 // Middleware
 app.use(cors({
   origin: config.corsOrigins,
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
   credentials: true
 }));
 app.use(express.json());
@@ -29,6 +44,14 @@ app.use('/api/scan', scanRouter);
 app.use('/api/organize', organizeRouter);
 app.use('/api/operations', operationsRouter);
 app.use('/api/search', searchRouter);
+app.use('/api/duplicates', duplicatesRouter);
+app.use('/api/events', eventsRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/settings', settingsRouter);
+app.use('/api/library', libraryRouter);
+app.use('/api/profiles', profilesRouter);
+app.use('/api/plans', plansRouter);
+app.use('/api/trash', trashRouter);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -36,7 +59,8 @@ app.use((err, req, res, next) => {
   res.status(err.status || 500).json({
     error: {
       message: err.message || 'Internal server error',
-      type: err.name || 'Error'
+      type: err.name || 'Error',
+      ...(err.errors && { errors: err.errors })
     }
   });
 });
@@ -49,9 +73,32 @@ app.use((req, res) => {
 // Initialize database and start server
 function startServer() {
   try {
+    // A broken PATH_TEMPLATE would otherwise only show once files are organized
+    const templateCheck = validateTemplate(config.pathTemplate);
+    if (!templateCheck.valid) {
+      throw new Error(`PATH_TEMPLATE is invalid: ${templateCheck.errors.join('; ')}`);
+    }
+
     initDatabase();
     console.log('Database initialized successfully');
 
+    // User-defined filename date patterns and the default timezone also apply to retries outside a scan
+    loadFilenameDatePatterns();
+    loadDefaultTimezone();
+    loadDateWriteBack();
+
+    // Scans that were running when the server stopped can be resumed
+    const interruptedScans = markInterruptedScans();
+    if (interruptedScans > 0) {
+      console.log(`Found ${interruptedScans} interrupted scan session(s) that can be resumed`);
+    }
+
+    // Jobs that were running are queued again; their scans resume from checkpoints
+    const recoveredJobs = recoverJobs();
+    if (recoveredJobs > 0) {
+      console.log(`Requeued ${recoveredJobs} job(s) that were running when the server stopped`);
+    }
+
     const server = app.listen(config.port, config.host, () => {
       console.log(`Server running at http://${config.host}:${config.port}`);
       console.log(`Environment: ${config.env}`);
@@ -60,6 +107,7 @@ function startServer() {
     // Graceful shutdown
     process.on('SIGINT', () => {
       console.log('\nShutting down gracefully...');
+      closeAllStreams();
       server.close(() => {
         closeDatabase();
         console.log('Server closed');
@@ -69,6 +117,7 @@ function startServer() {
 
     process.on('SIGTERM', () => {
       console.log('\nSIGTERM received, shutting down...');
+      closeAllStreams();
       server.close(() => {
         closeDatabase();
         process.exit(0);
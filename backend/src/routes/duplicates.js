@@ -0,0 +1,101 @@
+import { Router } from 'express';
+import { findSimilarGroups, calculateDuplicateStats } from '../services/duplicateDetector.js';
+import { resolveDuplicates } from '../services/duplicateResolver.js';
+import { enqueueResolveDuplicates } from '../services/jobQueue.js';
+import config from '../config.js';
+
+const router = Router();
+
+/**
+ * GET /api/duplicates/stats
+ * Get duplicate counts and potential space savings
+ */
+router.get('/stats', async (req, res, next) => {
+  try {
+    const stats = await calculateDuplicateStats();
+    res.json(stats);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/duplicates/similar
+ * Get a page of the clusters of visually similar images (resized, recompressed
+ * or re-exported copies), as stored after the last scan
+ */
+router.get('/similar', (req, res, next) => {
+  try {
+    const { threshold = config.similarityThreshold, limit = 50, offset = 0 } = req.query;
+    const maxDistance = parseInt(threshold);
+
+    if (isNaN(maxDistance) || maxDistance < 0 || maxDistance > 64) {
+      return res.status(400).json({ error: { message: 'threshold must be a number between 0 and 64' } });
+    }
+
+    const result = findSimilarGroups({
+      threshold: maxDistance,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      ...result,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/duplicates/resolve
+ * Keep one file per exact-duplicate group and quarantine, hardlink or trash
+ * the rest. The resolution is queued as a job and reports its progress as
+ * 'resolve' events; a dry run returns its plan right away.
+ */
+router.post('/resolve', async (req, res, next) => {
+  try {
+    const {
+      action,
+      policy = 'oldest',
+      preferredFolder = null,
+      quarantinePath,
+      destinationPath = null,
+      hashes = null,
+      keep = {},
+      dryRun = false
+    } = req.body;
+
+    // A single policy or a list applied in order as tie-breakers
+    const options = {
+      action,
+      policies: Array.isArray(policy) ? policy : [policy],
+      preferredFolder,
+      quarantinePath,
+      destinationPath,
+      hashes,
+      keep
+    };
+
+    if (dryRun) {
+      const result = await resolveDuplicates({ ...options, dryRun: true });
+      return res.json({ message: 'Dry run - no files changed', ...result });
+    }
+
+    const job = enqueueResolveDuplicates(options);
+
+    res.status(202).json({
+      message: 'Duplicate resolution queued',
+      // Lets clients match progress events and operations to this run
+      batchId: job.params.batchId,
+      action,
+      job
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
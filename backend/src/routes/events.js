@@ -0,0 +1,50 @@
+import { Router } from 'express';
+import { subscribe, getLatestEvents, onClose } from '../services/events.js';
+
+const router = Router();
+
+// How long the browser waits before reconnecting after a drop
+const RECONNECT_DELAY_MS = 3000;
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * GET /api/events
+ * Server-Sent Events stream of scan, organize, revert and thumbnail
+ * progress. The latest event of each type is sent on connect.
+ */
+router.get('/', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  for (const event of getLatestEvents()) {
+    send(event);
+  }
+
+  const unsubscribe = subscribe(send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    removeCloseListener();
+  };
+  const removeCloseListener = onClose(() => {
+    cleanup();
+    res.end();
+  });
+
+  req.on('close', cleanup);
+});
+
+export default router;
@@ -1,10 +1,30 @@
 import { Router } from 'express';
 import path from 'path';
 import fs from 'fs';
-import { getDatabase, fileQueries, errorQueries } from '../database/index.js';
+import { getDatabase, fileQueries, errorQueries, ignorePatternQueries } from '../database/index.js';
+import { getThumbnail, getThumbnailSizes, getThumbnailStatus } from '../services/thumbnailer.js';
+import { getDuplicateGroupsPage, KEEP_POLICIES } from '../services/duplicateDetector.js';
+import { retryFile } from '../services/scanner.js';
+import { retryOrganizeFile } from '../services/organizer.js';
+import { getProfile } from '../services/organizeProfiles.js';
+import { addIgnorePattern, removeIgnorePattern, matchesIgnorePattern } from '../services/ignoreRules.js';
+import { listCameras, shiftFileDates } from '../services/timeShift.js';
+import { setFileDates, getDateCandidates } from '../services/dateOverride.js';
+import { WEAK_DATE_SOURCES } from '../services/dateResolver.js';
+import { writeBackDates } from '../services/dateWriteBack.js';
+import { trashFile } from '../services/trash.js';
+import config from '../config.js';
 
 const router = Router();
 
+// Images that can be sent as-is when no thumbnail can be generated
+const BROWSER_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'];
+
+// Error types whose failed step can be run again for the same file
+const RETRIABLE_ERROR_TYPES = ['file_processing', 'organize_error'];
+
+const ERROR_GROUPINGS = ['type', 'directory'];
+
 /**
  * GET /api/files
  * List files with optional filters
@@ -49,7 +69,11 @@ router.get('/stats', (req, res, next) => {
 
     const statusCounts = fileQueries.countFilesByStatus().all();
     const totalCount = fileQueries.countFiles().get();
-    const errorCount = errorQueries.countErrors().get();
+    // Errors still needing attention; resolved and ignored ones drop out
+    const errorCount = errorQueries.countErrorsByStatus().get('open');
+    const needsDateReview = db.prepare(`
+      SELECT COUNT(*) as count FROM files WHERE date_source IN (${WEAK_DATE_SOURCES.map(() => '?').join(', ')})
+    `).get(...WEAK_DATE_SOURCES);
 
     res.json({
       total: totalCount.count,
@@ -57,16 +81,68 @@ router.get('/stats', (req, res, next) => {
         acc[row.status] = row.count;
         return acc;
       }, {}),
-      errors: errorCount.count
+      errors: errorCount.count,
+      needsDateReview: needsDateReview.count
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/files/cameras
+ * Camera makes and models in the library, for choosing files to time shift
+ */
+router.get('/cameras', (req, res, next) => {
+  try {
+    res.json({ cameras: listCameras() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/files/timeshift
+ * Correct the dates of a camera's files (make/model) or of chosen files (fileIds)
+ * by an offset; revertible through the operations log
+ */
+router.post('/timeshift', async (req, res, next) => {
+  try {
+    const { make, model, fileIds, offset, dryRun = false } = req.body;
+
+    const result = shiftFileDates({ make, model, fileIds, offset, dryRun });
+    const writeBack = dryRun ? null : await writeBackDates(result.batchId);
+
+    res.json({
+      message: dryRun ? 'Dry run - no dates changed' : 'Dates shifted',
+      result,
+      writeBack
     });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * PUT /api/files/dates
+ * Set the same date on several files: { fileIds, date, timezone? }
+ */
+router.put('/dates', async (req, res, next) => {
+  try {
+    const { fileIds, date, timezone } = req.body;
+
+    const result = setFileDates(fileIds, { date, timezone });
+    const writeBack = await writeBackDates(result.batchId);
+
+    res.json({ ...result, writeBack });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/files/:id
- * Get single file details
+ * Get single file details, with the companion files organized along with it
  */
 router.get('/:id', (req, res, next) => {
   try {
@@ -85,18 +161,87 @@ router.get('/:id', (req, res, next) => {
       }
     }
 
+    // Files that are organized together with this one
+    file.companions = fileQueries.getCompanions().all(file.id)
+      .map(({ id, filename, current_path, original_path, status }) => ({ id, filename, current_path, original_path, status }));
+
     res.json(file);
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * GET /api/files/:id/date-candidates
+ * Dates the file could have: EXIF, video, filename, filesystem and neighbouring files
+ */
+router.get('/:id/date-candidates', async (req, res, next) => {
+  try {
+    const file = fileQueries.getFileById().get(req.params.id);
+
+    if (!file) {
+      return res.status(404).json({ error: { message: 'File not found' } });
+    }
+
+    res.json({ fileId: file.id, candidates: await getDateCandidates(file) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/files/:id/date
+ * Set a file's date by hand: { date, timezone? }; revertible through the operations log
+ */
+router.put('/:id/date', async (req, res, next) => {
+  try {
+    const file = fileQueries.getFileById().get(req.params.id);
+
+    if (!file) {
+      return res.status(404).json({ error: { message: 'File not found' } });
+    }
+
+    const { date, timezone } = req.body;
+    const result = setFileDates([file.id], { date, timezone });
+    const writeBack = await writeBackDates(result.batchId);
+
+    res.json({ batchId: result.batchId, file: fileQueries.getFileById().get(file.id), writeBack });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/files/:id/trash
+ * Move a file to the trash: { destinationPath, reason? }. The trash is the
+ * .trash folder inside destinationPath.
+ * Revertible through the operations log until the trash is emptied.
+ */
+router.post('/:id/trash', async (req, res, next) => {
+  try {
+    const { destinationPath, reason } = req.body;
+    const result = await trashFile(parseInt(req.params.id), { destinationPath: destinationPath || null, reason });
+
+    res.json({ ...result, file: fileQueries.getFileById().get(result.item.fileId) });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/files/:id/preview
- * Get image preview/thumbnail
+ * Get image thumbnail (?size=small|medium|large, default medium)
  */
-router.get('/:id/preview', (req, res, next) => {
+router.get('/:id/preview', async (req, res, next) => {
   try {
+    const { size = 'medium' } = req.query;
+
+    if (!getThumbnailSizes().includes(size)) {
+      return res.status(400).json({
+        error: { message: `size must be one of: ${getThumbnailSizes().join(', ')}` }
+      });
+    }
+
     const file = fileQueries.getFileById().get(req.params.id);
 
     if (!file) {
@@ -111,16 +256,39 @@ router.get('/:id/preview', (req, res, next) => {
     }
 
     // Check if it's an image
-    const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'];
     const ext = path.extname(filePath).toLowerCase();
 
-    if (!imageExtensions.includes(ext)) {
+    if (!config.imageExtensions.includes(ext)) {
       return res.status(400).json({ error: { message: 'Preview only available for images' } });
     }
 
-    // For now, just serve the original file
-    // TODO: Generate thumbnails for better performance
-    res.sendFile(filePath);
+    let thumbnailPath;
+    try {
+      thumbnailPath = await getThumbnail(file, size);
+    } catch (error) {
+      // Formats the browser can show are still previewable without a thumbnail
+      if (BROWSER_IMAGE_EXTENSIONS.includes(ext)) {
+        return res.sendFile(filePath);
+      }
+      return res.status(422).json({ error: { message: `Preview not available: ${error.message}` } });
+    }
+
+    // Thumbnails are keyed by content hash, so they can be cached client side
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type('image/jpeg');
+    res.sendFile(thumbnailPath);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/files/thumbnails/status
+ * Get background thumbnail generation status
+ */
+router.get('/thumbnails/status', (req, res, next) => {
+  try {
+    res.json(getThumbnailStatus());
   } catch (error) {
     next(error);
   }
@@ -128,35 +296,30 @@ router.get('/:id/preview', (req, res, next) => {
 
 /**
  * GET /api/files/duplicates
- * Get all duplicate file groups
+ * Get a page of duplicate file groups (?limit, ?offset, ?policy to choose each group's original)
  */
 router.get('/duplicates/all', (req, res, next) => {
   try {
-    const db = getDatabase();
+    const { limit = 50, offset = 0, policy = 'oldest', preferredFolder = null } = req.query;
 
-    // Get files that have duplicates
-    const stmt = db.prepare(`
-      SELECT hash_sha256, COUNT(*) as count
-      FROM files
-      WHERE hash_sha256 IS NOT NULL
-      GROUP BY hash_sha256
-      HAVING COUNT(*) > 1
-    `);
-
-    const duplicateHashes = stmt.all();
-
-    const duplicateGroups = duplicateHashes.map(({ hash_sha256 }) => {
-      const files = db.prepare('SELECT * FROM files WHERE hash_sha256 = ?').all(hash_sha256);
-      return {
-        hash: hash_sha256,
-        count: files.length,
-        files
-      };
+    if (!KEEP_POLICIES.includes(policy)) {
+      return res.status(400).json({
+        error: { message: `policy must be one of: ${KEEP_POLICIES.join(', ')}` }
+      });
+    }
+
+    const { groups, totalGroups } = getDuplicateGroupsPage({
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      policies: [policy],
+      preferredFolder
     });
 
     res.json({
-      groups: duplicateGroups,
-      totalGroups: duplicateGroups.length
+      groups,
+      totalGroups,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
     });
   } catch (error) {
     next(error);
@@ -165,14 +328,18 @@ router.get('/duplicates/all', (req, res, next) => {
 
 /**
  * GET /api/files/errors
- * Get all error records
+ * Get all error records (?status=open|resolved|retried|ignored)
  */
 router.get('/errors/all', (req, res, next) => {
   try {
-    const { limit = 100, offset = 0 } = req.query;
+    const { status, limit = 100, offset = 0 } = req.query;
 
-    const errors = errorQueries.getErrors().all(parseInt(limit), parseInt(offset));
-    const countResult = errorQueries.countErrors().get();
+    const errors = status
+      ? errorQueries.getErrorsByStatus().all(status, parseInt(limit), parseInt(offset))
+      : errorQueries.getErrors().all(parseInt(limit), parseInt(offset));
+    const countResult = status
+      ? errorQueries.countErrorsByStatus().get(status)
+      : errorQueries.countErrors().get();
 
     res.json({
       errors,
@@ -185,4 +352,182 @@ router.get('/errors/all', (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/files/errors/grouped
+ * Errors grouped by type or by directory (?by=type|directory, ?status=open).
+ * Stack traces are left out; fetch a single error for its stack.
+ */
+router.get('/errors/grouped', (req, res, next) => {
+  try {
+    const { by = 'type', status = 'open', perGroup = 20 } = req.query;
+
+    if (!ERROR_GROUPINGS.includes(by)) {
+      return res.status(400).json({
+        error: { message: `Invalid grouping. Must be one of: ${ERROR_GROUPINGS.join(', ')}` }
+      });
+    }
+
+    const groups = new Map();
+    for (const { stack_trace, ...record } of errorQueries.getAllErrorsByStatus().all(status)) {
+      const key = by === 'type' ? record.error_type : getErrorDirectory(record);
+      if (!groups.has(key)) {
+        groups.set(key, { key, count: 0, errors: [] });
+      }
+      const group = groups.get(key);
+      group.count++;
+      if (group.errors.length < parseInt(perGroup)) {
+        group.errors.push({ ...record, hasStackTrace: Boolean(stack_trace) });
+      }
+    }
+
+    const sorted = [...groups.values()].sort((a, b) => b.count - a.count);
+    res.json({
+      by,
+      status,
+      groups: sorted,
+      total: sorted.reduce((sum, group) => sum + group.count, 0)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/files/errors/ignore-patterns
+ * List the scanner's user-defined ignore patterns
+ */
+router.get('/errors/ignore-patterns', (req, res, next) => {
+  try {
+    res.json({ patterns: ignorePatternQueries.getPatterns().all() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/files/errors/ignore-patterns/:id
+ * Remove an ignore pattern; matching paths are scanned again next time
+ */
+router.delete('/errors/ignore-patterns/:id', (req, res, next) => {
+  try {
+    if (!removeIgnorePattern(parseInt(req.params.id))) {
+      return res.status(404).json({ error: { message: 'Ignore pattern not found' } });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/files/errors/ignore
+ * Add a path pattern the scanner skips from now on, and mark the open
+ * errors it covers as ignored
+ */
+router.post('/errors/ignore', (req, res, next) => {
+  try {
+    const { pattern } = req.body;
+
+    if (!pattern || typeof pattern !== 'string' || !pattern.trim()) {
+      return res.status(400).json({ error: { message: 'Pattern is required' } });
+    }
+
+    const record = addIgnorePattern(pattern.trim());
+
+    const matching = errorQueries.getAllErrorsByStatus().all('open')
+      .filter(error => error.file_path && matchesIgnorePattern(record.pattern, error.file_path));
+
+    const db = getDatabase();
+    db.transaction(() => {
+      for (const error of matching) {
+        errorQueries.updateErrorStatus().run({ id: error.id, status: 'ignored' });
+      }
+    })();
+
+    res.json({ pattern: record, ignoredErrors: matching.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/files/errors/:id
+ * Get a single error record, including its stack trace
+ */
+router.get('/errors/:id', (req, res, next) => {
+  try {
+    const record = errorQueries.getErrorById().get(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({ error: { message: 'Error not found' } });
+    }
+
+    res.json(record);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/files/errors/:id/retry
+ * Run the failed step again: scanning for file_processing errors,
+ * organizing for organize_error. On success the error is marked resolved;
+ * on failure it is marked retried and the new attempt logs its own error.
+ */
+router.post('/errors/:id/retry', async (req, res, next) => {
+  try {
+    const record = errorQueries.getErrorById().get(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({ error: { message: 'Error not found' } });
+    }
+
+    if (!RETRIABLE_ERROR_TYPES.includes(record.error_type)) {
+      return res.status(400).json({
+        error: { message: `Errors of type ${record.error_type} cannot be retried` }
+      });
+    }
+
+    let result;
+    if (record.error_type === 'file_processing') {
+      result = await retryFile(record.file_path);
+    } else {
+      const context = record.context_json ? JSON.parse(record.context_json) : {};
+      if (!context.destinationBase) {
+        return res.status(400).json({ error: { message: 'Error has no organize destination to retry with' } });
+      }
+      result = await retryOrganizeFile(record.file_id, context.destinationBase, {
+        template: context.template,
+        // A profile deleted since then leaves the file to the template
+        profile: context.profileId ? getProfile(context.profileId) : null,
+        mode: context.mode
+      });
+    }
+
+    errorQueries.updateErrorStatus().run({
+      id: record.id,
+      status: result.success ? 'resolved' : 'retried'
+    });
+
+    res.json({
+      success: result.success,
+      file: result.file,
+      error: errorQueries.getErrorById().get(record.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Directory an error belongs to; directory errors are their own group
+ * @param {Object} record - Error record
+ * @returns {string} - Directory path
+ */
+function getErrorDirectory(record) {
+  if (!record.file_path) return '(unknown)';
+  return record.error_type === 'directory_access' ? record.file_path : path.dirname(record.file_path);
+}
+
 export default router;
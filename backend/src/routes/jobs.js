@@ -0,0 +1,147 @@
+import { Router } from 'express';
+import {
+  enqueue,
+  getJob,
+  listJobs,
+  getJobLogs,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+  JOB_TYPES,
+  JOB_STATUSES
+} from '../services/jobQueue.js';
+
+const router = Router();
+
+/**
+ * GET /api/jobs
+ * List jobs, newest first
+ */
+router.get('/', (req, res, next) => {
+  try {
+    const { status = null, limit = 50, offset = 0 } = req.query;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: { message: `Invalid status. Must be one of: ${JOB_STATUSES.join(', ')}` }
+      });
+    }
+
+    const { jobs, total } = listJobs({ status, limit: parseInt(limit), offset: parseInt(offset) });
+
+    res.json({
+      jobs,
+      total,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/jobs
+ * Queue a scan, organize, revert or verify job
+ */
+router.post('/', (req, res, next) => {
+  try {
+    const { type, params = {} } = req.body;
+
+    if (!JOB_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: { message: `Invalid job type. Must be one of: ${JOB_TYPES.join(', ')}` }
+      });
+    }
+
+    const job = enqueue(type, params);
+
+    res.status(202).json({ message: 'Job queued', job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Get a job with its parameters and result
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: { message: 'Job not found' } });
+    }
+
+    res.json(job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/jobs/:id/logs
+ * Get a job's log lines, oldest first
+ */
+router.get('/:id/logs', (req, res, next) => {
+  try {
+    const { limit = 200, offset = 0 } = req.query;
+
+    if (!getJob(req.params.id)) {
+      return res.status(404).json({ error: { message: 'Job not found' } });
+    }
+
+    const { logs, total } = getJobLogs(req.params.id, { limit: parseInt(limit), offset: parseInt(offset) });
+
+    res.json({
+      logs,
+      total,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/jobs/:id/pause
+ * Hold a queued job, or stop a running scan or organize after the current file
+ */
+router.post('/:id/pause', (req, res, next) => {
+  try {
+    const job = pauseJob(req.params.id);
+    res.json({ message: job.status === 'paused' ? 'Job paused' : 'Job will pause after the current file', job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/jobs/:id/resume
+ * Put a paused job back in the queue
+ */
+router.post('/:id/resume', (req, res, next) => {
+  try {
+    const job = resumeJob(req.params.id);
+    res.json({ message: 'Job resumed', job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued, paused or running job
+ */
+router.post('/:id/cancel', (req, res, next) => {
+  try {
+    const job = cancelJob(req.params.id);
+    res.json({ message: job.status === 'cancelled' ? 'Job cancelled' : 'Job will stop after the current file', job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,62 @@
+import { Router } from 'express';
+import { enqueueVerify } from '../services/jobQueue.js';
+import { getVerifyStatus, getVerifyProblems } from '../services/libraryVerifier.js';
+
+const router = Router();
+
+/**
+ * POST /api/library/verify
+ * Queue a re-hash of every organized file (or the given fileIds) at its current location
+ */
+router.post('/verify', (req, res, next) => {
+  try {
+    const { fileIds = null } = req.body;
+
+    const job = enqueueVerify({ fileIds });
+
+    res.status(202).json({
+      message: 'Verification queued',
+      job
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/library/verify/status
+ * Progress of the running or last verification
+ */
+router.get('/verify/status', (req, res, next) => {
+  try {
+    const status = getVerifyStatus();
+
+    if (!status) {
+      return res.json({
+        status: 'idle',
+        message: 'No verification has run'
+      });
+    }
+
+    res.json(status);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/library/verify/problems
+ * Organized files whose last check found them missing, modified or corrupted
+ */
+router.get('/verify/problems', (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    res.json({ ...getVerifyProblems({ limit, offset }), limit, offset });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
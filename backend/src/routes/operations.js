@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import { getDatabase, operationQueries } from '../database/index.js';
-import { revertOperation, revertBatch } from '../services/revert.js';
+import { revertOperation, REVERTIBLE_OPERATION_TYPES } from '../services/revert.js';
+import { enqueueRevert } from '../services/jobQueue.js';
 
 const router = Router();
 
@@ -106,8 +107,10 @@ router.post('/:id/revert', async (req, res, next) => {
       return res.status(400).json({ error: { message: 'Operation already reverted' } });
     }
 
-    if (operation.operation_type !== 'move') {
-      return res.status(400).json({ error: { message: 'Only move operations can be reverted' } });
+    if (!REVERTIBLE_OPERATION_TYPES.includes(operation.operation_type)) {
+      return res.status(400).json({
+        error: { message: `Only ${REVERTIBLE_OPERATION_TYPES.join(', ')} operations can be reverted` }
+      });
     }
 
     const result = await revertOperation(operation);
@@ -123,9 +126,9 @@ router.post('/:id/revert', async (req, res, next) => {
 
 /**
  * POST /api/operations/batch/:batchId/revert
- * Revert all operations in a batch
+ * Queue a revert of all operations in a batch
  */
-router.post('/batch/:batchId/revert', async (req, res, next) => {
+router.post('/batch/:batchId/revert', (req, res, next) => {
   try {
     const { batchId } = req.params;
 
@@ -141,12 +144,12 @@ router.post('/batch/:batchId/revert', async (req, res, next) => {
       return res.status(400).json({ error: { message: 'All operations in batch already reverted' } });
     }
 
-    const result = await revertBatch(batchId);
+    const job = enqueueRevert(batchId);
 
-    res.json({
-      message: 'Batch reverted',
+    res.status(202).json({
+      message: 'Batch revert queued',
       batchId,
-      result
+      job
     });
   } catch (error) {
     next(error);
@@ -1,68 +1,40 @@
 import { Router } from 'express';
-import { getDatabase } from '../database/index.js';
-import { organizeFiles, getOrganizeStatus } from '../services/organizer.js';
+import { getOrganizeStatus, previewOrganization, storePreview, getStoredPreview } from '../services/organizer.js';
+import { enqueueOrganize, getRunningJob, cancelJob } from '../services/jobQueue.js';
+import { getTemplateTokens } from '../services/pathTemplate.js';
+import { getProfile } from '../services/organizeProfiles.js';
 
 const router = Router();
 
-// Track active organization
-let activeOrganize = null;
-
 /**
  * POST /api/organize
- * Start file organization
+ * Queue file organization. It starts once the jobs queued before it finish.
+ * A dry run moves nothing and stores a plan to review and execute (see
+ * /api/plans); the job result has its planId.
+ * mode is move (default), copy, hardlink or symlink; verify: false skips
+ * reading copies back. profileId picks the template per file by the rules
+ * of an organize profile.
  */
-router.post('/', async (req, res, next) => {
+router.post('/', (req, res, next) => {
   try {
-    const { destinationPath, dryRun = false, fileIds } = req.body;
+    const { destinationPath, dryRun = false, fileIds, template, profileId, mode = 'move', verify } = req.body;
 
     if (!destinationPath) {
       return res.status(400).json({ error: { message: 'destinationPath is required' } });
     }
 
-    // Check if organization is already in progress
-    if (activeOrganize && activeOrganize.status === 'in_progress') {
-      return res.status(409).json({
-        error: { message: 'Organization is already in progress' },
-        organize: activeOrganize
-      });
-    }
-
-    // Initialize organization status
-    activeOrganize = {
-      destinationPath,
-      dryRun,
-      status: 'in_progress',
-      totalFiles: 0,
-      processedFiles: 0,
-      movedFiles: 0,
-      skippedFiles: 0,
-      errorFiles: 0,
-      startedAt: new Date().toISOString()
-    };
-
-    // Run organization in background
-    organizeFiles(destinationPath, dryRun, fileIds)
-      .then(result => {
-        activeOrganize = {
-          ...activeOrganize,
-          ...result,
-          status: 'completed',
-          completedAt: new Date().toISOString()
-        };
-      })
-      .catch(error => {
-        activeOrganize = {
-          ...activeOrganize,
-          status: 'error',
-          error: error.message,
-          completedAt: new Date().toISOString()
-        };
-      });
+    const job = enqueueOrganize({ destinationPath, dryRun, fileIds, template, profileId, mode, verify });
 
     res.status(202).json({
-      message: dryRun ? 'Dry run started' : 'Organization started',
+      message: dryRun ? 'Dry run queued' : 'Organization queued',
+      // Lets clients match progress events and operations to this run
+      batchId: job.params.batchId,
       destinationPath,
-      dryRun
+      dryRun,
+      template: template || null,
+      profileId: profileId ?? null,
+      mode,
+      job
     });
   } catch (error) {
     next(error);
@@ -77,17 +49,14 @@ router.get('/status', (req, res, next) => {
   try {
     const status = getOrganizeStatus();
 
-    if (!activeOrganize && !status) {
+    if (!status) {
       return res.json({
         status: 'idle',
         message: 'No organization in progress'
       });
     }
 
-    res.json({
-      ...activeOrganize,
-      ...status
-    });
+    res.json(status);
   } catch (error) {
     next(error);
   }
@@ -95,21 +64,23 @@ router.get('/status', (req, res, next) => {
 
 /**
  * POST /api/organize/cancel
- * Cancel the current organization
+ * Cancel the running organize job
  */
 router.post('/cancel', (req, res, next) => {
   try {
-    if (!activeOrganize || activeOrganize.status !== 'in_progress') {
+    const running = getRunningJob();
+    if (!running || !['organize', 'plan'].includes(running.type) || getOrganizeStatus()?.status !== 'in_progress') {
       return res.status(400).json({ error: { message: 'No organization in progress to cancel' } });
     }
 
-    // TODO: Implement cancellation logic
-    activeOrganize.status = 'cancelled';
-    activeOrganize.completedAt = new Date().toISOString();
+    // The organizer finishes the current file and stops; moves already made
+    // stay in the batch so it can be reverted as a whole
+    const job = cancelJob(running.id);
 
     res.json({
-      message: 'Organization cancelled',
-      organize: activeOrganize
+      message: 'Organization cancellation requested',
+      organize: getOrganizeStatus(),
+      job
     });
   } catch (error) {
     next(error);
@@ -117,46 +88,68 @@ router.post('/cancel', (req, res, next) => {
 });
 
 /**
- * GET /api/organize/preview
- * Preview what would happen during organization
+ * GET /api/organize/preview?destinationPath=...&limit=100&offset=0
+ * Preview what organizing the pending files would do, file by file: move,
+ * collision_rename, no_date, duplicate or missing_source. The summary and
+ * folder totals cover all files; the list of files is paged. With
+ * profileId each file shows the profile rule that placed it. The preview
+ * is worked out once: pass the previewId it returns to page through it.
  */
-router.get('/preview', (req, res, next) => {
+router.get('/preview', async (req, res, next) => {
   try {
-    const { destinationPath } = req.query;
+    const { destinationPath, template, profileId, previewId, limit = 100, offset = 0 } = req.query;
+    const start = parseInt(offset) || 0;
+    const pageSize = parseInt(limit) || 100;
+
+    if (previewId) {
+      const stored = getStoredPreview(previewId);
+      if (!stored) {
+        return res.status(404).json({ error: { message: `Preview ${previewId} has expired; request a new one` } });
+      }
+      return res.json(pagePreview(previewId, stored, start, pageSize));
+    }
 
     if (!destinationPath) {
       return res.status(400).json({ error: { message: 'destinationPath query parameter is required' } });
     }
 
-    const db = getDatabase();
-
-    // Get pending files
-    const pendingFiles = db.prepare(`
-      SELECT * FROM files
-      WHERE status = 'pending' AND resolved_date IS NOT NULL
-      ORDER BY resolved_date
-    `).all();
-
-    // Generate preview of destination paths
-    const preview = pendingFiles.map(file => {
-      const date = new Date(file.resolved_date);
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-
-      return {
-        id: file.id,
-        sourcePath: file.original_path,
-        destinationPath: `${destinationPath}/${year}/${month}/${day}/${file.filename}`,
-        resolvedDate: file.resolved_date,
-        dateSource: file.date_source
-      };
-    });
+    let profile = null;
+    if (profileId) {
+      profile = getProfile(parseInt(profileId));
+      if (!profile) {
+        return res.status(400).json({ error: { message: `Organize profile ${profileId} not found` } });
+      }
+    }
 
-    res.json({
-      totalFiles: preview.length,
-      preview: preview.slice(0, 100) // Limit preview to 100 files
-    });
+    const preview = await previewOrganization(destinationPath, null, { template: template || null, profile });
+    res.json(pagePreview(storePreview(preview), preview, start, pageSize));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * One page of a preview, with the totals of all of it
+ */
+function pagePreview(previewId, { files, summary, folders }, start, pageSize) {
+  return {
+    previewId,
+    totalFiles: files.length,
+    summary,
+    folders,
+    preview: files.slice(start, start + pageSize),
+    limit: pageSize,
+    offset: start
+  };
+}
+
+/**
+ * GET /api/organize/template-tokens
+ * List the tokens available in destination path templates
+ */
+router.get('/template-tokens', (req, res, next) => {
+  try {
+    res.json({ tokens: getTemplateTokens() });
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,170 @@
+import express, { Router } from 'express';
+import {
+  createPlan,
+  importPlan,
+  exportPlan,
+  listPlans,
+  getPlan,
+  getPlanItems,
+  updatePlanItem,
+  deletePlan
+} from '../services/plans.js';
+import { enqueuePlan } from '../services/jobQueue.js';
+
+const router = Router();
+
+/**
+ * GET /api/plans
+ * List organize plans, newest first
+ */
+router.get('/', (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    res.json({ ...listPlans({ limit, offset }), limit, offset });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/plans
+ * Plan organizing the pending files (or fileIds) and store the plan for
+ * review. Takes the same options as POST /api/organize.
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { destinationPath, fileIds, template, profileId, mode = 'move', verify } = req.body;
+
+    res.status(201).json(await createPlan({ destinationPath, fileIds, template, profileId, mode, verify }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/plans/import?destinationPath=/organized&mode=move&verify=true
+ * Create a draft plan from CSV (Content-Type: text/csv) in the format of
+ * GET /api/plans/:id/export. Every row is checked against the library; if
+ * any fails, nothing is stored and error.errors lists each failing line.
+ */
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }), async (req, res, next) => {
+  try {
+    const { destinationPath, mode = 'move', verify } = req.query;
+    if (typeof req.body !== 'string') {
+      return res.status(415).json({ error: { message: 'Send the plan as text/csv' } });
+    }
+
+    res.status(201).json(await importPlan(req.body, {
+      destinationPath,
+      mode,
+      verify: verify === undefined ? null : verify === 'true'
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/plans/:id
+ * Get a plan with its totals by action, by item status and by destination folder
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    const plan = getPlan(parseInt(req.params.id));
+    if (!plan) {
+      return res.status(404).json({ error: { message: 'Plan not found' } });
+    }
+
+    res.json(plan);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/plans/:id/items?limit=100&offset=0
+ * Page through a plan's items in the order they run
+ */
+router.get('/:id/items', (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    res.json({ ...getPlanItems(parseInt(req.params.id), { limit, offset }), limit, offset });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/plans/:id/export?format=csv|json
+ * Download a plan: per file its source, destination, action, resolved
+ * date and date source. The CSV can be edited and sent back to
+ * POST /api/plans/import.
+ */
+router.get('/:id/export', (req, res, next) => {
+  try {
+    const { filename, contentType, body } = exportPlan(parseInt(req.params.id), req.query.format || 'csv');
+
+    res.attachment(filename);
+    res.set('Content-Type', contentType);
+    res.send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/plans/:id/items/:itemId
+ * Edit an item of a draft plan: { excluded: true|false } and/or
+ * { destinationPath: absolute path inside the plan's destination }
+ */
+router.patch('/:id/items/:itemId', async (req, res, next) => {
+  try {
+    const { excluded, destinationPath } = req.body;
+
+    res.json(await updatePlanItem(parseInt(req.params.id), parseInt(req.params.itemId), { excluded, destinationPath }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/plans/:id/execute
+ * Approve a plan and queue its execution. Files are placed exactly as
+ * planned; files that changed since planning are left alone and reported.
+ */
+router.post('/:id/execute', (req, res, next) => {
+  try {
+    const job = enqueuePlan(parseInt(req.params.id));
+
+    res.status(202).json({
+      message: 'Plan execution queued',
+      batchId: job.params.batchId,
+      plan: getPlan(job.params.planId),
+      job
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/plans/:id
+ * Discard a plan
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    if (!deletePlan(parseInt(req.params.id))) {
+      return res.status(404).json({ error: { message: 'Plan not found' } });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,94 @@
+import { Router } from 'express';
+import {
+  getRuleFields,
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile
+} from '../services/organizeProfiles.js';
+
+const router = Router();
+
+/**
+ * GET /api/profiles
+ * List organize profiles
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.json({ profiles: listProfiles() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/profiles/rule-fields
+ * List the conditions profile rules can use
+ */
+router.get('/rule-fields', (req, res, next) => {
+  try {
+    res.json({ fields: getRuleFields() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/profiles/:id
+ * Get an organize profile
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    const profile = getProfile(parseInt(req.params.id));
+    if (!profile) {
+      return res.status(404).json({ error: { message: 'Profile not found' } });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/profiles
+ * Create an organize profile: { name, template, rules: [{ name, match, template }] }
+ */
+router.post('/', (req, res, next) => {
+  try {
+    res.status(201).json(createProfile(req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/profiles/:id
+ * Replace an organize profile
+ */
+router.put('/:id', (req, res, next) => {
+  try {
+    res.json(updateProfile(parseInt(req.params.id), req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/profiles/:id
+ * Delete an organize profile
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    if (!deleteProfile(parseInt(req.params.id))) {
+      return res.status(404).json({ error: { message: 'Profile not found' } });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
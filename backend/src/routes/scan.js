@@ -1,71 +1,30 @@
 import { Router } from 'express';
 import { getDatabase, scanSessionQueries } from '../database/index.js';
-import { scanDirectory, getScanStatus } from '../services/scanner.js';
+import { getScanStatus, getScanChanges } from '../services/scanner.js';
+import { enqueueScan, enqueueScanResume, getRunningJob, cancelJob } from '../services/jobQueue.js';
 
 const router = Router();
 
-// Track active scan
-let activeScan = null;
-
 /**
  * POST /api/scan
- * Start a new folder scan
+ * Queue a folder scan. It starts once the jobs queued before it finish.
  */
-router.post('/', async (req, res, next) => {
+router.post('/', (req, res, next) => {
   try {
-    const { sourcePath, recursive = true } = req.body;
+    const { sourcePath, recursive = true, incremental = false } = req.body;
 
     if (!sourcePath) {
       return res.status(400).json({ error: { message: 'sourcePath is required' } });
     }
 
-    // Check if a scan is already in progress
-    if (activeScan && activeScan.status === 'in_progress') {
-      return res.status(409).json({
-        error: { message: 'A scan is already in progress' },
-        scan: activeScan
-      });
-    }
-
-    // Create a new scan session
-    const db = getDatabase();
-    const result = scanSessionQueries.createSession().run({ source_path: sourcePath });
-    const sessionId = result.lastInsertRowid;
-
-    // Start scan asynchronously
-    activeScan = {
-      sessionId,
-      sourcePath,
-      recursive,
-      status: 'in_progress',
-      totalFiles: 0,
-      processedFiles: 0,
-      startedAt: new Date().toISOString()
-    };
-
-    // Run scan in background
-    scanDirectory(sourcePath, recursive, sessionId)
-      .then(result => {
-        activeScan = {
-          ...activeScan,
-          ...result,
-          status: 'completed',
-          completedAt: new Date().toISOString()
-        };
-      })
-      .catch(error => {
-        activeScan = {
-          ...activeScan,
-          status: 'error',
-          error: error.message,
-          completedAt: new Date().toISOString()
-        };
-      });
+    const job = enqueueScan({ sourcePath, recursive, incremental });
 
     res.status(202).json({
-      message: 'Scan started',
-      sessionId,
-      sourcePath
+      message: 'Scan queued',
+      sessionId: job.params.sessionId,
+      sourcePath,
+      incremental,
+      job
     });
   } catch (error) {
     next(error);
@@ -80,17 +39,14 @@ router.get('/status', (req, res, next) => {
   try {
     const status = getScanStatus();
 
-    if (!activeScan && !status) {
+    if (!status) {
       return res.json({
         status: 'idle',
         message: 'No scan in progress'
       });
     }
 
-    res.json({
-      ...activeScan,
-      ...status
-    });
+    res.json(status);
   } catch (error) {
     next(error);
   }
@@ -98,21 +54,23 @@ router.get('/status', (req, res, next) => {
 
 /**
  * POST /api/scan/cancel
- * Cancel the current scan
+ * Cancel the running scan job
  */
 router.post('/cancel', (req, res, next) => {
   try {
-    if (!activeScan || activeScan.status !== 'in_progress') {
+    const running = getRunningJob();
+    if (!running || running.type !== 'scan' || getScanStatus()?.status !== 'in_progress') {
       return res.status(400).json({ error: { message: 'No scan in progress to cancel' } });
     }
 
-    // TODO: Implement cancellation logic
-    activeScan.status = 'cancelled';
-    activeScan.completedAt = new Date().toISOString();
+    // The scanner stops before its next file and records the final
+    // 'cancelled' status on the scan session
+    const job = cancelJob(running.id);
 
     res.json({
-      message: 'Scan cancelled',
-      scan: activeScan
+      message: 'Scan cancellation requested',
+      scan: getScanStatus(),
+      job
     });
   } catch (error) {
     next(error);
@@ -138,4 +96,81 @@ router.get('/history', (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/scan/resumable
+ * Get interrupted or cancelled scan sessions that can be resumed
+ */
+router.get('/resumable', (req, res, next) => {
+  try {
+    const { limit = 10 } = req.query;
+
+    const sessions = scanSessionQueries.getResumableSessions().all(parseInt(limit));
+
+    res.json({ sessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/scan/:sessionId/changes
+ * Get the change report (added, modified, moved, missing) of an incremental scan
+ */
+router.get('/:sessionId/changes', (req, res, next) => {
+  try {
+    const { type = null, limit = 100, offset = 0 } = req.query;
+    const session = scanSessionQueries.getSession().get(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: { message: 'Scan session not found' } });
+    }
+
+    const report = getScanChanges(session.id, {
+      changeType: type,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      ...report,
+      session,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/scan/:sessionId/resume
+ * Queue the rest of an interrupted or cancelled scan, skipping completed directories
+ */
+router.post('/:sessionId/resume', (req, res, next) => {
+  try {
+    const session = scanSessionQueries.getSession().get(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: { message: 'Scan session not found' } });
+    }
+
+    if (!['interrupted', 'cancelled'].includes(session.status)) {
+      return res.status(400).json({
+        error: { message: `Scan session is ${session.status} and cannot be resumed` }
+      });
+    }
+
+    const job = enqueueScanResume(session);
+
+    res.status(202).json({
+      message: 'Scan resume queued',
+      sessionId: session.id,
+      sourcePath: session.source_path,
+      job
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import { getDatabase } from '../database/index.js';
+import { WEAK_DATE_SOURCES } from '../services/dateResolver.js';
 
 const router = Router();
 
@@ -18,6 +19,7 @@ router.get('/', (req, res, next) => {
       maxSize,
       status,
       extension,
+      needsDateReview,
       limit = 100,
       offset = 0
     } = req.query;
@@ -75,6 +77,15 @@ router.get('/', (req, res, next) => {
       params.status = status;
     }
 
+    // Files dated only by filesystem times or when they were found
+    if (needsDateReview === 'true') {
+      const placeholders = WEAK_DATE_SOURCES.map((_, i) => `@weak${i}`).join(', ');
+      conditions.push(`date_source IN (${placeholders})`);
+      WEAK_DATE_SOURCES.forEach((source, i) => {
+        params[`weak${i}`] = source;
+      });
+    }
+
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
     const sql = `
@@ -0,0 +1,83 @@
+import { Router } from 'express';
+import {
+  BUILT_IN_PATTERNS,
+  getFilenameDatePatterns,
+  saveFilenameDatePatterns,
+  extractFilenameDate
+} from '../services/filenameDates.js';
+import { getDefaultTimezone, saveDefaultTimezone } from '../services/timezone.js';
+import { WRITE_BACK_MODES, getDateWriteBack, saveDateWriteBack } from '../services/dateWriteBack.js';
+
+const router = Router();
+
+/**
+ * Current settings, with the built-in defaults they extend
+ * @returns {Object}
+ */
+function describeSettings() {
+  return {
+    filenameDatePatterns: getFilenameDatePatterns(),
+    builtInFilenameDatePatterns: BUILT_IN_PATTERNS,
+    defaultTimezone: getDefaultTimezone(),
+    dateWriteBack: getDateWriteBack(),
+    dateWriteBackModes: WRITE_BACK_MODES
+  };
+}
+
+/**
+ * GET /api/settings
+ * Get user settings
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.json(describeSettings());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/settings
+ * Update user settings; keys left out are unchanged
+ */
+router.put('/', (req, res, next) => {
+  try {
+    const { filenameDatePatterns, defaultTimezone, dateWriteBack } = req.body;
+
+    if (filenameDatePatterns !== undefined) {
+      saveFilenameDatePatterns(filenameDatePatterns);
+    }
+
+    if (defaultTimezone !== undefined) {
+      saveDefaultTimezone(defaultTimezone);
+    }
+
+    if (dateWriteBack !== undefined) {
+      saveDateWriteBack(dateWriteBack);
+    }
+
+    res.json(describeSettings());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/settings/filename-date?filename=...
+ * Show the date a filename resolves to, for trying out patterns
+ */
+router.get('/filename-date', (req, res, next) => {
+  try {
+    const { filename } = req.query;
+
+    if (!filename) {
+      return res.status(400).json({ error: { message: 'filename is required' } });
+    }
+
+    res.json({ filename, match: extractFilenameDate(filename) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,84 @@
+import { Router } from 'express';
+import { operationQueries } from '../database/index.js';
+import { listTrash, getTrashItem, emptyTrash } from '../services/trash.js';
+import { revertOperation, canRevert } from '../services/revert.js';
+
+const router = Router();
+
+/**
+ * GET /api/trash?limit=100&offset=0
+ * List the files in the trash, most recently trashed first
+ */
+router.get('/', (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = parseInt(req.query.offset) || 0;
+
+    res.json({ ...listTrash({ limit, offset }), limit, offset });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/trash/empty
+ * Delete the files kept past the retention period for good, or every
+ * trashed file with { all: true }
+ */
+router.post('/empty', async (req, res, next) => {
+  try {
+    const { all = false } = req.body;
+
+    res.json(await emptyTrash({ all }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/trash/:id
+ * Get a trash item, including restored and deleted ones
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    const item = getTrashItem(parseInt(req.params.id));
+    if (!item) {
+      return res.status(404).json({ error: { message: 'Trash item not found' } });
+    }
+
+    res.json(item);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/trash/:id/restore
+ * Move a trashed file back by reverting its 'trash' operation
+ */
+router.post('/:id/restore', async (req, res, next) => {
+  try {
+    const item = getTrashItem(parseInt(req.params.id));
+    if (!item) {
+      return res.status(404).json({ error: { message: 'Trash item not found' } });
+    }
+
+    const operation = operationQueries.getOperationById().get(item.operationId);
+    const { canRevert: restorable, reason } = await canRevert(operation);
+    if (!restorable) {
+      return res.status(409).json({ error: { message: reason } });
+    }
+
+    const result = await revertOperation(operation);
+
+    res.json({
+      message: 'File restored',
+      result,
+      item: getTrashItem(item.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
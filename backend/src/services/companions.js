@@ -0,0 +1,243 @@
+/**
+ * Companion Files Service
+ *
+ * Finds files that belong with another file in the same folder: the JPEG of
+ * a RAW+JPEG pair, .xmp / .aae / .thm sidecars, and the video half of a Live
+ * Photo. Files are grouped by name (IMG_0001.CR2, IMG_0001.JPG and
+ * IMG_0001.CR2.xmp) and by the content identifier Apple writes into both
+ * halves of a Live Photo. Each group has one primary file; the others point
+ * at it through files.companion_of and the organizer moves them with it.
+ */
+
+import path from 'path';
+import { getDatabase, fileQueries } from '../database/index.js';
+import config from '../config.js';
+
+/**
+ * Group the files of one folder into companion groups
+ * @param {Object[]} files - File records from a single directory
+ * @returns {Array<Object>} - [{ primary, companions }], only for groups of two or more files
+ */
+export function groupCompanions(files) {
+  const members = files.filter(file => getCompanionRank(file) !== null);
+
+  // Union-find over the files, joined by shared name and shared content identifier
+  const parent = new Map(members.map(file => [file.id, file.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const joinBy = (keyOf) => {
+    const firstByKey = new Map();
+    for (const file of members) {
+      const key = keyOf(file);
+      if (!key) continue;
+      if (firstByKey.has(key)) {
+        parent.set(find(file.id), find(firstByKey.get(key)));
+      } else {
+        firstByKey.set(key, file.id);
+      }
+    }
+  };
+  joinBy(file => getCompanionStem(file.filename));
+  joinBy(file => getContentIdentifier(file));
+
+  const groups = new Map();
+  for (const file of members) {
+    const root = find(file.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(file);
+  }
+
+  const result = [];
+  for (const group of groups.values()) {
+    if (group.length < 2) continue;
+
+    const [primary, ...companions] = [...group].sort((a, b) =>
+      getCompanionRank(a) - getCompanionRank(b) || a.id - b.id
+    );
+    // Sidecars of a photo that isn't there have nothing to follow
+    if (isSidecar(primary.filename)) continue;
+
+    result.push({ primary, companions });
+  }
+  return result;
+}
+
+/**
+ * Record the companion groups of one folder in files.companion_of
+ * @param {string} directoryPath - Directory whose files were just scanned
+ * @returns {number} - Number of files that are companions of another
+ */
+export function detectCompanions(directoryPath) {
+  const files = getFilesInDirectory(directoryPath);
+
+  const companionOf = new Map(files.map(file => [file.id, null]));
+  for (const { primary, companions } of groupCompanions(files)) {
+    for (const companion of companions) {
+      companionOf.set(companion.id, primary.id);
+    }
+  }
+
+  let count = 0;
+  const update = getDatabase().transaction(() => {
+    for (const file of files) {
+      const primaryId = companionOf.get(file.id);
+      if (primaryId !== null) count++;
+      if (file.companion_of !== primaryId) {
+        fileQueries.updateCompanionOf().run({ id: file.id, companion_of: primaryId });
+      }
+    }
+  });
+  update();
+
+  return count;
+}
+
+/**
+ * Arrange files for organizing so that every group is moved as one unit.
+ * Pending primaries and companions that weren't asked for are pulled in;
+ * a companion whose primary is already organized goes on its own.
+ * @param {Object[]} files - Pending file records to organize
+ * @returns {Array<Object>} - [{ file, companions }], in the order of the files
+ */
+export function getOrganizeUnits(files) {
+  const byId = new Map(files.map(file => [file.id, file]));
+
+  for (const file of files) {
+    if (file.companion_of && !byId.has(file.companion_of)) {
+      const primary = fileQueries.getFileById().get(file.companion_of);
+      if (primary && primary.status === 'pending') {
+        byId.set(primary.id, primary);
+      }
+    }
+  }
+
+  const units = new Map();
+  for (const file of byId.values()) {
+    if (!file.companion_of || !byId.has(file.companion_of)) {
+      units.set(file.id, { file, companions: [] });
+    }
+  }
+  for (const file of byId.values()) {
+    if (units.has(file.id)) continue;
+    if (units.has(file.companion_of)) {
+      units.get(file.companion_of).companions.push(file);
+    } else {
+      units.set(file.id, { file, companions: [] });
+    }
+  }
+
+  for (const unit of units.values()) {
+    for (const companion of fileQueries.getCompanions().all(unit.file.id)) {
+      if (companion.status === 'pending' && !byId.has(companion.id)) {
+        byId.set(companion.id, companion);
+        unit.companions.push(companion);
+      }
+    }
+  }
+
+  return [...units.values()];
+}
+
+/**
+ * The name a companion gets next to its primary's destination. Companions
+ * named after the primary (IMG_0001.JPG, IMG_0001.CR2.xmp) follow a renamed
+ * primary; others keep their own name. Both get the same collision suffix.
+ * @param {Object} primary - Primary file record
+ * @param {string} primaryDestPath - Where the primary goes, before any suffix
+ * @param {Object} companion - Companion file record
+ * @param {string} [suffix] - Collision suffix such as " (1)"
+ * @returns {string} - Companion filename
+ */
+export function getCompanionFilename(primary, primaryDestPath, companion, suffix = '') {
+  const primaryStem = path.basename(primary.filename, path.extname(primary.filename));
+  const destStem = path.basename(primaryDestPath, path.extname(primaryDestPath));
+
+  const sharesStem = companion.filename.toLowerCase().startsWith(`${primaryStem.toLowerCase()}.`);
+  if (sharesStem) {
+    return `${destStem}${suffix}${companion.filename.slice(primaryStem.length)}`;
+  }
+
+  const ext = path.extname(companion.filename);
+  return `${path.basename(companion.filename, ext)}${suffix}${ext}`;
+}
+
+/**
+ * Files directly inside a directory
+ * @param {string} directoryPath - Directory
+ * @returns {Object[]} - File records
+ */
+function getFilesInDirectory(directoryPath) {
+  const prefix = path.join(directoryPath, path.sep).replace(/[\\%_]/g, '\\$&') + '%';
+  return getDatabase().prepare(`
+    SELECT * FROM files WHERE COALESCE(current_path, original_path) LIKE ? ESCAPE '\\'
+  `).all(prefix)
+    .filter(file => path.dirname(file.current_path || file.original_path) === directoryPath);
+}
+
+/**
+ * Name shared by the members of a group: the filename without its
+ * extension, and for sidecars without the media extension before it too
+ * @param {string} filename - Filename
+ * @returns {string} - Lowercased stem
+ */
+function getCompanionStem(filename) {
+  let stem = filename.toLowerCase();
+  if (isSidecar(stem)) {
+    stem = stem.slice(0, -path.extname(stem).length);
+  }
+  const ext = path.extname(stem);
+  if (config.imageExtensions.includes(ext) || config.videoExtensions.includes(ext)) {
+    stem = stem.slice(0, -ext.length);
+  }
+  return stem;
+}
+
+/**
+ * Live Photo content identifier of a photo or video, if it has one
+ * @param {Object} file - File record
+ * @returns {string|null}
+ */
+function getContentIdentifier(file) {
+  if (!file.metadata_json) return null;
+  try {
+    const metadata = JSON.parse(file.metadata_json) || {};
+    return metadata.exif?.ContentIdentifier || metadata.video?.contentIdentifier || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * How suited a file is to be the primary of its group, lowest first:
+ * RAW, other images, videos, then sidecars. Null for files that are never grouped.
+ * @param {Object} file - File record
+ * @returns {number|null}
+ */
+function getCompanionRank(file) {
+  const ext = path.extname(file.filename).toLowerCase();
+  if (config.rawExtensions.includes(ext)) return 0;
+  if (config.imageExtensions.includes(ext)) return 1;
+  if (config.videoExtensions.includes(ext)) return 2;
+  if (config.sidecarExtensions.includes(ext)) return 3;
+  return null;
+}
+
+/**
+ * @param {string} filename - Filename
+ * @returns {boolean} - True for .xmp, .aae and .thm files
+ */
+function isSidecar(filename) {
+  return config.sidecarExtensions.includes(path.extname(filename).toLowerCase());
+}
+
+export default {
+  groupCompanions,
+  detectCompanions,
+  getOrganizeUnits,
+  getCompanionFilename
+};
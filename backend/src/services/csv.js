@@ -0,0 +1,143 @@
+/**
+ * CSV Service
+ *
+ * Reads and writes the RFC 4180 CSV that spreadsheets exchange: comma
+ * separated, fields quoted when they contain a comma, quote or line break,
+ * quotes doubled inside quoted fields. Written with CRLF line endings;
+ * read with CRLF or LF, and with or without the byte order mark Excel adds.
+ *
+ * A field a spreadsheet would run as a formula (one starting with =, +, -,
+ * @, a tab or a carriage return) is written with a leading apostrophe, which
+ * is taken off again when read.
+ */
+
+import { httpError } from './httpError.js';
+
+// Fields that need an apostrophe in front, including ones that already start with apostrophes before a formula
+const FORMULA_FIELD = /^'*[=+\-@\t\r]/;
+
+/**
+ * Write rows as CSV with a header line
+ * @param {string[]} columns - Column names, in order
+ * @param {Object[]} rows - Objects keyed by column name; null and undefined become empty fields
+ * @returns {string} - CSV text
+ */
+export function formatCsv(columns, rows) {
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+  return lines.map(fields => fields.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Read CSV whose first line names the columns
+ * @param {string} text - CSV text
+ * @returns {Object} - { columns, rows: [{ line, values: { column: value } }] }; blank lines are left out
+ */
+export function parseCsv(text) {
+  const records = parseRecords(String(text ?? '').replace(/^\uFEFF/, ''));
+  const header = records.shift();
+  if (!header || header.fields.every(field => field.trim() === '')) {
+    throw httpError('CSV is empty', 400);
+  }
+
+  const columns = header.fields.map(field => field.trim());
+  const rows = records
+    .filter(record => record.fields.some(field => field.trim() !== ''))
+    .map(record => {
+      if (record.fields.length > columns.length) {
+        throw httpError(`Line ${record.line} has ${record.fields.length} fields but the header has ${columns.length}`, 400);
+      }
+      return {
+        line: record.line,
+        values: Object.fromEntries(columns.map((column, i) => [column, unescapeFormula(record.fields[i] ?? '')]))
+      };
+    });
+
+  return { columns, rows };
+}
+
+/**
+ * Split CSV text into records of fields
+ * @param {string} text - CSV text
+ * @returns {Object[]} - [{ line: line number the record starts on, fields }]
+ */
+function parseRecords(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+      fields = [];
+      field = '';
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw httpError(`Line ${recordLine} has a quoted field that is never closed`, 400);
+  }
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+  }
+  return records;
+}
+
+/**
+ * Quote a field if it needs it
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function formatField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_FIELD.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Take off the apostrophe formatField() puts in front of a formula
+ * @param {string} text - Field as read
+ * @returns {string}
+ */
+function unescapeFormula(text) {
+  return text.startsWith("'") && FORMULA_FIELD.test(text) ? text.slice(1) : text;
+}
+
+export default {
+  formatCsv,
+  parseCsv
+};
@@ -0,0 +1,234 @@
+/**
+ * Date Override Service
+ *
+ * Lets the user set a file's date by hand, for one file or many at once, and
+ * lists the dates a file could plausibly have: its EXIF, video, filename and
+ * filesystem dates, and those of its neighbours in the same folder. Manual
+ * dates get date_source = 'manual' and a revertible 'date_edit' operation.
+ */
+
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase, fileQueries, operationQueries } from '../database/index.js';
+import { extractAllMetadata } from './metadata.js';
+import { resolveDate, isValidDate, WEAK_DATE_SOURCES } from './dateResolver.js';
+import { pickDateFields } from './timeShift.js';
+import {
+  parseUtcOffset,
+  formatUtcOffset,
+  isValidTimezone,
+  getZoneOffset,
+  formatLocalDate,
+  localToUtc,
+  getDefaultTimezone
+} from './timezone.js';
+import { httpError } from './httpError.js';
+
+// Sibling files shown on each side of a file, in filename order
+const SIBLING_CANDIDATES = 2;
+
+// Metadata fields each source is resolved from; gps places the time in a timezone
+const CANDIDATE_FIELDS = {
+  exif: ['exifDate', 'exifLocalDate', 'exifOffset'],
+  video_metadata: ['videoDate', 'videoOffset'],
+  filename: ['filenameDate', 'filenameLocalDate'],
+  created: ['createdAt'],
+  modified: ['modifiedAt']
+};
+
+/**
+ * Set the same date on one or more files
+ * @param {number[]} fileIds - Files to change
+ * @param {Object} options - Date options
+ * @param {string} options.date - "YYYY-MM-DD", "YYYY-MM-DDTHH:MM[:SS]", optionally ending in "Z" or "+02:00"
+ * @param {string} [options.timezone] - IANA name or offset for a date without one; defaults to each file's own
+ * @returns {Object} - { batchId, updated, files }
+ */
+export function setFileDates(fileIds, options) {
+  if (!Array.isArray(fileIds) || fileIds.length === 0) {
+    throw httpError('fileIds must be a non-empty array', 400);
+  }
+
+  const parsed = parseDateInput(options.date);
+  const timezone = options.timezone || null;
+  if (timezone !== null && !isValidTimezone(timezone)) {
+    throw httpError(`Unknown timezone: ${timezone}`, 400);
+  }
+
+  const files = fileIds.map(id => fileQueries.getFileById().get(parseInt(id)));
+  const unknown = fileIds.filter((id, index) => !files[index]);
+  if (unknown.length > 0) {
+    throw httpError(`Files not found: ${unknown.join(', ')}`, 404);
+  }
+
+  const batchId = uuidv4();
+  const results = { batchId, updated: 0, files: [] };
+
+  const apply = getDatabase().transaction(() => {
+    for (const file of files) {
+      const before = pickDateFields(file);
+      const after = buildManualDate(parsed, timezone, file);
+
+      fileQueries.updateCaptureTime().run({ id: file.id, ...after });
+
+      const filePath = file.current_path || file.original_path;
+      operationQueries.insertOperationWithDetails().run({
+        batch_id: batchId,
+        file_id: file.id,
+        operation_type: 'date_edit',
+        source_path: filePath,
+        destination_path: filePath,
+        hash_used: null,
+        reason: `Set date to ${after.local_date}`,
+        status: 'completed',
+        details_json: JSON.stringify({ before, after })
+      });
+
+      results.updated++;
+      results.files.push(fileQueries.getFileById().get(file.id));
+    }
+  });
+  apply();
+
+  return results;
+}
+
+/**
+ * Dates a file could have, for choosing one by hand
+ * @param {Object} file - File record
+ * @returns {Promise<Array<Object>>} - [{ source, label, date, localDate, utcOffset }]
+ */
+export async function getDateCandidates(file) {
+  const filePath = file.current_path || file.original_path;
+  let metadata;
+  try {
+    metadata = await extractAllMetadata(filePath);
+  } catch (error) {
+    // The file is gone; the filesystem dates recorded at scan time are all that's left
+    metadata = { createdAt: file.created_at, modifiedAt: file.modified_at, gps: null };
+  }
+
+  const candidates = [];
+  for (const [source, fields] of Object.entries(CANDIDATE_FIELDS)) {
+    const sourceMetadata = { gps: metadata.gps };
+    for (const field of fields) {
+      sourceMetadata[field] = metadata[field];
+    }
+
+    const resolved = resolveDate(sourceMetadata);
+    if (resolved.source === source) {
+      candidates.push({
+        source,
+        label: source,
+        date: resolved.date,
+        localDate: resolved.localDate,
+        utcOffset: resolved.utcOffset
+      });
+    }
+  }
+
+  for (const sibling of getDatedSiblings(file, filePath)) {
+    candidates.push({
+      source: 'sibling',
+      label: sibling.filename,
+      date: sibling.resolved_date,
+      localDate: sibling.local_date,
+      utcOffset: sibling.utc_offset
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * The nearest files by name in the same folder whose dates come from the files themselves
+ * @param {Object} file - File record
+ * @param {string} filePath - Current location of the file
+ * @returns {Array<Object>} - File records, in filename order
+ */
+function getDatedSiblings(file, filePath) {
+  const directory = path.dirname(filePath);
+  const prefix = path.join(directory, path.sep).replace(/[\\%_]/g, '\\$&') + '%';
+  const weakPlaceholders = WEAK_DATE_SOURCES.map(() => '?').join(', ');
+
+  const siblings = getDatabase().prepare(`
+    SELECT * FROM files
+    WHERE COALESCE(current_path, original_path) LIKE ? ESCAPE '\\'
+      AND id != ? AND resolved_date IS NOT NULL AND date_source NOT IN (${weakPlaceholders})
+  `).all(prefix, file.id, ...WEAK_DATE_SOURCES)
+    .filter(sibling => path.dirname(sibling.current_path || sibling.original_path) === directory)
+    .sort((a, b) => a.filename.localeCompare(b.filename, undefined, { numeric: true }));
+
+  const position = siblings.findIndex(sibling =>
+    sibling.filename.localeCompare(file.filename, undefined, { numeric: true }) > 0
+  );
+  const after = position === -1 ? siblings.length : position;
+  return siblings.slice(Math.max(0, after - SIBLING_CANDIDATES), after + SIBLING_CANDIDATES);
+}
+
+/**
+ * Parse a date entered by the user
+ * @param {string} value - See setFileDates
+ * @returns {Object} - { localDate: "YYYY-MM-DDTHH:MM:SS", offset: string|null }
+ */
+function parseDateInput(value) {
+  const match = typeof value === 'string'
+    && value.trim().match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(:\d{2})?(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i);
+  if (!match) {
+    throw httpError('date must look like 2019-07-04, 2019-07-04T15:30 or 2019-07-04T15:30:00+02:00', 400);
+  }
+
+  const [, day, time = '00:00', seconds = ':00', offset = null] = match;
+  if (offset !== null && parseUtcOffset(offset) === null) {
+    throw httpError(`Invalid UTC offset: ${offset}`, 400);
+  }
+  return { localDate: `${day}T${time}${seconds}`, offset };
+}
+
+/**
+ * Date columns for a manual date on one file
+ * @param {Object} parsed - Result of parseDateInput
+ * @param {string|null} timezone - Timezone chosen by the user
+ * @param {Object} file - File record
+ * @returns {Object} - Date columns
+ */
+function buildManualDate(parsed, timezone, file) {
+  // Without an explicit zone the date is taken to be in the zone the file was already in
+  let zone;
+  let timezoneSource;
+  if (parsed.offset || timezone) {
+    zone = parsed.offset || timezone;
+    timezoneSource = 'manual';
+  } else if (file.utc_offset) {
+    zone = file.utc_offset;
+    timezoneSource = file.timezone_source;
+  } else if (getDefaultTimezone()) {
+    zone = getDefaultTimezone();
+    timezoneSource = 'default';
+  } else {
+    zone = null;
+    timezoneSource = 'server';
+  }
+
+  const date = localToUtc(parsed.localDate, zone);
+  const offsetMinutes = isValidDate(date) ? getZoneOffset(zone, date) : 0;
+  const localDate = isValidDate(date) ? formatLocalDate(date, offsetMinutes) : null;
+
+  // Impossible days such as February 31st roll over into the next month
+  if (!localDate || localDate.slice(0, 10) !== parsed.localDate.slice(0, 10)) {
+    throw httpError(`${parsed.localDate} is not a valid date between 1970 and today`, 400);
+  }
+
+  return {
+    resolved_date: date.toISOString(),
+    date_source: 'manual',
+    local_date: localDate,
+    utc_offset: formatUtcOffset(offsetMinutes),
+    timezone_source: timezoneSource
+  };
+}
+
+export default {
+  setFileDates,
+  getDateCandidates
+};
@@ -3,54 +3,150 @@
  *
  * Determines the most accurate "creation date" for a file using priority:
  * 1. Embedded metadata (EXIF DateTimeOriginal, etc.)
- * 2. Filesystem creation time
- * 3. Filesystem modified time
- * 4. Fallback: file discovery time
+ * 2. Video container metadata (QuickTime creation date, mvhd, AVI/MKV dates)
+ * 3. Date in the filename (IMG_20190704_153012.jpg, etc.)
+ * 4. Filesystem creation time
+ * 5. Filesystem modified time
+ * 6. Fallback: file discovery time
+ *
+ * The resolved date is a UTC instant. Alongside it the capture-local time is
+ * kept, using the timezone from, in order: an embedded offset
+ * (OffsetTimeOriginal, QuickTime creation date), the GPS position, the
+ * configured default timezone, or the server's timezone.
+ */
+
+import {
+  parseUtcOffset,
+  formatUtcOffset,
+  getZoneOffset,
+  timezoneFromCoordinates,
+  parseLocalDate,
+  formatLocalDate,
+  localToUtc,
+  getDefaultTimezone
+} from './timezone.js';
+
+/**
+ * Date sources set by the user rather than read from the file; rescans keep them
  */
+export const USER_DATE_SOURCES = ['corrected', 'manual'];
+
+/**
+ * Date sources that say when a file was copied or found rather than taken;
+ * files dated from them need review
+ */
+export const WEAK_DATE_SOURCES = ['created', 'modified', 'discovered'];
 
 /**
  * Resolve the best date for a file based on available metadata
  * @param {Object} metadata - File metadata object
- * @returns {Object} - { date: string, source: string }
+ * @returns {Object} - { date: string, source: string, localDate: string, utcOffset: string, timezoneSource: string }
  */
 export function resolveDate(metadata) {
+  const gps = metadata.gps || null;
+
   // Priority 1: EXIF date (most reliable for photos)
-  if (metadata.exifDate) {
-    const date = new Date(metadata.exifDate);
-    if (isValidDate(date)) {
-      return {
-        date: date.toISOString(),
-        source: 'exif'
-      };
-    }
+  const exif = fromLocalTime(metadata.exifLocalDate, metadata.exifOffset, gps)
+    || fromInstant(metadata.exifDate, metadata.exifOffset, gps);
+  if (exif) {
+    return { ...exif, source: 'exif' };
+  }
+
+  // Priority 2: Video container date
+  const video = fromInstant(metadata.videoDate, metadata.videoOffset, gps);
+  if (video) {
+    return { ...video, source: 'video_metadata' };
+  }
+
+  // Priority 3: Date in the filename
+  const filename = fromLocalTime(metadata.filenameLocalDate, null, gps)
+    || fromInstant(metadata.filenameDate, null, gps);
+  if (filename) {
+    return { ...filename, source: 'filename' };
+  }
+
+  // Priority 4: Filesystem creation time
+  const created = fromInstant(metadata.createdAt, null, gps);
+  if (created) {
+    return { ...created, source: 'created' };
+  }
+
+  // Priority 5: Filesystem modified time
+  const modified = fromInstant(metadata.modifiedAt, null, gps);
+  if (modified) {
+    return { ...modified, source: 'modified' };
+  }
+
+  // Priority 6: Discovery time (current time)
+  return { ...describeInstant(new Date(), pickTimezone(null, gps)), source: 'discovered' };
+}
+
+/**
+ * Choose the timezone a capture time is in
+ * @param {string|null} offset - Embedded UTC offset, e.g. "+02:00"
+ * @param {Object|null} gps - { latitude, longitude }
+ * @returns {Object} - { timezone: string|null, timezoneSource: 'offset'|'gps'|'default'|'server' }
+ */
+function pickTimezone(offset, gps) {
+  if (parseUtcOffset(offset) !== null) {
+    return { timezone: offset, timezoneSource: 'offset' };
   }
 
-  // Priority 2: Filesystem creation time
-  if (metadata.createdAt) {
-    const date = new Date(metadata.createdAt);
-    if (isValidDate(date)) {
-      return {
-        date: date.toISOString(),
-        source: 'created'
-      };
-    }
+  const fromGps = gps ? timezoneFromCoordinates(gps.latitude, gps.longitude) : null;
+  if (fromGps) {
+    return { timezone: fromGps, timezoneSource: 'gps' };
   }
 
-  // Priority 3: Filesystem modified time
-  if (metadata.modifiedAt) {
-    const date = new Date(metadata.modifiedAt);
-    if (isValidDate(date)) {
-      return {
-        date: date.toISOString(),
-        source: 'modified'
-      };
-    }
+  const fallback = getDefaultTimezone();
+  if (fallback) {
+    return { timezone: fallback, timezoneSource: 'default' };
   }
 
-  // Priority 4: Discovery time (current time)
+  return { timezone: null, timezoneSource: 'server' };
+}
+
+/**
+ * Resolve a capture-local time ("YYYY-MM-DDTHH:MM:SS") to a UTC instant
+ * @param {string|null} localDate - Wall-clock time without a zone
+ * @param {string|null} offset - Embedded UTC offset
+ * @param {Object|null} gps - { latitude, longitude }
+ * @returns {Object|null} - { date, localDate, utcOffset, timezoneSource } or null if unusable
+ */
+function fromLocalTime(localDate, offset, gps) {
+  if (!localDate) return null;
+
+  const zone = pickTimezone(offset, gps);
+  const date = localToUtc(localDate, zone.timezone);
+  return isValidDate(date) ? describeInstant(date, zone) : null;
+}
+
+/**
+ * Describe an instant in the capture timezone
+ * @param {string|null} value - Date string
+ * @param {string|null} offset - Embedded UTC offset
+ * @param {Object|null} gps - { latitude, longitude }
+ * @returns {Object|null} - { date, localDate, utcOffset, timezoneSource } or null if unusable
+ */
+function fromInstant(value, offset, gps) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  return isValidDate(date) ? describeInstant(date, pickTimezone(offset, gps)) : null;
+}
+
+/**
+ * Pair an instant with its capture-local time and offset
+ * @param {Date} date - UTC instant
+ * @param {Object} zone - Result of pickTimezone
+ * @returns {Object} - { date, localDate, utcOffset, timezoneSource }
+ */
+function describeInstant(date, zone) {
+  const offset = getZoneOffset(zone.timezone, date);
   return {
-    date: new Date().toISOString(),
-    source: 'discovered'
+    date: date.toISOString(),
+    localDate: formatLocalDate(date, offset),
+    utcOffset: formatUtcOffset(offset),
+    timezoneSource: zone.timezoneSource
   };
 }
 
@@ -74,10 +170,20 @@ export function isValidDate(date) {
 
 /**
  * Extract date components for folder structure
- * @param {string} dateStr - ISO date string
+ * @param {string} dateStr - ISO date string, or a capture-local "YYYY-MM-DDTHH:MM:SS"
  * @returns {Object} - { year, month, day }
  */
 export function extractDateComponents(dateStr) {
+  // Capture-local times are already on the wall clock they were taken by
+  const local = parseLocalDate(dateStr);
+  if (local) {
+    return {
+      year: String(local.year),
+      month: String(local.month).padStart(2, '0'),
+      day: String(local.day).padStart(2, '0')
+    };
+  }
+
   const date = new Date(dateStr);
 
   if (!isValidDate(date)) {
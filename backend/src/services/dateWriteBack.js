@@ -0,0 +1,486 @@
+/**
+ * Date Write-Back Service
+ *
+ * Optionally writes dates fixed in the database back to the files, so other
+ * tools see the same date: as an XMP sidecar next to the file, or embedded in
+ * JPEGs (the EXIF DateTimeOriginal is patched in place and an XMP packet is
+ * added to APP1). Only the bytes that changed are kept, with the hash of the
+ * original file, so a 'date_writeback' operation can be reverted exactly.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config.js';
+import { settingQueries, fileQueries, operationQueries } from '../database/index.js';
+import { calculateHashes } from './hasher.js';
+import { httpError } from './httpError.js';
+
+export const DATE_WRITE_BACK_SETTING = 'date_write_back';
+
+export const WRITE_BACK_MODES = ['off', 'sidecar', 'embed'];
+
+// Formats whose dates can be embedded; the others get a sidecar in 'embed' mode
+const EMBEDDABLE_EXTENSIONS = ['.jpg', '.jpeg'];
+
+// Operations whose new dates are written back
+const DATE_OPERATION_TYPES = ['timeshift', 'date_edit'];
+
+// XMP properties set to the capture time, by namespace prefix
+const XMP_NAMESPACES = {
+  exif: 'http://ns.adobe.com/exif/1.0/',
+  xmp: 'http://ns.adobe.com/xap/1.0/',
+  photoshop: 'http://ns.adobe.com/photoshop/1.0/'
+};
+const XMP_DATE_PROPERTIES = ['exif:DateTimeOriginal', 'xmp:CreateDate', 'photoshop:DateCreated'];
+
+const EMPTY_XMP = `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""/>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>
+`;
+
+// APP1 payload prefixes
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const XMP_HEADER = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+
+// EXIF tags holding the capture time, and the IFD pointer leading to them
+const EXIF_IFD_POINTER = 0x8769;
+const EXIF_DATE_TAGS = [0x9003, 0x9004]; // DateTimeOriginal, CreateDate
+const EXIF_OFFSET_TAGS = [0x9011, 0x9012]; // OffsetTimeOriginal, OffsetTimeDigitized
+
+let writeBackMode = WRITE_BACK_MODES.includes(config.dateWriteBack) ? config.dateWriteBack : 'off';
+
+/**
+ * Get the write-back mode
+ * @returns {string} - 'off', 'sidecar' or 'embed'
+ */
+export function getDateWriteBack() {
+  return writeBackMode;
+}
+
+/**
+ * Reload the write-back mode from the settings table, falling back to DATE_WRITE_BACK
+ * @returns {string} - Active mode
+ */
+export function loadDateWriteBack() {
+  const row = settingQueries.getSetting().get(DATE_WRITE_BACK_SETTING);
+  const mode = row ? row.value : config.dateWriteBack;
+  writeBackMode = WRITE_BACK_MODES.includes(mode) ? mode : 'off';
+  return writeBackMode;
+}
+
+/**
+ * Validate, store and activate the write-back mode
+ * @param {string} mode - One of WRITE_BACK_MODES
+ * @returns {string} - Active mode
+ */
+export function saveDateWriteBack(mode) {
+  if (!WRITE_BACK_MODES.includes(mode)) {
+    throw httpError(`Unknown date write-back mode: ${mode}. Use ${WRITE_BACK_MODES.join(', ')}`, 400);
+  }
+
+  settingQueries.setSetting().run({ key: DATE_WRITE_BACK_SETTING, value: mode });
+  return loadDateWriteBack();
+}
+
+/**
+ * Write the new dates of a batch's time shifts and manual dates back to the files
+ * @param {string} batchId - Batch of 'timeshift' or 'date_edit' operations
+ * @returns {Promise<Object|null>} - { mode, written, failed, errors }; null when write-back is off
+ */
+export async function writeBackDates(batchId) {
+  if (writeBackMode === 'off') {
+    return null;
+  }
+
+  const operations = operationQueries.getOperationsByBatch().all(batchId)
+    .filter(operation => DATE_OPERATION_TYPES.includes(operation.operation_type) && operation.status === 'completed');
+
+  const results = { mode: writeBackMode, written: 0, failed: 0, errors: [] };
+
+  for (const operation of operations) {
+    const file = fileQueries.getFileById().get(operation.file_id);
+    const { after } = JSON.parse(operation.details_json);
+
+    try {
+      if (!after.local_date) {
+        throw new Error('File has no capture-local date to write');
+      }
+
+      const filePath = file.current_path || file.original_path;
+      const written = await writeFileDates(filePath, after);
+
+      // Embedding changes the file's own bytes
+      if (written.embedded) {
+        const { full, partial } = await calculateHashes(filePath, written.size);
+        fileQueries.updateContent().run({ id: file.id, size: written.size, hash_sha256: full, hash_partial: partial });
+      }
+
+      operationQueries.insertOperationWithDetails().run({
+        batch_id: batchId,
+        file_id: file.id,
+        operation_type: 'date_writeback',
+        source_path: filePath,
+        destination_path: written.target,
+        hash_used: written.originalHash,
+        reason: `Wrote ${after.local_date} to ${written.embedded ? 'the file' : 'XMP sidecar'}`,
+        status: 'completed',
+        details_json: JSON.stringify({
+          mode: written.embedded ? 'embed' : 'sidecar',
+          created: written.originalHash === null,
+          writtenHash: written.writtenHash,
+          splice: written.splice
+        })
+      });
+      results.written++;
+    } catch (error) {
+      results.failed++;
+      results.errors.push({ fileId: operation.file_id, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Restore the bytes a 'date_writeback' operation replaced, or remove the sidecar it created
+ * @param {Object} operation - Write-back operation record
+ * @returns {Promise<Object>} - { embedded, size }
+ */
+export async function undoWriteBack(operation) {
+  const details = JSON.parse(operation.details_json);
+  const target = operation.destination_path;
+
+  const current = await readWrittenFile(operation);
+
+  if (details.created) {
+    await fs.unlink(target);
+    return { embedded: false, size: 0 };
+  }
+
+  const { start, removed, insertedLength } = details.splice;
+  const restored = Buffer.concat([
+    current.subarray(0, start),
+    Buffer.from(removed, 'base64'),
+    current.subarray(start + insertedLength)
+  ]);
+  if (sha256(restored) !== operation.hash_used) {
+    throw new Error('Original file could not be restored');
+  }
+
+  await replaceFile(target, restored, await fs.stat(target));
+  return { embedded: details.mode === 'embed', size: restored.length };
+}
+
+/**
+ * Why a 'date_writeback' operation can't be reverted
+ * @param {Object} operation - Write-back operation record
+ * @returns {Promise<string|null>} - Reason, or null if it can be
+ */
+export async function checkWriteBackRevert(operation) {
+  try {
+    await readWrittenFile(operation);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Read a written file, making sure it still holds what was written
+ * @param {Object} operation - Write-back operation record
+ * @returns {Promise<Buffer>}
+ */
+async function readWrittenFile(operation) {
+  const { writtenHash } = JSON.parse(operation.details_json);
+
+  let current;
+  try {
+    current = await fs.readFile(operation.destination_path);
+  } catch {
+    throw new Error('Written file no longer exists');
+  }
+
+  if (sha256(current) !== writtenHash) {
+    throw new Error('File has been modified since the date was written');
+  }
+  return current;
+}
+
+/**
+ * Write dates into a file or its sidecar
+ * @param {string} filePath - Media file
+ * @param {Object} fields - Date columns; local_date and utc_offset are written
+ * @returns {Promise<Object>} - { target, embedded, size, originalHash, writtenHash, splice }
+ */
+async function writeFileDates(filePath, fields) {
+  const embedded = writeBackMode === 'embed' && EMBEDDABLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  const target = embedded ? filePath : getSidecarPath(filePath);
+
+  let original = null;
+  let stats = null;
+  try {
+    original = await fs.readFile(target);
+    stats = await fs.stat(target);
+  } catch (error) {
+    // A missing sidecar is created; a missing file is an error
+    if (error.code !== 'ENOENT' || embedded) throw error;
+  }
+
+  const updated = embedded
+    ? embedJpegDates(original, fields)
+    : Buffer.from(setXmpDates(original ? original.toString('utf8') : EMPTY_XMP, fields), 'utf8');
+
+  await replaceFile(target, updated, stats);
+
+  return {
+    target,
+    embedded,
+    size: updated.length,
+    originalHash: original ? sha256(original) : null,
+    writtenHash: sha256(updated),
+    splice: original ? diffRegion(original, updated) : null
+  };
+}
+
+/**
+ * Sidecar for a file, named like Lightroom's: IMG_0001.jpg -> IMG_0001.xmp
+ * @param {string} filePath - Media file
+ * @returns {string}
+ */
+export function getSidecarPath(filePath) {
+  const parsed = path.parse(filePath);
+  return path.join(parsed.dir, `${parsed.name}.xmp`);
+}
+
+/**
+ * Set the date properties in an XMP document, keeping everything else
+ * @param {string} xml - XMP document
+ * @param {Object} fields - Date columns
+ * @returns {string}
+ */
+export function setXmpDates(xml, fields) {
+  const value = fields.utc_offset ? `${fields.local_date}${fields.utc_offset}` : fields.local_date;
+  let result = xml;
+
+  for (const property of XMP_DATE_PROPERTIES) {
+    const [prefix] = property.split(':');
+    const attribute = new RegExp(`(\\s${property}\\s*=\\s*)(["'])[^"']*\\2`);
+    const element = new RegExp(`(<${property}>)[^<]*(</${property}>)`);
+
+    if (attribute.test(result)) {
+      result = result.replace(attribute, `$1$2${value}$2`);
+    } else if (element.test(result)) {
+      result = result.replace(element, `$1${value}$2`);
+    } else {
+      if (!result.includes('<rdf:Description')) {
+        throw new Error('XMP has no rdf:Description to add dates to');
+      }
+      const namespace = result.includes(`xmlns:${prefix}=`) ? '' : ` xmlns:${prefix}="${XMP_NAMESPACES[prefix]}"`;
+      result = result.replace('<rdf:Description', `<rdf:Description${namespace} ${property}="${value}"`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Embed dates in a JPEG: patch the EXIF dates in place and set them in the XMP packet
+ * @param {Buffer} buffer - JPEG file
+ * @param {Object} fields - Date columns
+ * @returns {Buffer} - New JPEG file
+ */
+export function embedJpegDates(buffer, fields) {
+  const updated = Buffer.from(buffer);
+  const segments = readJpegSegments(updated);
+
+  const exif = segments.find(segment => hasHeader(updated, segment, EXIF_HEADER));
+  if (exif) {
+    patchExifDates(updated, exif, fields);
+  }
+
+  const xmp = segments.find(segment => hasHeader(updated, segment, XMP_HEADER));
+  const xml = xmp ? updated.toString('utf8', xmp.dataStart + XMP_HEADER.length, xmp.end) : EMPTY_XMP;
+  const payload = Buffer.concat([XMP_HEADER, Buffer.from(setXmpDates(xml, fields), 'utf8')]);
+  if (payload.length + 2 > 0xFFFF) {
+    throw new Error('XMP packet is too large to embed');
+  }
+
+  const segment = Buffer.alloc(4);
+  segment[0] = 0xFF;
+  segment[1] = 0xE1;
+  segment.writeUInt16BE(payload.length + 2, 2);
+
+  // Replace the XMP packet, or add one after the leading APP0/APP1 segments
+  const start = xmp ? xmp.start : segments
+    .filter(s => s.marker === 0xE0 || s.marker === 0xE1)
+    .reduce((end, s) => Math.max(end, s.end), 2);
+  const end = xmp ? xmp.end : start;
+
+  return Buffer.concat([updated.subarray(0, start), segment, payload, updated.subarray(end)]);
+}
+
+/**
+ * Segments before the image data of a JPEG
+ * @param {Buffer} buffer - JPEG file
+ * @returns {Array<Object>} - [{ marker, start, dataStart, end }]
+ */
+function readJpegSegments(buffer) {
+  if (buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) {
+    throw new Error('Not a JPEG file');
+  }
+
+  const segments = [];
+  let position = 2;
+  while (position + 4 <= buffer.length) {
+    if (buffer[position] !== 0xFF) {
+      throw new Error('Corrupt JPEG segment');
+    }
+
+    const marker = buffer[position + 1];
+    if (marker === 0xFF) {
+      position++;
+      continue;
+    }
+    // Start of scan or end of image: no metadata after this
+    if (marker === 0xDA || marker === 0xD9) break;
+    // Markers without a length
+    if ((marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+      position += 2;
+      continue;
+    }
+
+    const end = position + 2 + buffer.readUInt16BE(position + 2);
+    segments.push({ marker, start: position, dataStart: position + 4, end });
+    position = end;
+  }
+
+  return segments;
+}
+
+/**
+ * Whether an APP1 segment starts with a header
+ * @param {Buffer} buffer - JPEG file
+ * @param {Object} segment - From readJpegSegments
+ * @param {Buffer} header - EXIF_HEADER or XMP_HEADER
+ * @returns {boolean}
+ */
+function hasHeader(buffer, segment, header) {
+  return segment.marker === 0xE1
+    && segment.end - segment.dataStart >= header.length
+    && buffer.subarray(segment.dataStart, segment.dataStart + header.length).equals(header);
+}
+
+/**
+ * Overwrite the EXIF date and offset strings that are already present; tags are never added
+ * @param {Buffer} buffer - JPEG file, changed in place
+ * @param {Object} segment - EXIF APP1 segment
+ * @param {Object} fields - Date columns
+ * @returns {number} - Tags patched
+ */
+function patchExifDates(buffer, segment, fields) {
+  const tiff = segment.dataStart + EXIF_HEADER.length;
+  const littleEndian = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+  const inSegment = (offset, length) => offset >= tiff && offset + length <= segment.end;
+  const read16 = (offset) => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const read32 = (offset) => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  const findTag = (ifd, tag) => {
+    if (!inSegment(ifd, 2)) return null;
+    const count = read16(ifd);
+    for (let i = 0; i < count; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (!inSegment(entry, 12)) return null;
+      if (read16(entry) === tag) return entry;
+    }
+    return null;
+  };
+
+  if (!inSegment(tiff, 8)) return 0;
+  const pointer = findTag(tiff + read32(tiff + 4), EXIF_IFD_POINTER);
+  if (!pointer) return 0;
+  const exifIfd = tiff + read32(pointer + 8);
+
+  const values = [
+    ...EXIF_DATE_TAGS.map(tag => [tag, fields.local_date.replace(/-/g, ':').replace('T', ' ')]),
+    ...(fields.utc_offset ? EXIF_OFFSET_TAGS.map(tag => [tag, fields.utc_offset]) : [])
+  ];
+
+  let patched = 0;
+  for (const [tag, value] of values) {
+    const entry = findTag(exifIfd, tag);
+    // ASCII strings with room for exactly this value and its terminator
+    if (!entry || read16(entry + 2) !== 2 || read32(entry + 4) !== value.length + 1) continue;
+
+    const offset = value.length + 1 <= 4 ? entry + 8 : tiff + read32(entry + 8);
+    if (!inSegment(offset, value.length + 1)) continue;
+    buffer.write(`${value}\0`, offset, 'latin1');
+    patched++;
+  }
+
+  return patched;
+}
+
+/**
+ * The one region that differs between two versions of a file
+ * @param {Buffer} original - Bytes before
+ * @param {Buffer} updated - Bytes after
+ * @returns {Object} - { start, removed (base64 of the original bytes), insertedLength }
+ */
+function diffRegion(original, updated) {
+  const shorter = Math.min(original.length, updated.length);
+  let start = 0;
+  while (start < shorter && original[start] === updated[start]) start++;
+
+  let suffix = 0;
+  while (suffix < shorter - start && original[original.length - 1 - suffix] === updated[updated.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  return {
+    start,
+    removed: original.subarray(start, original.length - suffix).toString('base64'),
+    insertedLength: updated.length - start - suffix
+  };
+}
+
+/**
+ * Write a file beside the target and swap it in, keeping the target's timestamps
+ * @param {string} target - File to replace or create
+ * @param {Buffer} buffer - New contents
+ * @param {fs.Stats|null} stats - Target's stats, if it exists
+ */
+async function replaceFile(target, buffer, stats) {
+  const tempPath = path.join(path.dirname(target), `.${path.basename(target)}.writeback`);
+  await fs.writeFile(tempPath, buffer);
+  if (stats) {
+    await fs.utimes(tempPath, stats.atime, stats.mtime);
+  }
+  await fs.rename(tempPath, target);
+}
+
+/**
+ * SHA-256 of a buffer
+ * @param {Buffer} buffer
+ * @returns {string} - Hex digest
+ */
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+export default {
+  WRITE_BACK_MODES,
+  getDateWriteBack,
+  loadDateWriteBack,
+  saveDateWriteBack,
+  writeBackDates,
+  undoWriteBack,
+  checkWriteBackRevert,
+  getSidecarPath,
+  setXmpDates,
+  embedJpegDates
+};
@@ -1,5 +1,8 @@
+import path from 'path';
 import { getDatabase, fileQueries } from '../database/index.js';
 import { calculateHash } from './hasher.js';
+import { hammingDistance, getHashBands, similarityScore } from './perceptualHash.js';
+import config from '../config.js';
 
 /**
  * Find duplicates for a specific file
@@ -41,53 +44,328 @@ export async function findDuplicatesForFile(file) {
   return duplicates;
 }
 
+/**
+ * Rules for choosing which copy of a duplicate group to keep. Each compares
+ * two files and returns a negative number when the first should be kept.
+ */
+const KEEP_POLICY_RULES = {
+  // First discovered file
+  oldest: (a, b) => (a.created_timestamp || '').localeCompare(b.created_timestamp || '') || a.id - b.id,
+  highest_resolution: (a, b) => getPixelCount(b) - getPixelCount(a) || b.size - a.size,
+  has_exif: (a, b) => Number(hasExif(b)) - Number(hasExif(a)),
+  shortest_path: (a, b) => (a.current_path || a.original_path).length - (b.current_path || b.original_path).length,
+  preferred_folder: (a, b, options) =>
+    Number(isUnderFolder(b, options.preferredFolder)) - Number(isUnderFolder(a, options.preferredFolder))
+};
+
+export const KEEP_POLICIES = Object.keys(KEEP_POLICY_RULES);
+
+// Statuses of duplicates that have already been dealt with; deleted ones were emptied from the trash
+const RESOLVED_STATUSES = ['quarantined', 'trashed', 'linked', 'deleted'];
+
+/**
+ * Order files so the one to keep comes first
+ * @param {Object[]} files - Files with identical content
+ * @param {string[]} policies - Keep policies, applied in order as tie-breakers
+ * @param {Object} options - { preferredFolder } for the preferred_folder policy
+ * @returns {Object[]} - Sorted copy of files
+ */
+export function rankByKeepPolicy(files, policies = ['oldest'], options = {}) {
+  // Fall back to discovery order when every policy ties
+  const rules = [...policies, 'oldest'].map(policy => KEEP_POLICY_RULES[policy]);
+
+  return [...files].sort((a, b) => {
+    for (const rule of rules) {
+      const result = rule(a, b, options);
+      if (result !== 0) return result;
+    }
+    return 0;
+  });
+}
+
+// Excludes files that can't be or no longer need to be deduplicated
+const GROUPABLE_CONDITION = `hash_sha256 IS NOT NULL AND status NOT IN (${
+  ['error', 'missing', ...RESOLVED_STATUSES].map(status => `'${status}'`).join(', ')
+})`;
+
 /**
  * Find all duplicate groups in the database
+ * @param {Object} options - { policies, preferredFolder } used to choose each group's original
  * @returns {Promise<Object[]>} - Array of duplicate groups
  */
-export async function findAllDuplicateGroups() {
+export async function findAllDuplicateGroups(options = {}) {
   const db = getDatabase();
 
   // Find all files with duplicate hashes
-  const stmt = db.prepare(`
-    SELECT hash_sha256, COUNT(*) as count
-    FROM files
-    WHERE hash_sha256 IS NOT NULL AND status != 'error'
+  const files = db.prepare(`
+    SELECT * FROM files
+    WHERE ${GROUPABLE_CONDITION} AND hash_sha256 IN (
+      SELECT hash_sha256 FROM files
+      WHERE ${GROUPABLE_CONDITION}
+      GROUP BY hash_sha256
+      HAVING COUNT(*) > 1
+    )
+  `).all();
+
+  return buildGroups(files, options);
+}
+
+/**
+ * Get one page of duplicate groups, largest potential savings first
+ * @param {Object} options - { limit, offset, policies, preferredFolder }
+ * @returns {Object} - { groups, totalGroups }
+ */
+export function getDuplicateGroupsPage({ limit = 50, offset = 0, ...options } = {}) {
+  const db = getDatabase();
+
+  const { count } = db.prepare(`
+    SELECT COUNT(*) as count FROM (
+      SELECT hash_sha256 FROM files
+      WHERE ${GROUPABLE_CONDITION}
+      GROUP BY hash_sha256
+      HAVING COUNT(*) > 1
+    )
+  `).get();
+
+  const pageHashes = db.prepare(`
+    SELECT hash_sha256 FROM files
+    WHERE ${GROUPABLE_CONDITION}
     GROUP BY hash_sha256
     HAVING COUNT(*) > 1
-  `);
+    ORDER BY SUM(size) - MIN(size) DESC, hash_sha256
+    LIMIT ? OFFSET ?
+  `).all(limit, offset).map(row => row.hash_sha256);
+
+  if (pageHashes.length === 0) {
+    return { groups: [], totalGroups: count };
+  }
 
-  const duplicateHashes = stmt.all();
+  // One query for every file on the page instead of one per group
+  const files = db.prepare(`
+    SELECT * FROM files
+    WHERE ${GROUPABLE_CONDITION} AND hash_sha256 IN (${pageHashes.map(() => '?').join(', ')})
+  `).all(...pageHashes);
+
+  const groups = buildGroups(files, options);
+  groups.sort((a, b) => pageHashes.indexOf(a.hash) - pageHashes.indexOf(b.hash));
+
+  return { groups, totalGroups: count };
+}
+
+/**
+ * Group files by hash and pick each group's original by keep policy
+ * @param {Object[]} files - Files that have at least one duplicate
+ * @param {Object} options - { policies, preferredFolder }
+ * @returns {Object[]} - Array of duplicate groups
+ */
+function buildGroups(files, { policies = ['oldest'], preferredFolder = null } = {}) {
+  const byHash = new Map();
+  for (const file of files) {
+    if (!byHash.has(file.hash_sha256)) byHash.set(file.hash_sha256, []);
+    byHash.get(file.hash_sha256).push(file);
+  }
 
   const groups = [];
-  for (const { hash_sha256, count } of duplicateHashes) {
-    const files = db.prepare(`
-      SELECT * FROM files
-      WHERE hash_sha256 = ?
-      ORDER BY created_timestamp ASC
-    `).all(hash_sha256);
+  for (const [hash, members] of byHash) {
+    const ranked = rankByKeepPolicy(members, policies, { preferredFolder });
 
     groups.push({
-      hash: hash_sha256,
+      hash,
+      count: ranked.length,
+      totalSize: ranked.reduce((sum, f) => sum + f.size, 0),
+      files: ranked,
+      // First file by keep policy (oldest by discovery time by default) is considered the "original"
+      original: ranked[0],
+      duplicates: ranked.slice(1)
+    });
+  }
+
+  return groups;
+}
+
+// Similar-image clusters by threshold, stored by storeSimilarGroups()
+const similarGroups = new Map();
+
+/**
+ * Cluster visually similar images again and store the result for
+ * findSimilarGroups(). Runs after every completed scan (see jobQueue.js);
+ * clusters stored for other thresholds are dropped and computed again when
+ * next requested.
+ * @param {Object} [options] - { threshold }
+ * @returns {Object} - { totalGroups, threshold, computedAt }
+ */
+export function refreshSimilarGroups({ threshold = config.similarityThreshold } = {}) {
+  similarGroups.clear();
+  const stored = storeSimilarGroups(threshold);
+  return { totalGroups: stored.groups.length, threshold, computedAt: stored.computedAt };
+}
+
+/**
+ * Get a page of the clusters of visually similar images. Clusters are
+ * computed once per threshold and stored; each page is filled in with the
+ * files as they are now.
+ * @param {Object} options - { threshold, limit, offset }
+ * @returns {Object} - { groups, totalGroups, threshold, computedAt }
+ */
+export function findSimilarGroups({ threshold = config.similarityThreshold, limit = 50, offset = 0 } = {}) {
+  const stored = similarGroups.get(threshold) || storeSimilarGroups(threshold);
+  const getFile = fileQueries.getFileById();
+
+  const groups = stored.groups.slice(offset, offset + limit).map(group => {
+    const files = group.members
+      .map(({ id, distance }) => {
+        const file = getFile.get(id);
+        return file && { ...file, distance, similarity: similarityScore(distance) };
+      })
+      .filter(Boolean);
+
+    return {
+      reference: files[0],
       count: files.length,
       totalSize: files.reduce((sum, f) => sum + f.size, 0),
-      files,
-      // First file (oldest by discovery time) is considered the "original"
-      original: files[0],
-      duplicates: files.slice(1)
+      similarity: group.similarity,
+      files
+    };
+  });
+
+  return {
+    groups,
+    totalGroups: stored.groups.length,
+    threshold,
+    computedAt: stored.computedAt
+  };
+}
+
+/**
+ * Cluster visually similar images by perceptual hash. Fingerprints within
+ * the threshold of each other are linked, and linked files form a cluster;
+ * only fingerprints sharing a band are compared (see getHashBands()).
+ * Clusters whose files are all byte-identical are left to
+ * findAllDuplicateGroups.
+ * @param {number} threshold - Max differing bits (0-64)
+ * @returns {Object} - Stored entry, { groups, computedAt }
+ */
+function storeSimilarGroups(threshold) {
+  const files = fileQueries.getFilesWithPerceptualHash().all();
+
+  // Files with the same fingerprint always cluster, so each fingerprint is compared once
+  const filesByHash = new Map();
+  for (const file of files) {
+    if (!filesByHash.has(file.hash_perceptual)) filesByHash.set(file.hash_perceptual, []);
+    filesByHash.get(file.hash_perceptual).push(file);
+  }
+  const hashes = [...filesByHash.keys()];
+
+  // Union-find over the fingerprints within the threshold
+  const parent = hashes.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  // Any two fingerprints are within 64 bits, so a threshold of 64 compares all of them
+  const buckets = new Map();
+  hashes.forEach((hash, index) => {
+    for (const band of threshold < 64 ? getHashBands(hash, threshold + 1) : ['all']) {
+      if (!buckets.has(band)) buckets.set(band, []);
+      buckets.get(band).push(index);
+    }
+  });
+
+  for (const members of buckets.values()) {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const rootI = find(members[i]);
+        const rootJ = find(members[j]);
+        if (rootI !== rootJ && hammingDistance(hashes[members[i]], hashes[members[j]]) <= threshold) {
+          parent[rootJ] = rootI;
+        }
+      }
+    }
+  }
+
+  const clusters = new Map();
+  hashes.forEach((hash, index) => {
+    const root = find(index);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(...filesByHash.get(hash));
+  });
+
+  const groups = [];
+  for (const members of clusters.values()) {
+    if (members.length < 2) continue;
+    if (new Set(members.map(f => f.hash_sha256)).size < 2) continue;
+
+    // Compare everything against the best-quality copy
+    const ranked = rankByKeepPolicy(members, ['highest_resolution']);
+    const reference = ranked[0];
+    const distances = ranked.map(file => hammingDistance(reference.hash_perceptual, file.hash_perceptual));
+
+    groups.push({
+      members: ranked.map((file, index) => ({ id: file.id, distance: distances[index] })),
+      similarity: similarityScore(Math.max(...distances))
     });
   }
 
-  return groups;
+  groups.sort((a, b) => b.members.length - a.members.length || b.similarity - a.similarity);
+
+  const stored = { groups, computedAt: new Date().toISOString() };
+  similarGroups.set(threshold, stored);
+  return stored;
+}
+
+/**
+ * Get the pixel count of an image from its stored EXIF dimensions
+ * @param {Object} file - File record from database
+ * @returns {number} - Width x height, or 0 if unknown
+ */
+function getPixelCount(file) {
+  try {
+    const exif = JSON.parse(file.metadata_json || '{}')?.exif;
+    return (exif?.ImageWidth || 0) * (exif?.ImageHeight || 0);
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Check whether a file has EXIF data
+ * @param {Object} file - File record from database
+ * @returns {boolean}
+ */
+function hasExif(file) {
+  if (file.exif_date) return true;
+  try {
+    const exif = JSON.parse(file.metadata_json || '{}')?.exif;
+    return Boolean(exif && Object.keys(exif).length > 0);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a file lives under a folder
+ * @param {Object} file - File record from database
+ * @param {string|null} folder - Folder path
+ * @returns {boolean}
+ */
+function isUnderFolder(file, folder) {
+  if (!folder) return false;
+  const filePath = path.resolve(file.current_path || file.original_path);
+  return filePath.startsWith(path.join(path.resolve(folder), path.sep));
 }
 
 /**
  * Mark duplicate relationships in the database
+ * @param {Object} options - { policies, preferredFolder } used to choose each group's original
  * @returns {Promise<Object>} - Results of duplicate marking
  */
-export async function markDuplicates() {
+export async function markDuplicates(options = {}) {
   const db = getDatabase();
-  const groups = await findAllDuplicateGroups();
+  const groups = await findAllDuplicateGroups(options);
 
   let markedCount = 0;
 
@@ -193,8 +471,13 @@ export async function verifyDuplicate(filePath1, filePath2) {
 }
 
 export default {
+  KEEP_POLICIES,
+  rankByKeepPolicy,
   findDuplicatesForFile,
   findAllDuplicateGroups,
+  getDuplicateGroupsPage,
+  findSimilarGroups,
+  refreshSimilarGroups,
   markDuplicates,
   calculateDuplicateStats,
   checkForExistingDuplicate,
@@ -0,0 +1,319 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { fileQueries, operationQueries, errorQueries } from '../database/index.js';
+import { findAllDuplicateGroups, KEEP_POLICIES } from './duplicateDetector.js';
+import { calculateHash } from './hasher.js';
+import { moveFile, fileExists, getHoldingPath } from './fileOperations.js';
+import { moveToTrash, getTrashRoot } from './trash.js';
+import { publish, getProgressRates } from './events.js';
+import { httpError } from './httpError.js';
+import config from '../config.js';
+
+/**
+ * What to do with the copies that are not kept:
+ * - quarantine: move into a quarantine folder for manual review
+ * - hardlink: replace the copy with a hardlink to the kept file (same filesystem only)
+ * - trash: move into the managed trash of the library destination, see trash.js
+ */
+export const RESOLVE_ACTIONS = ['quarantine', 'hardlink', 'trash'];
+
+// File status after each action
+const ACTION_STATUS = {
+  quarantine: 'quarantined',
+  hardlink: 'linked',
+  trash: 'trashed'
+};
+
+// Resolve status tracking
+let currentResolveStatus = null;
+
+/**
+ * Get the status of the running or last resolution
+ * @returns {Object|null} - Current status or null
+ */
+export function getResolveStatus() {
+  return currentResolveStatus;
+}
+
+/**
+ * Reject resolve options that cannot run, before they are queued
+ * @param {Object} options - See resolveDuplicates()
+ * @throws {Error} - 400 error naming the invalid option
+ */
+export function assertResolveOptions({
+  action, policies = ['oldest'], preferredFolder = null, destinationPath = null, hashes = null
+}) {
+  if (!RESOLVE_ACTIONS.includes(action)) {
+    throw httpError(`action must be one of: ${RESOLVE_ACTIONS.join(', ')}`, 400);
+  }
+
+  if (!Array.isArray(policies) || policies.length === 0 || policies.some(p => !KEEP_POLICIES.includes(p))) {
+    throw httpError(`policy must be one or more of: ${KEEP_POLICIES.join(', ')}`, 400);
+  }
+
+  if (policies.includes('preferred_folder') && !preferredFolder) {
+    throw httpError('preferredFolder is required for the preferred_folder policy', 400);
+  }
+
+  if (hashes !== null && !Array.isArray(hashes)) {
+    throw httpError('hashes must be an array', 400);
+  }
+
+  // Trashed duplicates go to the managed trash inside the library destination
+  if (action === 'trash' && (typeof destinationPath !== 'string' || !path.isAbsolute(destinationPath))) {
+    throw httpError('destinationPath must be an absolute path to trash duplicates', 400);
+  }
+}
+
+/**
+ * Resolve exact duplicate groups: keep one file per group by policy and
+ * apply an action to the others. Every action is logged as a revertible
+ * operation sharing one batch ID. Runs as a 'resolve' job (see jobQueue.js)
+ * and publishes its progress as 'resolve' events; dry runs do neither.
+ * @param {Object} options - Resolve options
+ * @param {string} options.action - One of RESOLVE_ACTIONS
+ * @param {string[]} [options.policies] - Keep policies, in priority order
+ * @param {string} [options.preferredFolder] - Folder for the preferred_folder policy
+ * @param {string} [options.quarantinePath] - Quarantine folder, defaults to config.quarantinePath
+ * @param {string} [options.destinationPath] - Library destination whose trash to use, required to trash
+ * @param {string[]} [options.hashes] - Only resolve these groups
+ * @param {Object} [options.keep] - Explicit keeper per group, { [hash]: fileId }
+ * @param {boolean} [options.dryRun] - Only return the plan
+ * @param {string} [options.batchId] - Batch to log the operations under, a new one by default
+ * @returns {Promise<Object>} - Resolve results
+ */
+export async function resolveDuplicates(options) {
+  const {
+    action,
+    policies = ['oldest'],
+    preferredFolder = null,
+    quarantinePath = config.quarantinePath,
+    destinationPath = null,
+    hashes = null,
+    keep = {},
+    dryRun = false
+  } = options;
+  assertResolveOptions(options);
+
+  let groups = await findAllDuplicateGroups({ policies, preferredFolder });
+  if (hashes) {
+    groups = groups.filter(group => hashes.includes(group.hash));
+  }
+
+  const batchId = dryRun ? null : options.batchId || uuidv4();
+  const holdingRoot = action === 'trash' ? getTrashRoot(destinationPath) : quarantinePath;
+
+  const results = {
+    batchId,
+    action,
+    dryRun,
+    status: 'in_progress',
+    totalFiles: groups.reduce((total, group) => total + group.count - 1, 0),
+    processedFiles: 0,
+    currentFile: null,
+    startedAt: new Date().toISOString(),
+    groupsProcessed: 0,
+    filesResolved: 0,
+    spaceFreed: 0,
+    skipped: 0,
+    failed: 0,
+    errors: [],
+    plan: []
+  };
+
+  if (!dryRun) {
+    currentResolveStatus = results;
+    publishProgress(true);
+  }
+
+  for (const group of groups) {
+    const keeper = keep[group.hash]
+      ? group.files.find(f => f.id === parseInt(keep[group.hash]))
+      : group.original;
+
+    if (!keeper) {
+      results.errors.push({ hash: group.hash, error: `File ${keep[group.hash]} is not part of this group` });
+      results.skipped += group.count - 1;
+      results.processedFiles += group.count - 1;
+      continue;
+    }
+
+    const keeperPath = keeper.current_path || keeper.original_path;
+    if (!await fileExists(keeperPath)) {
+      results.errors.push({ hash: group.hash, error: 'Kept file not found on disk' });
+      results.skipped += group.count - 1;
+      results.processedFiles += group.count - 1;
+      continue;
+    }
+
+    const groupPlan = { hash: group.hash, keeperId: keeper.id, keeperPath, files: [] };
+
+    for (const file of group.files.filter(f => f.id !== keeper.id)) {
+      const sourcePath = file.current_path || file.original_path;
+      const destination = action === 'hardlink' ? keeperPath : getHoldingPath(holdingRoot, batchId || 'dry-run', sourcePath);
+      groupPlan.files.push({ fileId: file.id, source: sourcePath, destination, action });
+      results.currentFile = sourcePath;
+
+      if (dryRun) {
+        results.filesResolved++;
+        results.spaceFreed += file.size;
+        results.processedFiles++;
+        continue;
+      }
+
+      try {
+        const applied = await resolveFile(file, keeper, action, sourcePath, destination, holdingRoot, batchId);
+        if (applied) {
+          results.filesResolved++;
+          results.spaceFreed += file.size;
+        } else {
+          results.skipped++;
+        }
+      } catch (error) {
+        results.failed++;
+        results.errors.push({ fileId: file.id, error: error.message });
+        logError(file.id, sourcePath, 'duplicate_resolve_error', error.message, error.stack);
+      }
+
+      results.processedFiles++;
+      publishProgress();
+    }
+
+    results.plan.push(groupPlan);
+    results.groupsProcessed++;
+  }
+
+  results.status = 'completed';
+  results.completedAt = new Date().toISOString();
+  results.currentFile = null;
+  if (!dryRun) publishProgress(true);
+
+  return results;
+}
+
+/**
+ * Apply a resolve action to one duplicate
+ * @param {Object} file - Duplicate file record
+ * @param {Object} keeper - File record being kept
+ * @param {string} action - One of RESOLVE_ACTIONS
+ * @param {string} sourcePath - Current location of the duplicate
+ * @param {string} destination - Holding path, or the keeper's path for hardlinks
+ * @param {string} holdingRoot - Trash or quarantine folder
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<boolean>} - False if the file was skipped
+ */
+async function resolveFile(file, keeper, action, sourcePath, destination, holdingRoot, batchId) {
+  if (!await fileExists(sourcePath)) {
+    logOperation(batchId, file.id, 'skip', sourcePath, null, file.hash_sha256, 'Source file not found');
+    return false;
+  }
+
+  // Never act on a copy whose content changed since the scan
+  const currentHash = await calculateHash(sourcePath);
+  if (currentHash !== file.hash_sha256) {
+    throw new Error('File has been modified since it was scanned');
+  }
+
+  // Restored duplicates stay marked as duplicates of the kept file
+  if (action === 'trash') {
+    await moveToTrash(file, sourcePath, {
+      trashRoot: holdingRoot,
+      batchId,
+      reason: `Duplicate of file ${keeper.id}`,
+      duplicateOf: keeper.id,
+      restoreStatus: 'duplicate'
+    });
+    return true;
+  }
+
+  if (action === 'hardlink') {
+    // Link under a temporary name first so the copy is replaced atomically
+    const tempPath = path.join(path.dirname(sourcePath), `.${path.basename(sourcePath)}.${batchId}.link`);
+    await fs.link(destination, tempPath);
+    try {
+      await fs.rename(tempPath, sourcePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  } else {
+    await moveFile(sourcePath, destination);
+  }
+
+  fileQueries.updateFile().run({
+    id: file.id,
+    current_path: action === 'hardlink' ? sourcePath : destination,
+    hash_sha256: file.hash_sha256,
+    hash_partial: file.hash_partial,
+    mime_type: file.mime_type,
+    exif_date: file.exif_date,
+    resolved_date: file.resolved_date,
+    date_source: file.date_source,
+    status: ACTION_STATUS[action],
+    duplicate_of: keeper.id,
+    metadata_json: file.metadata_json
+  });
+
+  logOperation(batchId, file.id, action, sourcePath, destination, file.hash_sha256,
+    `Duplicate of file ${keeper.id}`);
+
+  return true;
+}
+
+/**
+ * Publish the resolve status with throughput and ETA
+ * @param {boolean} force - Send even if progress was published moments ago
+ */
+function publishProgress(force = false) {
+  const { plan, errors, ...status } = currentResolveStatus;
+  publish('resolve', {
+    ...status,
+    ...getProgressRates(status.startedAt, status.processedFiles, status.totalFiles)
+  }, { force });
+}
+
+/**
+ * Log an operation to the database
+ */
+function logOperation(batchId, fileId, operationType, sourcePath, destPath, hash, reason) {
+  try {
+    operationQueries.insertOperation().run({
+      batch_id: batchId,
+      file_id: fileId,
+      operation_type: operationType,
+      source_path: sourcePath,
+      destination_path: destPath,
+      hash_used: hash,
+      reason,
+      status: 'completed'
+    });
+  } catch (error) {
+    console.error('Failed to log operation:', error);
+  }
+}
+
+/**
+ * Log an error to the database
+ */
+function logError(fileId, filePath, errorType, message, stack, context = null) {
+  try {
+    errorQueries.insertError().run({
+      file_id: fileId,
+      file_path: filePath,
+      error_type: errorType,
+      error_message: message,
+      stack_trace: stack,
+      context_json: context ? JSON.stringify(context) : null
+    });
+  } catch (error) {
+    console.error('Failed to log error:', error);
+  }
+}
+
+export default {
+  RESOLVE_ACTIONS,
+  getResolveStatus,
+  assertResolveOptions,
+  resolveDuplicates
+};
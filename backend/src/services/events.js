@@ -0,0 +1,110 @@
+/**
+ * Event Bus
+ *
+ * In-process publish/subscribe for the progress of long-running work
+ * (scan, organize, revert, verify, duplicate resolution, thumbnails) and for
+ * job state changes. The
+ * /api/events route streams these to the browser as Server-Sent Events.
+ */
+
+import { EventEmitter } from 'events';
+
+export const EVENT_TYPES = ['scan', 'organize', 'revert', 'verify', 'resolve', 'thumbnails', 'jobs'];
+
+// Per-file progress is sent at most this often per event type; status
+// changes (started, completed, cancelled, error) are always sent
+const PROGRESS_INTERVAL_MS = 250;
+
+const emitter = new EventEmitter();
+// One listener per open browser tab
+emitter.setMaxListeners(0);
+
+let nextEventId = 1;
+const lastPublishedAt = new Map();
+const latestEvents = new Map();
+
+/**
+ * Publish a progress event
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event payload
+ * @param {Object} options - Publish options
+ * @param {boolean} [options.force] - Send even if the last event of this type was recent
+ * @returns {boolean} - False if the event was throttled
+ */
+export function publish(type, data, options = {}) {
+  const now = Date.now();
+  if (!options.force && now - (lastPublishedAt.get(type) || 0) < PROGRESS_INTERVAL_MS) {
+    return false;
+  }
+
+  lastPublishedAt.set(type, now);
+  const event = { id: nextEventId++, type, data };
+  latestEvents.set(type, event);
+  emitter.emit('event', event);
+  return true;
+}
+
+/**
+ * Listen for published events
+ * @param {Function} listener - Called with { id, type, data }
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+/**
+ * Most recent event of each type, so new subscribers can catch up
+ * @returns {Object[]} - Events ordered by ID
+ */
+export function getLatestEvents() {
+  return [...latestEvents.values()].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Ask every open stream to end, e.g. on shutdown (open streams would
+ * otherwise keep the HTTP server from closing)
+ */
+export function closeAllStreams() {
+  emitter.emit('close');
+}
+
+/**
+ * Listen for closeAllStreams()
+ * @param {Function} listener - Called once on close
+ * @returns {Function} - Unsubscribe function
+ */
+export function onClose(listener) {
+  emitter.once('close', listener);
+  return () => emitter.off('close', listener);
+}
+
+/**
+ * Throughput and estimated time remaining of a running job
+ * @param {string} startedAt - ISO start time
+ * @param {number} processed - Items done
+ * @param {number} total - Items in total, 0 if not known yet
+ * @returns {Object} - { elapsedSeconds, throughput, etaSeconds }
+ */
+export function getProgressRates(startedAt, processed, total) {
+  const elapsedSeconds = Math.max((Date.now() - new Date(startedAt).getTime()) / 1000, 0);
+  const throughput = elapsedSeconds > 0 ? processed / elapsedSeconds : 0;
+
+  return {
+    elapsedSeconds: Math.round(elapsedSeconds),
+    // Items per second
+    throughput: Math.round(throughput * 10) / 10,
+    etaSeconds: throughput > 0 && total > 0 ? Math.round(Math.max(total - processed, 0) / throughput) : null
+  };
+}
+
+export default {
+  EVENT_TYPES,
+  publish,
+  subscribe,
+  getLatestEvents,
+  closeAllStreams,
+  onClose,
+  getProgressRates
+};
@@ -0,0 +1,113 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import crypto from 'crypto';
+import path from 'path';
+import { calculateHash } from './hasher.js';
+
+/**
+ * Move a file, falling back to copy + verify + delete when source and
+ * destination are on different devices (e.g. a trash folder on another disk)
+ * @param {string} sourcePath - Current location
+ * @param {string} destPath - New location
+ * @param {Object} [options] - Options passed to copyFile for the fallback
+ * @returns {Promise<boolean>} - True if the file had to be copied
+ */
+export async function moveFile(sourcePath, destPath, options = {}) {
+  await fs.mkdir(path.dirname(destPath), { recursive: true });
+
+  try {
+    await fs.rename(sourcePath, destPath);
+    return false;
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await copyFile(sourcePath, destPath, options);
+    await fs.unlink(sourcePath);
+    return true;
+  }
+}
+
+/**
+ * Copy a file by streaming it. With verification on, the copy is read back
+ * and must hash the same as the bytes that were read and, if given, the
+ * hash recorded for the file. The copy keeps the source's modification
+ * time; a copy that fails verification is removed.
+ * @param {string} sourcePath - File to copy
+ * @param {string} destPath - Where the copy goes; must not exist yet
+ * @param {Object} [options] - Copy options
+ * @param {boolean} [options.verify] - Read the copy back, on by default
+ * @param {string} [options.expectedHash] - SHA-256 the content should have
+ * @returns {Promise<string>} - SHA-256 of the copied content
+ */
+export async function copyFile(sourcePath, destPath, { verify = true, expectedHash = null } = {}) {
+  await fs.mkdir(path.dirname(destPath), { recursive: true });
+
+  const hash = crypto.createHash('sha256');
+  try {
+    await pipeline(
+      createReadStream(sourcePath),
+      async function* (chunks) {
+        for await (const chunk of chunks) {
+          hash.update(chunk);
+          yield chunk;
+        }
+      },
+      createWriteStream(destPath, { flags: 'wx' })
+    );
+
+    const sourceHash = hash.digest('hex');
+    if (verify && await calculateHash(destPath) !== sourceHash) {
+      throw new Error(`Copy of ${sourcePath} does not match the original`);
+    }
+    if (verify && expectedHash && sourceHash !== expectedHash) {
+      throw new Error(`${sourcePath} has changed since it was scanned`);
+    }
+
+    const stats = await fs.stat(sourcePath);
+    await fs.utimes(destPath, stats.atime, stats.mtime);
+    return sourceHash;
+  } catch (error) {
+    // Never remove a file that was already there
+    if (error.code !== 'EEXIST') {
+      await fs.unlink(destPath).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check if a file exists; a symlink counts even if its target is gone
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} - True if file exists
+ */
+export async function fileExists(filePath) {
+  try {
+    await fs.lstat(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build a location inside a holding folder (trash, quarantine) that
+ * mirrors the file's original absolute path, so names never collide
+ * @param {string} rootPath - Holding folder
+ * @param {string} batchId - Batch the file is moved in
+ * @param {string} filePath - Original file path
+ * @returns {string} - Path inside the holding folder
+ */
+export function getHoldingPath(rootPath, batchId, filePath) {
+  const { root } = path.parse(path.resolve(filePath));
+  const relative = path.resolve(filePath).substring(root.length);
+  return path.join(rootPath, batchId, relative);
+}
+
+export default {
+  moveFile,
+  copyFile,
+  fileExists,
+  getHoldingPath
+};
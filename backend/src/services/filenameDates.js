@@ -0,0 +1,197 @@
+/**
+ * Filename Date Service
+ *
+ * Infers capture dates from filenames such as "IMG_20190704_153012.jpg",
+ * "PXL_20230101_120000123.jpg", "Screenshot 2021-03-05 at 10.11.12.png" or
+ * "VID-20200101-WA0003.mp4". Patterns are regular expressions with named
+ * groups: year, month and day are required; hour, minute and second are
+ * optional. User-defined patterns are stored in the settings table and
+ * tried before the built-in ones.
+ */
+
+import { settingQueries } from '../database/index.js';
+import { formatServerLocalDate } from './timezone.js';
+import { httpError } from './httpError.js';
+
+export const FILENAME_DATE_PATTERNS_SETTING = 'filename_date_patterns';
+
+const REQUIRED_GROUPS = ['year', 'month', 'day'];
+
+/**
+ * Built-in patterns, most specific first
+ */
+export const BUILT_IN_PATTERNS = [
+  {
+    name: 'Camera and phone timestamp (IMG_20190704_153012, PXL_20230101_120000123)',
+    pattern: '(?<!\\d)(?<year>(?:19|20)\\d{2})(?<month>\\d{2})(?<day>\\d{2})[_-](?<hour>\\d{2})(?<minute>\\d{2})(?<second>\\d{2})'
+  },
+  {
+    name: 'Screenshot timestamp (Screenshot 2021-03-05 at 10.11.12)',
+    pattern: '(?<!\\d)(?<year>(?:19|20)\\d{2})-(?<month>\\d{2})-(?<day>\\d{2})(?: at |[ _T-])(?<hour>\\d{2})[.:-](?<minute>\\d{2})[.:-](?<second>\\d{2})'
+  },
+  {
+    name: 'WhatsApp (VID-20200101-WA0003)',
+    pattern: '(?<!\\d)(?<year>(?:19|20)\\d{2})(?<month>\\d{2})(?<day>\\d{2})-WA\\d+'
+  },
+  {
+    name: 'Separated date (2021-03-05, 2021_03_05, 2021.03.05)',
+    pattern: '(?<!\\d)(?<year>(?:19|20)\\d{2})([-_.])(?<month>\\d{2})\\2(?<day>\\d{2})(?!\\d)'
+  },
+  {
+    name: 'Compact date (20210305)',
+    pattern: '(?<!\\d)(?<year>(?:19|20)\\d{2})(?<month>\\d{2})(?<day>\\d{2})(?!\\d)'
+  }
+];
+
+// Compiled user-defined patterns: [{ name, pattern, regex }]
+let customPatterns = [];
+
+const compiledBuiltIns = BUILT_IN_PATTERNS.map(compilePattern);
+
+/**
+ * Check that a pattern compiles and captures a full date
+ * @param {string} pattern - Regular expression source
+ * @returns {Object} - { valid: boolean, error?: string }
+ */
+export function validateFilenamePattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    return { valid: false, error: 'Pattern must be a non-empty string' };
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(pattern, 'i');
+  } catch (error) {
+    return { valid: false, error: `Invalid regular expression: ${error.message}` };
+  }
+
+  const groups = new RegExp(`${regex.source}|`).exec('').groups || {};
+  const missing = REQUIRED_GROUPS.filter(group => !(group in groups));
+  if (missing.length > 0) {
+    return { valid: false, error: `Pattern must have named groups ${missing.map(g => `(?<${g}>...)`).join(', ')}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Replace the active user-defined patterns
+ * @param {Array<Object>} patterns - [{ name, pattern }]
+ */
+export function setFilenameDatePatterns(patterns) {
+  customPatterns = patterns
+    .filter(entry => validateFilenamePattern(entry.pattern).valid)
+    .map(compilePattern);
+}
+
+/**
+ * Reload the user-defined patterns from the settings table
+ * @returns {Array<Object>} - Loaded patterns
+ */
+export function loadFilenameDatePatterns() {
+  const row = settingQueries.getSetting().get(FILENAME_DATE_PATTERNS_SETTING);
+  let patterns = [];
+  if (row) {
+    try {
+      patterns = JSON.parse(row.value) || [];
+    } catch (e) {
+      patterns = [];
+    }
+  }
+
+  setFilenameDatePatterns(patterns);
+  return getFilenameDatePatterns();
+}
+
+/**
+ * Validate, store and activate user-defined patterns
+ * @param {Array<Object>} patterns - [{ name, pattern }]
+ * @returns {Array<Object>} - Stored patterns
+ */
+export function saveFilenameDatePatterns(patterns) {
+  if (!Array.isArray(patterns)) {
+    throw httpError('filenameDatePatterns must be an array', 400);
+  }
+
+  const cleaned = patterns.map((entry, index) => {
+    const pattern = typeof entry === 'string' ? entry : entry?.pattern;
+    const validation = validateFilenamePattern(pattern);
+    if (!validation.valid) {
+      throw httpError(`Pattern ${index + 1}: ${validation.error}`, 400);
+    }
+    const name = typeof entry?.name === 'string' && entry.name.trim() ? entry.name.trim() : pattern;
+    return { name, pattern };
+  });
+
+  settingQueries.setSetting().run({ key: FILENAME_DATE_PATTERNS_SETTING, value: JSON.stringify(cleaned) });
+  setFilenameDatePatterns(cleaned);
+  return getFilenameDatePatterns();
+}
+
+/**
+ * Get the active user-defined patterns
+ * @returns {Array<Object>} - [{ name, pattern }]
+ */
+export function getFilenameDatePatterns() {
+  return customPatterns.map(({ name, pattern }) => ({ name, pattern }));
+}
+
+/**
+ * Infer a date from a filename
+ * @param {string} filename - File name, with or without directories
+ * @returns {Object|null} - { date: ISO string, localDate: "YYYY-MM-DDTHH:MM:SS", pattern: name } or null
+ */
+export function extractFilenameDate(filename) {
+  if (!filename) return null;
+  const basename = filename.split(/[\\/]/).pop();
+
+  for (const compiled of [...customPatterns, ...compiledBuiltIns]) {
+    const match = compiled.regex.exec(basename);
+    const date = match && buildDate(match.groups);
+    if (date) {
+      return { date: date.toISOString(), localDate: formatServerLocalDate(date), pattern: compiled.name };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a local-time date from matched groups, rejecting impossible values
+ * @param {Object} groups - Named capture groups
+ * @returns {Date|null}
+ */
+function buildDate(groups = {}) {
+  const [year, month, day, hour, minute, second] = ['year', 'month', 'day', 'hour', 'minute', 'second']
+    .map(name => (groups[name] !== undefined ? parseInt(groups[name], 10) : 0));
+
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+
+  // Like EXIF dates, filename dates carry no timezone and are taken as local time
+  const date = new Date(year, month - 1, day, hour, minute, second);
+  if (isNaN(date.getTime()) || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Compile a pattern entry
+ * @param {Object} entry - { name, pattern }
+ * @returns {Object} - { name, pattern, regex }
+ */
+function compilePattern(entry) {
+  return { name: entry.name || entry.pattern, pattern: entry.pattern, regex: new RegExp(entry.pattern, 'i') };
+}
+
+export default {
+  BUILT_IN_PATTERNS,
+  validateFilenamePattern,
+  setFilenameDatePatterns,
+  loadFilenameDatePatterns,
+  saveFilenameDatePatterns,
+  getFilenameDatePatterns,
+  extractFilenameDate
+};
@@ -0,0 +1,21 @@
+/**
+ * Errors that carry an HTTP status. The error middleware in index.js
+ * answers with err.status, so services can reject a request without
+ * knowing about Express.
+ */
+
+/**
+ * Create an error carrying an HTTP status for the error middleware
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+export function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export default {
+  httpError
+};
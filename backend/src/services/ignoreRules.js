@@ -0,0 +1,183 @@
+/**
+ * Ignore Rules Service
+ *
+ * User-defined glob patterns for paths the scanner should skip, on top of
+ * the built-in config.skipFiles / config.skipDirectories. Patterns without
+ * a slash match file or directory names anywhere ("*.tmp"); patterns with
+ * a slash match whole paths ("/photos/cache/**"). `*` and `?` never cross a
+ * path separator, `**` does.
+ */
+
+import { ignorePatternQueries } from '../database/index.js';
+
+// Compiled patterns: [{ pattern, regex, matchBasename }]
+let compiledPatterns = [];
+
+/**
+ * Convert a glob pattern into a regular expression
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} - Anchored regular expression
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  let i = 0;
+
+  while (i < pattern.length) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        // "**/" matches zero or more leading directories
+        source += '(?:.*/)?';
+        i += 3;
+      } else {
+        source += '.*';
+        i += 2;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+      i++;
+    } else if (char === '?') {
+      source += '[^/]';
+      i++;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      i++;
+    }
+  }
+
+  // "dir/**" also matches the directory itself, so the scanner never descends into it
+  if (source.endsWith('/.*')) {
+    source = source.slice(0, -3) + '(?:/.*)?';
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Replace the active patterns
+ * @param {string[]} patterns - Glob patterns
+ */
+export function setIgnorePatterns(patterns) {
+  compiledPatterns = patterns.map(compilePattern);
+}
+
+/**
+ * Reload the active patterns from the database
+ * @returns {string[]} - Loaded patterns
+ */
+export function loadIgnorePatterns() {
+  const patterns = ignorePatternQueries.getPatterns().all().map(row => row.pattern);
+  setIgnorePatterns(patterns);
+  return patterns;
+}
+
+/**
+ * Get the active patterns
+ * @returns {string[]} - Glob patterns
+ */
+export function getIgnorePatterns() {
+  return compiledPatterns.map(p => p.pattern);
+}
+
+/**
+ * Save a pattern and make it active
+ * @param {string} pattern - Glob pattern
+ * @returns {Object} - Stored pattern record
+ */
+export function addIgnorePattern(pattern) {
+  ignorePatternQueries.insertPattern().run(pattern);
+  loadIgnorePatterns();
+  return ignorePatternQueries.getPatternByValue().get(pattern);
+}
+
+/**
+ * Delete a pattern
+ * @param {number} id - Pattern ID
+ * @returns {boolean} - True if a pattern was deleted
+ */
+export function removeIgnorePattern(id) {
+  const result = ignorePatternQueries.deletePattern().run(id);
+  loadIgnorePatterns();
+  return result.changes > 0;
+}
+
+/**
+ * Check if a path matches any active pattern
+ * @param {string} filePath - File or directory path
+ * @returns {boolean} - True if the path should be skipped
+ */
+export function isIgnoredPath(filePath) {
+  if (compiledPatterns.length === 0 || !filePath) {
+    return false;
+  }
+
+  const normalized = normalizePath(filePath);
+  return compiledPatterns.some(compiled => testPattern(compiled, normalized));
+}
+
+/**
+ * Check if a path, or any directory containing it, matches one pattern.
+ * Used to find existing records a newly added pattern covers.
+ * @param {string} pattern - Glob pattern
+ * @param {string} filePath - File or directory path
+ * @returns {boolean} - True if the scanner would skip the path
+ */
+export function matchesIgnorePattern(pattern, filePath) {
+  const compiled = compilePattern(pattern);
+  let current = normalizePath(filePath);
+
+  while (current) {
+    if (testPattern(compiled, current)) {
+      return true;
+    }
+    const parentEnd = current.lastIndexOf('/');
+    if (parentEnd <= 0) break;
+    current = current.substring(0, parentEnd);
+  }
+
+  return false;
+}
+
+/**
+ * Compile a glob pattern for matching
+ * @param {string} pattern - Glob pattern
+ * @returns {Object} - { pattern, regex, matchBasename }
+ */
+function compilePattern(pattern) {
+  return {
+    pattern,
+    regex: globToRegExp(normalizePath(pattern)),
+    matchBasename: !pattern.includes('/') && !pattern.includes('\\')
+  };
+}
+
+/**
+ * Test a normalized path against a compiled pattern
+ * @param {Object} compiled - Compiled pattern
+ * @param {string} normalized - Path with forward slashes
+ * @returns {boolean} - True if the pattern matches
+ */
+function testPattern({ regex, matchBasename }, normalized) {
+  return regex.test(matchBasename ? normalized.substring(normalized.lastIndexOf('/') + 1) : normalized);
+}
+
+/**
+ * Use forward slashes so patterns behave the same on every platform
+ * @param {string} value - Path or pattern
+ * @returns {string} - Normalized value
+ */
+function normalizePath(value) {
+  return value.replace(/\\/g, '/');
+}
+
+export default {
+  globToRegExp,
+  setIgnorePatterns,
+  loadIgnorePatterns,
+  getIgnorePatterns,
+  addIgnorePattern,
+  removeIgnorePattern,
+  isIgnoredPath,
+  matchesIgnorePattern
+};
@@ -0,0 +1,729 @@
+/**
+ * Job Queue Service
+ *
+ * Scans, organizes, plan executions, batch reverts, library verifications and
+ * duplicate resolutions run as jobs
+ * stored in the jobs table, one at a time in the order they were queued.
+ * Because jobs are persisted, a queue like "scan A, scan B, then organize
+ * to C" survives a restart: jobs that were running are queued again and
+ * scans resume from their checkpoints.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { jobQueries, scanSessionQueries } from '../database/index.js';
+import { scanDirectory, cancelScan } from './scanner.js';
+import { organizeFiles, cancelOrganize, ORGANIZE_MODES } from './organizer.js';
+import { revertBatch } from './revert.js';
+import { verifyLibrary, cancelVerify } from './libraryVerifier.js';
+import { resolveDuplicates, assertResolveOptions } from './duplicateResolver.js';
+import { refreshSimilarGroups } from './duplicateDetector.js';
+import { queueThumbnailsForPath } from './thumbnailer.js';
+import { assertValidTemplate } from './pathTemplate.js';
+import { getProfile } from './organizeProfiles.js';
+import { createPlan, approvePlan, withdrawApproval, executePlan } from './plans.js';
+import { publish } from './events.js';
+import { httpError } from './httpError.js';
+
+export const JOB_TYPES = ['scan', 'organize', 'plan', 'revert', 'verify', 'resolve'];
+
+export const JOB_STATUSES = ['queued', 'running', 'paused', 'completed', 'failed', 'cancelled'];
+
+const JOB_HANDLERS = {
+  scan: runScanJob,
+  organize: runOrganizeJob,
+  plan: runPlanJob,
+  revert: runRevertJob,
+  verify: runVerifyJob,
+  resolve: runResolveJob
+};
+
+// Running jobs of these types can be stopped between files. Dry-run
+// organizes only write a plan and always run to the end.
+const STOPPABLE_TYPES = {
+  scan: cancelScan,
+  organize: cancelOrganize,
+  plan: cancelOrganize,
+  verify: cancelVerify
+};
+
+// The job being run and whether it was asked to pause or cancel
+let runningJob = null;
+
+// Resolves when the queue has no more queued jobs
+let queuePromise = null;
+
+/**
+ * Queue a scan
+ * @param {Object} params - Scan parameters
+ * @param {string} params.sourcePath - Folder to scan
+ * @param {boolean} [params.recursive] - Whether to scan subdirectories
+ * @param {boolean} [params.incremental] - Re-check known files for changes
+ * @returns {Object} - Job record
+ */
+export function enqueueScan({ sourcePath, recursive = true, incremental = false }) {
+  if (!sourcePath) {
+    throw httpError('sourcePath is required', 400);
+  }
+
+  // The session exists from the start so the scan can be tracked and resumed by ID
+  const session = scanSessionQueries.createSession().run({
+    source_path: sourcePath,
+    recursive: recursive ? 1 : 0,
+    incremental: incremental ? 1 : 0,
+    status: 'queued'
+  });
+
+  return enqueueJob('scan', {
+    sourcePath,
+    recursive: Boolean(recursive),
+    incremental: Boolean(incremental),
+    sessionId: Number(session.lastInsertRowid)
+  });
+}
+
+/**
+ * Queue the continuation of an interrupted or cancelled scan session. If a
+ * job for the session is already queued or paused, that job is used.
+ * @param {Object} session - Scan session record
+ * @returns {Object} - Job record
+ */
+export function enqueueScanResume(session) {
+  const existing = jobQueries.getUnfinishedScanJobForSession().get(session.id);
+  if (existing) {
+    return existing.status === 'paused' ? resumeJob(existing.id) : formatJob(existing);
+  }
+
+  return enqueueJob('scan', {
+    sourcePath: session.source_path,
+    recursive: session.recursive !== 0,
+    incremental: session.incremental === 1,
+    sessionId: session.id,
+    resume: true
+  });
+}
+
+/**
+ * Queue an organization
+ * @param {Object} params - Organize parameters
+ * @param {string} params.destinationPath - Base destination folder
+ * @param {boolean} [params.dryRun] - Only plan what would happen, for review (see plans.js)
+ * @param {number[]} [params.fileIds] - Specific files, or all pending files
+ * @param {string} [params.template] - Destination path template
+ * @param {number} [params.profileId] - Organize profile whose rules pick a template per file
+ * @param {string} [params.mode] - move, copy, hardlink or symlink
+ * @param {boolean} [params.verify] - Read copies back after writing; config.verifyAfterWrite if not given
+ * @returns {Object} - Job record
+ */
+export function enqueueOrganize({
+  destinationPath, dryRun = false, fileIds = null, template = null, profileId = null, mode = 'move', verify = null
+}) {
+  if (!destinationPath) {
+    throw httpError('destinationPath is required', 400);
+  }
+
+  if (!ORGANIZE_MODES.includes(mode)) {
+    throw httpError(`Invalid organize mode. Must be one of: ${ORGANIZE_MODES.join(', ')}`, 400);
+  }
+
+  assertValidTemplate(template);
+
+  if (profileId !== undefined && profileId !== null && !getProfile(profileId)) {
+    throw httpError(`Organize profile ${profileId} not found`, 400);
+  }
+
+  // Assigned up front so clients can match the job to its operations
+  return enqueueJob('organize', {
+    destinationPath,
+    dryRun: Boolean(dryRun),
+    fileIds: fileIds || null,
+    template: template || null,
+    profileId: profileId ?? null,
+    mode,
+    verify: typeof verify === 'boolean' ? verify : null,
+    batchId: uuidv4()
+  });
+}
+
+/**
+ * Approve a plan and queue its execution
+ * @param {number} planId - Plan to execute
+ * @returns {Object} - Job record
+ */
+export function enqueuePlan(planId) {
+  if (!planId) {
+    throw httpError('planId is required', 400);
+  }
+
+  // The batch is the plan's, so a continued execution logs into the same one
+  const plan = approvePlan(planId);
+  return enqueueJob('plan', { planId: plan.id, batchId: plan.batchId });
+}
+
+/**
+ * Queue a batch revert
+ * @param {string} batchId - Batch to revert
+ * @returns {Object} - Job record
+ */
+export function enqueueRevert(batchId) {
+  if (!batchId) {
+    throw httpError('batchId is required', 400);
+  }
+
+  return enqueueJob('revert', { batchId });
+}
+
+/**
+ * Queue a library verification
+ * @param {Object} params - Verify parameters
+ * @param {number[]} [params.fileIds] - Specific files, or every organized file
+ * @returns {Object} - Job record
+ */
+export function enqueueVerify({ fileIds = null } = {}) {
+  if (fileIds !== null && !Array.isArray(fileIds)) {
+    throw httpError('fileIds must be an array', 400);
+  }
+
+  return enqueueJob('verify', { fileIds });
+}
+
+/**
+ * Queue a duplicate resolution
+ * @param {Object} params - Resolve options, see resolveDuplicates() in duplicateResolver.js
+ * @returns {Object} - Job record
+ */
+export function enqueueResolveDuplicates({
+  action, policies = ['oldest'], preferredFolder = null, quarantinePath = null, destinationPath = null,
+  hashes = null, keep = {}
+}) {
+  assertResolveOptions({ action, policies, preferredFolder, destinationPath, hashes });
+
+  // Assigned up front so clients can match the job to its operations
+  return enqueueJob('resolve', {
+    action,
+    policies,
+    preferredFolder,
+    quarantinePath,
+    destinationPath,
+    hashes,
+    keep: keep || {},
+    batchId: uuidv4()
+  });
+}
+
+/**
+ * Queue a job of any type
+ * @param {string} type - One of JOB_TYPES
+ * @param {Object} params - Parameters, see the enqueue function of the type
+ * @returns {Object} - Job record
+ */
+export function enqueue(type, params = {}) {
+  switch (type) {
+    case 'scan':
+      return enqueueScan(params);
+    case 'organize':
+      return enqueueOrganize(params);
+    case 'plan':
+      return enqueuePlan(params.planId);
+    case 'revert':
+      return enqueueRevert(params.batchId);
+    case 'verify':
+      return enqueueVerify(params);
+    case 'resolve':
+      return enqueueResolveDuplicates(params);
+    default:
+      throw httpError(`Invalid job type. Must be one of: ${JOB_TYPES.join(', ')}`, 400);
+  }
+}
+
+/**
+ * Get a job
+ * @param {number} id - Job ID
+ * @returns {Object|null} - Job with parsed params and result
+ */
+export function getJob(id) {
+  const job = jobQueries.getJobById().get(id);
+  return job ? formatJob(job) : null;
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} options - { status, limit, offset }
+ * @returns {Object} - { jobs, total }
+ */
+export function listJobs({ status = null, limit = 50, offset = 0 } = {}) {
+  const jobs = status
+    ? jobQueries.getJobsByStatus().all(status, limit, offset)
+    : jobQueries.getJobs().all(limit, offset);
+  const total = status
+    ? jobQueries.countJobsByStatus().get(status).count
+    : jobQueries.countJobs().get().count;
+
+  return { jobs: jobs.map(formatJob), total };
+}
+
+/**
+ * Get a job's log lines, oldest first
+ * @param {number} id - Job ID
+ * @param {Object} options - { limit, offset }
+ * @returns {Object} - { logs, total }
+ */
+export function getJobLogs(id, { limit = 200, offset = 0 } = {}) {
+  return {
+    logs: jobQueries.getLogs().all(id, limit, offset),
+    total: jobQueries.countLogs().get(id).count
+  };
+}
+
+/**
+ * Pause a job. Queued jobs are held back; running scans and organizes
+ * stop after the current file and continue from there when resumed.
+ * @param {number} id - Job ID
+ * @returns {Object} - Job record
+ */
+export function pauseJob(id) {
+  const job = requireJob(id);
+
+  if (job.status === 'queued') {
+    setJobStatus(job.id, 'paused');
+    logJob(job.id, 'info', 'Paused before starting');
+    return getJob(job.id);
+  }
+
+  if (job.status === 'running') {
+    requestStop(job, 'pause');
+    logJob(job.id, 'info', 'Pause requested; stopping after the current file');
+    return getJob(job.id);
+  }
+
+  throw httpError(`Job is ${job.status} and cannot be paused`, 400);
+}
+
+/**
+ * Put a paused job back in the queue
+ * @param {number} id - Job ID
+ * @returns {Object} - Job record
+ */
+export function resumeJob(id) {
+  const job = requireJob(id);
+
+  if (job.status !== 'paused') {
+    throw httpError(`Job is ${job.status} and cannot be resumed`, 400);
+  }
+
+  setJobStatus(job.id, 'queued');
+  logJob(job.id, 'info', 'Resumed');
+  setImmediate(processQueue);
+  return getJob(job.id);
+}
+
+/**
+ * Cancel a job. Running scans and organizes stop after the current file;
+ * work already done is kept (and organizes stay revertible).
+ * @param {number} id - Job ID
+ * @returns {Object} - Job record
+ */
+export function cancelJob(id) {
+  const job = requireJob(id);
+
+  if (['queued', 'paused'].includes(job.status)) {
+    if (job.type === 'scan') {
+      markSessionCancelled(JSON.parse(job.params_json).sessionId);
+    }
+    if (job.type === 'plan') {
+      withdrawApproval(JSON.parse(job.params_json).planId);
+    }
+    setJobStatus(job.id, 'cancelled', { completed: true });
+    logJob(job.id, 'info', 'Cancelled');
+    return getJob(job.id);
+  }
+
+  if (job.status === 'running') {
+    requestStop(job, 'cancel');
+    logJob(job.id, 'info', 'Cancellation requested; stopping after the current file');
+    return getJob(job.id);
+  }
+
+  throw httpError(`Job is ${job.status} and cannot be cancelled`, 400);
+}
+
+/**
+ * The job currently running, if any
+ * @returns {Object|null} - Job record
+ */
+export function getRunningJob() {
+  return runningJob ? getJob(runningJob.id) : null;
+}
+
+/**
+ * Queue jobs left running by a crash or restart again. Call once at
+ * startup, after markInterruptedScans().
+ * @returns {number} - Number of jobs requeued
+ */
+export function recoverJobs() {
+  const requeued = jobQueries.requeueRunningJobs().all();
+  for (const { id } of requeued) {
+    logJob(id, 'warn', 'Server restarted while running; queued again');
+  }
+
+  setImmediate(processQueue);
+  return requeued.length;
+}
+
+/**
+ * Run queued jobs until none are left. Safe to call at any time; only one
+ * runner is active.
+ * @returns {Promise<void>} - Resolves when the queue is empty
+ */
+export function processQueue() {
+  if (!queuePromise) {
+    queuePromise = drainQueue()
+      .catch(error => console.error('Job queue stopped:', error))
+      .finally(() => {
+        queuePromise = null;
+      });
+  }
+  return queuePromise;
+}
+
+/**
+ * Wait for the queue to run empty
+ * @returns {Promise<void>}
+ */
+export function waitForQueue() {
+  return queuePromise || Promise.resolve();
+}
+
+/**
+ * Run queued jobs one at a time
+ */
+async function drainQueue() {
+  let job;
+  while ((job = jobQueries.getNextQueuedJob().get())) {
+    await runJob(job);
+  }
+}
+
+/**
+ * Run one job and record its outcome
+ * @param {Object} job - Job record
+ */
+async function runJob(job) {
+  runningJob = { id: job.id, type: job.type, stopRequest: null };
+  jobQueries.markJobRunning().run(job.id);
+  logJob(job.id, 'info', 'Started');
+  publishJob(job.id);
+
+  try {
+    const params = JSON.parse(job.params_json || '{}');
+    const result = await JOB_HANDLERS[job.type](job, params);
+
+    let status = 'completed';
+    if (result?.status === 'cancelled') {
+      status = runningJob.stopRequest === 'pause' ? 'paused' : 'cancelled';
+    }
+
+    setJobStatus(job.id, status, { result, completed: status !== 'paused' });
+    logJob(job.id, 'info', status === 'completed' ? 'Completed' : `Stopped (${status})`);
+  } catch (error) {
+    setJobStatus(job.id, 'failed', { error: error.message, completed: true });
+    logJob(job.id, 'error', error.message);
+  } finally {
+    runningJob = null;
+  }
+}
+
+/**
+ * Run a scan job. A paused or interrupted session continues from its
+ * checkpoints.
+ */
+async function runScanJob(job, params) {
+  const session = scanSessionQueries.getSession().get(params.sessionId);
+  const resume = Boolean(params.resume) || ['interrupted', 'cancelled'].includes(session?.status);
+  if (resume) {
+    logJob(job.id, 'info', `Resuming scan session ${params.sessionId}`);
+  }
+
+  const result = await scanDirectory(params.sourcePath, params.recursive !== false, params.sessionId, {
+    resume,
+    incremental: params.incremental
+  });
+
+  logJob(job.id, 'info', `Processed ${result.processedFiles} of ${result.totalFiles} files: ` +
+    `${result.newFiles} new, ${result.skippedFiles} skipped, ${result.errorFiles} errors`);
+
+  if (result.status === 'completed') {
+    queueThumbnailsForPath(params.sourcePath);
+
+    // Cluster similar images once here rather than on every request
+    const similar = refreshSimilarGroups();
+    logJob(job.id, 'info', `Found ${similar.totalGroups} clusters of similar images`);
+  }
+
+  return { ...result };
+}
+
+/**
+ * Run an organize job. A paused run continues in the same batch; files
+ * already moved are no longer pending and are not picked up again.
+ */
+async function runOrganizeJob(job, params) {
+  // Rules are read when the job starts, so edits made while it was queued apply
+  let profile = null;
+  if (params.profileId) {
+    profile = getProfile(params.profileId);
+    if (!profile) {
+      throw new Error(`Organize profile ${params.profileId} no longer exists`);
+    }
+  }
+
+  if (params.dryRun) {
+    return runDryRun(job, params, profile);
+  }
+
+  const result = await organizeFiles(params.destinationPath, false, params.fileIds, {
+    template: params.template,
+    profile,
+    // Jobs queued before modes existed always moved
+    mode: params.mode || 'move',
+    verify: params.verify ?? undefined,
+    batchId: params.batchId
+  });
+
+  const placed = { move: 'moved', copy: 'copied', hardlink: 'hard-linked', symlink: 'symlinked' }[result.mode];
+  logJob(job.id, 'info', `Processed ${result.processedFiles} of ${result.totalFiles} files: ` +
+    `${result.movedFiles} ${placed}, ${result.duplicateFiles} duplicates, ` +
+    `${result.skippedFiles} skipped, ${result.errorFiles} errors`);
+
+  // The per-file operations are in the operations table
+  const { operations, ...summary } = result;
+  return summary;
+}
+
+/**
+ * Run a dry run: store what organizing would do as a plan to review
+ */
+async function runDryRun(job, params, profile) {
+  const plan = await createPlan({
+    destinationPath: params.destinationPath,
+    fileIds: params.fileIds,
+    template: params.template,
+    profile,
+    mode: params.mode || 'move',
+    verify: params.verify
+  });
+
+  const { totalFiles, byAction, excludedFiles } = plan.summary;
+  const placed = byAction.move + byAction.collision_rename + byAction.no_date;
+  logJob(job.id, 'info', `Planned ${totalFiles} files as plan ${plan.id}: ${placed} to place ` +
+    `(${byAction.collision_rename} renamed, ${byAction.no_date} without a date), ` +
+    `${byAction.duplicate} duplicates, ${byAction.missing_source} missing`);
+
+  return { planId: plan.id, totalFiles, placedFiles: placed, excludedFiles, byAction };
+}
+
+/**
+ * Run a plan execution job. A paused execution continues in the same
+ * batch with the items not yet run.
+ */
+async function runPlanJob(job, params) {
+  const result = await executePlan(params.planId);
+
+  logJob(job.id, 'info', `Executed ${result.processedFiles} of ${result.totalFiles} plan items: ` +
+    `${result.movedFiles} placed, ${result.duplicateFiles} duplicates, ${result.skippedFiles} skipped, ` +
+    `${result.driftedFiles} changed since planning, ${result.errorFiles} errors`);
+
+  const { operations, ...summary } = result;
+  return summary;
+}
+
+/**
+ * Run a batch revert job
+ */
+async function runRevertJob(job, params) {
+  const result = await revertBatch(params.batchId);
+
+  logJob(job.id, 'info', `Reverted ${result.reverted} of ${result.totalOperations} operations: ` +
+    `${result.skipped} skipped, ${result.failed} failed`);
+  for (const { operationId, error } of result.errors) {
+    logJob(job.id, 'error', `Operation ${operationId}: ${error}`);
+  }
+
+  return result;
+}
+
+/**
+ * Run a library verification job
+ */
+async function runVerifyJob(job, params) {
+  const result = await verifyLibrary(params.fileIds);
+
+  logJob(job.id, 'info', `Verified ${result.processedFiles} of ${result.totalFiles} files: ` +
+    `${result.okFiles} ok, ${result.missingFiles} missing, ${result.modifiedFiles} modified, ` +
+    `${result.corruptedFiles} corrupted, ${result.errorFiles} errors`);
+
+  // The per-file results are in the files table
+  const { problems, ...summary } = result;
+  return summary;
+}
+
+/**
+ * Run a duplicate resolution job
+ */
+async function runResolveJob(job, params) {
+  const result = await resolveDuplicates({
+    ...params,
+    quarantinePath: params.quarantinePath ?? undefined
+  });
+
+  logJob(job.id, 'info', `Resolved ${result.filesResolved} duplicates in ${result.groupsProcessed} groups: ` +
+    `${result.skipped} skipped, ${result.failed} failed`);
+  for (const { fileId, hash, error } of result.errors) {
+    logJob(job.id, 'error', `${fileId ? `File ${fileId}` : `Group ${hash}`}: ${error}`);
+  }
+
+  // The per-file operations are in the operations table
+  const { plan, ...summary } = result;
+  return summary;
+}
+
+/**
+ * Ask the running job to stop after the current file
+ * @param {Object} job - Job record
+ * @param {string} stopRequest - 'pause' or 'cancel'
+ */
+function requestStop(job, stopRequest) {
+  const dryRun = job.type === 'organize' && JSON.parse(job.params_json || '{}').dryRun;
+  const stop = dryRun ? null : STOPPABLE_TYPES[job.type];
+  if (!stop || runningJob?.id !== job.id) {
+    throw httpError(`Running ${dryRun ? 'dry-run organize' : job.type} jobs cannot be stopped`, 409);
+  }
+
+  // False when the run is already stopping or finishing
+  if (!stop()) {
+    throw httpError(`The ${job.type} job is not at a point where it can be stopped`, 409);
+  }
+  runningJob.stopRequest = stopRequest;
+}
+
+/**
+ * Close the session of a scan job that is cancelled before it finishes.
+ * Sessions that already made progress keep it and can still be resumed.
+ * @param {number} sessionId - Scan session ID
+ */
+function markSessionCancelled(sessionId) {
+  const session = scanSessionQueries.getSession().get(sessionId);
+  if (!session || !['queued', 'interrupted'].includes(session.status)) {
+    return;
+  }
+
+  scanSessionQueries.updateSession().run({
+    id: session.id,
+    total_files: session.total_files,
+    processed_files: session.processed_files,
+    status: 'cancelled',
+    completed_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Update a job's status and notify listeners
+ * @param {number} id - Job ID
+ * @param {string} status - New status
+ * @param {Object} details - { result, error, completed }
+ */
+function setJobStatus(id, status, { result = null, error = null, completed = false } = {}) {
+  jobQueries.updateJobStatus().run({
+    id,
+    status,
+    result_json: result ? JSON.stringify(result) : null,
+    error_message: error,
+    completed: completed ? 1 : 0
+  });
+  publishJob(id);
+}
+
+/**
+ * Publish a job's current state
+ * @param {number} id - Job ID
+ */
+function publishJob(id) {
+  publish('jobs', getJob(id), { force: true });
+}
+
+/**
+ * Append a line to a job's log
+ * @param {number} jobId - Job ID
+ * @param {string} level - info, warn or error
+ * @param {string} message - Log message
+ */
+function logJob(jobId, level, message) {
+  try {
+    jobQueries.insertLog().run({ job_id: jobId, level, message });
+  } catch (error) {
+    console.error('Failed to log job message:', error);
+  }
+}
+
+/**
+ * Get a job or throw a 404 error
+ * @param {number} id - Job ID
+ * @returns {Object} - Job record
+ */
+function requireJob(id) {
+  const job = jobQueries.getJobById().get(id);
+  if (!job) {
+    throw httpError('Job not found', 404);
+  }
+  return job;
+}
+
+/**
+ * Parse a job record's JSON columns
+ * @param {Object} job - Job record
+ * @returns {Object} - Job with params and result objects
+ */
+function formatJob(job) {
+  const { params_json, result_json, ...rest } = job;
+  return {
+    ...rest,
+    params: params_json ? JSON.parse(params_json) : {},
+    result: result_json ? JSON.parse(result_json) : null
+  };
+}
+
+/**
+ * Add a job to the queue and start the runner
+ */
+function enqueueJob(type, params) {
+  const result = jobQueries.insertJob().run({ type, params_json: JSON.stringify(params) });
+  const id = Number(result.lastInsertRowid);
+  logJob(id, 'info', 'Queued');
+  publishJob(id);
+
+  // Start after the caller has had a chance to respond
+  setImmediate(processQueue);
+  return getJob(id);
+}
+
+export default {
+  JOB_TYPES,
+  JOB_STATUSES,
+  enqueue,
+  enqueueScan,
+  enqueueScanResume,
+  enqueueOrganize,
+  enqueuePlan,
+  enqueueRevert,
+  enqueueVerify,
+  enqueueResolveDuplicates,
+  getJob,
+  listJobs,
+  getJobLogs,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+  getRunningJob,
+  recoverJobs,
+  processQueue,
+  waitForQueue
+};
@@ -0,0 +1,190 @@
+/**
+ * Library Verifier
+ *
+ * Re-hashes organized files where they are now and compares the result
+ * with the hash recorded when they were scanned. A file whose content
+ * changed while its size and modification time stayed the same has rotted
+ * on disk ('corrupted'); one whose size or modification time changed too
+ * was edited ('modified'). Every check stores files.verified_at and
+ * files.verify_result.
+ */
+
+import fs from 'fs/promises';
+import { getDatabase, fileQueries } from '../database/index.js';
+import { calculateHash } from './hasher.js';
+import { publish, getProgressRates } from './events.js';
+
+export const VERIFY_RESULTS = ['ok', 'missing', 'modified', 'corrupted'];
+
+// Files listed in the status of a run; the full list is in the files table
+const MAX_REPORTED_PROBLEMS = 100;
+
+// Verify status tracking
+let currentVerifyStatus = null;
+
+// Set by cancelVerify(), checked between files
+let verifyCancelRequested = false;
+
+/**
+ * Get the status of the running or last verification
+ * @returns {Object|null} - Current status or null
+ */
+export function getVerifyStatus() {
+  return currentVerifyStatus;
+}
+
+/**
+ * Request cancellation of the running verification; files already checked keep their result
+ * @returns {boolean} - True if a running verification was asked to stop
+ */
+export function cancelVerify() {
+  if (!currentVerifyStatus || currentVerifyStatus.status !== 'in_progress') {
+    return false;
+  }
+
+  verifyCancelRequested = true;
+  currentVerifyStatus.status = 'cancelling';
+  publishProgress(true);
+  return true;
+}
+
+/**
+ * Verify organized files against their recorded hashes
+ * @param {number[]|null} fileIds - Specific files, or null for every moved file
+ * @returns {Promise<Object>} - Verification results
+ */
+export async function verifyLibrary(fileIds = null) {
+  verifyCancelRequested = false;
+
+  currentVerifyStatus = {
+    status: 'in_progress',
+    totalFiles: 0,
+    processedFiles: 0,
+    okFiles: 0,
+    missingFiles: 0,
+    modifiedFiles: 0,
+    corruptedFiles: 0,
+    errorFiles: 0,
+    currentFile: null,
+    startedAt: new Date().toISOString(),
+    problems: []
+  };
+
+  try {
+    let files;
+    if (fileIds && fileIds.length > 0) {
+      const placeholders = fileIds.map(() => '?').join(',');
+      files = getDatabase().prepare(`
+        SELECT * FROM files WHERE id IN (${placeholders}) AND status = 'moved'
+      `).all(...fileIds);
+    } else {
+      files = fileQueries.getFilesByStatus().all('moved');
+    }
+
+    currentVerifyStatus.totalFiles = files.length;
+    publishProgress(true);
+
+    for (const file of files) {
+      if (verifyCancelRequested) break;
+      currentVerifyStatus.currentFile = file.current_path;
+
+      try {
+        const result = await verifyFile(file);
+        fileQueries.updateVerification().run({
+          id: file.id,
+          verified_at: new Date().toISOString(),
+          verify_result: result
+        });
+
+        currentVerifyStatus[`${result}Files`]++;
+        if (result !== 'ok' && currentVerifyStatus.problems.length < MAX_REPORTED_PROBLEMS) {
+          currentVerifyStatus.problems.push({ fileId: file.id, path: file.current_path, result });
+        }
+      } catch (error) {
+        // Unreadable files keep their last result
+        currentVerifyStatus.errorFiles++;
+        if (currentVerifyStatus.problems.length < MAX_REPORTED_PROBLEMS) {
+          currentVerifyStatus.problems.push({ fileId: file.id, path: file.current_path, result: 'error', error: error.message });
+        }
+      }
+
+      currentVerifyStatus.processedFiles++;
+      publishProgress();
+    }
+
+    currentVerifyStatus.status = verifyCancelRequested ? 'cancelled' : 'completed';
+    currentVerifyStatus.completedAt = new Date().toISOString();
+    currentVerifyStatus.currentFile = null;
+    publishProgress(true);
+
+    return currentVerifyStatus;
+  } catch (error) {
+    currentVerifyStatus.status = 'error';
+    currentVerifyStatus.error = error.message;
+    publishProgress(true);
+    throw error;
+  }
+}
+
+/**
+ * Check one organized file
+ * @param {Object} file - File record
+ * @returns {Promise<string>} - One of VERIFY_RESULTS
+ */
+export async function verifyFile(file) {
+  let stats;
+  try {
+    stats = await fs.stat(file.current_path);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 'missing';
+    throw error;
+  }
+
+  if (await calculateHash(file.current_path) === file.hash_sha256) {
+    return 'ok';
+  }
+
+  const touched = stats.size !== file.size || stats.mtime.toISOString() !== file.modified_at;
+  return touched ? 'modified' : 'corrupted';
+}
+
+/**
+ * Organized files whose last check found a problem
+ * @param {Object} options - Paging options
+ * @param {number} [options.limit] - Page size
+ * @param {number} [options.offset] - Rows to skip
+ * @returns {Object} - { files, counts: { missing, modified, corrupted }, total }
+ */
+export function getVerifyProblems({ limit = 100, offset = 0 } = {}) {
+  const counts = { missing: 0, modified: 0, corrupted: 0 };
+  for (const { verify_result, count } of fileQueries.countVerifyProblems().all()) {
+    counts[verify_result] = count;
+  }
+
+  return {
+    files: fileQueries.getVerifyProblems().all({ limit, offset }),
+    counts,
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0)
+  };
+}
+
+/**
+ * Publish the verify status with throughput and ETA
+ * @param {boolean} force - Send even if progress was published moments ago
+ */
+function publishProgress(force = false) {
+  const { problems, ...status } = currentVerifyStatus;
+  publish('verify', {
+    ...status,
+    ...getProgressRates(status.startedAt, status.processedFiles, status.totalFiles)
+  }, { force });
+}
+
+export default {
+  VERIFY_RESULTS,
+  getVerifyStatus,
+  cancelVerify,
+  verifyLibrary,
+  verifyFile,
+  getVerifyProblems
+};
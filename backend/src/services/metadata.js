@@ -3,6 +3,14 @@ import path from 'path';
 import exifr from 'exifr';
 import { fileTypeFromFile } from 'file-type';
 import config from '../config.js';
+import { isIgnoredPath } from './ignoreRules.js';
+import { extractVideoMetadata } from './videoMetadata.js';
+import { extractFilenameDate } from './filenameDates.js';
+import { formatServerLocalDate } from './timezone.js';
+
+// Apple maker notes: "Apple iOS\0", a version, then a big-endian IFD with offsets from the note's start
+const APPLE_MAKER_NOTE_HEADER = 'Apple iOS\0';
+const APPLE_CONTENT_IDENTIFIER_TAG = 0x0011;
 
 /**
  * Extract EXIF metadata from an image file
@@ -18,15 +26,31 @@ export async function extractExif(filePath) {
         'CreateDate',
         'ModifyDate',
         'DateTimeDigitized',
+        'OffsetTimeOriginal',
+        'OffsetTimeDigitized',
+        'OffsetTime',
         'GPSLatitude',
+        'GPSLatitudeRef',
         'GPSLongitude',
+        'GPSLongitudeRef',
         'Make',
         'Model',
         'ImageWidth',
         'ImageHeight',
-        'Orientation'
-      ]
+        'Orientation',
+        'MakerNote'
+      ],
+      // Kept raw; only the Live Photo content identifier is read from it
+      makerNote: true
     });
+
+    if (exif?.makerNote) {
+      const contentIdentifier = parseAppleContentIdentifier(exif.makerNote);
+      delete exif.makerNote;
+      if (contentIdentifier) {
+        exif.ContentIdentifier = contentIdentifier;
+      }
+    }
     return exif;
   } catch (error) {
     // File may not have EXIF data or be unsupported
@@ -34,6 +58,33 @@ export async function extractExif(filePath) {
   }
 }
 
+/**
+ * Read the Live Photo content identifier from an Apple maker note; the paired video carries the same one
+ * @param {Uint8Array} makerNote - Raw maker note
+ * @returns {string|null} - Identifier (a UUID), or null for other cameras
+ */
+export function parseAppleContentIdentifier(makerNote) {
+  const buffer = Buffer.from(makerNote.buffer, makerNote.byteOffset, makerNote.byteLength);
+  if (buffer.length < 16 || buffer.toString('latin1', 0, APPLE_MAKER_NOTE_HEADER.length) !== APPLE_MAKER_NOTE_HEADER) {
+    return null;
+  }
+
+  const count = buffer.readUInt16BE(14);
+  for (let i = 0; i < count; i++) {
+    const entry = 16 + i * 12;
+    if (entry + 12 > buffer.length) break;
+    if (buffer.readUInt16BE(entry) !== APPLE_CONTENT_IDENTIFIER_TAG) continue;
+
+    // An ASCII string, stored after the IFD when longer than four bytes
+    const length = buffer.readUInt32BE(entry + 4);
+    const offset = length <= 4 ? entry + 8 : buffer.readUInt32BE(entry + 8);
+    if (buffer.readUInt16BE(entry + 2) !== 2 || offset + length > buffer.length) return null;
+    return buffer.toString('latin1', offset, offset + length).replace(/\0+$/, '') || null;
+  }
+
+  return null;
+}
+
 /**
  * Get file system metadata
  * @param {string} filePath - Path to the file
@@ -107,6 +158,15 @@ export async function extractAllMetadata(filePath) {
     exifData = await extractExif(filePath);
   }
 
+  // Read container metadata for videos
+  let videoData = null;
+  if (typeInfo.category === 'video') {
+    videoData = await extractVideoMetadata(filePath);
+  }
+
+  const filenameDate = extractFilenameDate(filename);
+  const exifCapture = extractExifCaptureTime(exifData);
+
   // Build metadata object
   const metadata = {
     filename,
@@ -118,7 +178,15 @@ export async function extractAllMetadata(filePath) {
     createdAt: stats.createdAt?.toISOString(),
     modifiedAt: stats.modifiedAt?.toISOString(),
     exif: exifData,
-    exifDate: extractExifDate(exifData)
+    exifDate: extractExifDate(exifData),
+    exifLocalDate: exifCapture?.localDate || null,
+    exifOffset: exifCapture?.offset || null,
+    video: videoData,
+    videoDate: videoData?.creationDate || null,
+    videoOffset: videoData?.utcOffset || null,
+    filenameDate: filenameDate?.date || null,
+    filenameLocalDate: filenameDate?.localDate || null,
+    gps: extractLocation(exifData, videoData)
   };
 
   return metadata;
@@ -158,6 +226,70 @@ export function extractExifDate(exifData) {
   return null;
 }
 
+/**
+ * Extract the capture-local time of the best EXIF date and its offset
+ * @param {Object|null} exifData - EXIF data object
+ * @returns {Object|null} - { localDate: "YYYY-MM-DDTHH:MM:SS", offset: "+09:00" or null } or null
+ */
+export function extractExifCaptureTime(exifData) {
+  if (!exifData) return null;
+
+  // Same priority as extractExifDate, each with the offset tag that belongs to it
+  const dateFields = [
+    ['DateTimeOriginal', 'OffsetTimeOriginal'],
+    ['CreateDate', 'OffsetTimeDigitized'],
+    ['DateTimeDigitized', 'OffsetTimeDigitized'],
+    ['ModifyDate', 'OffsetTime']
+  ];
+
+  for (const [field, offsetField] of dateFields) {
+    const localDate = toLocalDateString(exifData[field]);
+    if (localDate) {
+      const offset = typeof exifData[offsetField] === 'string' ? exifData[offsetField].trim() : null;
+      return { localDate, offset: offset || null };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get GPS coordinates from EXIF, or from the video container
+ * @param {Object|null} exifData - EXIF data object
+ * @param {Object|null} videoData - Video metadata
+ * @returns {Object|null} - { latitude, longitude } or null
+ */
+function extractLocation(exifData, videoData) {
+  if (Number.isFinite(exifData?.latitude) && Number.isFinite(exifData?.longitude)) {
+    return { latitude: exifData.latitude, longitude: exifData.longitude };
+  }
+  if (videoData?.location) {
+    return { latitude: videoData.location.latitude, longitude: videoData.location.longitude };
+  }
+  return null;
+}
+
+/**
+ * Get the wall-clock time of an EXIF date value
+ * @param {Date|string} value - Date revived by exifr (built from local components) or raw string
+ * @returns {string|null} - "YYYY-MM-DDTHH:MM:SS" or null
+ */
+function toLocalDateString(value) {
+  if (value instanceof Date && !isNaN(value.getTime())) {
+    return formatServerLocalDate(value);
+  }
+
+  if (typeof value === 'string') {
+    const match = value.match(/^(\d{4}):(\d{2}):(\d{2})\s+(\d{2}):(\d{2}):(\d{2})/);
+    if (match) {
+      const [, year, month, day, hour, minute, second] = match;
+      return `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+    }
+  }
+
+  return null;
+}
+
 /**
  * Parse EXIF date string format
  * @param {string} dateStr - Date string in EXIF format
@@ -206,15 +338,21 @@ export function shouldSkipFile(filename, dirPath) {
     return true;
   }
 
+  // Skip user-defined ignore patterns
+  if (dirPath && isIgnoredPath(path.join(dirPath, filename))) {
+    return true;
+  }
+
   return false;
 }
 
 /**
  * Check if a directory should be skipped during scanning
  * @param {string} dirname - Name of the directory
+ * @param {string} [parentPath] - Path of the containing directory
  * @returns {boolean} - True if the directory should be skipped
  */
-export function shouldSkipDirectory(dirname) {
+export function shouldSkipDirectory(dirname, parentPath) {
   // Skip hidden directories
   if (dirname.startsWith('.')) {
     return true;
@@ -225,6 +363,11 @@ export function shouldSkipDirectory(dirname) {
     return true;
   }
 
+  // Skip user-defined ignore patterns
+  if (isIgnoredPath(parentPath ? path.join(parentPath, dirname) : dirname)) {
+    return true;
+  }
+
   return false;
 }
 
@@ -235,6 +378,8 @@ export default {
   getFileTypeInfo,
   extractAllMetadata,
   extractExifDate,
+  extractExifCaptureTime,
+  parseAppleContentIdentifier,
   shouldSkipFile,
   shouldSkipDirectory
 };
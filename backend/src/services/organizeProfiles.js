@@ -0,0 +1,314 @@
+/**
+ * Organize Profiles Service
+ *
+ * A profile is a named, ordered list of rules. Each rule has conditions on
+ * the file and the path template to use when they all hold, e.g.
+ * { name: 'Drone', match: { make: 'DJI' }, template: 'Drone/{year}-{month}' }.
+ * The first matching rule decides where a file goes; files no rule matches
+ * use the profile's template, or the template of the run.
+ */
+
+import path from 'path';
+import { profileQueries } from '../database/index.js';
+import { validateTemplate, renderDestinationPath } from './pathTemplate.js';
+import { globToRegExp } from './ignoreRules.js';
+import { httpError } from './httpError.js';
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+/**
+ * Conditions a rule can have. Text conditions take one value or a list of
+ * which any may match, and ignore case.
+ */
+const RULE_FIELDS = {
+  category: { description: 'File category: image, video, document or other', kind: 'text' },
+  extension: { description: 'File extension without the dot, e.g. ["png", "gif"]', kind: 'text' },
+  filename: { description: 'Filename glob, e.g. "Screenshot*"', kind: 'glob' },
+  make: { description: 'Camera make from EXIF or video metadata, e.g. "DJI"', kind: 'text' },
+  model: { description: 'Camera model from EXIF or video metadata', kind: 'text' },
+  dateSource: { description: 'Where the resolved date came from (exif, filename, modified, ...)', kind: 'text' },
+  minSize: { description: 'Smallest size, in bytes or as "500MB"', kind: 'size' },
+  maxSize: { description: 'Largest size, in bytes or as "1GB"', kind: 'size' }
+};
+
+/**
+ * Get the list of conditions rules can use
+ * @returns {Object[]} - Array of { field, description }
+ */
+export function getRuleFields() {
+  return Object.entries(RULE_FIELDS).map(([field, { description }]) => ({ field, description }));
+}
+
+/**
+ * Validate a profile
+ * @param {Object} profile - { name, template, rules }
+ * @returns {Object} - { valid: boolean, errors: string[] }
+ */
+export function validateProfile(profile) {
+  const errors = [];
+
+  if (typeof profile?.name !== 'string' || profile.name.trim() === '') {
+    errors.push('Profile name is required');
+  }
+
+  if (profile?.template !== undefined && profile.template !== null) {
+    for (const error of validateTemplate(profile.template).errors) {
+      errors.push(`Template: ${error}`);
+    }
+  }
+
+  if (!Array.isArray(profile?.rules)) {
+    errors.push('rules must be an array');
+    return { valid: false, errors };
+  }
+
+  profile.rules.forEach((rule, index) => {
+    const label = `Rule ${index + 1}`;
+
+    if (typeof rule?.name !== 'string' || rule.name.trim() === '') {
+      errors.push(`${label}: name is required`);
+    }
+
+    for (const error of validateTemplate(rule?.template).errors) {
+      errors.push(`${label}: ${error}`);
+    }
+
+    if (rule?.match === undefined || rule.match === null) return;
+    if (typeof rule.match !== 'object' || Array.isArray(rule.match)) {
+      errors.push(`${label}: match must be an object`);
+      return;
+    }
+
+    for (const [field, value] of Object.entries(rule.match)) {
+      const definition = RULE_FIELDS[field];
+      if (!definition) {
+        errors.push(`${label}: unknown condition "${field}"`);
+      } else if (definition.kind === 'size') {
+        if (parseSize(value) === null) {
+          errors.push(`${label}: ${field} must be a size such as 1073741824 or "1GB"`);
+        }
+      } else {
+        const values = Array.isArray(value) ? value : [value];
+        if (values.length === 0 || values.some(v => typeof v !== 'string' || v.trim() === '')) {
+          errors.push(`${label}: ${field} must be a non-empty string or a list of them`);
+        }
+      }
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * List the stored profiles
+ * @returns {Object[]} - Profiles
+ */
+export function listProfiles() {
+  return profileQueries.getProfiles().all().map(formatProfile);
+}
+
+/**
+ * Get a stored profile
+ * @param {number} id - Profile ID
+ * @returns {Object|null} - Profile or null
+ */
+export function getProfile(id) {
+  const row = profileQueries.getProfileById().get(id);
+  return row ? formatProfile(row) : null;
+}
+
+/**
+ * Validate and store a new profile
+ * @param {Object} profile - { name, template, rules }
+ * @returns {Object} - Stored profile
+ */
+export function createProfile(profile) {
+  const cleaned = cleanProfile(profile);
+  if (profileQueries.getProfileByName().get(cleaned.name)) {
+    throw httpError(`A profile named "${cleaned.name}" already exists`, 409);
+  }
+
+  const result = profileQueries.insertProfile().run(cleaned);
+  return getProfile(result.lastInsertRowid);
+}
+
+/**
+ * Validate and replace a stored profile
+ * @param {number} id - Profile ID
+ * @param {Object} profile - { name, template, rules }
+ * @returns {Object} - Updated profile
+ */
+export function updateProfile(id, profile) {
+  if (!profileQueries.getProfileById().get(id)) {
+    throw httpError('Profile not found', 404);
+  }
+
+  const cleaned = cleanProfile(profile);
+  const sameName = profileQueries.getProfileByName().get(cleaned.name);
+  if (sameName && sameName.id !== Number(id)) {
+    throw httpError(`A profile named "${cleaned.name}" already exists`, 409);
+  }
+
+  profileQueries.updateProfile().run({ id, ...cleaned });
+  return getProfile(id);
+}
+
+/**
+ * Delete a stored profile. Queued organize jobs using it fail when they start.
+ * @param {number} id - Profile ID
+ * @returns {boolean} - True if a profile was deleted
+ */
+export function deleteProfile(id) {
+  return profileQueries.deleteProfile().run(id).changes > 0;
+}
+
+/**
+ * Find the first rule whose conditions all hold for a file
+ * @param {Object} file - File record from database
+ * @param {Object[]} rules - Profile rules, in order
+ * @returns {Object|null} - { rule, index } or null if none matches
+ */
+export function selectRule(file, rules = []) {
+  const facts = getFileFacts(file);
+  const index = rules.findIndex(rule => matchesRule(facts, rule));
+  return index === -1 ? null : { rule: rules[index], index };
+}
+
+/**
+ * Render where a file goes, by the first matching rule of the profile
+ * @param {string} destinationBase - Base destination folder
+ * @param {Object} file - File record from database
+ * @param {Object} options - Organize options
+ * @param {Object} [options.profile] - Profile whose rules apply
+ * @param {string} [options.template] - Template for files no rule matches in a profile without one
+ * @returns {Object} - { destinationPath, rule: name of the matched rule or null }
+ */
+export function resolveDestination(destinationBase, file, options = {}) {
+  const match = options.profile ? selectRule(file, options.profile.rules) : null;
+  const template = match?.rule.template || options.profile?.template || options.template || null;
+
+  return {
+    destinationPath: renderDestinationPath(destinationBase, template, file),
+    rule: match?.rule.name || null
+  };
+}
+
+/**
+ * Check a rule against the facts of a file
+ * @param {Object} facts - From getFileFacts()
+ * @param {Object} rule - Profile rule
+ * @returns {boolean}
+ */
+function matchesRule(facts, rule) {
+  return Object.entries(rule.match || {}).every(([field, value]) => {
+    switch (RULE_FIELDS[field]?.kind) {
+      case 'glob':
+        return toList(value).some(glob => new RegExp(globToRegExp(glob).source, 'i').test(facts[field]));
+      case 'size':
+        return field === 'minSize' ? facts.size >= parseSize(value) : facts.size <= parseSize(value);
+      case 'text':
+        return facts[field] !== null && toList(value).some(v => v.trim().toLowerCase() === facts[field]);
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * The values of a file that rules are checked against, lowercased
+ * @param {Object} file - File record from database
+ * @returns {Object}
+ */
+function getFileFacts(file) {
+  let metadata = {};
+  if (file.metadata_json) {
+    try {
+      metadata = JSON.parse(file.metadata_json) || {};
+    } catch (e) {
+      metadata = {};
+    }
+  }
+
+  const lower = (value) => (typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null);
+  return {
+    category: metadata.category || 'other',
+    extension: (file.extension || path.extname(file.filename)).replace(/^\./, '').toLowerCase() || null,
+    filename: file.filename,
+    make: lower(metadata.exif?.Make || metadata.video?.make),
+    model: lower(metadata.exif?.Model || metadata.video?.model),
+    dateSource: lower(file.date_source),
+    size: file.size
+  };
+}
+
+/**
+ * Parse a size condition
+ * @param {number|string} value - Bytes, or a number with a unit such as "1.5GB"
+ * @returns {number|null} - Bytes, or null if the value isn't a size
+ */
+function parseSize(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?b)?$/i);
+  if (!match) return null;
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * @param {string|string[]} value - One value or a list
+ * @returns {string[]}
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validate a profile and shape it for storage
+ * @param {Object} profile - { name, template, rules }
+ * @returns {Object} - { name, template, rules_json }
+ */
+function cleanProfile(profile) {
+  const validation = validateProfile(profile);
+  if (!validation.valid) {
+    const error = httpError(`Invalid profile: ${validation.errors.join('; ')}`, 400);
+    error.errors = validation.errors;
+    throw error;
+  }
+
+  const rules = profile.rules.map(rule => ({
+    name: rule.name.trim(),
+    match: rule.match || {},
+    template: rule.template
+  }));
+
+  return { name: profile.name.trim(), template: profile.template || null, rules_json: JSON.stringify(rules) };
+}
+
+/**
+ * Turn a database row into a profile
+ * @param {Object} row - organize_profiles row
+ * @returns {Object}
+ */
+function formatProfile(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    template: row.template,
+    rules: JSON.parse(row.rules_json),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export default {
+  getRuleFields,
+  validateProfile,
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  selectRule,
+  resolveDestination
+};
@@ -1,13 +1,54 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import { getDatabase, fileQueries, operationQueries, errorQueries } from '../database/index.js';
-import { generateDestinationPath, extractDateComponents } from './dateResolver.js';
+import { getDatabase, fileQueries, operationQueries, errorQueries, planQueries } from '../database/index.js';
 import { checkForExistingDuplicate } from './duplicateDetector.js';
+import { WEAK_DATE_SOURCES } from './dateResolver.js';
+import { resolveDestination } from './organizeProfiles.js';
+import { assertValidTemplate } from './pathTemplate.js';
+import { getOrganizeUnits, getCompanionFilename } from './companions.js';
+import { moveFile, copyFile, fileExists } from './fileOperations.js';
+import { publish, getProgressRates } from './events.js';
+import { httpError } from './httpError.js';
+import config from '../config.js';
+
+/**
+ * How files get to their destination. Only move takes a file away from its
+ * source folder; copy and the links leave the source untouched.
+ */
+export const ORGANIZE_MODES = ['move', 'copy', 'hardlink', 'symlink'];
+
+// What each mode logs; revert.js undoes each operation type its own way
+const MODE_OPERATIONS = {
+  move: { operationType: 'move', action: 'moved', reason: 'File moved successfully', companionReason: 'Moved with' },
+  copy: { operationType: 'copy', action: 'copied', reason: 'File copied successfully', companionReason: 'Copied with' },
+  hardlink: { operationType: 'link', action: 'linked', reason: 'File hard-linked successfully', companionReason: 'Linked with' },
+  symlink: { operationType: 'symlink', action: 'symlinked', reason: 'File symlinked successfully', companionReason: 'Symlinked with' }
+};
+
+/**
+ * What a preview reports for each file. Files without a capture date of
+ * their own are still placed, by their filesystem date or the date of the run.
+ */
+export const PREVIEW_ACTIONS = ['move', 'collision_rename', 'no_date', 'duplicate', 'missing_source'];
+
+// Preview actions that put a file in the destination
+export const PLACED_ACTIONS = ['move', 'collision_rename', 'no_date'];
+
+// Outcomes of plan items that leave the file where it was
+const UNPLACED_ITEM_STATUSES = ['skipped', 'drifted', 'failed'];
 
 // Organize status tracking
 let currentOrganizeStatus = null;
 
+// Set by cancelOrganize(), checked between files
+let organizeCancelRequested = false;
+
+// Recent previews by ID, oldest first, so their pages are served without working them out again
+const storedPreviews = new Map();
+const STORED_PREVIEW_LIMIT = 5;
+const STORED_PREVIEW_TTL_MS = 10 * 60 * 1000;
+
 /**
  * Get current organize status
  * @returns {Object|null} - Current status or null
@@ -16,74 +57,118 @@ export function getOrganizeStatus() {
   return currentOrganizeStatus;
 }
 
+/**
+ * Request cancellation of the running organization.
+ * The current file is finished first so every completed move stays logged
+ * in the batch and can be reverted.
+ * @returns {boolean} - True if a running organization was asked to stop
+ */
+export function cancelOrganize() {
+  if (!currentOrganizeStatus || currentOrganizeStatus.status !== 'in_progress') {
+    return false;
+  }
+
+  organizeCancelRequested = true;
+  currentOrganizeStatus.status = 'cancelling';
+  publishProgress(currentOrganizeStatus, true);
+  return true;
+}
+
 /**
  * Organize files into date-based folder structure
  * @param {string} destinationBase - Base destination folder
- * @param {boolean} dryRun - If true, don't actually move files
+ * @param {boolean} dryRun - If true, only report what would happen; nothing is moved or logged
  * @param {number[]|null} fileIds - Specific file IDs to organize, or null for all pending
+ * @param {Object} options - Additional options
+ * @param {string} [options.template] - Destination path template (see pathTemplate.js)
+ * @param {Object} [options.profile] - Organize profile whose rules pick a template per file
+ * @param {string} [options.mode] - One of ORGANIZE_MODES, 'move' by default
+ * @param {boolean} [options.verify] - Read copies back after writing, config.verifyAfterWrite by default
+ * @param {string} [options.batchId] - Batch ID to log under, e.g. to continue a paused run
  * @returns {Promise<Object>} - Organization results
  */
-export async function organizeFiles(destinationBase, dryRun = false, fileIds = null) {
-  const db = getDatabase();
-  const batchId = uuidv4();
+export async function organizeFiles(destinationBase, dryRun = false, fileIds = null, options = {}) {
+  const batchId = options.batchId || uuidv4();
+  organizeCancelRequested = false;
 
   // Initialize status
-  currentOrganizeStatus = {
+  const status = {
     batchId,
     destinationBase,
     dryRun,
+    template: options.template || null,
+    profile: options.profile?.name || null,
+    mode: options.mode || 'move',
     status: 'in_progress',
     totalFiles: 0,
     processedFiles: 0,
     movedFiles: 0,
+    verifiedFiles: 0,
     skippedFiles: 0,
     duplicateFiles: 0,
     errorFiles: 0,
+    currentFile: null,
     startedAt: new Date().toISOString(),
     operations: []
   };
+  currentOrganizeStatus = status;
 
   try {
-    // Get files to organize
-    let filesToOrganize;
-    if (fileIds && fileIds.length > 0) {
-      const placeholders = fileIds.map(() => '?').join(',');
-      filesToOrganize = db.prepare(`
-        SELECT * FROM files
-        WHERE id IN (${placeholders}) AND status = 'pending'
-      `).all(...fileIds);
-    } else {
-      filesToOrganize = fileQueries.getFilesByStatus().all('pending');
-    }
+    const filesToOrganize = getPendingFiles(fileIds);
 
-    currentOrganizeStatus.totalFiles = filesToOrganize.length;
+    // Companion files (RAW+JPEG, sidecars, Live Photo videos) travel with their primary
+    const units = getOrganizeUnits(filesToOrganize);
+    status.totalFiles = units.reduce((total, unit) => total + 1 + unit.companions.length, 0);
+    publishProgress(status, true);
 
     // Process each file
-    for (const file of filesToOrganize) {
-      await organizeFile(file, destinationBase, batchId, dryRun);
-      currentOrganizeStatus.processedFiles++;
+    for (const { file, companions } of units) {
+      if (organizeCancelRequested) break;
+      status.currentFile = file.current_path || file.original_path;
+      await organizeFile(status, file, destinationBase, batchId, dryRun, options, companions);
+      status.processedFiles += 1 + companions.length;
+      publishProgress(status);
     }
 
-    currentOrganizeStatus.status = 'completed';
-    currentOrganizeStatus.completedAt = new Date().toISOString();
+    status.status = organizeCancelRequested ? 'cancelled' : 'completed';
+    status.completedAt = new Date().toISOString();
+    status.currentFile = null;
+    publishProgress(status, true);
 
-    return currentOrganizeStatus;
+    return status;
   } catch (error) {
-    currentOrganizeStatus.status = 'error';
-    currentOrganizeStatus.error = error.message;
+    status.status = 'error';
+    status.error = error.message;
+    publishProgress(status, true);
     throw error;
   }
 }
 
 /**
- * Organize a single file
+ * Publish the organize status with throughput and ETA. The list of
+ * operations is left out; it grows with every file.
+ * @param {Object} runStatus - Status of the run
+ * @param {boolean} force - Send even if progress was published moments ago
+ */
+function publishProgress(runStatus, force = false) {
+  const { operations, ...status } = runStatus;
+  publish('organize', {
+    ...status,
+    ...getProgressRates(status.startedAt, status.processedFiles, status.totalFiles)
+  }, { force });
+}
+
+/**
+ * Organize a single file together with its companions
+ * @param {Object} status - Status of the run, counting what happened to the file
  * @param {Object} file - File record from database
  * @param {string} destinationBase - Base destination folder
  * @param {string} batchId - Batch ID for this operation
  * @param {boolean} dryRun - If true, don't actually move files
+ * @param {Object} options - Options passed to organizeFiles
+ * @param {Object[]} [companions] - Pending companion files that go next to this one
  */
-async function organizeFile(file, destinationBase, batchId, dryRun) {
-  const db = getDatabase();
+async function organizeFile(status, file, destinationBase, batchId, dryRun, options, companions = []) {
   const sourcePath = file.current_path || file.original_path;
 
   try {
@@ -91,8 +176,11 @@ async function organizeFile(file, destinationBase, batchId, dryRun) {
     try {
       await fs.access(sourcePath);
     } catch {
-      logOperation(batchId, file.id, 'skip', sourcePath, null, file.hash_sha256, 'Source file not found');
-      currentOrganizeStatus.skippedFiles++;
+      if (!dryRun) {
+        logOperation(batchId, file.id, 'skip', sourcePath, null, file.hash_sha256, 'Source file not found');
+      }
+      status.skippedFiles++;
+      await organizeEach(status, companions, destinationBase, batchId, dryRun, options);
       return;
     }
 
@@ -100,124 +188,276 @@ async function organizeFile(file, destinationBase, batchId, dryRun) {
     const existingDuplicate = checkForExistingDuplicate(file.hash_sha256, file.id);
     if (existingDuplicate) {
       // Mark as duplicate and skip
-      fileQueries.updateFile().run({
-        id: file.id,
-        current_path: file.current_path,
-        hash_sha256: file.hash_sha256,
-        hash_partial: file.hash_partial,
-        mime_type: file.mime_type,
-        exif_date: file.exif_date,
-        resolved_date: file.resolved_date,
-        date_source: file.date_source,
-        status: 'duplicate',
-        duplicate_of: existingDuplicate.id,
-        metadata_json: file.metadata_json
-      });
-      logOperation(batchId, file.id, 'duplicate', sourcePath, existingDuplicate.current_path,
-        file.hash_sha256, `Duplicate of file ${existingDuplicate.id}`);
-      currentOrganizeStatus.duplicateFiles++;
+      if (!dryRun) {
+        markDuplicate(file, existingDuplicate.id);
+        logOperation(batchId, file.id, 'duplicate', sourcePath, existingDuplicate.current_path,
+          file.hash_sha256, `Duplicate of file ${existingDuplicate.id}`);
+      }
+      status.duplicateFiles++;
+      await organizeEach(status, companions, destinationBase, batchId, dryRun, options);
       return;
     }
 
-    // Generate destination path
-    let destPath = generateDestinationPath(destinationBase, file.resolved_date, file.filename);
+    // Generate destination path, by the first profile rule that matches
+    const { destinationPath: destPath, rule } = resolveDestination(destinationBase, file, options);
 
-    // Handle filename collision
-    destPath = await handleCollision(destPath, file.hash_sha256);
+    // Handle filename collision, for the whole group at once
+    const [finalPath, ...companionPaths] = await handleCollision(destPath, file.hash_sha256,
+      (suffix) => companions.map(companion => getCompanionFilename(file, destPath, companion, suffix)));
 
+    const mode = options.mode || 'move';
+    const { operationType, action, reason } = MODE_OPERATIONS[mode];
     if (dryRun) {
-      // Log what would happen
-      logOperation(batchId, file.id, 'move', sourcePath, destPath, file.hash_sha256, 'Dry run - would move');
-      currentOrganizeStatus.movedFiles++;
-      currentOrganizeStatus.operations.push({
-        fileId: file.id,
-        source: sourcePath,
-        destination: destPath,
-        action: 'would_move'
+      // Only the status says what would happen; reviewable dry runs are plans (see plans.js)
+      recordMove(status, file, sourcePath, finalPath, `would_${mode}`, rule);
+    } else {
+      await placeFile(status, file, sourcePath, finalPath, mode, options);
+      markMoved(file, finalPath);
+
+      logOperation(batchId, file.id, operationType, sourcePath, finalPath, file.hash_sha256, reason);
+      recordMove(status, file, sourcePath, finalPath, action, rule);
+    }
+
+    for (let i = 0; i < companions.length; i++) {
+      await moveCompanion(status, companions[i], companionPaths[i], file, batchId, dryRun, options, rule);
+    }
+
+  } catch (error) {
+    status.errorFiles++;
+    logError(file.id, sourcePath, 'organize_error', error.message, error.stack,
+      {
+        destinationBase,
+        template: options.template || null,
+        profileId: options.profile?.id || null,
+        mode: options.mode || 'move'
       });
-      return;
+    if (!dryRun) {
+      logOperation(batchId, file.id, 'error', sourcePath, null, file.hash_sha256, error.message);
     }
+  }
+}
 
-    // Create destination directory
-    const destDir = path.dirname(destPath);
-    await fs.mkdir(destDir, { recursive: true });
+/**
+ * Organize files one by one, each by its own date. Used for the companions
+ * of a primary that is missing or a duplicate.
+ * @param {Object} status - Status of the run
+ * @param {Object[]} files - File records
+ * @param {string} destinationBase - Base destination folder
+ * @param {string} batchId - Batch ID for this operation
+ * @param {boolean} dryRun - If true, don't actually move files
+ * @param {Object} options - Options passed to organizeFiles
+ */
+async function organizeEach(status, files, destinationBase, batchId, dryRun, options) {
+  for (const file of files) {
+    await organizeFile(status, file, destinationBase, batchId, dryRun, options);
+  }
+}
 
-    // Move the file
-    await fs.rename(sourcePath, destPath);
+/**
+ * Move a companion next to its primary. Companions aren't checked for
+ * duplicates: an identical sidecar still belongs to its own photo.
+ * @param {Object} status - Status of the run
+ * @param {Object} companion - Companion file record
+ * @param {string} destPath - Destination beside the primary
+ * @param {Object} primary - Primary file record
+ * @param {string} batchId - Batch ID for this operation
+ * @param {boolean} dryRun - If true, don't actually move files
+ * @param {Object} options - Options passed to organizeFiles
+ * @param {string|null} rule - Profile rule that placed the primary
+ */
+async function moveCompanion(status, companion, destPath, primary, batchId, dryRun, options, rule) {
+  const sourcePath = companion.current_path || companion.original_path;
+  const mode = options.mode || 'move';
+  const { operationType, action, companionReason } = MODE_OPERATIONS[mode];
 
-    // Update database
-    fileQueries.updateFile().run({
-      id: file.id,
-      current_path: destPath,
-      hash_sha256: file.hash_sha256,
-      hash_partial: file.hash_partial,
-      mime_type: file.mime_type,
-      exif_date: file.exif_date,
-      resolved_date: file.resolved_date,
-      date_source: file.date_source,
-      status: 'moved',
-      duplicate_of: null,
-      metadata_json: file.metadata_json
-    });
+  try {
+    if (!await fileExists(sourcePath)) {
+      if (!dryRun) {
+        logOperation(batchId, companion.id, 'skip', sourcePath, null, companion.hash_sha256, 'Source file not found');
+      }
+      status.skippedFiles++;
+      return;
+    }
 
-    logOperation(batchId, file.id, 'move', sourcePath, destPath, file.hash_sha256, 'File moved successfully');
-    currentOrganizeStatus.movedFiles++;
-    currentOrganizeStatus.operations.push({
-      fileId: file.id,
-      source: sourcePath,
-      destination: destPath,
-      action: 'moved'
-    });
+    if (dryRun) {
+      recordMove(status, companion, sourcePath, destPath, `would_${mode}`, rule);
+      return;
+    }
 
+    await placeFile(status, companion, sourcePath, destPath, mode, options);
+    markMoved(companion, destPath);
+
+    logOperation(batchId, companion.id, operationType, sourcePath, destPath, companion.hash_sha256,
+      `${companionReason} ${primary.filename}`);
+    recordMove(status, companion, sourcePath, destPath, action, rule);
   } catch (error) {
-    currentOrganizeStatus.errorFiles++;
-    logError(file.id, sourcePath, 'organize_error', error.message, error.stack);
-    logOperation(batchId, file.id, 'error', sourcePath, null, file.hash_sha256, error.message);
+    status.errorFiles++;
+    logError(companion.id, sourcePath, 'organize_error', error.message, error.stack,
+      {
+        destinationBase: status.destinationBase,
+        template: options.template || null,
+        profileId: options.profile?.id || null,
+        mode,
+        companionOf: primary.id
+      });
+    if (!dryRun) {
+      logOperation(batchId, companion.id, 'error', sourcePath, null, companion.hash_sha256, error.message);
+    }
+  }
+}
+
+/**
+ * Put a file at its destination. Moves across filesystems are copied and
+ * then deleted; hard links only work within one filesystem. Copies are
+ * read back and checked against the scanned hash unless verification is
+ * off, and a verified file is recorded as such.
+ * @param {Object} status - Status of the run
+ * @param {Object} file - File record
+ * @param {string} sourcePath - Where the file is
+ * @param {string} destPath - Where it goes
+ * @param {string} mode - One of ORGANIZE_MODES
+ * @param {Object} options - Options passed to organizeFiles
+ */
+async function placeFile(status, file, sourcePath, destPath, mode, options) {
+  await fs.mkdir(path.dirname(destPath), { recursive: true });
+
+  const copyOptions = { verify: options.verify ?? config.verifyAfterWrite, expectedHash: file.hash_sha256 };
+  let copied = false;
+  if (mode === 'copy') {
+    await copyFile(sourcePath, destPath, copyOptions);
+    copied = true;
+  } else if (mode === 'hardlink') {
+    try {
+      await fs.link(sourcePath, destPath);
+    } catch (error) {
+      if (error.code === 'EXDEV') {
+        throw new Error('Hard links need the destination on the same filesystem as the source');
+      }
+      throw error;
+    }
+  } else if (mode === 'symlink') {
+    await fs.symlink(path.resolve(sourcePath), destPath);
+  } else {
+    copied = await moveFile(sourcePath, destPath, copyOptions);
+  }
+
+  if (copied && copyOptions.verify) {
+    fileQueries.updateVerification().run({ id: file.id, verified_at: new Date().toISOString(), verify_result: 'ok' });
+    status.verifiedFiles++;
   }
 }
 
 /**
- * Handle filename collision at destination
+ * Mark a file as organized to its new location. Copies and links count as
+ * organized too; the source they were made from is left alone.
+ * @param {Object} file - File record
+ * @param {string} destPath - New location
+ */
+function markMoved(file, destPath) {
+  fileQueries.updateFile().run({
+    id: file.id,
+    current_path: destPath,
+    hash_sha256: file.hash_sha256,
+    hash_partial: file.hash_partial,
+    mime_type: file.mime_type,
+    exif_date: file.exif_date,
+    resolved_date: file.resolved_date,
+    date_source: file.date_source,
+    status: 'moved',
+    duplicate_of: null,
+    metadata_json: file.metadata_json
+  });
+}
+
+/**
+ * Mark a file as a duplicate of one already organized
+ * @param {Object} file - File record
+ * @param {number} duplicateOf - ID of the file it duplicates
+ */
+function markDuplicate(file, duplicateOf) {
+  fileQueries.updateFile().run({
+    id: file.id,
+    current_path: file.current_path,
+    hash_sha256: file.hash_sha256,
+    hash_partial: file.hash_partial,
+    mime_type: file.mime_type,
+    exif_date: file.exif_date,
+    resolved_date: file.resolved_date,
+    date_source: file.date_source,
+    status: 'duplicate',
+    duplicate_of: duplicateOf,
+    metadata_json: file.metadata_json
+  });
+}
+
+/**
+ * Count a move in the organize status
+ * @param {Object} status - Status of the run
+ * @param {Object} file - File record
+ * @param {string} sourcePath - Where the file was
+ * @param {string} destPath - Where it went
+ * @param {string} action - 'moved', 'copied', 'linked', 'symlinked', or 'would_' and the mode
+ * @param {string|null} [rule] - Profile rule that chose the destination
+ */
+function recordMove(status, file, sourcePath, destPath, action, rule = null) {
+  status.movedFiles++;
+  status.operations.push({
+    fileId: file.id,
+    source: sourcePath,
+    destination: destPath,
+    action,
+    rule
+  });
+}
+
+/**
+ * Handle filename collision at destination. A file and its companions get
+ * the same suffix, so IMG_0001 (1).CR2 keeps its IMG_0001 (1).JPG.
  * @param {string} destPath - Proposed destination path
  * @param {string} hash - File hash for uniqueness
- * @returns {Promise<string>} - Resolved destination path
+ * @param {Function} [companionNames] - Companion filenames for a suffix such as " (1)"
+ * @param {Map} [claimedPaths] - Paths taken by earlier files of a preview, which aren't on disk yet
+ * @returns {Promise<string[]>} - Resolved destination path, then one per companion
  */
-async function handleCollision(destPath, hash) {
-  let finalPath = destPath;
+async function handleCollision(destPath, hash, companionNames = () => [], claimedPaths = null) {
+  const dir = path.dirname(destPath);
+  const ext = path.extname(destPath);
+  const base = path.basename(destPath, ext);
+  const pathsFor = (suffix) => [
+    path.join(dir, `${base}${suffix}${ext}`),
+    ...companionNames(suffix).map(name => path.join(dir, name))
+  ];
+
+  let finalPaths = pathsFor('');
   let counter = 1;
 
-  while (await fileExists(finalPath)) {
-    const dir = path.dirname(destPath);
-    const ext = path.extname(destPath);
-    const base = path.basename(destPath, ext);
-
+  while (await anyFileExists(finalPaths, claimedPaths)) {
     // Try numbered suffix first
-    finalPath = path.join(dir, `${base} (${counter})${ext}`);
+    finalPaths = pathsFor(` (${counter})`);
     counter++;
 
     // If we've tried too many times, use hash prefix
     if (counter > 100 && hash) {
       const hashPrefix = hash.substring(0, 8);
-      finalPath = path.join(dir, `${base} (${hashPrefix})${ext}`);
+      finalPaths = pathsFor(` (${hashPrefix})`);
       break;
     }
   }
 
-  return finalPath;
+  return finalPaths;
 }
 
 /**
- * Check if a file exists
- * @param {string} filePath - Path to check
- * @returns {Promise<boolean>} - True if file exists
+ * Check if any of several files exists
+ * @param {string[]} filePaths - Paths to check
+ * @param {Map} [claimedPaths] - Paths that count as taken without being on disk
+ * @returns {Promise<boolean>} - True if at least one exists
  */
-async function fileExists(filePath) {
-  try {
-    await fs.access(filePath);
-    return true;
-  } catch {
-    return false;
+async function anyFileExists(filePaths, claimedPaths = null) {
+  for (const filePath of filePaths) {
+    if (claimedPaths?.has(filePath) || await fileExists(filePath)) return true;
   }
+  return false;
 }
 
 /**
@@ -243,14 +483,15 @@ function logOperation(batchId, fileId, operationType, sourcePath, destPath, hash
 /**
  * Log an error to the database
  */
-function logError(fileId, filePath, errorType, message, stack) {
+function logError(fileId, filePath, errorType, message, stack, context = null) {
   try {
     errorQueries.insertError().run({
       file_id: fileId,
       file_path: filePath,
       error_type: errorType,
       error_message: message,
-      stack_trace: stack
+      stack_trace: stack,
+      context_json: context ? JSON.stringify(context) : null
     });
   } catch (error) {
     console.error('Failed to log error:', error);
@@ -258,48 +499,438 @@ function logError(fileId, filePath, errorType, message, stack) {
 }
 
 /**
- * Preview organization results without moving files
- * @param {string} destinationBase - Base destination folder
- * @param {number[]|null} fileIds - Specific file IDs or null for all
- * @returns {Promise<Object[]>} - Preview of what would happen
+ * Pending files to organize
+ * @param {number[]|null} fileIds - Specific file IDs, or null for all pending
+ * @returns {Object[]} - File records
  */
-export async function previewOrganization(destinationBase, fileIds = null) {
-  const db = getDatabase();
-
-  let filesToPreview;
+function getPendingFiles(fileIds) {
   if (fileIds && fileIds.length > 0) {
     const placeholders = fileIds.map(() => '?').join(',');
-    filesToPreview = db.prepare(`
+    return getDatabase().prepare(`
       SELECT * FROM files
       WHERE id IN (${placeholders}) AND status = 'pending'
     `).all(...fileIds);
-  } else {
-    filesToPreview = fileQueries.getFilesByStatus().all('pending');
   }
+  return fileQueries.getFilesByStatus().all('pending');
+}
 
-  const preview = [];
-  for (const file of filesToPreview) {
-    const destPath = generateDestinationPath(destinationBase, file.resolved_date, file.filename);
-    const existingDuplicate = checkForExistingDuplicate(file.hash_sha256, file.id);
+/**
+ * Preview organization results without moving files. Files go through the
+ * same steps as a real run, in the same order, so a file that would be
+ * renamed because an earlier file of the run takes its name is reported too.
+ * @param {string} destinationBase - Base destination folder
+ * @param {number[]|null} fileIds - Specific file IDs or null for all
+ * @param {Object} options - Additional options
+ * @param {string} [options.template] - Destination path template
+ * @param {Object} [options.profile] - Organize profile whose rules pick a template per file
+ * @returns {Promise<Object>} - { files, summary, folders }; each file has one of PREVIEW_ACTIONS
+ */
+export async function previewOrganization(destinationBase, fileIds = null, options = {}) {
+  assertValidTemplate(options.template);
 
-    preview.push({
+  // Destination paths and hashes taken by files earlier in the preview
+  const claimedPaths = new Map();
+  const plannedHashes = new Map();
+  const files = [];
+
+  const addPreview = (file, action, fields = {}) => {
+    files.push({
       id: file.id,
       filename: file.filename,
       sourcePath: file.current_path || file.original_path,
-      destinationPath: destPath,
+      destinationPath: null,
+      intendedPath: null,
+      conflictsWith: null,
       resolvedDate: file.resolved_date,
+      localDate: file.local_date,
       dateSource: file.date_source,
       size: file.size,
-      action: existingDuplicate ? 'duplicate' : 'move',
-      duplicateOf: existingDuplicate?.id || null
+      action,
+      duplicateOf: null,
+      rule: null,
+      companionOf: null,
+      ...fields
     });
+  };
+
+  const previewFile = async (file, companions = []) => {
+    if (!await fileExists(file.current_path || file.original_path)) {
+      addPreview(file, 'missing_source');
+      for (const companion of companions) await previewFile(companion);
+      return;
+    }
+
+    const existingDuplicate = checkForExistingDuplicate(file.hash_sha256, file.id);
+    const duplicateOf = existingDuplicate?.id || plannedHashes.get(file.hash_sha256);
+    if (duplicateOf) {
+      addPreview(file, 'duplicate', { duplicateOf, destinationPath: existingDuplicate?.current_path || null });
+      // Without their primary, companions are organized by their own date and rules
+      for (const companion of companions) await previewFile(companion);
+      return;
+    }
+
+    const { destinationPath: destPath, rule } = resolveDestination(destinationBase, file, options);
+    const companionNames = (suffix) => companions.map(companion => getCompanionFilename(file, destPath, companion, suffix));
+    const intendedPaths = [destPath, ...companionNames('').map(name => path.join(path.dirname(destPath), name))];
+    const finalPaths = await handleCollision(destPath, file.hash_sha256, companionNames, claimedPaths);
+
+    // The group is renamed as a whole; report the earlier file of the run that took a name, if any
+    const renamed = finalPaths[0] !== destPath;
+    const conflictsWith = renamed
+      ? claimedPaths.get(intendedPaths.find(intendedPath => claimedPaths.has(intendedPath))) ?? 'existing'
+      : null;
+
+    // Companions go under the primary's date, so only the primary can lack one
+    const undated = !file.resolved_date || WEAK_DATE_SOURCES.includes(file.date_source);
+    const placedAction = undated ? 'no_date' : renamed ? 'collision_rename' : 'move';
+    addPreview(file, placedAction, {
+      destinationPath: finalPaths[0], intendedPath: renamed ? destPath : null, conflictsWith, rule
+    });
+    if (file.hash_sha256) plannedHashes.set(file.hash_sha256, file.id);
+
+    for (let i = 0; i < companions.length; i++) {
+      const companion = companions[i];
+      if (!await fileExists(companion.current_path || companion.original_path)) {
+        addPreview(companion, 'missing_source', { companionOf: file.id });
+        continue;
+      }
+      addPreview(companion, renamed ? 'collision_rename' : 'move', {
+        destinationPath: finalPaths[i + 1],
+        intendedPath: renamed ? intendedPaths[i + 1] : null,
+        conflictsWith,
+        rule,
+        companionOf: file.id
+      });
+    }
+
+    finalPaths.forEach((finalPath, i) => claimedPaths.set(finalPath, i === 0 ? file.id : companions[i - 1].id));
+  };
+
+  for (const { file, companions } of getOrganizeUnits(getPendingFiles(fileIds))) {
+    await previewFile(file, companions);
+  }
+
+  return { files, ...summarizePreview(destinationBase, files) };
+}
+
+/**
+ * Keep a preview for paging. Only the most recent few are kept, for a
+ * limited time: a preview describes the library as it was when made.
+ * @param {Object} preview - Result of previewOrganization()
+ * @returns {string} - Preview ID to pass to getStoredPreview()
+ */
+export function storePreview(preview) {
+  const previewId = uuidv4();
+  storedPreviews.set(previewId, { preview, storedAt: Date.now() });
+  while (storedPreviews.size > STORED_PREVIEW_LIMIT) {
+    storedPreviews.delete(storedPreviews.keys().next().value);
+  }
+  return previewId;
+}
+
+/**
+ * A preview kept by storePreview()
+ * @param {string} previewId - Preview ID
+ * @returns {Object|null} - The preview, or null once dropped or expired
+ */
+export function getStoredPreview(previewId) {
+  const stored = storedPreviews.get(previewId);
+  if (!stored) return null;
+  if (Date.now() - stored.storedAt > STORED_PREVIEW_TTL_MS) {
+    storedPreviews.delete(previewId);
+    return null;
+  }
+  return stored.preview;
+}
+
+/**
+ * Execute the items of a reviewed plan. Every included file goes exactly
+ * where the plan says: nothing is renamed on the way. A file that changed
+ * since planning (moved, edited, organized or gone) has drifted and is left
+ * alone, as is one whose destination has been taken since. Each item's
+ * outcome is stored on it, and items already done are not run again, so a
+ * stopped execution continues where it left off.
+ * @param {Object} plan - Plan record (see plans.js)
+ * @param {Object} options - Additional options
+ * @param {string} options.batchId - Batch ID to log under
+ * @returns {Promise<Object>} - Organization results
+ */
+export async function executePlanItems(plan, { batchId }) {
+  organizeCancelRequested = false;
+  const mode = plan.mode || 'move';
+  const options = {
+    mode,
+    template: plan.template,
+    profile: plan.profile_id ? { id: plan.profile_id, name: plan.profile_name } : null,
+    verify: plan.verify === null ? undefined : plan.verify === 1
+  };
+
+  const status = {
+    batchId,
+    planId: plan.id,
+    destinationBase: plan.destination_path,
+    dryRun: false,
+    template: plan.template,
+    profile: plan.profile_name,
+    mode,
+    status: 'in_progress',
+    totalFiles: 0,
+    processedFiles: 0,
+    movedFiles: 0,
+    verifiedFiles: 0,
+    skippedFiles: 0,
+    duplicateFiles: 0,
+    driftedFiles: 0,
+    errorFiles: 0,
+    currentFile: null,
+    startedAt: new Date().toISOString(),
+    operations: []
+  };
+  currentOrganizeStatus = status;
+
+  try {
+    const allItems = planQueries.getAllItems().all(plan.id);
+    const items = allItems.filter(item => item.status === 'planned');
+    const itemsByFile = new Map(allItems.map(item => [item.file_id, item]));
+    status.totalFiles = items.length;
+    publishProgress(status, true);
+
+    // Files of the plan that stayed where they were, including those of an earlier, stopped execution.
+    // Their companions stay too, and the first duplicate of one is placed where it was to go.
+    const unplacedFiles = new Set(allItems
+      .filter(item => item.action !== 'duplicate' && UNPLACED_ITEM_STATUSES.includes(item.status))
+      .map(item => item.file_id));
+    const standIns = new Map();
+    for (const item of allItems) {
+      if (item.action === 'duplicate' && item.status === 'done' && unplacedFiles.has(item.duplicate_of)
+        && fileQueries.getFileById().get(item.file_id)?.status !== 'duplicate') {
+        standIns.set(item.duplicate_of, item.file_id);
+      }
+    }
+
+    for (const item of items) {
+      if (organizeCancelRequested) break;
+      status.currentFile = item.source_path;
+
+      const original = item.action === 'duplicate'
+        ? itemsByFile.get(standIns.get(item.duplicate_of) ?? item.duplicate_of)
+        : null;
+      let outcome;
+      if (item.companion_of && unplacedFiles.has(item.companion_of)) {
+        outcome = { status: 'skipped', message: 'Its primary file was not placed' };
+      } else if (original && unplacedFiles.has(original.file_id) && original.destination_path && !item.excluded) {
+        outcome = await executePlanItem(status, {
+          ...item, action: 'move', destination_path: original.destination_path, duplicate_of: null
+        }, batchId, options);
+        if (outcome.status === 'done') {
+          standIns.set(item.duplicate_of, item.file_id);
+          outcome.message = `Placed at ${original.destination_path} instead of file ${original.file_id}, which was not placed`;
+        }
+      } else {
+        outcome = await executePlanItem(status, original ? { ...item, duplicate_of: original.file_id } : item,
+          batchId, options);
+      }
+
+      planQueries.updateItemStatus().run({ id: item.id, status: outcome.status, message: outcome.message || null });
+      if (item.action !== 'duplicate' && UNPLACED_ITEM_STATUSES.includes(outcome.status)) {
+        unplacedFiles.add(item.file_id);
+      }
+
+      status.processedFiles++;
+      publishProgress(status);
+    }
+
+    status.status = organizeCancelRequested ? 'cancelled' : 'completed';
+    status.completedAt = new Date().toISOString();
+    status.currentFile = null;
+    publishProgress(status, true);
+
+    return status;
+  } catch (error) {
+    status.status = 'error';
+    status.error = error.message;
+    publishProgress(status, true);
+    throw error;
+  }
+}
+
+/**
+ * Execute one plan item
+ * @param {Object} status - Status of the plan's execution
+ * @param {Object} item - plan_items record
+ * @param {string} batchId - Batch ID for this operation
+ * @param {Object} options - Mode, verify and what to record with errors
+ * @returns {Promise<Object>} - { status: done, skipped, drifted or failed, message }
+ */
+async function executePlanItem(status, item, batchId, options) {
+  if (item.excluded) {
+    status.skippedFiles++;
+    return { status: 'skipped', message: 'Excluded from the plan' };
+  }
+  if (item.action === 'missing_source') {
+    status.skippedFiles++;
+    return { status: 'skipped', message: 'Source file was missing when planned' };
+  }
+
+  const file = fileQueries.getFileById().get(item.file_id);
+  try {
+    const drift = await findDrift(item, file)
+      || (item.action !== 'duplicate' && await fileExists(item.destination_path)
+        ? `Destination ${item.destination_path} was taken after planning` : null);
+    if (drift) {
+      logOperation(batchId, item.file_id, 'skip', item.source_path, null, item.hash_sha256, drift);
+      status.driftedFiles++;
+      return { status: 'drifted', message: drift };
+    }
+
+    if (item.action === 'duplicate') {
+      markDuplicate(file, item.duplicate_of);
+      logOperation(batchId, file.id, 'duplicate', item.source_path, item.destination_path,
+        file.hash_sha256, `Duplicate of file ${item.duplicate_of}`);
+      status.duplicateFiles++;
+      return { status: 'done' };
+    }
+
+    const { operationType, action, reason, companionReason } = MODE_OPERATIONS[options.mode];
+    await placeFile(status, file, item.source_path, item.destination_path, options.mode, options);
+    markMoved(file, item.destination_path);
+
+    const primary = item.companion_of ? fileQueries.getFileById().get(item.companion_of) : null;
+    logOperation(batchId, file.id, operationType, item.source_path, item.destination_path, file.hash_sha256,
+      primary ? `${companionReason} ${primary.filename}` : reason);
+    recordMove(status, file, item.source_path, item.destination_path, action, item.rule);
+    return { status: 'done' };
+  } catch (error) {
+    status.errorFiles++;
+    logError(item.file_id, item.source_path, 'organize_error', error.message, error.stack,
+      {
+        destinationBase: status.destinationBase,
+        template: options.template || null,
+        profileId: options.profile?.id || null,
+        mode: options.mode,
+        planId: status.planId
+      });
+    logOperation(batchId, item.file_id, 'error', item.source_path, null, item.hash_sha256, error.message);
+    return { status: 'failed', message: error.message };
+  }
+}
+
+/**
+ * How a planned file changed since the plan was made
+ * @param {Object} item - plan_items record
+ * @param {Object|undefined} file - The file's current record
+ * @returns {Promise<string|null>} - Description of the change, or null if there is none
+ */
+async function findDrift(item, file) {
+  if (!file) return 'File is no longer in the library';
+  if (file.status !== 'pending') return `File is ${file.status} now`;
+  if ((file.current_path || file.original_path) !== item.source_path) return 'File moved after planning';
+  if (file.hash_sha256 !== item.hash_sha256) return 'File was rescanned with different content after planning';
+
+  let stats;
+  try {
+    stats = await fs.stat(item.source_path);
+  } catch {
+    return 'Source file not found';
+  }
+  if (stats.size !== item.size || stats.mtime.toISOString() !== item.source_mtime) {
+    return 'Source file changed after planning';
+  }
+  return null;
+}
+
+/**
+ * Count a preview by action and by destination folder
+ * @param {string} destinationBase - Base destination folder
+ * @param {Object[]} files - Preview entries
+ * @returns {Object} - { summary: { totalFiles, totalBytes, byAction }, folders: [{ folder, files, bytes }] }
+ */
+export function summarizePreview(destinationBase, files) {
+  const byAction = Object.fromEntries(PREVIEW_ACTIONS.map(action => [action, 0]));
+  const folders = new Map();
+  let totalBytes = 0;
+
+  for (const file of files) {
+    byAction[file.action]++;
+    if (!PLACED_ACTIONS.includes(file.action)) continue;
+
+    totalBytes += file.size || 0;
+    const folder = path.relative(destinationBase, path.dirname(file.destinationPath)) || '.';
+    const totals = folders.get(folder) || { folder, files: 0, bytes: 0 };
+    totals.files++;
+    totals.bytes += file.size || 0;
+    folders.set(folder, totals);
   }
 
-  return preview;
+  return {
+    summary: { totalFiles: files.length, totalBytes, byAction },
+    folders: [...folders.values()].sort((a, b) => a.folder.localeCompare(b.folder))
+  };
+}
+
+/**
+ * Organize a single file again after an earlier failure. The move is
+ * logged in its own batch so it can be reverted like any other.
+ * @param {number} fileId - File ID
+ * @param {string} destinationBase - Base destination folder
+ * @param {Object} options - Options passed to organizeFiles
+ * @returns {Promise<Object>} - { success, file, batchId }
+ */
+export async function retryOrganizeFile(fileId, destinationBase, options = {}) {
+  if (currentOrganizeStatus && ['in_progress', 'cancelling'].includes(currentOrganizeStatus.status)) {
+    throw httpError('Cannot retry while an organization is in progress', 409);
+  }
+
+  const file = fileQueries.getFileById().get(fileId);
+  if (!file) {
+    throw httpError('File not found', 404);
+  }
+
+  // Already organized (or otherwise handled) since the error was logged
+  if (file.status !== 'pending') {
+    return { success: true, file, batchId: null };
+  }
+
+  // Counted on its own, so a run started meanwhile keeps its status
+  const batchId = uuidv4();
+  const retryStatus = {
+    batchId,
+    destinationBase,
+    dryRun: false,
+    status: 'in_progress',
+    totalFiles: 1,
+    processedFiles: 0,
+    movedFiles: 0,
+    verifiedFiles: 0,
+    skippedFiles: 0,
+    duplicateFiles: 0,
+    errorFiles: 0,
+    operations: []
+  };
+
+  // The file's companions, or the primary it belongs with, are moved along with it
+  const [unit] = getOrganizeUnits([file]);
+  retryStatus.totalFiles = 1 + unit.companions.length;
+  await organizeFile(retryStatus, unit.file, destinationBase, batchId, false, options, unit.companions);
+
+  return {
+    success: retryStatus.errorFiles === 0 && retryStatus.skippedFiles === 0,
+    file: fileQueries.getFileById().get(fileId),
+    batchId
+  };
 }
 
 export default {
+  ORGANIZE_MODES,
+  PREVIEW_ACTIONS,
+  PLACED_ACTIONS,
   organizeFiles,
   getOrganizeStatus,
-  previewOrganization
+  cancelOrganize,
+  previewOrganization,
+  storePreview,
+  getStoredPreview,
+  summarizePreview,
+  executePlanItems,
+  retryOrganizeFile
 };
@@ -0,0 +1,267 @@
+/**
+ * Path Template Service
+ *
+ * Renders destination paths from templates such as
+ * "{year}/{year}-{month} {monthName}/{camera}/{filename}".
+ * The organizer and the preview endpoint both render through here so that
+ * a preview always matches what a real run would do.
+ */
+
+import path from 'path';
+import { extractDateComponents } from './dateResolver.js';
+import { httpError } from './httpError.js';
+import config from '../config.js';
+
+export const DEFAULT_TEMPLATE = '{year}/{month}/{day}/{filename}';
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const TOKEN_PATTERN = /\{([a-zA-Z_]+)(?::([^{}]*))?\}/g;
+
+/**
+ * Supported template tokens. Each resolver receives the render context
+ * built by buildContext() and the optional ":arg" part of the token.
+ */
+const TOKENS = {
+  year: { description: 'Four-digit year', resolve: (ctx) => ctx.date.year },
+  month: { description: 'Two-digit month (01-12)', resolve: (ctx) => ctx.date.month },
+  day: { description: 'Two-digit day of month (01-31)', resolve: (ctx) => ctx.date.day },
+  monthName: { description: 'Full month name (January)', resolve: (ctx) => MONTH_NAMES[parseInt(ctx.date.month) - 1] },
+  quarter: { description: 'Quarter of the year (1-4)', resolve: (ctx) => String(Math.ceil(parseInt(ctx.date.month) / 3)) },
+  week: { description: 'Two-digit ISO week number (01-53)', resolve: (ctx) => String(getIsoWeek(ctx.date)).padStart(2, '0') },
+  camera: {
+    description: 'Camera make and model from EXIF or video metadata',
+    resolve: (ctx) => formatCamera(ctx.exif?.Make, ctx.exif?.Model)
+      || formatCamera(ctx.video?.make, ctx.video?.model)
+      || 'Unknown Camera'
+  },
+  make: { description: 'Camera make from EXIF or video metadata', resolve: (ctx) => ctx.exif?.Make || ctx.video?.make || 'Unknown' },
+  model: { description: 'Camera model from EXIF or video metadata', resolve: (ctx) => ctx.exif?.Model || ctx.video?.model || 'Unknown' },
+  category: { description: 'File category (image, video, document, other)', resolve: (ctx) => ctx.category },
+  extension: { description: 'File extension without the dot', resolve: (ctx) => ctx.extension || 'none' },
+  dateSource: { description: 'Where the resolved date came from (exif, created, ...)', resolve: (ctx) => ctx.file.date_source || 'unknown' },
+  hash: {
+    description: 'SHA-256 prefix, 8 characters unless given as {hash:N}',
+    resolve: (ctx, arg) => (ctx.file.hash_sha256 || '').substring(0, arg ? parseInt(arg) : 8) || 'nohash'
+  },
+  filename: { description: 'Original filename including extension', resolve: (ctx) => ctx.file.filename },
+  basename: { description: 'Original filename without extension', resolve: (ctx) => path.basename(ctx.file.filename, path.extname(ctx.file.filename)) }
+};
+
+// Tokens that name the file itself and may only appear in the last segment
+const FILENAME_TOKENS = ['filename', 'basename'];
+
+/**
+ * Get the list of supported tokens with descriptions
+ * @returns {Object[]} - Array of { token, description }
+ */
+export function getTemplateTokens() {
+  return Object.entries(TOKENS).map(([name, { description }]) => ({
+    token: `{${name}}`,
+    description
+  }));
+}
+
+/**
+ * Validate a path template
+ * @param {string} template - Template string
+ * @returns {Object} - { valid: boolean, errors: string[] }
+ */
+export function validateTemplate(template) {
+  const errors = [];
+
+  if (typeof template !== 'string' || template.trim() === '') {
+    return { valid: false, errors: ['Template must be a non-empty string'] };
+  }
+
+  if (template.startsWith('/') || template.startsWith('\\') || /^[a-zA-Z]:/.test(template)) {
+    errors.push('Template must be relative to the destination folder');
+  }
+
+  // Braces must be balanced and not nested
+  let depth = 0;
+  for (const char of template) {
+    if (char === '{') depth++;
+    if (char === '}') depth--;
+    if (depth < 0 || depth > 1) {
+      errors.push('Template has unbalanced or nested braces');
+      break;
+    }
+  }
+  if (depth > 0) {
+    errors.push('Template has an unclosed brace');
+  }
+
+  const segments = template.split(/[/\\]/);
+  segments.forEach((segment, index) => {
+    if (segment.trim() === '') {
+      errors.push('Template contains an empty path segment');
+    }
+    if (segment === '.' || segment === '..') {
+      errors.push('Template must not contain "." or ".." segments');
+    }
+
+    for (const [, name, arg] of segment.matchAll(TOKEN_PATTERN)) {
+      if (!TOKENS[name]) {
+        errors.push(`Unknown token {${name}}`);
+        continue;
+      }
+      if (arg !== undefined && name !== 'hash') {
+        errors.push(`Token {${name}} does not take an argument`);
+      }
+      if (name === 'hash' && arg !== undefined && !/^\d+$/.test(arg)) {
+        errors.push('Hash length must be a number, e.g. {hash:12}');
+      } else if (name === 'hash' && arg !== undefined && (parseInt(arg) < 1 || parseInt(arg) > 64)) {
+        errors.push('Hash length must be between 1 and 64');
+      }
+      if (FILENAME_TOKENS.includes(name) && index !== segments.length - 1) {
+        errors.push(`Token {${name}} may only appear in the last path segment`);
+      }
+    }
+  });
+
+  return { valid: errors.length === 0, errors: [...new Set(errors)] };
+}
+
+/**
+ * Reject an invalid template given for a request
+ * @param {string|null} template - Template string; null or undefined for the default
+ * @throws {Error} - 400 error with the validation errors in error.errors
+ */
+export function assertValidTemplate(template) {
+  if (template === undefined || template === null) return;
+
+  const validation = validateTemplate(template);
+  if (!validation.valid) {
+    const error = httpError(`Invalid path template: ${validation.errors.join('; ')}`, 400);
+    error.errors = validation.errors;
+    throw error;
+  }
+}
+
+/**
+ * Render a template into a path relative to the destination folder
+ * @param {string} template - Template string (assumed valid)
+ * @param {Object} file - File record from database
+ * @returns {string} - Relative destination path including the filename
+ */
+export function renderTemplate(template, file) {
+  const ctx = buildContext(file);
+  const segments = template.split(/[/\\]/);
+
+  const rendered = segments.map(segment =>
+    sanitizeSegment(segment.replace(TOKEN_PATTERN, (match, name, arg) => {
+      const token = TOKENS[name];
+      return token ? sanitizeValue(token.resolve(ctx, arg)) : match;
+    }))
+  );
+
+  // Templates without a filename token describe folders only
+  const namesFile = FILENAME_TOKENS.some(name => segments[segments.length - 1].includes(`{${name}}`));
+  if (!namesFile) {
+    rendered.push(sanitizeSegment(file.filename));
+  }
+
+  return rendered.join('/');
+}
+
+/**
+ * Render the full destination path for a file
+ * @param {string} destinationBase - Base destination folder
+ * @param {string|null} template - Template string, defaults to config.pathTemplate
+ * @param {Object} file - File record from database
+ * @returns {string} - Absolute destination path
+ */
+export function renderDestinationPath(destinationBase, template, file) {
+  return path.join(destinationBase, renderTemplate(template || config.pathTemplate, file));
+}
+
+/**
+ * Build the values tokens are resolved from
+ * @param {Object} file - File record from database
+ * @returns {Object} - Render context
+ */
+function buildContext(file) {
+  let metadata = {};
+  if (file.metadata_json) {
+    try {
+      metadata = JSON.parse(file.metadata_json) || {};
+    } catch (e) {
+      metadata = {};
+    }
+  }
+
+  return {
+    file,
+    // Folders follow the day the photo was taken where it was taken, not the UTC day
+    date: extractDateComponents(file.local_date || file.resolved_date),
+    exif: metadata.exif || null,
+    video: metadata.video || null,
+    category: metadata.category || 'other',
+    extension: (file.extension || path.extname(file.filename)).replace(/^\./, '').toLowerCase()
+  };
+}
+
+/**
+ * Format camera make and model, avoiding "Canon Canon EOS R5"
+ * @param {string|undefined} rawMake - Camera make
+ * @param {string|undefined} rawModel - Camera model
+ * @returns {string|null} - Camera name or null
+ */
+function formatCamera(rawMake, rawModel) {
+  const make = rawMake?.trim();
+  const model = rawModel?.trim();
+
+  if (!make && !model) return null;
+  if (!make) return model;
+  if (!model) return make;
+  if (model.toLowerCase().startsWith(make.toLowerCase())) return model;
+  return `${make} ${model}`;
+}
+
+/**
+ * Calculate the ISO-8601 week number for date components
+ * @param {Object} date - { year, month, day } strings
+ * @returns {number} - Week number (1-53)
+ */
+function getIsoWeek({ year, month, day }) {
+  const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+  // Shift to the Thursday of this week; its year owns the week
+  const dayOfWeek = date.getUTCDay() || 7;
+  date.setUTCDate(date.getUTCDate() + 4 - dayOfWeek);
+  const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+  return Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+}
+
+/**
+ * Make a token value safe to use inside a single path segment
+ * @param {string} value - Raw token value
+ * @returns {string} - Sanitized value
+ */
+function sanitizeValue(value) {
+  return String(value ?? '')
+    .replace(/[/\\:*?"<>|\x00-\x1f]/g, '_')
+    .trim();
+}
+
+/**
+ * Clean up a rendered path segment
+ * @param {string} segment - Rendered segment
+ * @returns {string} - Segment safe for the filesystem
+ */
+function sanitizeSegment(segment) {
+  const cleaned = segment.trim().replace(/\.+$/, '');
+  return cleaned === '' || cleaned === '.' || cleaned === '..' ? 'Unknown' : cleaned;
+}
+
+export default {
+  DEFAULT_TEMPLATE,
+  getTemplateTokens,
+  validateTemplate,
+  assertValidTemplate,
+  renderTemplate,
+  renderDestinationPath
+};
@@ -0,0 +1,100 @@
+/**
+ * Perceptual Hash Service
+ *
+ * Computes a 64-bit difference hash (dHash) for images. Unlike SHA-256,
+ * the dHash of a resized, recompressed or re-exported copy stays within a
+ * few bits of the original, so near-duplicates can be found by Hamming
+ * distance.
+ */
+
+import { loadImage } from './thumbnailer.js';
+
+const HASH_BITS = 64;
+
+/**
+ * Calculate the difference hash of an image
+ * @param {string} filePath - Path to the image file
+ * @returns {Promise<string>} - 16-character hex string
+ */
+export async function calculatePerceptualHash(filePath) {
+  const image = await loadImage(filePath);
+
+  // 9x8 grayscale: each row yields 8 left/right brightness comparisons
+  const pixels = await image
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Count the differing bits between two perceptual hashes
+ * @param {string} hash1 - Hex hash
+ * @param {string} hash2 - Hex hash
+ * @returns {number} - Hamming distance (0-64)
+ */
+export function hammingDistance(hash1, hash2) {
+  // Compare as two 32-bit halves; this runs for every candidate pair during clustering
+  const high = parseInt(hash1.substring(0, 8), 16) ^ parseInt(hash2.substring(0, 8), 16);
+  const low = parseInt(hash1.substring(8, 16), 16) ^ parseInt(hash2.substring(8, 16), 16);
+  return popcount32(high) + popcount32(low);
+}
+
+/**
+ * Split a perceptual hash into disjoint bands of bits. Two hashes at most
+ * `count - 1` bits apart differ in at most that many bands, so at least one
+ * band matches exactly; comparing only hashes that share a band finds every
+ * such pair.
+ * @param {string} hash - Hex hash
+ * @param {number} count - Number of bands (1-64)
+ * @returns {string[]} - One key per band, prefixed with its position
+ */
+export function getHashBands(hash, count) {
+  const value = BigInt(`0x${hash}`);
+  const bands = [];
+  for (let band = 0; band < count; band++) {
+    const start = Math.floor(band * HASH_BITS / count);
+    const end = Math.floor((band + 1) * HASH_BITS / count);
+    const mask = (1n << BigInt(end - start)) - 1n;
+    bands.push(`${band}:${((value >> BigInt(start)) & mask).toString(16)}`);
+  }
+  return bands;
+}
+
+/**
+ * Count the set bits of a 32-bit integer
+ * @param {number} value - Integer
+ * @returns {number} - Number of set bits
+ */
+function popcount32(value) {
+  let n = value - ((value >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+/**
+ * Convert a Hamming distance into a similarity score
+ * @param {number} distance - Hamming distance
+ * @returns {number} - Similarity between 0 and 1, rounded to 3 decimals
+ */
+export function similarityScore(distance) {
+  return Math.round((1 - distance / HASH_BITS) * 1000) / 1000;
+}
+
+export default {
+  calculatePerceptualHash,
+  hammingDistance,
+  getHashBands,
+  similarityScore
+};
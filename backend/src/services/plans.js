@@ -0,0 +1,740 @@
+/**
+ * Organize Plans Service
+ *
+ * A plan is a dry run kept for review: what organizing would do to each
+ * file, stored item by item instead of being logged as operations. Items
+ * can be excluded or given another destination while the plan is a draft.
+ * Executing the plan places files exactly as approved; see
+ * executePlanItems() in organizer.js for how drift is detected. Plans can
+ * be exported as CSV or JSON, and an edited CSV imported as a new plan.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase, fileQueries, planQueries } from '../database/index.js';
+import {
+  ORGANIZE_MODES,
+  PREVIEW_ACTIONS,
+  PLACED_ACTIONS,
+  previewOrganization,
+  summarizePreview,
+  executePlanItems
+} from './organizer.js';
+import { fileExists } from './fileOperations.js';
+import { getCompanionFilename } from './companions.js';
+import { getProfile } from './organizeProfiles.js';
+import { formatCsv, parseCsv } from './csv.js';
+import { httpError } from './httpError.js';
+
+/**
+ * draft: can be edited; approved: queued for execution; executing; executed;
+ * stopped: execution was paused or cancelled and can be continued
+ */
+export const PLAN_STATUSES = ['draft', 'approved', 'executing', 'executed', 'stopped'];
+
+/**
+ * What became of an item: still planned, done, skipped (excluded or no
+ * source), drifted (changed after planning) or failed
+ */
+export const PLAN_ITEM_STATUSES = ['planned', 'done', 'skipped', 'drifted', 'failed'];
+
+// Plans that can be sent for execution
+const EXECUTABLE_STATUSES = ['draft', 'approved', 'stopped'];
+
+export const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Columns of an exported plan. An import needs the first four; the dates
+ * and status are there for reference and are not read back.
+ */
+export const PLAN_CSV_COLUMNS = [
+  'file_id', 'source', 'destination', 'action', 'resolved_date', 'date_source',
+  'duplicate_of', 'rule', 'excluded', 'status'
+];
+
+const IMPORT_REQUIRED_COLUMNS = ['file_id', 'source', 'destination', 'action'];
+
+// How many invalid rows the message of a failed import spells out; all are in its errors
+const IMPORT_ERRORS_IN_MESSAGE = 5;
+
+/**
+ * Plan what organizing pending files would do and store it for review
+ * @param {Object} params - Plan parameters
+ * @param {string} params.destinationPath - Base destination folder
+ * @param {number[]} [params.fileIds] - Specific files, or all pending files
+ * @param {string} [params.template] - Destination path template
+ * @param {number} [params.profileId] - Organize profile whose rules pick a template per file
+ * @param {Object} [params.profile] - The profile itself, if already loaded
+ * @param {string} [params.mode] - move, copy, hardlink or symlink
+ * @param {boolean} [params.verify] - Read copies back after writing; config.verifyAfterWrite if not given
+ * @returns {Promise<Object>} - Stored plan
+ */
+export async function createPlan({
+  destinationPath, fileIds = null, template = null, profileId = null, profile = null, mode = 'move', verify = null
+}) {
+  if (!destinationPath) {
+    throw httpError('destinationPath is required', 400);
+  }
+
+  if (!ORGANIZE_MODES.includes(mode)) {
+    throw httpError(`Invalid organize mode. Must be one of: ${ORGANIZE_MODES.join(', ')}`, 400);
+  }
+
+  if (!profile && profileId !== undefined && profileId !== null) {
+    profile = getProfile(profileId);
+    if (!profile) {
+      throw httpError(`Organize profile ${profileId} not found`, 400);
+    }
+  }
+
+  const { files } = await previewOrganization(destinationPath, fileIds, { template, profile });
+
+  // What each source looks like now, so execution can tell if it changed
+  const snapshots = await Promise.all(files.map(async (entry) => {
+    if (entry.action === 'missing_source') return null;
+    try {
+      return await fs.stat(entry.sourcePath);
+    } catch {
+      return null;
+    }
+  }));
+
+  const getFile = fileQueries.getFileById();
+  const planId = storePlan({
+    destination_path: destinationPath,
+    template: template || null,
+    profile_id: profile?.id ?? null,
+    profile_name: profile?.name ?? null,
+    mode,
+    verify: typeof verify === 'boolean' ? Number(verify) : null
+  }, files.map((entry, position) => ({
+    file_id: entry.id,
+    companion_of: entry.companionOf,
+    action: entry.action,
+    source_path: entry.sourcePath,
+    destination_path: entry.destinationPath,
+    intended_path: entry.intendedPath,
+    conflicts_with: entry.conflictsWith === null ? null : String(entry.conflictsWith),
+    duplicate_of: entry.duplicateOf,
+    rule: entry.rule,
+    hash_sha256: getFile.get(entry.id)?.hash_sha256 ?? null,
+    size: snapshots[position]?.size ?? entry.size,
+    source_mtime: snapshots[position]?.mtime.toISOString() ?? null,
+    resolved_date: entry.resolvedDate,
+    date_source: entry.dateSource,
+    excluded: 0
+  })));
+
+  return getPlan(planId);
+}
+
+/**
+ * List plans, newest first
+ * @param {Object} options - { limit, offset }
+ * @returns {Object} - { plans, total }
+ */
+export function listPlans({ limit = 50, offset = 0 } = {}) {
+  return {
+    plans: planQueries.getPlans().all(limit, offset).map(row => ({ ...formatPlan(row), ...countItems(row.id) })),
+    total: planQueries.countPlans().get().count
+  };
+}
+
+/**
+ * Get a plan with its totals and destination folders
+ * @param {number} id - Plan ID
+ * @returns {Object|null} - Plan or null
+ */
+export function getPlan(id) {
+  const row = planQueries.getPlanById().get(id);
+  if (!row) return null;
+
+  const included = planQueries.getAllItems().all(id)
+    .filter(item => !item.excluded)
+    .map(item => ({ action: item.action, destinationPath: item.destination_path, size: item.size }));
+
+  return {
+    ...formatPlan(row),
+    ...countItems(id),
+    folders: summarizePreview(row.destination_path, included).folders
+  };
+}
+
+/**
+ * Get a page of a plan's items, in the order they run
+ * @param {number} id - Plan ID
+ * @param {Object} options - { limit, offset }
+ * @returns {Object} - { items, total }
+ */
+export function getPlanItems(id, { limit = 100, offset = 0 } = {}) {
+  const plan = requirePlan(id);
+  return {
+    items: planQueries.getItems().all(plan.id, limit, offset).map(formatItem),
+    total: countItems(plan.id).summary.totalFiles
+  };
+}
+
+/**
+ * Change one item of a draft plan. Excluding a primary file excludes its
+ * companions; a new destination for it takes them along to the new folder.
+ * @param {number} planId - Plan ID
+ * @param {number} itemId - Item ID
+ * @param {Object} changes - { excluded: boolean, destinationPath: absolute path inside the plan's destination }
+ * @returns {Promise<Object>} - Updated item
+ */
+export async function updatePlanItem(planId, itemId, { excluded, destinationPath } = {}) {
+  const plan = requirePlan(planId);
+  if (plan.status !== 'draft') {
+    throw httpError(`Plan is ${plan.status} and can no longer be edited`, 409);
+  }
+
+  const item = planQueries.getItemById().get(plan.id, itemId);
+  if (!item) {
+    throw httpError('Plan item not found', 404);
+  }
+
+  if (excluded !== undefined && typeof excluded !== 'boolean') {
+    throw httpError('excluded must be true or false', 400);
+  }
+
+  const companions = item.companion_of ? [] : planQueries.getCompanionItems().all(plan.id, item.file_id);
+  const changes = new Map([[item.id, {
+    item,
+    destination_path: item.destination_path,
+    excluded: excluded === undefined ? item.excluded : Number(excluded)
+  }]]);
+  for (const companion of companions) {
+    changes.set(companion.id, {
+      item: companion,
+      destination_path: companion.destination_path,
+      excluded: excluded === undefined ? companion.excluded : Number(excluded)
+    });
+  }
+
+  if (destinationPath !== undefined && destinationPath !== item.destination_path) {
+    if (!PLACED_ACTIONS.includes(item.action)) {
+      throw httpError('Only files the plan places can be given another destination', 400);
+    }
+    const newPath = resolveInside(plan.destination_path, destinationPath, 'destinationPath');
+    changes.get(item.id).destination_path = newPath;
+
+    const file = fileQueries.getFileById().get(item.file_id);
+    for (const companion of companions) {
+      if (!PLACED_ACTIONS.includes(companion.action)) continue;
+      const companionFile = fileQueries.getFileById().get(companion.file_id);
+      changes.get(companion.id).destination_path =
+        path.join(path.dirname(newPath), getCompanionFilename(file, newPath, companionFile));
+    }
+  }
+
+  for (const change of changes.values()) {
+    if (!change.excluded && change.destination_path) {
+      await assertDestinationFree(plan.id, change, changes);
+    }
+  }
+
+  getDatabase().transaction(() => {
+    for (const { item: changed, destination_path, excluded: isExcluded } of changes.values()) {
+      planQueries.updateItemPlan().run({ id: changed.id, destination_path, excluded: isExcluded });
+    }
+    planQueries.touchPlan().run(plan.id);
+  })();
+
+  return formatItem(planQueries.getItemById().get(plan.id, item.id));
+}
+
+/**
+ * Approve a plan for execution
+ * @param {number} id - Plan ID
+ * @returns {Object} - Plan; its batch ID is the batch its operations are logged under
+ */
+export function approvePlan(id) {
+  const plan = requirePlan(id);
+  if (!EXECUTABLE_STATUSES.includes(plan.status)) {
+    throw httpError(`Plan is ${plan.status} and cannot be executed`, 409);
+  }
+
+  planQueries.updatePlanStatus().run({
+    id: plan.id, status: 'approved', batch_id: plan.batch_id || uuidv4(), executed_at: null
+  });
+  return getPlan(plan.id);
+}
+
+/**
+ * Execute an approved plan. Runs from the job queue; a stopped execution,
+ * or one interrupted by a restart, continues in the same batch with the
+ * items not yet run.
+ * @param {number} id - Plan ID
+ * @returns {Promise<Object>} - Organization results
+ */
+export async function executePlan(id) {
+  const plan = requirePlan(id);
+  if (![...EXECUTABLE_STATUSES, 'executing'].includes(plan.status)) {
+    throw httpError(`Plan is ${plan.status} and cannot be executed`, 409);
+  }
+
+  const batchId = plan.batch_id || uuidv4();
+  planQueries.updatePlanStatus().run({ id: plan.id, status: 'executing', batch_id: batchId, executed_at: null });
+
+  try {
+    const result = await executePlanItems({ ...plan, batch_id: batchId }, { batchId });
+    planQueries.updatePlanStatus().run({
+      id: plan.id,
+      status: result.status === 'completed' ? 'executed' : 'stopped',
+      batch_id: null,
+      executed_at: result.status === 'completed' ? new Date().toISOString() : null
+    });
+    return result;
+  } catch (error) {
+    planQueries.updatePlanStatus().run({ id: plan.id, status: 'stopped', batch_id: null, executed_at: null });
+    throw error;
+  }
+}
+
+/**
+ * Take back the approval of a plan whose execution was cancelled before it
+ * started, so it can be edited or deleted again. A plan that was stopped
+ * part way goes back to stopped.
+ * @param {number} id - Plan ID
+ */
+export function withdrawApproval(id) {
+  const plan = planQueries.getPlanById().get(id);
+  if (plan?.status !== 'approved') return;
+
+  const started = planQueries.countItemsByStatus().all(plan.id).some(row => row.status !== 'planned');
+  planQueries.updatePlanStatus().run({
+    id: plan.id, status: started ? 'stopped' : 'draft', batch_id: null, executed_at: null
+  });
+}
+
+/**
+ * Discard a plan that isn't approved or executing; cancel its execution first
+ * @param {number} id - Plan ID
+ * @returns {boolean} - True if a plan was deleted
+ */
+export function deletePlan(id) {
+  const plan = planQueries.getPlanById().get(id);
+  if (!plan) return false;
+
+  if (['approved', 'executing'].includes(plan.status)) {
+    throw httpError(`Plan is ${plan.status} and cannot be deleted; cancel its execution first`, 409);
+  }
+  return planQueries.deletePlan().run(plan.id).changes > 0;
+}
+
+/**
+ * Export a plan for review outside the app, e.g. in a spreadsheet
+ * @param {number} id - Plan ID
+ * @param {string} [format] - csv or json
+ * @returns {Object} - { filename, contentType, body }
+ */
+export function exportPlan(id, format = 'csv') {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw httpError(`Invalid export format. Must be one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+  }
+
+  const plan = requirePlan(id);
+  const items = planQueries.getAllItems().all(plan.id).map(formatItem);
+
+  if (format === 'json') {
+    return {
+      filename: `plan-${plan.id}.json`,
+      contentType: 'application/json; charset=utf-8',
+      body: JSON.stringify({ plan: formatPlan(plan), items }, null, 2)
+    };
+  }
+
+  return {
+    filename: `plan-${plan.id}.csv`,
+    contentType: 'text/csv; charset=utf-8',
+    body: formatCsv(PLAN_CSV_COLUMNS, items.map(item => ({
+      file_id: item.fileId,
+      source: item.sourcePath,
+      destination: item.destinationPath,
+      action: item.action,
+      resolved_date: item.resolvedDate,
+      date_source: item.dateSource,
+      duplicate_of: item.duplicateOf,
+      rule: item.rule,
+      excluded: item.excluded,
+      status: item.status
+    })))
+  };
+}
+
+/**
+ * Create a draft plan from CSV in the export's format, usually an exported
+ * plan edited in a spreadsheet. Rows can be removed, reordered, excluded or
+ * given another destination. Every row is checked against the files table
+ * and nothing is stored unless all of them pass; companions are put right
+ * after their primary file when both are in the CSV.
+ * @param {string} csv - CSV text
+ * @param {Object} options - Plan options
+ * @param {string} options.destinationPath - Base destination folder; every destination must be inside it
+ * @param {string} [options.mode] - move, copy, hardlink or symlink
+ * @param {boolean} [options.verify] - Read copies back after writing; config.verifyAfterWrite if not given
+ * @returns {Promise<Object>} - Stored plan
+ */
+export async function importPlan(csv, { destinationPath, mode = 'move', verify = null } = {}) {
+  if (!destinationPath) {
+    throw httpError('destinationPath is required', 400);
+  }
+
+  if (!ORGANIZE_MODES.includes(mode)) {
+    throw httpError(`Invalid organize mode. Must be one of: ${ORGANIZE_MODES.join(', ')}`, 400);
+  }
+
+  const { columns, rows } = parseCsv(csv);
+  const missing = IMPORT_REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw httpError(`CSV is missing columns: ${missing.join(', ')}`, 400);
+  }
+  if (rows.length === 0) {
+    throw httpError('CSV has no rows', 400);
+  }
+
+  const entries = [];
+  const errors = [];
+  const linesByFile = new Map();
+  const linesByDestination = new Map();
+
+  for (const { line, values } of rows) {
+    try {
+      const entry = await readImportRow(values, destinationPath);
+
+      if (linesByFile.has(entry.file_id)) {
+        throw httpError(`file ${entry.file_id} is already on line ${linesByFile.get(entry.file_id)}`, 400);
+      }
+      linesByFile.set(entry.file_id, line);
+
+      if (!entry.excluded && entry.destination_path) {
+        if (linesByDestination.has(entry.destination_path)) {
+          throw httpError(`line ${linesByDestination.get(entry.destination_path)} already goes to ${entry.destination_path}`, 400);
+        }
+        linesByDestination.set(entry.destination_path, line);
+      }
+
+      entries.push(entry);
+    } catch (error) {
+      if (!error.status) throw error;
+      errors.push(`Line ${line}: ${error.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    const more = errors.length > IMPORT_ERRORS_IN_MESSAGE ? `; and ${errors.length - IMPORT_ERRORS_IN_MESSAGE} more` : '';
+    const error = httpError(
+      `${errors.length} of ${rows.length} rows are invalid: ${errors.slice(0, IMPORT_ERRORS_IN_MESSAGE).join('; ')}${more}`,
+      400
+    );
+    error.errors = errors;
+    throw error;
+  }
+
+  const planId = storePlan({
+    destination_path: path.resolve(destinationPath),
+    template: null,
+    profile_id: null,
+    profile_name: null,
+    mode,
+    verify: typeof verify === 'boolean' ? Number(verify) : null
+  }, orderCompanions(entries));
+
+  return getPlan(planId);
+}
+
+/**
+ * Check one row of an imported plan against the files table and the disk
+ * @param {Object} values - Row values by column
+ * @param {string} destinationBase - The plan's destination folder
+ * @returns {Promise<Object>} - plan_items fields, with the file's companion_of
+ */
+async function readImportRow(values, destinationBase) {
+  const field = (column) => (values[column] ?? '').trim();
+
+  const fileId = Number(field('file_id'));
+  if (!Number.isInteger(fileId) || fileId <= 0) {
+    throw httpError(`file_id "${field('file_id')}" is not a file ID`, 400);
+  }
+
+  const file = fileQueries.getFileById().get(fileId);
+  if (!file) {
+    throw httpError(`file ${fileId} is not in the library`, 400);
+  }
+  if (file.status !== 'pending') {
+    throw httpError(`file ${fileId} is ${file.status}, not pending`, 400);
+  }
+
+  const sourcePath = file.current_path || file.original_path;
+  if (field('source') !== sourcePath) {
+    throw httpError(`file ${fileId} is at ${sourcePath}, not ${field('source')}`, 400);
+  }
+
+  const action = field('action');
+  if (!PREVIEW_ACTIONS.includes(action)) {
+    throw httpError(`action must be one of: ${PREVIEW_ACTIONS.join(', ')}`, 400);
+  }
+
+  const excluded = parseExcluded(field('excluded'));
+
+  let destination = null;
+  let duplicateOf = null;
+  if (PLACED_ACTIONS.includes(action)) {
+    if (!field('destination')) {
+      throw httpError(`destination is required for ${action}`, 400);
+    }
+    destination = resolveInside(destinationBase, field('destination'), 'destination');
+  } else if (action === 'duplicate') {
+    duplicateOf = Number(field('duplicate_of'));
+    const original = Number.isInteger(duplicateOf) && duplicateOf !== fileId
+      ? fileQueries.getFileById().get(duplicateOf)
+      : null;
+    if (!original) {
+      throw httpError('duplicate_of must be the ID of another file in the library', 400);
+    }
+    if (!file.hash_sha256 || original.hash_sha256 !== file.hash_sha256) {
+      throw httpError(`file ${fileId} does not have the same content as file ${duplicateOf}`, 400);
+    }
+  }
+
+  let stats = null;
+  try {
+    stats = await fs.stat(sourcePath);
+  } catch {
+    // Only a problem for a file that is to be placed
+  }
+
+  if (destination && !excluded) {
+    if (!stats) {
+      throw httpError(`source file ${sourcePath} not found`, 400);
+    }
+    if (await fileExists(destination)) {
+      throw httpError(`a file already exists at ${destination}`, 400);
+    }
+  }
+
+  return {
+    file_id: file.id,
+    companion_of: file.companion_of,
+    action,
+    source_path: sourcePath,
+    destination_path: destination,
+    intended_path: null,
+    conflicts_with: null,
+    duplicate_of: duplicateOf,
+    rule: field('rule') || null,
+    hash_sha256: file.hash_sha256,
+    size: stats?.size ?? file.size,
+    source_mtime: stats?.mtime.toISOString() ?? null,
+    resolved_date: file.resolved_date,
+    date_source: file.date_source,
+    excluded: Number(excluded)
+  };
+}
+
+/**
+ * Read the excluded column of an imported row
+ * @param {string} value - Column value; blank means included
+ * @returns {boolean}
+ */
+function parseExcluded(value) {
+  const normalized = value.toLowerCase();
+  if (['', 'false', 'no', '0'].includes(normalized)) return false;
+  if (['true', 'yes', '1'].includes(normalized)) return true;
+  throw httpError(`excluded must be true or false, not "${value}"`, 400);
+}
+
+/**
+ * Put each companion right after its primary file. A companion whose
+ * primary file isn't in the list runs on its own.
+ * @param {Object[]} entries - plan_items fields, with the file's companion_of
+ * @returns {Object[]} - Entries in the order they run
+ */
+function orderCompanions(entries) {
+  const fileIds = new Set(entries.map(entry => entry.file_id));
+  const companionsByPrimary = new Map();
+
+  for (const entry of entries) {
+    if (!entry.companion_of || !fileIds.has(entry.companion_of)) continue;
+    if (!companionsByPrimary.has(entry.companion_of)) companionsByPrimary.set(entry.companion_of, []);
+    companionsByPrimary.get(entry.companion_of).push(entry);
+  }
+
+  return entries.flatMap(entry => {
+    if (entry.companion_of && fileIds.has(entry.companion_of)) return [];
+    return [{ ...entry, companion_of: null }, ...(companionsByPrimary.get(entry.file_id) || [])];
+  });
+}
+
+/**
+ * Store a plan and its items
+ * @param {Object} plan - plans fields
+ * @param {Object[]} items - plan_items fields, in the order they run
+ * @returns {number} - Plan ID
+ */
+function storePlan(plan, items) {
+  return getDatabase().transaction(() => {
+    const id = Number(planQueries.insertPlan().run(plan).lastInsertRowid);
+    const insertItem = planQueries.insertItem();
+    items.forEach((item, position) => insertItem.run({ ...item, plan_id: id, position }));
+    return id;
+  })();
+}
+
+/**
+ * Make sure no other included item of the plan, and nothing on disk, is at
+ * the destination an item is about to get
+ * @param {number} planId - Plan ID
+ * @param {Object} change - { item, destination_path }
+ * @param {Map} changes - All changes being made, by item ID
+ */
+async function assertDestinationFree(planId, change, changes) {
+  const taken = planQueries.getItemByDestination().all(planId, change.destination_path)
+    .find(other => !changes.has(other.id));
+  const clashes = [...changes.values()]
+    .filter(other => other !== change && !other.excluded && other.destination_path === change.destination_path);
+
+  if (taken || clashes.length > 0) {
+    throw httpError(`File ${(taken || clashes[0].item).file_id} of the plan already goes to ${change.destination_path}`, 409);
+  }
+
+  // A destination kept from planning that is taken now is reported as drift when the plan runs
+  if (change.destination_path !== change.item.destination_path && await fileExists(change.destination_path)) {
+    throw httpError(`A file already exists at ${change.destination_path}`, 409);
+  }
+}
+
+/**
+ * Resolve a destination given for an item, which must stay inside the plan's destination
+ * @param {string} destinationBase - The plan's destination folder
+ * @param {string} destinationPath - Absolute path
+ * @param {string} name - What the destination is called in errors
+ * @returns {string} - Normalized path
+ */
+function resolveInside(destinationBase, destinationPath, name) {
+  if (typeof destinationPath !== 'string' || !path.isAbsolute(destinationPath)) {
+    throw httpError(`${name} must be an absolute path`, 400);
+  }
+
+  const resolved = path.resolve(destinationPath);
+  const relative = path.relative(path.resolve(destinationBase), resolved);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw httpError(`${name} must be a file inside ${destinationBase}`, 400);
+  }
+  return resolved;
+}
+
+/**
+ * Count a plan's items by action and by outcome
+ * @param {number} id - Plan ID
+ * @returns {Object} - { summary: { totalFiles, totalBytes, byAction, excludedFiles }, byStatus }
+ */
+function countItems(id) {
+  const byAction = Object.fromEntries(PREVIEW_ACTIONS.map(action => [action, 0]));
+  let totalFiles = 0;
+  let totalBytes = 0;
+  let excludedFiles = 0;
+
+  for (const { action, excluded, count, bytes } of planQueries.countItemsByAction().all(id)) {
+    totalFiles += count;
+    if (excluded) {
+      excludedFiles += count;
+      continue;
+    }
+    byAction[action] = (byAction[action] || 0) + count;
+    if (PLACED_ACTIONS.includes(action)) totalBytes += bytes;
+  }
+
+  const byStatus = Object.fromEntries(PLAN_ITEM_STATUSES.map(status => [status, 0]));
+  for (const { status, count } of planQueries.countItemsByStatus().all(id)) {
+    byStatus[status] = count;
+  }
+
+  return { summary: { totalFiles, totalBytes, byAction, excludedFiles }, byStatus };
+}
+
+/**
+ * Turn a plans row into a plan
+ * @param {Object} row - plans row
+ * @returns {Object}
+ */
+function formatPlan(row) {
+  return {
+    id: row.id,
+    destinationPath: row.destination_path,
+    template: row.template,
+    profileId: row.profile_id,
+    profileName: row.profile_name,
+    mode: row.mode,
+    verify: row.verify === null ? null : row.verify === 1,
+    status: row.status,
+    batchId: row.batch_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    executedAt: row.executed_at
+  };
+}
+
+/**
+ * Turn a plan_items row into an item
+ * @param {Object} row - plan_items row
+ * @returns {Object}
+ */
+function formatItem(row) {
+  const conflictsWith = row.conflicts_with === null || row.conflicts_with === 'existing'
+    ? row.conflicts_with
+    : Number(row.conflicts_with);
+
+  return {
+    id: row.id,
+    fileId: row.file_id,
+    filename: path.basename(row.source_path),
+    companionOf: row.companion_of,
+    action: row.action,
+    sourcePath: row.source_path,
+    destinationPath: row.destination_path,
+    edited: row.destination_path !== row.planned_destination_path,
+    intendedPath: row.intended_path,
+    conflictsWith,
+    duplicateOf: row.duplicate_of,
+    rule: row.rule,
+    size: row.size,
+    resolvedDate: row.resolved_date,
+    dateSource: row.date_source,
+    excluded: row.excluded === 1,
+    status: row.status,
+    message: row.message
+  };
+}
+
+/**
+ * Get a plan row or throw a 404 error
+ * @param {number} id - Plan ID
+ * @returns {Object} - plans row
+ */
+function requirePlan(id) {
+  const plan = planQueries.getPlanById().get(id);
+  if (!plan) {
+    throw httpError('Plan not found', 404);
+  }
+  return plan;
+}
+
+export default {
+  PLAN_STATUSES,
+  PLAN_ITEM_STATUSES,
+  EXPORT_FORMATS,
+  PLAN_CSV_COLUMNS,
+  createPlan,
+  listPlans,
+  getPlan,
+  getPlanItems,
+  updatePlanItem,
+  approvePlan,
+  executePlan,
+  withdrawApproval,
+  deletePlan,
+  exportPlan,
+  importPlan
+};
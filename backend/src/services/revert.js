@@ -2,7 +2,33 @@ import fs from 'fs/promises';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import { getDatabase, fileQueries, operationQueries, errorQueries } from '../database/index.js';
-import { calculateHash } from './hasher.js';
+import { calculateHash, calculateHashes } from './hasher.js';
+import { moveFile } from './fileOperations.js';
+import { publish, getProgressRates } from './events.js';
+import { undoWriteBack, checkWriteBackRevert } from './dateWriteBack.js';
+import {
+  getTrashItemForOperation, undoTrash, checkTrashRevert
+} from './trash.js';
+
+/**
+ * Operation types that can be undone. Moves into the trash or quarantine
+ * are moved back, trashed files until the trash is emptied; hardlinks are
+ * replaced with an independent copy again; copies and links made by
+ * organizing are deleted; time shifts and manual dates restore the previous
+ * dates; dates written back to a file restore its original bytes.
+ */
+export const REVERTIBLE_OPERATION_TYPES = [
+  'move', 'copy', 'link', 'symlink', 'quarantine', 'trash', 'hardlink', 'timeshift', 'date_edit', 'date_writeback'
+];
+
+// Organize operations that left the source in place
+const ORGANIZE_COPY_TYPES = ['copy', 'link', 'symlink'];
+
+// Operations that only change a file's date columns
+const DATE_OPERATION_TYPES = ['timeshift', 'date_edit'];
+
+// Operations created by duplicate resolution
+const DUPLICATE_OPERATION_TYPES = ['quarantine', 'hardlink'];
 
 /**
  * Revert a single operation
@@ -12,8 +38,8 @@ import { calculateHash } from './hasher.js';
 export async function revertOperation(operation) {
   const db = getDatabase();
 
-  if (operation.operation_type !== 'move') {
-    throw new Error('Only move operations can be reverted');
+  if (!REVERTIBLE_OPERATION_TYPES.includes(operation.operation_type)) {
+    throw new Error(`Operations of type "${operation.operation_type}" cannot be reverted`);
   }
 
   if (operation.status === 'reverted') {
@@ -25,6 +51,26 @@ export async function revertOperation(operation) {
     throw new Error('Associated file not found');
   }
 
+  if (operation.operation_type === 'hardlink') {
+    return revertHardlink(operation, file);
+  }
+
+  if (ORGANIZE_COPY_TYPES.includes(operation.operation_type)) {
+    return revertOrganizeCopy(operation, file);
+  }
+
+  if (DATE_OPERATION_TYPES.includes(operation.operation_type)) {
+    return revertDateChange(operation, file);
+  }
+
+  if (operation.operation_type === 'date_writeback') {
+    return revertDateWriteBack(operation, file);
+  }
+
+  if (operation.operation_type === 'trash') {
+    return revertTrash(operation, file, getTrashItemForOperation(operation.id));
+  }
+
   const currentPath = operation.destination_path;
   const originalPath = operation.source_path;
 
@@ -64,9 +110,10 @@ export async function revertOperation(operation) {
   }
 
   // Move file back
-  await fs.rename(currentPath, originalPath);
+  await moveFile(currentPath, originalPath);
 
-  // Update file record
+  // Update file record; resolved duplicates stay marked as duplicates
+  const wasDuplicate = DUPLICATE_OPERATION_TYPES.includes(operation.operation_type);
   fileQueries.updateFile().run({
     id: file.id,
     current_path: originalPath,
@@ -76,8 +123,8 @@ export async function revertOperation(operation) {
     exif_date: file.exif_date,
     resolved_date: file.resolved_date,
     date_source: file.date_source,
-    status: 'pending',
-    duplicate_of: null,
+    status: wasDuplicate ? 'duplicate' : 'pending',
+    duplicate_of: wasDuplicate ? file.duplicate_of : null,
     metadata_json: file.metadata_json
   });
 
@@ -109,6 +156,264 @@ export async function revertOperation(operation) {
   };
 }
 
+/**
+ * Revert a hardlink replacement by giving the duplicate its own copy of the
+ * content again
+ * @param {Object} operation - Hardlink operation record
+ * @param {Object} file - Associated file record
+ * @returns {Promise<Object>} - Revert result
+ */
+async function revertHardlink(operation, file) {
+  const linkPath = operation.source_path;
+  const keptPath = operation.destination_path;
+
+  try {
+    await fs.access(linkPath);
+  } catch {
+    throw new Error('Linked file no longer exists');
+  }
+
+  if (operation.hash_used) {
+    const currentHash = await calculateHash(linkPath);
+    if (currentHash !== operation.hash_used) {
+      throw new Error('File has been modified since it was linked');
+    }
+  }
+
+  // Copy beside the link, then swap it in so the path is never empty
+  const tempPath = path.join(path.dirname(linkPath), `.${path.basename(linkPath)}.${operation.id}.revert`);
+  await fs.copyFile(linkPath, tempPath);
+  await fs.rename(tempPath, linkPath);
+
+  fileQueries.updateFile().run({
+    id: file.id,
+    current_path: linkPath,
+    hash_sha256: file.hash_sha256,
+    hash_partial: file.hash_partial,
+    mime_type: file.mime_type,
+    exif_date: file.exif_date,
+    resolved_date: file.resolved_date,
+    date_source: file.date_source,
+    status: 'duplicate',
+    duplicate_of: file.duplicate_of,
+    metadata_json: file.metadata_json
+  });
+
+  operationQueries.updateOperationStatus().run('reverted', operation.id);
+
+  operationQueries.insertOperation().run({
+    batch_id: uuidv4(),
+    file_id: file.id,
+    operation_type: 'revert',
+    source_path: keptPath,
+    destination_path: linkPath,
+    hash_used: operation.hash_used,
+    reason: `Reverted operation ${operation.id}`,
+    status: 'completed'
+  });
+
+  return {
+    success: true,
+    operationId: operation.id,
+    fileId: file.id,
+    originalPath: linkPath,
+    revertedFrom: keptPath
+  };
+}
+
+/**
+ * Revert an organize copy, hard link or symlink by deleting it. The source
+ * it was made from must still be there, so no content is ever lost.
+ * @param {Object} operation - Copy, link or symlink operation record
+ * @param {Object} file - Associated file record
+ * @returns {Promise<Object>} - Revert result
+ */
+async function revertOrganizeCopy(operation, file) {
+  const copyPath = operation.destination_path;
+  const originalPath = operation.source_path;
+
+  try {
+    await fs.access(originalPath);
+  } catch {
+    throw new Error('Original file no longer exists');
+  }
+
+  let stats;
+  try {
+    stats = await fs.lstat(copyPath);
+  } catch {
+    throw new Error('File no longer exists at destination path');
+  }
+
+  if (operation.operation_type === 'symlink') {
+    if (!stats.isSymbolicLink() || await fs.readlink(copyPath) !== path.resolve(originalPath)) {
+      throw new Error('The link has been replaced since it was created');
+    }
+  } else if (operation.hash_used && await calculateHash(copyPath) !== operation.hash_used) {
+    throw new Error('File has been modified since it was copied');
+  }
+
+  await fs.unlink(copyPath);
+
+  fileQueries.updateFile().run({
+    id: file.id,
+    current_path: originalPath,
+    hash_sha256: file.hash_sha256,
+    hash_partial: file.hash_partial,
+    mime_type: file.mime_type,
+    exif_date: file.exif_date,
+    resolved_date: file.resolved_date,
+    date_source: file.date_source,
+    status: 'pending',
+    duplicate_of: null,
+    metadata_json: file.metadata_json
+  });
+
+  operationQueries.updateOperationStatus().run('reverted', operation.id);
+
+  operationQueries.insertOperation().run({
+    batch_id: uuidv4(),
+    file_id: file.id,
+    operation_type: 'revert',
+    source_path: copyPath,
+    destination_path: originalPath,
+    hash_used: operation.hash_used,
+    reason: `Reverted operation ${operation.id}`,
+    status: 'completed'
+  });
+
+  await cleanupEmptyDirectories(path.dirname(copyPath));
+
+  return {
+    success: true,
+    operationId: operation.id,
+    fileId: file.id,
+    originalPath,
+    revertedFrom: copyPath
+  };
+}
+
+/**
+ * Revert a time shift or manual date by restoring the dates the file had before it
+ * @param {Object} operation - Date operation record
+ * @param {Object} file - Associated file record
+ * @returns {Promise<Object>} - Revert result
+ */
+async function revertDateChange(operation, file) {
+  const { before, after } = JSON.parse(operation.details_json);
+
+  // A later date change has replaced this one; undo that first
+  if (file.resolved_date !== after.resolved_date || file.date_source !== after.date_source) {
+    throw new Error('File date has changed since this operation');
+  }
+
+  fileQueries.updateCaptureTime().run({ id: file.id, ...before });
+
+  operationQueries.updateOperationStatus().run('reverted', operation.id);
+
+  operationQueries.insertOperation().run({
+    batch_id: uuidv4(),
+    file_id: file.id,
+    operation_type: 'revert',
+    source_path: operation.source_path,
+    destination_path: operation.destination_path,
+    hash_used: null,
+    reason: `Reverted operation ${operation.id}`,
+    status: 'completed'
+  });
+
+  return {
+    success: true,
+    operationId: operation.id,
+    fileId: file.id,
+    originalPath: operation.source_path,
+    revertedFrom: operation.destination_path,
+    resolvedDate: before.resolved_date
+  };
+}
+
+/**
+ * Revert a date write-back by restoring the file's original bytes, or removing the sidecar it created
+ * @param {Object} operation - Write-back operation record
+ * @param {Object} file - Associated file record
+ * @returns {Promise<Object>} - Revert result
+ */
+async function revertDateWriteBack(operation, file) {
+  const restored = await undoWriteBack(operation);
+
+  if (restored.embedded) {
+    const { full, partial } = await calculateHashes(operation.destination_path, restored.size);
+    fileQueries.updateContent().run({ id: file.id, size: restored.size, hash_sha256: full, hash_partial: partial });
+  }
+
+  operationQueries.updateOperationStatus().run('reverted', operation.id);
+
+  operationQueries.insertOperation().run({
+    batch_id: uuidv4(),
+    file_id: file.id,
+    operation_type: 'revert',
+    source_path: operation.destination_path,
+    destination_path: operation.source_path,
+    hash_used: operation.hash_used,
+    reason: `Reverted operation ${operation.id}`,
+    status: 'completed'
+  });
+
+  return {
+    success: true,
+    operationId: operation.id,
+    fileId: file.id,
+    originalPath: operation.source_path,
+    revertedFrom: operation.destination_path
+  };
+}
+
+/**
+ * Move a trashed file back and give it the status it had before
+ * @param {Object} operation - Trash operation record
+ * @param {Object} file - Associated file record
+ * @param {Object} item - The trash item the operation created
+ * @returns {Promise<Object>} - Revert result
+ */
+async function revertTrash(operation, file, item) {
+  await undoTrash(item);
+
+  fileQueries.updateFile().run({
+    id: file.id,
+    current_path: item.original_path,
+    hash_sha256: file.hash_sha256,
+    hash_partial: file.hash_partial,
+    mime_type: file.mime_type,
+    exif_date: file.exif_date,
+    resolved_date: file.resolved_date,
+    date_source: file.date_source,
+    status: item.previous_status,
+    duplicate_of: item.previous_duplicate_of,
+    metadata_json: file.metadata_json
+  });
+
+  operationQueries.updateOperationStatus().run('reverted', operation.id);
+
+  operationQueries.insertOperation().run({
+    batch_id: uuidv4(),
+    file_id: file.id,
+    operation_type: 'revert',
+    source_path: item.trash_path,
+    destination_path: item.original_path,
+    hash_used: operation.hash_used,
+    reason: `Reverted operation ${operation.id}`,
+    status: 'completed'
+  });
+
+  return {
+    success: true,
+    operationId: operation.id,
+    fileId: file.id,
+    originalPath: item.original_path,
+    revertedFrom: item.trash_path
+  };
+}
+
 /**
  * Revert all operations in a batch
  * @param {string} batchId - Batch ID to revert
@@ -120,8 +425,8 @@ export async function revertBatch(batchId) {
   // Get all move operations in the batch (in reverse order)
   const operations = db.prepare(`
     SELECT * FROM operations
-    WHERE batch_id = ? AND operation_type = 'move' AND status = 'completed'
-    ORDER BY created_at DESC
+    WHERE batch_id = ? AND operation_type IN (${revertibleTypesSql()}) AND status = 'completed'
+    ORDER BY created_at DESC, id DESC
   `).all(batchId);
 
   if (operations.length === 0) {
@@ -137,7 +442,18 @@ export async function revertBatch(batchId) {
     errors: []
   };
 
+  const progress = {
+    batchId,
+    status: 'in_progress',
+    totalFiles: operations.length,
+    processedFiles: 0,
+    currentFile: null,
+    startedAt: new Date().toISOString()
+  };
+  publishProgress(progress, results, true);
+
   for (const operation of operations) {
+    progress.currentFile = operation.destination_path;
     try {
       await revertOperation(operation);
       results.reverted++;
@@ -152,11 +468,33 @@ export async function revertBatch(batchId) {
         });
       }
     }
+    progress.processedFiles++;
+    publishProgress(progress, results);
   }
 
+  progress.status = 'completed';
+  progress.currentFile = null;
+  progress.completedAt = new Date().toISOString();
+  publishProgress(progress, results, true);
+
   return results;
 }
 
+/**
+ * Publish batch revert progress with throughput and ETA
+ * @param {Object} progress - Progress counters
+ * @param {Object} results - Results so far
+ * @param {boolean} force - Send even if progress was published moments ago
+ */
+function publishProgress(progress, results, force = false) {
+  const { errors, ...counts } = results;
+  publish('revert', {
+    ...progress,
+    ...counts,
+    ...getProgressRates(progress.startedAt, progress.processedFiles, progress.totalFiles)
+  }, { force });
+}
+
 /**
  * Check if an operation can be reverted
  * @param {Object} operation - Operation record
@@ -168,8 +506,8 @@ export async function canRevert(operation) {
     reason: null
   };
 
-  if (operation.operation_type !== 'move') {
-    result.reason = 'Only move operations can be reverted';
+  if (!REVERTIBLE_OPERATION_TYPES.includes(operation.operation_type)) {
+    result.reason = `Operations of type "${operation.operation_type}" cannot be reverted`;
     return result;
   }
 
@@ -178,6 +516,62 @@ export async function canRevert(operation) {
     return result;
   }
 
+  // Date changes only touch the file record
+  if (DATE_OPERATION_TYPES.includes(operation.operation_type)) {
+    const file = fileQueries.getFileById().get(operation.file_id);
+    const { after } = JSON.parse(operation.details_json);
+    if (!file) {
+      result.reason = 'Associated file not found';
+    } else if (file.resolved_date !== after.resolved_date || file.date_source !== after.date_source) {
+      result.reason = 'File date has changed since this operation';
+    } else {
+      result.canRevert = true;
+    }
+    return result;
+  }
+
+  // Written dates are reverted in place while the written file is unchanged
+  if (operation.operation_type === 'date_writeback') {
+    result.reason = await checkWriteBackRevert(operation);
+    result.canRevert = result.reason === null;
+    return result;
+  }
+
+  // Trashed files are moved back until the trash is emptied
+  if (operation.operation_type === 'trash') {
+    result.reason = await checkTrashRevert(getTrashItemForOperation(operation.id));
+    result.canRevert = result.reason === null;
+    return result;
+  }
+
+  // Copies and links are deleted while their source is still there
+  if (ORGANIZE_COPY_TYPES.includes(operation.operation_type)) {
+    try {
+      await fs.lstat(operation.destination_path);
+    } catch {
+      result.reason = 'File no longer exists at destination';
+      return result;
+    }
+    try {
+      await fs.access(operation.source_path);
+      result.canRevert = true;
+    } catch {
+      result.reason = 'Original file no longer exists';
+    }
+    return result;
+  }
+
+  // A hardlink is reverted in place
+  if (operation.operation_type === 'hardlink') {
+    try {
+      await fs.access(operation.source_path);
+      result.canRevert = true;
+    } catch {
+      result.reason = 'Linked file no longer exists';
+    }
+    return result;
+  }
+
   // Check if file exists at destination
   try {
     await fs.access(operation.destination_path);
@@ -212,8 +606,8 @@ export async function previewBatchRevert(batchId) {
 
   const operations = db.prepare(`
     SELECT * FROM operations
-    WHERE batch_id = ? AND operation_type = 'move' AND status = 'completed'
-    ORDER BY created_at DESC
+    WHERE batch_id = ? AND operation_type IN (${revertibleTypesSql()}) AND status = 'completed'
+    ORDER BY created_at DESC, id DESC
   `).all(batchId);
 
   const preview = [];
@@ -232,6 +626,14 @@ export async function previewBatchRevert(batchId) {
   return preview;
 }
 
+/**
+ * SQL list of revertible operation types
+ * @returns {string}
+ */
+function revertibleTypesSql() {
+  return REVERTIBLE_OPERATION_TYPES.map(type => `'${type}'`).join(', ');
+}
+
 /**
  * Clean up empty directories after reverting files
  * @param {string} dirPath - Directory to check
@@ -260,6 +662,7 @@ export function getFileHistory(fileId) {
 }
 
 export default {
+  REVERTIBLE_OPERATION_TYPES,
   revertOperation,
   revertBatch,
   canRevert,
@@ -1,14 +1,34 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { getDatabase, fileQueries, errorQueries, scanSessionQueries } from '../database/index.js';
-import { extractAllMetadata, shouldSkipFile, shouldSkipDirectory } from './metadata.js';
+import {
+  getDatabase,
+  fileQueries,
+  errorQueries,
+  scanSessionQueries,
+  scanCheckpointQueries,
+  scanChangeQueries
+} from '../database/index.js';
+import { extractAllMetadata, getFileStats, shouldSkipFile, shouldSkipDirectory } from './metadata.js';
 import { calculateHashes } from './hasher.js';
-import { resolveDate } from './dateResolver.js';
+import { calculatePerceptualHash } from './perceptualHash.js';
+import { resolveDate, USER_DATE_SOURCES } from './dateResolver.js';
+import { loadIgnorePatterns } from './ignoreRules.js';
+import { loadFilenameDatePatterns } from './filenameDates.js';
+import { loadDefaultTimezone } from './timezone.js';
+import { detectCompanions } from './companions.js';
+import { publish, getProgressRates } from './events.js';
+import { httpError } from './httpError.js';
 import config from '../config.js';
 
 // Scan status tracking
 let currentScanStatus = null;
 
+// Set by cancelScan(), checked between files
+let scanCancelRequested = false;
+
+// Directories already completed by the session being resumed (path -> file count)
+let resumeCheckpoints = new Map();
+
 /**
  * Get the current scan status
  * @returns {Object|null} - Current scan status or null
@@ -17,15 +37,54 @@ export function getScanStatus() {
   return currentScanStatus;
 }
 
+/**
+ * Request cancellation of the running scan.
+ * The scan stops before the next file; files already processed are kept.
+ * @returns {boolean} - True if a running scan was asked to stop
+ */
+export function cancelScan() {
+  if (!currentScanStatus || currentScanStatus.status !== 'in_progress') {
+    return false;
+  }
+
+  scanCancelRequested = true;
+  currentScanStatus.status = 'cancelling';
+  publishProgress(true);
+  return true;
+}
+
+/**
+ * Mark sessions left 'in_progress' by a crash or restart as 'interrupted'
+ * so they can be resumed. Call once at startup before any scan runs.
+ * @returns {number} - Number of sessions marked
+ */
+export function markInterruptedScans() {
+  return scanSessionQueries.markInterruptedSessions().run().changes;
+}
+
 /**
  * Scan a directory recursively for files
  * @param {string} sourcePath - Path to scan
  * @param {boolean} recursive - Whether to scan subdirectories
  * @param {number} sessionId - Scan session ID for tracking
+ * @param {Object} options - Additional options
+ * @param {boolean} [options.resume] - Skip directories this session already checkpointed
+ * @param {boolean} [options.incremental] - Re-check known files for changes, moves and deletions
  * @returns {Promise<Object>} - Scan results
  */
-export async function scanDirectory(sourcePath, recursive = true, sessionId = null) {
+export async function scanDirectory(sourcePath, recursive = true, sessionId = null, options = {}) {
   const db = getDatabase();
+  scanCancelRequested = false;
+  loadIgnorePatterns();
+  loadFilenameDatePatterns();
+  loadDefaultTimezone();
+
+  resumeCheckpoints = new Map();
+  if (options.resume && sessionId) {
+    for (const checkpoint of scanCheckpointQueries.getCheckpointsBySession().all(sessionId)) {
+      resumeCheckpoints.set(checkpoint.directory_path, checkpoint.file_count);
+    }
+  }
 
   // Initialize scan status
   currentScanStatus = {
@@ -37,13 +96,23 @@ export async function scanDirectory(sourcePath, recursive = true, sessionId = nu
     newFiles: 0,
     skippedFiles: 0,
     errorFiles: 0,
+    resumed: Boolean(options.resume),
+    skippedDirectories: 0,
+    incremental: Boolean(options.incremental),
+    unchangedFiles: 0,
+    changedFiles: 0,
+    movedFiles: 0,
+    missingFiles: 0,
+    currentFile: null,
     startedAt: new Date().toISOString()
   };
+  publishProgress(true);
 
   try {
     // First pass: count total files
     const totalFiles = await countFiles(sourcePath, recursive);
     currentScanStatus.totalFiles = totalFiles;
+    publishProgress(true);
 
     // Update session
     if (sessionId) {
@@ -57,18 +126,27 @@ export async function scanDirectory(sourcePath, recursive = true, sessionId = nu
     }
 
     // Second pass: process files in batches
-    await processDirectory(sourcePath, recursive, sessionId);
+    if (!scanCancelRequested) {
+      await processDirectory(sourcePath, recursive, sessionId);
+    }
+
+    // Files under the source that are no longer on disk
+    if (options.incremental && !scanCancelRequested) {
+      await detectMissingFiles(sourcePath, recursive);
+    }
 
-    // Mark scan as completed
-    currentScanStatus.status = 'completed';
+    // Mark scan as completed (or cancelled if stopped early)
+    currentScanStatus.status = scanCancelRequested ? 'cancelled' : 'completed';
     currentScanStatus.completedAt = new Date().toISOString();
+    currentScanStatus.currentFile = null;
+    publishProgress(true);
 
     if (sessionId) {
       scanSessionQueries.updateSession().run({
         id: sessionId,
         total_files: currentScanStatus.totalFiles,
         processed_files: currentScanStatus.processedFiles,
-        status: 'completed',
+        status: currentScanStatus.status,
         completed_at: currentScanStatus.completedAt
       });
     }
@@ -77,6 +155,7 @@ export async function scanDirectory(sourcePath, recursive = true, sessionId = nu
   } catch (error) {
     currentScanStatus.status = 'error';
     currentScanStatus.error = error.message;
+    publishProgress(true);
 
     if (sessionId) {
       scanSessionQueries.updateSession().run({
@@ -105,12 +184,14 @@ async function countFiles(dirPath, recursive) {
     const entries = await fs.readdir(dirPath, { withFileTypes: true });
 
     for (const entry of entries) {
+      if (scanCancelRequested) break;
+
       if (entry.isFile()) {
         if (!shouldSkipFile(entry.name, dirPath)) {
           count++;
         }
       } else if (entry.isDirectory() && recursive) {
-        if (!shouldSkipDirectory(entry.name)) {
+        if (!shouldSkipDirectory(entry.name, dirPath)) {
           const subPath = path.join(dirPath, entry.name);
           count += await countFiles(subPath, recursive);
         }
@@ -146,15 +227,23 @@ async function processDirectory(dirPath, recursive, sessionId) {
           currentScanStatus.skippedFiles++;
         }
       } else if (entry.isDirectory() && recursive) {
-        if (!shouldSkipDirectory(entry.name)) {
+        if (!shouldSkipDirectory(entry.name, dirPath)) {
           subdirs.push(path.join(dirPath, entry.name));
         }
       }
     }
 
+    // Files in a directory checkpointed by an earlier run were already processed
+    const alreadyCompleted = resumeCheckpoints.has(dirPath);
+    const pendingFiles = alreadyCompleted ? [] : files;
+    if (alreadyCompleted) {
+      currentScanStatus.processedFiles += resumeCheckpoints.get(dirPath);
+      currentScanStatus.skippedDirectories++;
+    }
+
     // Process files in batches
-    for (let i = 0; i < files.length; i += config.batchSize) {
-      const batch = files.slice(i, i + config.batchSize);
+    for (let i = 0; i < pendingFiles.length && !scanCancelRequested; i += config.batchSize) {
+      const batch = pendingFiles.slice(i, i + config.batchSize);
       await processBatch(batch, db);
 
       // Update session progress
@@ -169,8 +258,30 @@ async function processDirectory(dirPath, recursive, sessionId) {
       }
     }
 
+    // Group RAW+JPEG pairs, sidecars and Live Photos once the whole folder is known
+    if (!scanCancelRequested && !alreadyCompleted && pendingFiles.length > 0) {
+      detectCompanions(dirPath);
+    }
+
+    // Checkpoint this directory once all of its files are done
+    if (sessionId && !scanCancelRequested && !alreadyCompleted) {
+      scanCheckpointQueries.insertCheckpoint().run({
+        session_id: sessionId,
+        directory_path: dirPath,
+        file_count: files.length
+      });
+      scanSessionQueries.updateSession().run({
+        id: sessionId,
+        total_files: currentScanStatus.totalFiles,
+        processed_files: currentScanStatus.processedFiles,
+        status: 'in_progress',
+        completed_at: null
+      });
+    }
+
     // Process subdirectories
     for (const subdir of subdirs) {
+      if (scanCancelRequested) break;
       await processDirectory(subdir, recursive, sessionId);
     }
   } catch (error) {
@@ -186,22 +297,41 @@ async function processDirectory(dirPath, recursive, sessionId) {
  */
 async function processBatch(filePaths, db) {
   for (const filePath of filePaths) {
-    await processFile(filePath, db);
+    if (scanCancelRequested) break;
+    currentScanStatus.currentFile = filePath;
+    if (currentScanStatus.incremental) {
+      await processFileIncremental(filePath, db);
+    } else {
+      await processFile(filePath, db, currentScanStatus);
+    }
+    publishProgress();
   }
 }
 
+/**
+ * Publish the scan status with throughput and ETA
+ * @param {boolean} force - Send even if progress was published moments ago
+ */
+function publishProgress(force = false) {
+  publish('scan', {
+    ...currentScanStatus,
+    ...getProgressRates(currentScanStatus.startedAt, currentScanStatus.processedFiles, currentScanStatus.totalFiles)
+  }, { force });
+}
+
 /**
  * Process a single file
  * @param {string} filePath - Path to the file
  * @param {Object} db - Database instance
+ * @param {Object} status - Scan status counting the outcome
  */
-async function processFile(filePath, db) {
+async function processFile(filePath, db, status) {
   try {
     // Check if file already exists in database
     const existingFile = fileQueries.getFileByPath().get(filePath);
     if (existingFile) {
-      currentScanStatus.processedFiles++;
-      currentScanStatus.skippedFiles++;
+      status.processedFiles++;
+      status.skippedFiles++;
       return;
     }
 
@@ -211,8 +341,10 @@ async function processFile(filePath, db) {
     // Calculate hashes
     const hashes = await calculateHashes(filePath, metadata.size);
 
+    const perceptualHash = await computePerceptualHash(filePath, metadata);
+
     // Resolve date
-    const { date: resolvedDate, source: dateSource } = resolveDate(metadata);
+    const resolved = resolveDate(metadata);
 
     // Insert into database
     const fileData = {
@@ -223,23 +355,93 @@ async function processFile(filePath, db) {
       size: metadata.size,
       hash_sha256: hashes.full,
       hash_partial: hashes.partial,
+      hash_perceptual: perceptualHash,
       mime_type: metadata.mimeType,
       created_at: metadata.createdAt,
       modified_at: metadata.modifiedAt,
       exif_date: metadata.exifDate,
-      resolved_date: resolvedDate,
-      date_source: dateSource,
+      resolved_date: resolved.date,
+      date_source: resolved.source,
+      local_date: resolved.localDate,
+      utc_offset: resolved.utcOffset,
+      timezone_source: resolved.timezoneSource,
       status: 'pending',
       metadata_json: JSON.stringify({
         category: metadata.category,
-        exif: metadata.exif
+        exif: metadata.exif,
+        video: metadata.video
       })
     };
 
     fileQueries.insertFile().run(fileData);
 
-    currentScanStatus.processedFiles++;
-    currentScanStatus.newFiles++;
+    status.processedFiles++;
+    status.newFiles++;
+  } catch (error) {
+    status.processedFiles++;
+    status.errorFiles++;
+    console.error(`Error processing file ${filePath}:`, error.message);
+    logError(db, null, filePath, 'file_processing', error.message, error.stack);
+  }
+}
+
+/**
+ * Process a single file in incremental mode.
+ * Known files are only re-hashed when their size or modification time
+ * changed; unknown paths whose hash matches a file that has vanished from
+ * its recorded location are treated as moved outside the app.
+ * @param {string} filePath - Path to the file
+ * @param {Object} db - Database instance
+ */
+async function processFileIncremental(filePath, db) {
+  try {
+    const existingFile = fileQueries.getFileByCurrentPath().get(filePath) || fileQueries.getFileByPath().get(filePath);
+
+    if (existingFile) {
+      // The app moved this record elsewhere; a different file now sits at its original path
+      if (existingFile.current_path && existingFile.current_path !== filePath) {
+        currentScanStatus.processedFiles++;
+        currentScanStatus.skippedFiles++;
+        return;
+      }
+
+      const stats = await getFileStats(filePath);
+      const unchanged = stats.size === existingFile.size &&
+        stats.modifiedAt?.toISOString() === existingFile.modified_at &&
+        existingFile.status !== 'missing';
+
+      if (unchanged) {
+        currentScanStatus.processedFiles++;
+        currentScanStatus.unchangedFiles++;
+        return;
+      }
+
+      await refreshFile(existingFile, filePath);
+      recordChange(existingFile.id, 'modified', filePath, null, existingFile.hash_sha256);
+      currentScanStatus.processedFiles++;
+      currentScanStatus.changedFiles++;
+      return;
+    }
+
+    const metadata = await extractAllMetadata(filePath);
+    const hashes = await calculateHashes(filePath, metadata.size);
+
+    // Same content as a file that is gone from its recorded location
+    const movedFile = await findVanishedFile(hashes.full);
+    if (movedFile) {
+      const previousPath = movedFile.current_path || movedFile.original_path;
+      await refreshFile(movedFile, filePath, { metadata, hashes });
+      recordChange(movedFile.id, 'moved', filePath, previousPath, movedFile.hash_sha256);
+      currentScanStatus.processedFiles++;
+      currentScanStatus.movedFiles++;
+      return;
+    }
+
+    await processFile(filePath, db, currentScanStatus);
+    const inserted = fileQueries.getFileByPath().get(filePath);
+    if (inserted) {
+      recordChange(inserted.id, 'added', filePath, null, null);
+    }
   } catch (error) {
     currentScanStatus.processedFiles++;
     currentScanStatus.errorFiles++;
@@ -248,6 +450,206 @@ async function processFile(filePath, db) {
   }
 }
 
+/**
+ * Resolve the date of a known file, keeping a date the user has set
+ * @param {Object} file - File record from database
+ * @param {Object} metadata - Freshly extracted metadata
+ * @returns {Object} - Same shape as resolveDate
+ */
+function resolveFileDate(file, metadata) {
+  if (USER_DATE_SOURCES.includes(file.date_source)) {
+    return {
+      date: file.resolved_date,
+      source: file.date_source,
+      localDate: file.local_date,
+      utcOffset: file.utc_offset,
+      timezoneSource: file.timezone_source
+    };
+  }
+  return resolveDate(metadata);
+}
+
+/**
+ * Re-read metadata and hashes for a known file at its (possibly new) path
+ * @param {Object} file - File record from database
+ * @param {string} filePath - Current location of the file
+ * @param {Object} precomputed - Metadata and hashes already calculated, if any
+ */
+async function refreshFile(file, filePath, precomputed = {}) {
+  const metadata = precomputed.metadata || await extractAllMetadata(filePath);
+  const hashes = precomputed.hashes || await calculateHashes(filePath, metadata.size);
+  const resolved = resolveFileDate(file, metadata);
+  const contentChanged = hashes.full !== file.hash_sha256;
+
+  // A file that reappears at its recorded path keeps its organized state
+  let status = file.status;
+  if (status === 'missing') {
+    status = filePath !== file.original_path && filePath === file.current_path ? 'moved' : 'pending';
+  }
+  if (status === 'duplicate' && contentChanged) {
+    status = 'pending';
+  }
+
+  fileQueries.updateFileStats().run({
+    id: file.id,
+    filename: metadata.filename,
+    extension: metadata.extension,
+    size: metadata.size,
+    created_at: metadata.createdAt,
+    modified_at: metadata.modifiedAt
+  });
+
+  fileQueries.updateFile().run({
+    id: file.id,
+    current_path: filePath,
+    hash_sha256: hashes.full,
+    hash_partial: hashes.partial,
+    mime_type: metadata.mimeType,
+    exif_date: metadata.exifDate,
+    resolved_date: resolved.date,
+    date_source: resolved.source,
+    status,
+    duplicate_of: status === 'duplicate' ? file.duplicate_of : null,
+    metadata_json: JSON.stringify({
+      category: metadata.category,
+      exif: metadata.exif,
+      video: metadata.video
+    })
+  });
+
+  fileQueries.updateCaptureTime().run({
+    id: file.id,
+    resolved_date: resolved.date,
+    date_source: resolved.source,
+    local_date: resolved.localDate,
+    utc_offset: resolved.utcOffset,
+    timezone_source: resolved.timezoneSource
+  });
+
+  if (contentChanged || !file.hash_perceptual) {
+    fileQueries.updatePerceptualHash().run({
+      id: file.id,
+      hash_perceptual: await computePerceptualHash(filePath, metadata)
+    });
+  }
+}
+
+/**
+ * Calculate the perceptual hash for images; other files have none
+ * @param {string} filePath - Path to the file
+ * @param {Object} metadata - Metadata from extractAllMetadata
+ * @returns {Promise<string|null>} - Perceptual hash or null
+ */
+async function computePerceptualHash(filePath, metadata) {
+  if (metadata.category !== 'image') return null;
+
+  try {
+    return await calculatePerceptualHash(filePath);
+  } catch (error) {
+    // Undecodable images still get exact-duplicate detection
+    return null;
+  }
+}
+
+/**
+ * Find a file record with the given hash whose recorded location no longer exists
+ * @param {string} hash - SHA-256 hash
+ * @returns {Promise<Object|null>} - File record or null
+ */
+async function findVanishedFile(hash) {
+  for (const candidate of fileQueries.getFilesByHash().all(hash)) {
+    const candidatePath = candidate.current_path || candidate.original_path;
+    try {
+      await fs.access(candidatePath);
+    } catch {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Mark known files under the scanned folder that are no longer on disk as missing
+ * @param {string} sourcePath - Scanned folder
+ * @param {boolean} recursive - Whether subdirectories were scanned
+ */
+async function detectMissingFiles(sourcePath, recursive) {
+  const prefix = path.join(sourcePath, path.sep).replace(/[\\%_]/g, '\\$&') + '%';
+  const knownFiles = fileQueries.getFilesUnderPath().all({ prefix });
+
+  for (const file of knownFiles) {
+    if (scanCancelRequested) break;
+    if (!recursive && path.dirname(file.current_path) !== path.resolve(sourcePath)) continue;
+
+    try {
+      await fs.access(file.current_path);
+    } catch {
+      fileQueries.updateFile().run({
+        id: file.id,
+        current_path: file.current_path,
+        hash_sha256: file.hash_sha256,
+        hash_partial: file.hash_partial,
+        mime_type: file.mime_type,
+        exif_date: file.exif_date,
+        resolved_date: file.resolved_date,
+        date_source: file.date_source,
+        status: 'missing',
+        duplicate_of: file.duplicate_of,
+        metadata_json: file.metadata_json
+      });
+      recordChange(file.id, 'missing', file.current_path, null, file.hash_sha256);
+      currentScanStatus.missingFiles++;
+    }
+  }
+}
+
+/**
+ * Record an incremental scan change for the current session
+ * @param {number} fileId - Affected file ID
+ * @param {string} changeType - added | modified | moved | missing
+ * @param {string} filePath - Path the change was detected at
+ * @param {string|null} previousPath - Earlier path for moved files
+ * @param {string|null} previousHash - Hash before the change
+ */
+function recordChange(fileId, changeType, filePath, previousPath, previousHash) {
+  if (!currentScanStatus.sessionId) return;
+
+  try {
+    scanChangeQueries.insertChange().run({
+      session_id: currentScanStatus.sessionId,
+      file_id: fileId,
+      change_type: changeType,
+      path: filePath,
+      previous_path: previousPath,
+      previous_hash: previousHash
+    });
+  } catch (e) {
+    console.error('Failed to record scan change:', e);
+  }
+}
+
+/**
+ * Get the change report of an incremental scan session
+ * @param {number} sessionId - Scan session ID
+ * @param {Object} options - { changeType, limit, offset }
+ * @returns {Object} - Summary counts and the requested page of changes
+ */
+export function getScanChanges(sessionId, { changeType = null, limit = 100, offset = 0 } = {}) {
+  const summary = { added: 0, modified: 0, moved: 0, missing: 0 };
+  for (const row of scanChangeQueries.countChangesByType().all(sessionId)) {
+    summary[row.change_type] = row.count;
+  }
+
+  const changes = scanChangeQueries.getChangesBySession().all({
+    session_id: sessionId,
+    change_type: changeType,
+    limit,
+    offset
+  });
+
+  return { sessionId, summary, changes };
+}
+
 /**
  * Log an error to the database
  * @param {Object} db - Database instance
@@ -256,15 +658,17 @@ async function processFile(filePath, db) {
  * @param {string} errorType - Type of error
  * @param {string} message - Error message
  * @param {string} stack - Stack trace
+ * @param {Object} [context] - Extra details needed to retry
  */
-function logError(db, fileId, filePath, errorType, message, stack) {
+function logError(db, fileId, filePath, errorType, message, stack, context = null) {
   try {
     errorQueries.insertError().run({
       file_id: fileId,
       file_path: filePath,
       error_type: errorType,
       error_message: message,
-      stack_trace: stack
+      stack_trace: stack,
+      context_json: context ? JSON.stringify(context) : null
     });
   } catch (e) {
     console.error('Failed to log error:', e);
@@ -289,7 +693,7 @@ export async function rescanFile(fileId) {
   // Extract updated metadata
   const metadata = await extractAllMetadata(filePath);
   const hashes = await calculateHashes(filePath, metadata.size);
-  const { date: resolvedDate, source: dateSource } = resolveDate(metadata);
+  const resolved = resolveFileDate(file, metadata);
 
   // Update file in database
   fileQueries.updateFile().run({
@@ -299,21 +703,68 @@ export async function rescanFile(fileId) {
     hash_partial: hashes.partial,
     mime_type: metadata.mimeType,
     exif_date: metadata.exifDate,
-    resolved_date: resolvedDate,
-    date_source: dateSource,
+    resolved_date: resolved.date,
+    date_source: resolved.source,
     status: file.status,
     duplicate_of: file.duplicate_of,
     metadata_json: JSON.stringify({
       category: metadata.category,
-      exif: metadata.exif
+      exif: metadata.exif,
+      video: metadata.video
     })
   });
 
+  fileQueries.updateCaptureTime().run({
+    id: fileId,
+    resolved_date: resolved.date,
+    date_source: resolved.source,
+    local_date: resolved.localDate,
+    utc_offset: resolved.utcOffset,
+    timezone_source: resolved.timezoneSource
+  });
+
+  fileQueries.updatePerceptualHash().run({
+    id: fileId,
+    hash_perceptual: await computePerceptualHash(filePath, metadata)
+  });
+
   return fileQueries.getFileById().get(fileId);
 }
 
+/**
+ * Process a single file again after an earlier failure
+ * @param {string} filePath - Path of the file that failed
+ * @returns {Promise<Object>} - { success, file }
+ */
+export async function retryFile(filePath) {
+  if (currentScanStatus && ['in_progress', 'cancelling'].includes(currentScanStatus.status)) {
+    throw httpError('Cannot retry while a scan is in progress', 409);
+  }
+
+  // Counted on its own, so a scan started meanwhile keeps its status
+  const retryStatus = {
+    status: 'in_progress',
+    totalFiles: 1,
+    processedFiles: 0,
+    newFiles: 0,
+    skippedFiles: 0,
+    errorFiles: 0
+  };
+
+  await processFile(filePath, getDatabase(), retryStatus);
+
+  return {
+    success: retryStatus.errorFiles === 0,
+    file: fileQueries.getFileByPath().get(filePath) || null
+  };
+}
+
 export default {
   scanDirectory,
   getScanStatus,
-  rescanFile
+  cancelScan,
+  markInterruptedScans,
+  getScanChanges,
+  rescanFile,
+  retryFile
 };
@@ -0,0 +1,322 @@
+/**
+ * Thumbnail Service
+ *
+ * Generates JPEG thumbnails and caches them on disk keyed by the file's
+ * SHA-256 hash, so duplicates and moved files share a single cache entry.
+ * RAW and HEIC files are rendered from their embedded JPEG preview.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import exifr from 'exifr';
+import { fileQueries } from '../database/index.js';
+import { publish, getProgressRates } from './events.js';
+import config from '../config.js';
+
+// Run the cache eviction pass after this many new thumbnails
+const EVICTION_INTERVAL = 50;
+
+// Requests for the same thumbnail share one generation
+const inFlight = new Map();
+
+let generatedSinceEviction = 0;
+let backgroundQueue = [];
+let backgroundRunning = false;
+let backgroundStatus = {
+  status: 'idle',
+  queued: 0,
+  generated: 0,
+  failed: 0
+};
+
+/**
+ * Get the supported thumbnail size names
+ * @returns {string[]} - Size names, smallest first
+ */
+export function getThumbnailSizes() {
+  return Object.keys(config.thumbnailSizes);
+}
+
+/**
+ * Get the cache location for a thumbnail
+ * @param {string} hash - SHA-256 hash of the source file
+ * @param {string} size - Size name (small, medium, large)
+ * @returns {string} - Absolute path of the cached JPEG
+ */
+export function getThumbnailPath(hash, size) {
+  // Shard by hash prefix to keep directories small
+  return path.join(config.thumbnailCachePath, hash.substring(0, 2), `${hash}-${size}.jpg`);
+}
+
+/**
+ * Get a thumbnail for a file, generating it if it isn't cached yet
+ * @param {Object} file - File record from database
+ * @param {string} size - Size name (small, medium, large)
+ * @returns {Promise<string>} - Path to the cached thumbnail
+ */
+export async function getThumbnail(file, size = 'medium') {
+  if (!config.thumbnailSizes[size]) {
+    throw new Error(`Unknown thumbnail size: ${size}`);
+  }
+  if (!file.hash_sha256) {
+    throw new Error('File has not been hashed yet');
+  }
+
+  const thumbnailPath = getThumbnailPath(file.hash_sha256, size);
+
+  try {
+    // Touch the entry so eviction treats it as recently used
+    const now = new Date();
+    await fs.utimes(thumbnailPath, now, now);
+    return thumbnailPath;
+  } catch {
+    // Not cached yet
+  }
+
+  if (!inFlight.has(thumbnailPath)) {
+    const sourcePath = file.current_path || file.original_path;
+    const generation = generateThumbnail(sourcePath, thumbnailPath, config.thumbnailSizes[size])
+      .finally(() => inFlight.delete(thumbnailPath));
+    inFlight.set(thumbnailPath, generation);
+  }
+
+  return inFlight.get(thumbnailPath);
+}
+
+/**
+ * Render a thumbnail and write it to the cache
+ * @param {string} sourcePath - Path to the original file
+ * @param {string} thumbnailPath - Cache path to write
+ * @param {number} maxDimension - Longest edge in pixels
+ * @returns {Promise<string>} - Path to the written thumbnail
+ */
+async function generateThumbnail(sourcePath, thumbnailPath, maxDimension) {
+  const image = await loadImage(sourcePath);
+  const buffer = await image
+    .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: config.thumbnailQuality })
+    .toBuffer();
+
+  // Write via a temp file so readers never see a partial thumbnail
+  await fs.mkdir(path.dirname(thumbnailPath), { recursive: true });
+  const tempPath = `${thumbnailPath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, buffer);
+  await fs.rename(tempPath, thumbnailPath);
+
+  generatedSinceEviction++;
+  if (generatedSinceEviction >= EVICTION_INTERVAL) {
+    generatedSinceEviction = 0;
+    await enforceCacheLimits();
+  }
+
+  return thumbnailPath;
+}
+
+/**
+ * Open an image for processing, upright according to its EXIF orientation.
+ * RAW and HEIC files are opened from their embedded JPEG preview.
+ * @param {string} sourcePath - Path to the image file
+ * @returns {Promise<Object>} - sharp instance
+ */
+export async function loadImage(sourcePath) {
+  const ext = path.extname(sourcePath).toLowerCase();
+
+  if (config.embeddedPreviewExtensions.includes(ext)) {
+    const preview = await exifr.thumbnail(sourcePath).catch(() => null);
+    if (!preview) {
+      throw new Error('No embedded preview available');
+    }
+    // The embedded JPEG carries no orientation of its own; use the parent's
+    const orientation = await exifr.orientation(sourcePath).catch(() => null);
+    return applyOrientation(sharp(Buffer.from(preview)), orientation);
+  }
+
+  // Without arguments rotate() applies the EXIF orientation
+  return sharp(sourcePath).rotate();
+}
+
+/**
+ * Apply an EXIF orientation value to a sharp pipeline
+ * @param {Object} image - sharp instance
+ * @param {number|null} orientation - EXIF orientation (1-8)
+ * @returns {Object} - sharp instance
+ */
+function applyOrientation(image, orientation) {
+  // sharp flips before rotating, so mirrored orientations rotate the other way
+  switch (orientation) {
+    case 2: return image.flop();
+    case 3: return image.rotate(180);
+    case 4: return image.flip();
+    case 5: return image.rotate(270).flop();
+    case 6: return image.rotate(90);
+    case 7: return image.rotate(90).flop();
+    case 8: return image.rotate(270);
+    default: return image;
+  }
+}
+
+/**
+ * Evict cached thumbnails that are too old or exceed the cache size limit.
+ * Least recently used entries are removed first.
+ * @returns {Promise<Object>} - { removed, remainingBytes }
+ */
+export async function enforceCacheLimits() {
+  const entries = await listCacheEntries();
+  const maxAge = config.thumbnailCacheMaxAgeDays * 24 * 60 * 60 * 1000;
+  const now = Date.now();
+
+  entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+  let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+  let removed = 0;
+
+  for (const entry of entries) {
+    const expired = now - entry.mtimeMs > maxAge;
+    if (!expired && totalBytes <= config.thumbnailCacheMaxBytes) break;
+
+    try {
+      await fs.unlink(entry.path);
+      totalBytes -= entry.size;
+      removed++;
+    } catch {
+      // Already removed by a concurrent pass
+    }
+  }
+
+  return { removed, remainingBytes: totalBytes };
+}
+
+/**
+ * List every cached thumbnail with its size and last use time
+ * @returns {Promise<Object[]>} - Array of { path, size, mtimeMs }
+ */
+async function listCacheEntries() {
+  const entries = [];
+  let shards;
+
+  try {
+    shards = await fs.readdir(config.thumbnailCachePath);
+  } catch {
+    return entries;
+  }
+
+  for (const shard of shards) {
+    const shardPath = path.join(config.thumbnailCachePath, shard);
+    let names;
+    try {
+      names = await fs.readdir(shardPath);
+    } catch {
+      continue;
+    }
+
+    for (const name of names) {
+      if (!name.endsWith('.jpg')) continue;
+      const entryPath = path.join(shardPath, name);
+      try {
+        const stats = await fs.stat(entryPath);
+        entries.push({ path: entryPath, size: stats.size, mtimeMs: stats.mtimeMs });
+      } catch {
+        // Evicted while listing
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Queue thumbnail generation for the images found under a scanned folder.
+ * Runs in the background; only the small size is pre-generated since
+ * that is what file lists request.
+ * @param {string} sourcePath - Scanned folder
+ * @returns {number} - Number of files queued
+ */
+export function queueThumbnailsForPath(sourcePath) {
+  const prefix = path.join(sourcePath, path.sep).replace(/[\\%_]/g, '\\$&') + '%';
+  const files = fileQueries.getFilesUnderPath().all({ prefix })
+    .filter(file => file.hash_sha256 && config.imageExtensions.includes((file.extension || '').toLowerCase()));
+
+  backgroundQueue.push(...files.map(file => ({ file, size: 'small' })));
+  backgroundStatus.queued = backgroundQueue.length;
+
+  if (!backgroundRunning) {
+    runBackgroundQueue();
+  }
+
+  return files.length;
+}
+
+/**
+ * Work through the background queue one thumbnail at a time
+ */
+async function runBackgroundQueue() {
+  backgroundRunning = true;
+  backgroundStatus = {
+    status: 'in_progress',
+    queued: backgroundQueue.length,
+    generated: 0,
+    failed: 0,
+    currentFile: null,
+    startedAt: new Date().toISOString()
+  };
+  publishProgress(true);
+
+  while (backgroundQueue.length > 0) {
+    const { file, size } = backgroundQueue.shift();
+    backgroundStatus.queued = backgroundQueue.length;
+    backgroundStatus.currentFile = file.current_path || file.original_path;
+
+    try {
+      await getThumbnail(file, size);
+      backgroundStatus.generated++;
+    } catch {
+      // Unsupported or unreadable images just won't have a cached thumbnail
+      backgroundStatus.failed++;
+    }
+    publishProgress();
+  }
+
+  try {
+    await enforceCacheLimits();
+  } catch (error) {
+    console.error('Thumbnail cache eviction failed:', error.message);
+  }
+
+  backgroundStatus.status = 'completed';
+  backgroundStatus.currentFile = null;
+  backgroundRunning = false;
+  publishProgress(true);
+}
+
+/**
+ * Publish background generation progress with throughput and ETA
+ * @param {boolean} force - Send even if progress was published moments ago
+ */
+function publishProgress(force = false) {
+  const processedFiles = backgroundStatus.generated + backgroundStatus.failed;
+  const totalFiles = processedFiles + backgroundStatus.queued;
+  publish('thumbnails', {
+    ...backgroundStatus,
+    processedFiles,
+    totalFiles,
+    ...getProgressRates(backgroundStatus.startedAt, processedFiles, totalFiles)
+  }, { force });
+}
+
+/**
+ * Get background thumbnail generation status
+ * @returns {Object} - Status object
+ */
+export function getThumbnailStatus() {
+  return { ...backgroundStatus };
+}
+
+export default {
+  getThumbnailSizes,
+  getThumbnailPath,
+  getThumbnail,
+  loadImage,
+  enforceCacheLimits,
+  queueThumbnailsForPath,
+  getThumbnailStatus
+};
@@ -0,0 +1,222 @@
+/**
+ * Time Shift Service
+ *
+ * Corrects the dates of files taken with a camera whose clock was set wrong,
+ * e.g. one hour and three days off. Files are chosen by EXIF (or video) make
+ * and model, or by ID. Each shifted file gets date_source = 'corrected' and a
+ * revertible 'timeshift' operation holding its previous date values.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase, fileQueries, operationQueries } from '../database/index.js';
+import { httpError } from './httpError.js';
+
+// Seconds per unit accepted in an offset object
+export const SHIFT_UNITS = {
+  days: 86400,
+  hours: 3600,
+  minutes: 60,
+  seconds: 1
+};
+
+// Date columns a shift changes and a revert restores
+const DATE_FIELDS = ['resolved_date', 'date_source', 'local_date', 'utc_offset', 'timezone_source'];
+
+// Make and model from EXIF, falling back to the video container
+const CAMERA_MAKE_SQL = `TRIM(COALESCE(json_extract(metadata_json, '$.exif.Make'), json_extract(metadata_json, '$.video.make'), ''))`;
+const CAMERA_MODEL_SQL = `TRIM(COALESCE(json_extract(metadata_json, '$.exif.Model'), json_extract(metadata_json, '$.video.model'), ''))`;
+
+/**
+ * Convert an offset to seconds
+ * @param {number|Object} offset - Seconds, or { days, hours, minutes, seconds } (each may be negative)
+ * @returns {number} - Offset in seconds
+ */
+export function parseShiftOffset(offset) {
+  let seconds;
+
+  if (typeof offset === 'number') {
+    seconds = offset;
+  } else if (offset && typeof offset === 'object' && !Array.isArray(offset)) {
+    const unknown = Object.keys(offset).filter(unit => !(unit in SHIFT_UNITS));
+    if (unknown.length > 0) {
+      throw httpError(`Unknown offset units: ${unknown.join(', ')}. Use ${Object.keys(SHIFT_UNITS).join(', ')}`, 400);
+    }
+    seconds = Object.entries(offset).reduce((total, [unit, value]) => total + Number(value) * SHIFT_UNITS[unit], 0);
+  } else {
+    throw httpError('offset is required, as seconds or { days, hours, minutes, seconds }', 400);
+  }
+
+  if (!Number.isFinite(seconds) || !Number.isInteger(seconds)) {
+    throw httpError('offset must be a whole number of seconds', 400);
+  }
+  if (seconds === 0) {
+    throw httpError('offset must not be zero', 400);
+  }
+  return seconds;
+}
+
+/**
+ * Describe an offset, e.g. "+3d 1h" or "-30m"
+ * @param {number} seconds - Offset in seconds
+ * @returns {string}
+ */
+export function formatShiftOffset(seconds) {
+  let remaining = Math.abs(seconds);
+  const parts = [];
+
+  for (const [unit, size] of Object.entries(SHIFT_UNITS)) {
+    const count = Math.floor(remaining / size);
+    if (count > 0) {
+      parts.push(`${count}${unit[0]}`);
+      remaining -= count * size;
+    }
+  }
+
+  return `${seconds < 0 ? '-' : '+'}${parts.join(' ')}`;
+}
+
+/**
+ * Cameras in the library, from EXIF or video make and model
+ * @returns {Array<Object>} - [{ make, model, count }]
+ */
+export function listCameras() {
+  const db = getDatabase();
+  return db.prepare(`
+    SELECT ${CAMERA_MAKE_SQL} AS make, ${CAMERA_MODEL_SQL} AS model, COUNT(*) AS count
+    FROM files
+    WHERE metadata_json IS NOT NULL AND ${CAMERA_MAKE_SQL} != ''
+    GROUP BY make COLLATE NOCASE, model COLLATE NOCASE
+    ORDER BY count DESC, make, model
+  `).all();
+}
+
+/**
+ * Shift the dates of a camera's files, or of chosen files, by a fixed offset
+ * @param {Object} options - Shift options
+ * @param {string} [options.make] - Camera make; required without fileIds
+ * @param {string} [options.model] - Camera model; all models of the make if omitted
+ * @param {number[]} [options.fileIds] - Shift these files instead of a camera's
+ * @param {number|Object} options.offset - See parseShiftOffset
+ * @param {boolean} [options.dryRun] - Only return the new dates
+ * @returns {Object} - { batchId, offsetSeconds, dryRun, shifted, skipped, files }
+ */
+export function shiftFileDates(options) {
+  const { make = null, model = null, fileIds = null, dryRun = false } = options;
+  const offsetSeconds = parseShiftOffset(options.offset);
+
+  if (fileIds !== null && (!Array.isArray(fileIds) || fileIds.length === 0)) {
+    throw httpError('fileIds must be a non-empty array', 400);
+  }
+  if (fileIds === null && !(typeof make === 'string' && make.trim())) {
+    throw httpError('make or fileIds is required', 400);
+  }
+
+  const files = fileIds !== null ? getFilesById(fileIds) : getCameraFiles(make.trim(), model?.trim() || null);
+  const batchId = dryRun ? null : uuidv4();
+
+  const results = {
+    batchId,
+    offsetSeconds,
+    dryRun,
+    shifted: 0,
+    skipped: 0,
+    files: []
+  };
+
+  const apply = getDatabase().transaction(() => {
+    for (const file of files) {
+      if (!file.resolved_date) {
+        results.skipped++;
+        continue;
+      }
+
+      const before = pickDateFields(file);
+      const after = shiftDateFields(before, offsetSeconds);
+      results.files.push({ id: file.id, filename: file.filename, before, after });
+      results.shifted++;
+
+      if (dryRun) continue;
+
+      fileQueries.updateCaptureTime().run({ id: file.id, ...after });
+
+      const filePath = file.current_path || file.original_path;
+      operationQueries.insertOperationWithDetails().run({
+        batch_id: batchId,
+        file_id: file.id,
+        operation_type: 'timeshift',
+        source_path: filePath,
+        destination_path: filePath,
+        hash_used: null,
+        reason: `Shifted date by ${formatShiftOffset(offsetSeconds)}`,
+        status: 'completed',
+        details_json: JSON.stringify({ offsetSeconds, before, after })
+      });
+    }
+  });
+  apply();
+
+  return results;
+}
+
+/**
+ * Copy the date columns of a file record
+ * @param {Object} file - File record
+ * @returns {Object}
+ */
+export function pickDateFields(file) {
+  return Object.fromEntries(DATE_FIELDS.map(field => [field, file[field] ?? null]));
+}
+
+/**
+ * Apply an offset to date columns; the capture-local time moves with the UTC date
+ * @param {Object} fields - Result of pickDateFields
+ * @param {number} offsetSeconds - Offset in seconds
+ * @returns {Object}
+ */
+function shiftDateFields(fields, offsetSeconds) {
+  const shift = (value) => new Date(new Date(value).getTime() + offsetSeconds * 1000);
+
+  return {
+    ...fields,
+    resolved_date: shift(fields.resolved_date).toISOString(),
+    date_source: 'corrected',
+    // Local times carry no zone; shifting them as UTC keeps the wall-clock arithmetic exact
+    local_date: fields.local_date ? shift(`${fields.local_date}Z`).toISOString().slice(0, 19) : null
+  };
+}
+
+/**
+ * Files taken with a camera
+ * @param {string} make - Camera make
+ * @param {string|null} model - Camera model, or null for any
+ * @returns {Array<Object>} - File records
+ */
+function getCameraFiles(make, model) {
+  return getDatabase().prepare(`
+    SELECT * FROM files
+    WHERE metadata_json IS NOT NULL
+      AND ${CAMERA_MAKE_SQL} = @make COLLATE NOCASE
+      AND (@model IS NULL OR ${CAMERA_MODEL_SQL} = @model COLLATE NOCASE)
+    ORDER BY id
+  `).all({ make, model });
+}
+
+/**
+ * Look up files by ID
+ * @param {number[]} fileIds - File IDs
+ * @returns {Array<Object>} - File records that exist
+ */
+function getFilesById(fileIds) {
+  return fileIds
+    .map(id => fileQueries.getFileById().get(parseInt(id)))
+    .filter(Boolean);
+}
+
+export default {
+  SHIFT_UNITS,
+  parseShiftOffset,
+  formatShiftOffset,
+  listCameras,
+  shiftFileDates,
+  pickDateFields
+};
@@ -0,0 +1,374 @@
+/**
+ * Timezone Service
+ *
+ * Converts between capture-local wall-clock times ("2023-06-01T23:30:00",
+ * as cameras record them) and UTC instants. The timezone comes from an
+ * embedded offset, from GPS coordinates via an offline table of regions, or
+ * from a configured default; without any of those the server's own timezone
+ * is used, as before.
+ */
+
+import config from '../config.js';
+import { settingQueries } from '../database/index.js';
+import { httpError } from './httpError.js';
+
+export const DEFAULT_TIMEZONE_SETTING = 'default_timezone';
+
+/**
+ * Approximate regions as [timezone, south, west, north, east] boxes in
+ * degrees, tried in order so smaller regions come before the larger ones
+ * that overlap them. Coordinates outside every box fall back to the
+ * nautical zone for their longitude.
+ */
+const TIMEZONE_REGIONS = [
+  // North Africa, ahead of the southern European coasts they overlap
+  ['Africa/Casablanca', 27.6, -13.2, 35.9, -1.0],
+  ['Africa/Algiers', 19.0, -1.7, 37.1, 11.6],
+
+  // Europe
+  ['Atlantic/Reykjavik', 63.2, -24.6, 66.6, -13.4],
+  ['Atlantic/Canary', 27.6, -18.2, 29.5, -13.4],
+  ['Atlantic/Azores', 36.9, -31.3, 39.8, -25.0],
+  ['Europe/Dublin', 51.4, -10.5, 55.4, -5.9],
+  ['Europe/London', 49.8, -8.7, 60.9, 1.8],
+  ['Europe/Lisbon', 36.9, -9.6, 42.2, -6.2],
+  ['Europe/Madrid', 36.0, -9.3, 43.8, 3.4],
+  ['Europe/Paris', 42.3, -4.8, 51.1, 8.2],
+  ['Europe/Helsinki', 59.7, 20.5, 70.1, 30.0],
+  ['Europe/Riga', 53.9, 21.0, 59.7, 28.2],
+  ['Europe/Istanbul', 35.8, 25.6, 42.1, 44.8],
+  ['Europe/Athens', 34.8, 19.3, 41.8, 29.7],
+  ['Europe/Bucharest', 41.2, 22.3, 48.3, 30.2],
+  ['Europe/Minsk', 51.2, 23.2, 56.2, 32.8],
+  ['Europe/Kiev', 44.3, 22.1, 52.4, 40.2],
+  ['Europe/Berlin', 36.5, 3.3, 71.2, 24.2],
+  ['Europe/Moscow', 41.0, 27.0, 70.0, 50.0],
+
+  // Middle East and Central Asia
+  ['Asia/Jerusalem', 29.5, 34.2, 33.3, 35.9],
+  ['Asia/Dubai', 16.6, 51.6, 26.4, 59.9],
+  ['Asia/Kabul', 31.0, 60.5, 38.5, 71.0],
+  ['Asia/Tashkent', 37.2, 56.0, 45.6, 73.2],
+  ['Asia/Tehran', 27.0, 46.0, 39.8, 63.3],
+  ['Asia/Riyadh', 12.0, 34.5, 37.4, 51.5],
+  ['Asia/Karachi', 23.6, 60.9, 37.1, 74.5],
+  ['Asia/Almaty', 40.5, 46.5, 55.5, 87.3],
+  ['Asia/Yekaterinburg', 50.0, 50.0, 70.0, 66.0],
+
+  // South and East Asia
+  ['Asia/Kathmandu', 26.3, 80.0, 30.5, 88.2],
+  ['Asia/Dhaka', 20.6, 88.0, 26.7, 92.7],
+  ['Asia/Colombo', 5.9, 79.6, 9.9, 81.9],
+  ['Asia/Kolkata', 6.7, 68.1, 35.5, 97.4],
+  ['Asia/Yangon', 9.8, 92.2, 28.5, 98.7],
+  ['Asia/Bangkok', 5.6, 97.3, 23.4, 109.5],
+  ['Asia/Kuala_Lumpur', 0.85, 99.6, 7.4, 119.3],
+  ['Asia/Jakarta', -11.0, 95.0, 6.0, 115.0],
+  ['Asia/Makassar', -11.0, 115.0, 6.0, 125.0],
+  ['Asia/Jayapura', -11.0, 125.0, 1.0, 141.0],
+  ['Asia/Manila', 4.6, 116.9, 21.1, 126.6],
+  ['Asia/Taipei', 21.9, 119.3, 25.3, 122.1],
+  ['Asia/Seoul', 33.1, 124.6, 38.7, 129.6],
+  ['Asia/Tokyo', 30.0, 129.3, 41.6, 142.1],
+  ['Asia/Tokyo', 41.3, 139.3, 45.6, 146.0],
+  ['Asia/Tokyo', 24.0, 122.9, 30.0, 131.4],
+  ['Asia/Ulaanbaatar', 41.5, 87.7, 52.2, 119.9],
+  ['Asia/Vladivostok', 42.0, 131.0, 70.0, 145.0],
+  ['Asia/Shanghai', 18.1, 73.5, 53.6, 134.8],
+  ['Asia/Novosibirsk', 50.0, 66.0, 78.0, 90.0],
+  ['Asia/Irkutsk', 50.0, 90.0, 78.0, 115.0],
+  ['Asia/Yakutsk', 50.0, 115.0, 78.0, 131.0],
+
+  // Oceania
+  ['Australia/Perth', -35.2, 112.9, -13.7, 129.0],
+  ['Australia/Darwin', -26.0, 129.0, -10.9, 138.0],
+  ['Australia/Adelaide', -38.1, 129.0, -26.0, 141.0],
+  ['Australia/Hobart', -43.7, 143.8, -39.5, 148.5],
+  ['Australia/Sydney', -39.2, 140.9, -29.0, 153.7],
+  ['Australia/Brisbane', -29.2, 138.0, -10.0, 153.6],
+  ['Pacific/Auckland', -47.3, 166.4, -34.4, 178.6],
+  ['Pacific/Honolulu', 18.9, -160.3, 22.3, -154.8],
+
+  // North America
+  ['America/Anchorage', 51.0, -170.0, 71.5, -129.9],
+  ['America/Phoenix', 31.3, -114.8, 37.0, -109.05],
+  ['America/Los_Angeles', 32.5, -124.8, 49.0, -114.0],
+  ['America/Vancouver', 48.2, -139.0, 60.0, -120.0],
+  ['America/Edmonton', 49.0, -120.0, 60.0, -110.0],
+  ['America/Regina', 49.0, -110.0, 60.0, -102.0],
+  ['America/Winnipeg', 49.0, -102.0, 60.0, -89.0],
+  ['America/Denver', 31.3, -114.0, 49.0, -102.0],
+  ['America/Chicago', 37.0, -102.0, 49.4, -87.5],
+  ['America/Chicago', 25.8, -102.0, 37.0, -85.2],
+  ['America/St_Johns', 46.6, -59.5, 51.7, -52.6],
+  ['America/Halifax', 43.4, -66.9, 48.0, -59.7],
+  ['America/Toronto', 41.7, -89.0, 57.0, -74.3],
+  ['America/New_York', 24.5, -87.5, 47.5, -66.9],
+  ['America/Havana', 19.8, -85.0, 23.3, -74.1],
+  ['America/Santo_Domingo', 17.5, -72.0, 20.1, -68.3],
+  ['America/Puerto_Rico', 17.8, -67.3, 18.6, -65.2],
+  ['America/Mexico_City', 14.5, -117.1, 32.7, -86.7],
+  ['America/Panama', 7.2, -83.1, 9.7, -77.1],
+  ['America/Guatemala', 7.2, -92.3, 18.5, -82.5],
+
+  // South America
+  ['America/Caracas', 0.6, -72.0, 12.2, -59.8],
+  ['America/Guayaquil', -5.0, -81.1, 1.5, -75.2],
+  ['America/Bogota', -4.2, -79.1, 12.5, -66.8],
+  ['America/Lima', -18.4, -81.4, -0.04, -68.7],
+  ['America/La_Paz', -22.9, -69.6, -9.7, -57.5],
+  ['America/Santiago', -56.0, -75.7, -17.5, -69.5],
+  ['America/Asuncion', -27.6, -62.7, -19.3, -54.3],
+  ['America/Montevideo', -35.0, -58.3, -30.1, -53.1],
+  ['America/Argentina/Buenos_Aires', -55.1, -73.6, -21.8, -53.6],
+  ['America/Manaus', -10.0, -73.9, 2.3, -56.0],
+  ['America/Sao_Paulo', -33.8, -74.0, 5.3, -34.8],
+
+  // Africa
+  ['Africa/Cairo', 22.0, 24.7, 31.7, 36.9],
+  ['Africa/Tripoli', 19.5, 9.4, 33.2, 25.2],
+  ['Africa/Johannesburg', -34.9, 16.4, -22.1, 32.9],
+  ['Africa/Nairobi', -11.8, 29.3, 15.0, 51.5],
+  ['Africa/Maputo', -27.0, 16.0, -8.0, 41.0],
+  ['Africa/Abidjan', 4.3, -17.6, 27.0, 2.7],
+  ['Africa/Lagos', -18.0, 2.7, 23.0, 16.0]
+];
+
+// Timezone used for dates without an embedded offset or GPS position
+let defaultTimezone = config.defaultTimezone || null;
+
+// One formatter per IANA timezone, as creating them is slow
+const zoneFormatters = new Map();
+
+/**
+ * Parse a UTC offset such as "+09:00", "-0530", "+02" or "Z"
+ * @param {string} value - Offset string
+ * @returns {number|null} - Offset in minutes east of UTC, or null
+ */
+export function parseUtcOffset(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (text.toUpperCase() === 'Z') return 0;
+
+  const match = text.match(/^([+-])(\d{2}):?(\d{2})?$/);
+  if (!match) return null;
+
+  const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+  if (minutes > 14 * 60) return null;
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Format an offset in minutes as "+09:00"
+ * @param {number} minutes - Offset in minutes east of UTC
+ * @returns {string}
+ */
+export function formatUtcOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Check whether a value is an IANA timezone name or a UTC offset
+ * @param {string} value - e.g. "Europe/Berlin" or "+02:00"
+ * @returns {boolean}
+ */
+export function isValidTimezone(value) {
+  if (typeof value !== 'string' || !value.trim()) return false;
+  if (parseUtcOffset(value) !== null) return true;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {string|null} timezone - IANA name or UTC offset; null for the server's timezone
+ * @param {Date} instant - Moment in time
+ * @returns {number} - Offset in minutes east of UTC
+ */
+export function getZoneOffset(timezone, instant) {
+  if (!timezone) {
+    return -instant.getTimezoneOffset();
+  }
+
+  const fixed = parseUtcOffset(timezone);
+  if (fixed !== null) return fixed;
+
+  const parts = {};
+  for (const { type, value } of getZoneFormatter(timezone).formatToParts(instant)) {
+    parts[type] = parseInt(value, 10);
+  }
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Formatter giving the wall-clock time in a timezone
+ * @param {string} timezone - IANA name
+ * @returns {Intl.DateTimeFormat}
+ */
+function getZoneFormatter(timezone) {
+  let formatter = zoneFormatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    zoneFormatters.set(timezone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Look up the timezone for GPS coordinates
+ * @param {number} latitude - Degrees north
+ * @param {number} longitude - Degrees east
+ * @returns {string|null} - IANA timezone name, or null for invalid coordinates
+ */
+export function timezoneFromCoordinates(latitude, longitude) {
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)
+    || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+
+  const region = TIMEZONE_REGIONS.find(([, south, west, north, east]) =>
+    latitude >= south && latitude <= north && longitude >= west && longitude <= east
+  );
+  if (region) return region[0];
+
+  // At sea: nautical zones are 15° wide; Etc/GMT names have the sign inverted
+  const hours = Math.round(longitude / 15);
+  if (hours === 0) return 'Etc/GMT';
+  return `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+}
+
+/**
+ * Parse a capture-local time
+ * @param {string} localDate - "YYYY-MM-DDTHH:MM:SS"
+ * @returns {Object|null} - { year, month, day, hour, minute, second }
+ */
+export function parseLocalDate(localDate) {
+  const match = typeof localDate === 'string'
+    && localDate.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})$/);
+  if (!match) return null;
+
+  const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+  return { year, month, day, hour, minute, second };
+}
+
+/**
+ * Format the wall-clock time at an instant in a given offset
+ * @param {Date} instant - Moment in time
+ * @param {number} offsetMinutes - Offset in minutes east of UTC
+ * @returns {string} - "YYYY-MM-DDTHH:MM:SS"
+ */
+export function formatLocalDate(instant, offsetMinutes) {
+  return new Date(instant.getTime() + offsetMinutes * 60000).toISOString().slice(0, 19);
+}
+
+/**
+ * Format the wall-clock time of a date built from server-local components,
+ * such as the EXIF dates exifr revives
+ * @param {Date} date - Date
+ * @returns {string} - "YYYY-MM-DDTHH:MM:SS"
+ */
+export function formatServerLocalDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    + `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Convert a capture-local time to a UTC instant
+ * @param {string} localDate - "YYYY-MM-DDTHH:MM:SS"
+ * @param {string|null} timezone - IANA name or UTC offset; null for the server's timezone
+ * @returns {Date|null} - Instant, or null if localDate is malformed
+ */
+export function localToUtc(localDate, timezone) {
+  const parts = parseLocalDate(localDate);
+  if (!parts) return null;
+
+  if (!timezone) {
+    return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  }
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  // The offset depends on the instant; a second pass settles DST transitions
+  let offset = getZoneOffset(timezone, new Date(asUtc));
+  offset = getZoneOffset(timezone, new Date(asUtc - offset * 60000));
+  return new Date(asUtc - offset * 60000);
+}
+
+/**
+ * Get the timezone used when a file carries no offset or GPS position
+ * @returns {string|null} - IANA name or UTC offset; null for the server's timezone
+ */
+export function getDefaultTimezone() {
+  return defaultTimezone;
+}
+
+/**
+ * Replace the default timezone
+ * @param {string|null} timezone - IANA name or UTC offset; null for the server's timezone
+ */
+export function setDefaultTimezone(timezone) {
+  defaultTimezone = timezone || null;
+}
+
+/**
+ * Reload the default timezone from the settings table, falling back to DEFAULT_TIMEZONE
+ * @returns {string|null} - Active default timezone
+ */
+export function loadDefaultTimezone() {
+  const row = settingQueries.getSetting().get(DEFAULT_TIMEZONE_SETTING);
+  setDefaultTimezone(row && isValidTimezone(row.value) ? row.value : config.defaultTimezone);
+  return defaultTimezone;
+}
+
+/**
+ * Validate, store and activate the default timezone
+ * @param {string|null} timezone - IANA name or UTC offset; empty to use DEFAULT_TIMEZONE again
+ * @returns {string|null} - Active default timezone
+ */
+export function saveDefaultTimezone(timezone) {
+  if (timezone === null || timezone === '') {
+    settingQueries.deleteSetting().run(DEFAULT_TIMEZONE_SETTING);
+    return loadDefaultTimezone();
+  }
+
+  if (!isValidTimezone(timezone)) {
+    throw httpError(`Unknown timezone: ${timezone}. Use an IANA name such as Europe/Berlin or an offset such as +02:00`, 400);
+  }
+
+  settingQueries.setSetting().run({ key: DEFAULT_TIMEZONE_SETTING, value: timezone.trim() });
+  return loadDefaultTimezone();
+}
+
+export default {
+  parseUtcOffset,
+  formatUtcOffset,
+  isValidTimezone,
+  getZoneOffset,
+  timezoneFromCoordinates,
+  parseLocalDate,
+  formatLocalDate,
+  formatServerLocalDate,
+  localToUtc,
+  getDefaultTimezone,
+  setDefaultTimezone,
+  loadDefaultTimezone,
+  saveDefaultTimezone
+};
@@ -0,0 +1,377 @@
+/**
+ * Trash Service
+ *
+ * Nothing is deleted outright. Files are moved into a managed trash folder,
+ * `.trash` inside the library's destination, laid out like the other
+ * holding folders. There is no app-wide trash: one could sit on another
+ * volume than the files, turning each trash into a full copy. Each move is a revertible 'trash' operation and a
+ * trash_items row; a manifest.json in the trash folder lists what it holds
+ * and where each file came from, so the folder explains itself without the
+ * database. Files are kept for config.trashRetentionDays; emptying the trash
+ * deletes them for good, after which they can no longer be restored.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config.js';
+import { getDatabase, fileQueries, operationQueries, trashQueries } from '../database/index.js';
+import { calculateHash } from './hasher.js';
+import { moveFile, fileExists, getHoldingPath } from './fileOperations.js';
+import { httpError } from './httpError.js';
+
+// Name of the trash folder inside a destination; the scanner skips it
+export const TRASH_FOLDER = '.trash';
+
+export const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * restored: moved back by a revert; deleted: removed for good when the trash was emptied
+ */
+export const TRASH_ITEM_STATUSES = ['trashed', 'restored', 'deleted'];
+
+/**
+ * Get the trash folder for a destination
+ * @param {string} destinationPath - Library destination
+ * @returns {string}
+ */
+export function getTrashRoot(destinationPath) {
+  return path.join(path.resolve(destinationPath), TRASH_FOLDER);
+}
+
+/**
+ * Move a file to the trash
+ * @param {number} fileId - File ID
+ * @param {Object} options - Trash options
+ * @param {string} options.destinationPath - Library destination whose trash folder to use
+ * @param {string} [options.reason] - Why the file was trashed, kept in the operation and manifest
+ * @returns {Promise<Object>} - { batchId, item }
+ */
+export async function trashFile(fileId, { destinationPath, reason = null } = {}) {
+  if (typeof destinationPath !== 'string' || !path.isAbsolute(destinationPath)) {
+    throw httpError('destinationPath must be an absolute path', 400);
+  }
+
+  const file = fileQueries.getFileById().get(fileId);
+  if (!file) {
+    throw httpError('File not found', 404);
+  }
+  if (file.status === 'trashed') {
+    throw httpError('File is already in the trash', 409);
+  }
+
+  const sourcePath = file.current_path || file.original_path;
+  if (!await fileExists(sourcePath)) {
+    throw httpError('File not found on disk', 409);
+  }
+
+  // Never trash a file whose content changed since the scan
+  if (file.hash_sha256 && await calculateHash(sourcePath) !== file.hash_sha256) {
+    throw httpError('File has been modified since it was scanned', 409);
+  }
+
+  const batchId = uuidv4();
+  const item = await moveToTrash(file, sourcePath, {
+    trashRoot: getTrashRoot(destinationPath),
+    batchId,
+    reason: reason || 'Moved to the trash'
+  });
+
+  return { batchId, item };
+}
+
+/**
+ * Move a file into a trash folder and record it. Callers check the file first.
+ * @param {Object} file - File record
+ * @param {string} sourcePath - Current location of the file
+ * @param {Object} options - Trash options
+ * @param {string} options.trashRoot - Trash folder
+ * @param {string} options.batchId - Batch the 'trash' operation is logged under
+ * @param {string} options.reason - Reason for the operation
+ * @param {number} [options.duplicateOf] - File the trashed file duplicates
+ * @param {string} [options.restoreStatus] - Status the file gets back when restored, its current one by default
+ * @returns {Promise<Object>} - Trash item
+ */
+export async function moveToTrash(file, sourcePath, {
+  trashRoot, batchId, reason, duplicateOf = file.duplicate_of, restoreStatus = file.status
+}) {
+  const trashPath = getHoldingPath(trashRoot, batchId, sourcePath);
+  await moveFile(sourcePath, trashPath);
+
+  const trashedAt = new Date();
+  const expiresAt = new Date(trashedAt.getTime() + config.trashRetentionDays * 24 * 60 * 60 * 1000);
+
+  const itemId = getDatabase().transaction(() => {
+    fileQueries.updateFile().run({
+      ...pickFileColumns(file),
+      current_path: trashPath,
+      status: 'trashed',
+      duplicate_of: duplicateOf ?? null
+    });
+
+    const operation = operationQueries.insertOperation().run({
+      batch_id: batchId,
+      file_id: file.id,
+      operation_type: 'trash',
+      source_path: sourcePath,
+      destination_path: trashPath,
+      hash_used: file.hash_sha256,
+      reason,
+      status: 'completed'
+    });
+
+    return trashQueries.insertItem().run({
+      file_id: file.id,
+      operation_id: Number(operation.lastInsertRowid),
+      batch_id: batchId,
+      trash_root: trashRoot,
+      original_path: sourcePath,
+      trash_path: trashPath,
+      hash_sha256: file.hash_sha256,
+      size: file.size,
+      previous_status: restoreStatus,
+      previous_duplicate_of: duplicateOf ?? null,
+      reason,
+      trashed_at: trashedAt.toISOString(),
+      expires_at: expiresAt.toISOString()
+    }).lastInsertRowid;
+  })();
+
+  await writeManifest(trashRoot);
+  return formatItem(trashQueries.getItemById().get(itemId));
+}
+
+/**
+ * List what is in the trash, most recently trashed first
+ * @param {Object} options - { limit, offset }
+ * @returns {Object} - { items, total, totalBytes, expiredFiles, retentionDays }
+ */
+export function listTrash({ limit = 100, offset = 0 } = {}) {
+  const counts = trashQueries.countTrashed().get(new Date().toISOString());
+  return {
+    items: trashQueries.getTrashedItems().all(limit, offset).map(formatItem),
+    total: counts.count,
+    totalBytes: counts.bytes,
+    expiredFiles: counts.expired,
+    retentionDays: config.trashRetentionDays
+  };
+}
+
+/**
+ * Get a trash item, whatever became of it
+ * @param {number} id - Trash item ID
+ * @returns {Object|null}
+ */
+export function getTrashItem(id) {
+  const row = trashQueries.getItemById().get(id);
+  return row ? formatItem(row) : null;
+}
+
+/**
+ * Get the trash item a 'trash' operation created
+ * @param {number} operationId - Operation ID
+ * @returns {Object|undefined} - trash_items row
+ */
+export function getTrashItemForOperation(operationId) {
+  return trashQueries.getItemByOperation().get(operationId);
+}
+
+/**
+ * Why a trashed file can't be moved back
+ * @param {Object} item - trash_items row
+ * @returns {Promise<string|null>} - Reason, or null if it can be
+ */
+export async function checkTrashRevert(item) {
+  if (item.status === 'deleted') return 'The trash was emptied; the file is gone';
+  if (item.status === 'restored') return 'File was already restored from the trash';
+  if (!await fileExists(item.trash_path)) return 'File no longer exists in the trash';
+  if (await fileExists(item.original_path)) return 'A file already exists at the original location';
+  return null;
+}
+
+/**
+ * Move a trashed file back to where it was trashed from. Used by revert.js,
+ * which updates the file record and the operation.
+ * @param {Object} item - trash_items row
+ * @returns {Promise<void>}
+ */
+export async function undoTrash(item) {
+  const reason = await checkTrashRevert(item);
+  if (reason) {
+    throw new Error(reason);
+  }
+
+  if (item.hash_sha256 && await calculateHash(item.trash_path) !== item.hash_sha256) {
+    throw new Error('File has been modified since it was trashed');
+  }
+
+  await moveFile(item.trash_path, item.original_path);
+  trashQueries.markRestored().run(item.id);
+
+  await removeEmptyFolders(path.dirname(item.trash_path), item.trash_root);
+  await writeManifest(item.trash_root);
+}
+
+/**
+ * Delete trashed files for good. Each deletion is logged as a 'delete'
+ * operation; the 'trash' operations that put them there can no longer be
+ * reverted.
+ * @param {Object} [options] - { all: also delete files still within their retention period }
+ * @returns {Promise<Object>} - { batchId, deletedFiles, freedBytes, failedFiles, errors }
+ */
+export async function emptyTrash({ all = false } = {}) {
+  if (typeof all !== 'boolean') {
+    throw httpError('all must be true or false', 400);
+  }
+
+  const items = trashQueries.getItemsToEmpty().all({ before: all ? null : new Date().toISOString() });
+  const batchId = uuidv4();
+  const results = { batchId, deletedFiles: 0, freedBytes: 0, failedFiles: 0, errors: [] };
+  const roots = new Set();
+
+  for (const item of items) {
+    try {
+      await fs.rm(item.trash_path, { force: true });
+
+      getDatabase().transaction(() => {
+        trashQueries.markDeleted().run(item.id);
+        const file = fileQueries.getFileById().get(item.file_id);
+        if (file && file.status === 'trashed') {
+          fileQueries.updateFile().run({ ...pickFileColumns(file), status: 'deleted' });
+        }
+        operationQueries.insertOperation().run({
+          batch_id: batchId,
+          file_id: item.file_id,
+          operation_type: 'delete',
+          source_path: item.trash_path,
+          destination_path: null,
+          hash_used: item.hash_sha256,
+          reason: `Emptied from the trash (trashed from ${item.original_path})`,
+          status: 'completed'
+        });
+      })();
+
+      results.deletedFiles++;
+      results.freedBytes += item.size || 0;
+      roots.add(item.trash_root);
+      await removeEmptyFolders(path.dirname(item.trash_path), item.trash_root);
+    } catch (error) {
+      results.failedFiles++;
+      results.errors.push({ trashItemId: item.id, fileId: item.file_id, error: error.message });
+    }
+  }
+
+  for (const root of roots) {
+    await writeManifest(root);
+  }
+
+  return results;
+}
+
+/**
+ * Rewrite a trash folder's manifest from the database. Written to a
+ * temporary file first so a reader never sees half a manifest.
+ * @param {string} trashRoot - Trash folder
+ * @returns {Promise<void>}
+ */
+async function writeManifest(trashRoot) {
+  const manifest = {
+    retentionDays: config.trashRetentionDays,
+    updatedAt: new Date().toISOString(),
+    items: trashQueries.getTrashedItemsByRoot().all(trashRoot).map(item => ({
+      id: item.id,
+      fileId: item.file_id,
+      originalPath: item.original_path,
+      path: path.relative(trashRoot, item.trash_path),
+      hash: item.hash_sha256,
+      size: item.size,
+      reason: item.reason,
+      trashedAt: item.trashed_at,
+      expiresAt: item.expires_at
+    }))
+  };
+
+  const manifestPath = path.join(trashRoot, MANIFEST_FILE);
+  await fs.mkdir(trashRoot, { recursive: true });
+  await fs.writeFile(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2));
+  await fs.rename(`${manifestPath}.tmp`, manifestPath);
+}
+
+/**
+ * Remove a folder and its parents while they are empty, stopping at the trash folder
+ * @param {string} dirPath - Folder a file was just taken out of
+ * @param {string} trashRoot - Trash folder, which is kept
+ */
+async function removeEmptyFolders(dirPath, trashRoot) {
+  let current = dirPath;
+  while (current.startsWith(trashRoot + path.sep)) {
+    try {
+      await fs.rmdir(current);
+    } catch {
+      return;
+    }
+    current = path.dirname(current);
+  }
+}
+
+/**
+ * The columns fileQueries.updateFile() sets, as they are now
+ * @param {Object} file - File record
+ * @returns {Object}
+ */
+function pickFileColumns(file) {
+  return {
+    id: file.id,
+    current_path: file.current_path,
+    hash_sha256: file.hash_sha256,
+    hash_partial: file.hash_partial,
+    mime_type: file.mime_type,
+    exif_date: file.exif_date,
+    resolved_date: file.resolved_date,
+    date_source: file.date_source,
+    status: file.status,
+    duplicate_of: file.duplicate_of,
+    metadata_json: file.metadata_json
+  };
+}
+
+/**
+ * Turn a trash_items row into a trash item
+ * @param {Object} row - trash_items row
+ * @returns {Object}
+ */
+function formatItem(row) {
+  return {
+    id: row.id,
+    fileId: row.file_id,
+    filename: path.basename(row.original_path),
+    originalPath: row.original_path,
+    trashPath: row.trash_path,
+    trashRoot: row.trash_root,
+    size: row.size,
+    reason: row.reason,
+    status: row.status,
+    operationId: row.operation_id,
+    batchId: row.batch_id,
+    trashedAt: row.trashed_at,
+    expiresAt: row.expires_at,
+    expired: row.status === 'trashed' && row.expires_at <= new Date().toISOString(),
+    restoredAt: row.restored_at,
+    deletedAt: row.deleted_at
+  };
+}
+
+export default {
+  TRASH_FOLDER,
+  MANIFEST_FILE,
+  TRASH_ITEM_STATUSES,
+  getTrashRoot,
+  trashFile,
+  moveToTrash,
+  listTrash,
+  getTrashItem,
+  getTrashItemForOperation,
+  checkTrashRevert,
+  undoTrash,
+  emptyTrash
+};
@@ -0,0 +1,603 @@
+/**
+ * Video Metadata Service
+ *
+ * Reads the capture date, duration, GPS location and camera of video files
+ * straight from their containers, without external tools:
+ * - MP4, MOV, M4V and 3GP (ISO-BMFF): the mvhd header, ©xyz / ©day / ©mak /
+ *   ©mod user data and Apple QuickTime keys such as
+ *   com.apple.quicktime.creationdate and the Live Photo content identifier
+ * - AVI (RIFF): the avih header and IDIT / ICRD dates
+ * - MKV and WebM (Matroska): DateUTC and Duration of the segment info
+ */
+
+import fs from 'fs/promises';
+
+// Seconds from the QuickTime epoch (1904-01-01) to the Unix epoch
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+
+// Matroska dates count nanoseconds from 2001-01-01T00:00:00Z
+const MATROSKA_EPOCH_MS = Date.UTC(2001, 0, 1);
+
+// Metadata is small; a header claiming more than this is not read into memory
+const MAX_METADATA_BYTES = 16 * 1024 * 1024;
+
+// Top-level ISO-BMFF boxes that can start a file without an ftyp box (old QuickTime)
+const QUICKTIME_LEADING_BOXES = ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+const QUICKTIME_KEYS = {
+  creationDate: 'com.apple.quicktime.creationdate',
+  location: 'com.apple.quicktime.location.ISO6709',
+  make: 'com.apple.quicktime.make',
+  model: 'com.apple.quicktime.model',
+  contentIdentifier: 'com.apple.quicktime.content.identifier'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Matroska element IDs
+const EBML_HEADER = 0x1A45DFA3;
+const MKV_SEGMENT = 0x18538067;
+const MKV_INFO = 0x1549A966;
+const MKV_CLUSTER = 0x1F43B675;
+const MKV_TIMECODE_SCALE = 0x2AD7B1;
+const MKV_DURATION = 0x4489;
+const MKV_DATE_UTC = 0x4461;
+
+/**
+ * Extract metadata from a video file
+ * @param {string} filePath - Path to the video file
+ * @returns {Promise<Object|null>} - { container, creationDate, utcOffset, durationSeconds, location, make, model,
+ *   contentIdentifier }, or null if the container is not recognised or has no metadata
+ */
+export async function extractVideoMetadata(filePath) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+    const { size } = await handle.stat();
+    const header = await readBytes(handle, 0, 12);
+
+    let result = null;
+    if (header.length >= 8 && QUICKTIME_LEADING_BOXES.includes(header.toString('latin1', 4, 8))) {
+      result = await parseIsoBmff(handle, size);
+    } else if (header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'AVI ') {
+      result = await parseAvi(handle, size);
+    } else if (header.length >= 4 && header.readUInt32BE(0) === EBML_HEADER) {
+      result = await parseMatroska(handle, size);
+    }
+
+    return result && hasMetadata(result) ? result : null;
+  } catch (error) {
+    // Truncated or unusual files simply have no video metadata
+    return null;
+  } finally {
+    await handle?.close();
+  }
+}
+
+/**
+ * Parse a date as written by cameras and muxers
+ * @param {string} value - e.g. "2023-06-01T12:34:56+0200", "2005:03:12 10:00:00",
+ *   "2005-03-12" or "Sat Mar 12 10:00:00 2005"
+ * @returns {string|null} - ISO date string or null
+ */
+export function parseVideoDate(value) {
+  if (!value || typeof value !== 'string') return null;
+  const text = value.replace(/\0/g, '').trim();
+
+  // ISO 8601, possibly with a "+0200" style offset; without an offset it is local time
+  let match = text.match(/^(\d{4})[-:](\d{2})[-:](\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i);
+  if (match) {
+    const [, year, month, day, hour = '00', minute = '00', second = '00', zone] = match;
+    const local = `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+    const date = zone
+      ? new Date(local + (zone.toUpperCase() === 'Z' ? 'Z' : zone.replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2')))
+      : new Date(year, month - 1, day, hour, minute, second);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  // ctime format used by AVI IDIT chunks
+  match = text.match(/^\w{3}\s+(\w{3})\s+(\d{1,2})\s+(\d{2}):(\d{2}):(\d{2})\s+(\d{4})$/);
+  if (match) {
+    const [, monthName, day, hour, minute, second, year] = match;
+    const month = MONTHS.indexOf(monthName.toLowerCase());
+    if (month === -1) return null;
+    const date = new Date(year, month, day, hour, minute, second);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  return null;
+}
+
+/**
+ * Get the UTC offset written with a date
+ * @param {string} value - e.g. "2023-06-01T12:34:56+0200"
+ * @returns {string|null} - Offset as "+02:00", or null if the date has none
+ */
+export function parseDateOffset(value) {
+  const match = typeof value === 'string' && value.replace(/\0/g, '').trim().match(/T[\d:.]+\s*(Z|([+-]\d{2}):?(\d{2}))$/i);
+  if (!match) return null;
+  return match[1].toUpperCase() === 'Z' ? '+00:00' : `${match[2]}:${match[3]}`;
+}
+
+/**
+ * Parse an ISO 6709 location string
+ * @param {string} value - e.g. "+37.7749-122.4194+010.000/"
+ * @returns {Object|null} - { latitude, longitude, altitude } or null
+ */
+export function parseIso6709(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/);
+  if (!match) return null;
+
+  const latitude = parseFloat(match[1]);
+  const longitude = parseFloat(match[2]);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+  return {
+    latitude,
+    longitude,
+    altitude: match[3] !== undefined ? parseFloat(match[3]) : null
+  };
+}
+
+/**
+ * Parse an MP4 / QuickTime file
+ * @param {Object} handle - Open file handle
+ * @param {number} fileSize - File size in bytes
+ * @returns {Promise<Object|null>} - Video metadata
+ */
+async function parseIsoBmff(handle, fileSize) {
+  const moov = await readTopLevelBox(handle, fileSize, 'moov');
+  if (!moov) return null;
+
+  const result = createResult('iso-bmff');
+  let headerDate = null;
+  let userData = {};
+  let keyedData = {};
+
+  for (const box of iterateBoxes(moov, 0, moov.length)) {
+    if (box.type === 'mvhd') {
+      const header = parseMovieHeader(moov, box);
+      headerDate = header.creationDate;
+      result.durationSeconds = header.durationSeconds;
+    } else if (box.type === 'udta') {
+      userData = readUserData(moov, box);
+    } else if (box.type === 'meta') {
+      keyedData = readMetaItems(moov, box);
+    }
+  }
+
+  // The QuickTime key keeps the local time and offset; mvhd is often the export time
+  const keyedDate = parseVideoDate(keyedData[QUICKTIME_KEYS.creationDate]);
+  result.creationDate = keyedDate || parseVideoDate(userData['©day']) || headerDate;
+  result.utcOffset = keyedDate ? parseDateOffset(keyedData[QUICKTIME_KEYS.creationDate]) : null;
+  result.location = parseIso6709(keyedData[QUICKTIME_KEYS.location] || userData['©xyz']);
+  result.make = keyedData[QUICKTIME_KEYS.make] || userData['©mak'] || null;
+  result.model = keyedData[QUICKTIME_KEYS.model] || userData['©mod'] || null;
+  result.contentIdentifier = keyedData[QUICKTIME_KEYS.contentIdentifier] || null;
+
+  return result;
+}
+
+/**
+ * Find a top-level box and read its contents
+ * @param {Object} handle - Open file handle
+ * @param {number} fileSize - File size in bytes
+ * @param {string} type - Box type
+ * @returns {Promise<Buffer|null>} - Box contents without the header
+ */
+async function readTopLevelBox(handle, fileSize, type) {
+  let position = 0;
+
+  while (position + 8 <= fileSize) {
+    const header = await readBytes(handle, position, 16);
+    let size = header.readUInt32BE(0);
+    const boxType = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = fileSize - position;
+    }
+    if (size < headerSize) return null;
+
+    if (boxType === type) {
+      if (size - headerSize > MAX_METADATA_BYTES) return null;
+      return readBytes(handle, position + headerSize, size - headerSize);
+    }
+
+    position += size;
+  }
+
+  return null;
+}
+
+/**
+ * Iterate the child boxes within a range of a buffer
+ * @param {Buffer} buffer - Buffer holding the boxes
+ * @param {number} start - Offset of the first box
+ * @param {number} end - Offset after the last box
+ * @yields {Object} - { type, headerStart, start, end }
+ */
+function* iterateBoxes(buffer, start, end) {
+  let position = start;
+
+  while (position + 8 <= end) {
+    let size = buffer.readUInt32BE(position);
+    const type = buffer.toString('latin1', position + 4, position + 8);
+    let headerSize = 8;
+
+    if (size === 1 && position + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(position + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - position;
+    }
+    if (size < headerSize || position + size > end) return;
+
+    yield { type, headerStart: position, start: position + headerSize, end: position + size };
+    position += size;
+  }
+}
+
+/**
+ * Read creation time and duration from an mvhd box
+ * @param {Buffer} buffer - Buffer holding the box
+ * @param {Object} box - Box position
+ * @returns {Object} - { creationDate, durationSeconds }
+ */
+function parseMovieHeader(buffer, box) {
+  const version = buffer[box.start];
+  let created;
+  let timescale;
+  let duration;
+
+  if (version === 1) {
+    created = Number(buffer.readBigUInt64BE(box.start + 4));
+    timescale = buffer.readUInt32BE(box.start + 20);
+    duration = Number(buffer.readBigUInt64BE(box.start + 24));
+  } else {
+    created = buffer.readUInt32BE(box.start + 4);
+    timescale = buffer.readUInt32BE(box.start + 12);
+    duration = buffer.readUInt32BE(box.start + 16);
+  }
+
+  // Zero means the muxer did not set a time
+  return {
+    creationDate: created > 0 ? new Date((created - QUICKTIME_EPOCH_OFFSET) * 1000).toISOString() : null,
+    durationSeconds: timescale > 0 ? Math.round((duration / timescale) * 1000) / 1000 : null
+  };
+}
+
+/**
+ * Read the ©-prefixed text entries of a udta box
+ * @param {Buffer} buffer - Buffer holding the box
+ * @param {Object} box - Box position
+ * @returns {Object} - Values by box type, e.g. { '©xyz': '+37.7749-122.4194/' }
+ */
+function readUserData(buffer, box) {
+  const values = {};
+
+  for (const child of iterateBoxes(buffer, box.start, box.end)) {
+    if (child.type.startsWith('©') && child.end - child.start >= 4) {
+      // QuickTime text: 16-bit length, 16-bit language code, then the text
+      const length = buffer.readUInt16BE(child.start);
+      values[child.type] = buffer.toString('utf8', child.start + 4, Math.min(child.start + 4 + length, child.end));
+    } else if (child.type === 'meta') {
+      Object.assign(values, readMetaItems(buffer, child));
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Read the text items of a meta box, either QuickTime keyed items
+ * (keys + ilst) or iTunes-style items named by their box type
+ * @param {Buffer} buffer - Buffer holding the box
+ * @param {Object} box - Box position
+ * @returns {Object} - Values by key name
+ */
+function readMetaItems(buffer, box) {
+  // QuickTime meta boxes have no version and flags; ISO ones do
+  let start = box.start;
+  if (buffer.toString('latin1', start + 4, start + 8) !== 'hdlr') {
+    start += 4;
+  }
+
+  let keys = null;
+  let itemList = null;
+  for (const child of iterateBoxes(buffer, start, box.end)) {
+    if (child.type === 'keys') {
+      keys = readKeys(buffer, child);
+    } else if (child.type === 'ilst') {
+      itemList = child;
+    }
+  }
+
+  const values = {};
+  if (!itemList) return values;
+
+  for (const item of iterateBoxes(buffer, itemList.start, itemList.end)) {
+    // With a keys box, item types are 1-based indexes into it
+    const name = keys ? keys[buffer.readUInt32BE(item.headerStart + 4) - 1] : item.type;
+    if (!name) continue;
+
+    for (const data of iterateBoxes(buffer, item.start, item.end)) {
+      // data: 32-bit type indicator, 32-bit locale, value; type 1 is UTF-8 text
+      if (data.type === 'data' && data.end - data.start >= 8 && buffer.readUInt32BE(data.start) === 1) {
+        values[name] = buffer.toString('utf8', data.start + 8, data.end);
+      }
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Read the key names of a QuickTime keys box
+ * @param {Buffer} buffer - Buffer holding the box
+ * @param {Object} box - Box position
+ * @returns {string[]} - Key names in index order
+ */
+function readKeys(buffer, box) {
+  const keys = [];
+  const count = buffer.readUInt32BE(box.start + 4);
+  let position = box.start + 8;
+
+  for (let i = 0; i < count && position + 8 <= box.end; i++) {
+    const size = buffer.readUInt32BE(position);
+    if (size < 8 || position + size > box.end) break;
+    // Skip the 4-byte namespace, usually "mdta"
+    keys.push(buffer.toString('utf8', position + 8, position + size));
+    position += size;
+  }
+
+  return keys;
+}
+
+/**
+ * Parse an AVI file
+ * @param {Object} handle - Open file handle
+ * @param {number} fileSize - File size in bytes
+ * @returns {Promise<Object>} - Video metadata
+ */
+async function parseAvi(handle, fileSize) {
+  const result = createResult('avi');
+  const dates = {};
+  let position = 12;
+
+  while (position + 8 <= fileSize) {
+    const header = await readBytes(handle, position, 12);
+    const id = header.toString('latin1', 0, 4);
+    const size = header.readUInt32LE(4);
+    const listType = header.toString('latin1', 8, 12);
+
+    // hdrl holds the main header and IDIT; INFO holds ICRD. movi is the media itself.
+    if (id === 'LIST' && (listType === 'hdrl' || listType === 'INFO') && size <= MAX_METADATA_BYTES) {
+      const list = await readBytes(handle, position + 12, size - 4);
+      readAviChunks(list, result, dates);
+    }
+
+    // Chunks are padded to an even size
+    position += 8 + size + (size % 2);
+  }
+
+  result.creationDate = parseVideoDate(dates.IDIT) || parseVideoDate(dates.ICRD);
+  return result;
+}
+
+/**
+ * Read avih, IDIT and ICRD from the chunks of an AVI list
+ * @param {Buffer} buffer - List contents after its type
+ * @param {Object} result - Video metadata being built
+ * @param {Object} dates - Collected date strings by chunk ID
+ */
+function readAviChunks(buffer, result, dates) {
+  let position = 0;
+
+  while (position + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', position, position + 4);
+    const size = buffer.readUInt32LE(position + 4);
+    const start = position + 8;
+    const end = Math.min(start + size, buffer.length);
+
+    if (id === 'avih' && size >= 20) {
+      const microSecondsPerFrame = buffer.readUInt32LE(start);
+      const totalFrames = buffer.readUInt32LE(start + 16);
+      if (microSecondsPerFrame > 0 && totalFrames > 0) {
+        result.durationSeconds = Math.round(microSecondsPerFrame * totalFrames / 1000) / 1000;
+      }
+    } else if (id === 'IDIT' || id === 'ICRD') {
+      dates[id] = buffer.toString('latin1', start, end);
+    } else if (id === 'LIST') {
+      readAviChunks(buffer.subarray(start + 4, end), result, dates);
+    }
+
+    position = start + size + (size % 2);
+  }
+}
+
+/**
+ * Parse a Matroska or WebM file
+ * @param {Object} handle - Open file handle
+ * @param {number} fileSize - File size in bytes
+ * @returns {Promise<Object|null>} - Video metadata
+ */
+async function parseMatroska(handle, fileSize) {
+  const ebmlHeader = await readElementHeader(handle, 0);
+  if (!ebmlHeader || ebmlHeader.size === null) return null;
+
+  const segment = await readElementHeader(handle, ebmlHeader.dataStart + ebmlHeader.size);
+  if (!segment || segment.id !== MKV_SEGMENT) return null;
+
+  const segmentEnd = segment.size === null ? fileSize : Math.min(segment.dataStart + segment.size, fileSize);
+  let position = segment.dataStart;
+
+  // Info comes before the first cluster
+  while (position < segmentEnd) {
+    const element = await readElementHeader(handle, position);
+    if (!element || element.size === null || element.id === MKV_CLUSTER) return null;
+
+    if (element.id === MKV_INFO) {
+      if (element.size > MAX_METADATA_BYTES) return null;
+      const info = await readBytes(handle, element.dataStart, element.size);
+      return parseMatroskaInfo(info);
+    }
+
+    position = element.dataStart + element.size;
+  }
+
+  return null;
+}
+
+/**
+ * Read DateUTC and Duration from a Matroska Info element
+ * @param {Buffer} buffer - Info element contents
+ * @returns {Object} - Video metadata
+ */
+function parseMatroskaInfo(buffer) {
+  const result = createResult('matroska');
+  let timecodeScale = 1000000;
+  let duration = null;
+  let position = 0;
+
+  while (position < buffer.length) {
+    const element = readElementHeaderFromBuffer(buffer, position);
+    if (!element || element.size === null || element.dataStart + element.size > buffer.length) break;
+    const { dataStart, size } = element;
+
+    if (element.id === MKV_TIMECODE_SCALE) {
+      timecodeScale = readUnsigned(buffer, dataStart, size);
+    } else if (element.id === MKV_DURATION) {
+      duration = size === 4 ? buffer.readFloatBE(dataStart) : size === 8 ? buffer.readDoubleBE(dataStart) : null;
+    } else if (element.id === MKV_DATE_UTC && size === 8) {
+      const nanoseconds = buffer.readBigInt64BE(dataStart);
+      result.creationDate = new Date(MATROSKA_EPOCH_MS + Number(nanoseconds / 1000000n)).toISOString();
+    }
+
+    position = dataStart + size;
+  }
+
+  if (duration !== null) {
+    result.durationSeconds = Math.round(duration * timecodeScale / 1e6) / 1000;
+  }
+
+  return result;
+}
+
+/**
+ * Read an EBML element header from the file
+ * @param {Object} handle - Open file handle
+ * @param {number} position - Offset of the element
+ * @returns {Promise<Object|null>} - { id, size, dataStart }; size is null if unknown
+ */
+async function readElementHeader(handle, position) {
+  const buffer = await readBytes(handle, position, 12);
+  const element = readElementHeaderFromBuffer(buffer, 0);
+  return element ? { ...element, dataStart: position + element.dataStart } : null;
+}
+
+/**
+ * Read an EBML element header: a variable-length ID and size
+ * @param {Buffer} buffer - Buffer holding the element
+ * @param {number} position - Offset of the element
+ * @returns {Object|null} - { id, size, dataStart }; size is null if unknown
+ */
+function readElementHeaderFromBuffer(buffer, position) {
+  const idLength = vintLength(buffer[position]);
+  if (idLength === 0 || idLength > 4 || position + idLength >= buffer.length) return null;
+  const id = readUnsigned(buffer, position, idLength);
+
+  const sizeStart = position + idLength;
+  const sizeLength = vintLength(buffer[sizeStart]);
+  if (sizeLength === 0 || sizeStart + sizeLength > buffer.length) return null;
+
+  // The length marker bit is not part of the value; all ones means "unknown size"
+  let size = buffer[sizeStart] & (0xFF >> sizeLength);
+  let allOnes = size === (0xFF >> sizeLength);
+  for (let i = 1; i < sizeLength; i++) {
+    size = size * 256 + buffer[sizeStart + i];
+    allOnes = allOnes && buffer[sizeStart + i] === 0xFF;
+  }
+
+  return { id, size: allOnes ? null : size, dataStart: sizeStart + sizeLength };
+}
+
+/**
+ * Length of an EBML variable-length integer from its first byte
+ * @param {number} firstByte - First byte
+ * @returns {number} - 1-8, or 0 if invalid
+ */
+function vintLength(firstByte) {
+  if (firstByte === undefined || firstByte === 0) return 0;
+  let length = 1;
+  while (!(firstByte & (0x80 >> (length - 1)))) length++;
+  return length;
+}
+
+/**
+ * Read a big-endian unsigned integer of up to 6 bytes
+ * @param {Buffer} buffer - Buffer
+ * @param {number} position - Offset
+ * @param {number} length - Byte count
+ * @returns {number}
+ */
+function readUnsigned(buffer, position, length) {
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    value = value * 256 + buffer[position + i];
+  }
+  return value;
+}
+
+/**
+ * Read bytes from a file; fewer are returned at the end of the file
+ * @param {Object} handle - Open file handle
+ * @param {number} position - Offset
+ * @param {number} length - Byte count
+ * @returns {Promise<Buffer>}
+ */
+async function readBytes(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Empty metadata for a container
+ * @param {string} container - iso-bmff, avi or matroska
+ * @returns {Object}
+ */
+function createResult(container) {
+  return {
+    container,
+    creationDate: null,
+    utcOffset: null,
+    durationSeconds: null,
+    location: null,
+    make: null,
+    model: null,
+    contentIdentifier: null
+  };
+}
+
+/**
+ * Check whether any metadata was found
+ * @param {Object} result - Video metadata
+ * @returns {boolean}
+ */
+function hasMetadata(result) {
+  return Boolean(result.creationDate || result.durationSeconds || result.location || result.make || result.model ||
+    result.contentIdentifier);
+}
+
+export default {
+  extractVideoMetadata,
+  parseVideoDate,
+  parseDateOffset,
+  parseIso6709
+};
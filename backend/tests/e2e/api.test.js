@@ -74,15 +74,17 @@ describe('E2E: API Endpoints', () => {
   });
 
   describe('File Scanning', () => {
-    test('POST /api/scan starts a scan', async () => {
+    test('POST /api/scan queues a scan', async () => {
       const { status, data } = await apiRequest('/api/scan', {
         method: 'POST',
         body: JSON.stringify({ sourcePath: sourceDir, recursive: true })
       });
 
       expect(status).toBe(202);
-      expect(data.message).toBe('Scan started');
+      expect(data.message).toBe('Scan queued');
       expect(data.sessionId).toBeDefined();
+      expect(data.job.type).toBe('scan');
+      expect(data.job.params.sessionId).toBe(data.sessionId);
     });
 
     test('GET /api/scan/status returns scan progress', async () => {
@@ -127,12 +129,107 @@ describe('E2E: API Endpoints', () => {
       expect(status).toBe(200);
       expect(data.id).toBe(fileId);
       expect(data.filename).toBeDefined();
+      expect(Array.isArray(data.companions)).toBe(true);
     });
 
     test('GET /api/files/:id returns 404 for non-existent file', async () => {
       const { status } = await apiRequest('/api/files/99999');
       expect(status).toBe(404);
     });
+
+    test('GET /api/files/:id/preview rejects unknown sizes', async () => {
+      const { data: listData } = await apiRequest('/api/files');
+      const fileId = listData.files[0].id;
+
+      const { status } = await apiRequest(`/api/files/${fileId}/preview?size=huge`);
+      expect(status).toBe(400);
+    });
+
+    test('GET /api/files/cameras lists camera makes and models', async () => {
+      const { status, data } = await apiRequest('/api/files/cameras');
+      expect(status).toBe(200);
+      expect(Array.isArray(data.cameras)).toBe(true);
+    });
+
+    test('POST /api/files/timeshift shifts dates and can be reverted', async () => {
+      const { data: listData } = await apiRequest('/api/files');
+      const file = listData.files[0];
+
+      const { status, data } = await apiRequest('/api/files/timeshift', {
+        method: 'POST',
+        body: JSON.stringify({ fileIds: [file.id], offset: { hours: 1 } })
+      });
+      expect(status).toBe(200);
+      expect(data.result.shifted).toBe(1);
+
+      const { data: shifted } = await apiRequest(`/api/files/${file.id}`);
+      expect(shifted.date_source).toBe('corrected');
+
+      const { data: batch } = await apiRequest(`/api/operations/batch/${data.result.batchId}`);
+      const { status: revertStatus } = await apiRequest(`/api/operations/${batch.operations[0].id}/revert`, { method: 'POST' });
+      expect(revertStatus).toBe(200);
+
+      const { data: reverted } = await apiRequest(`/api/files/${file.id}`);
+      expect(reverted.resolved_date).toBe(file.resolved_date);
+      expect(reverted.date_source).toBe(file.date_source);
+    });
+
+    test('POST /api/files/timeshift without make or fileIds returns 400', async () => {
+      const { status, data } = await apiRequest('/api/files/timeshift', {
+        method: 'POST',
+        body: JSON.stringify({ offset: { hours: 1 } })
+      });
+      expect(status).toBe(400);
+      expect(data.error.message).toContain('make or fileIds');
+    });
+
+    test('GET /api/files/:id/date-candidates lists possible dates', async () => {
+      const { data: listData } = await apiRequest('/api/files');
+      const fileId = listData.files[0].id;
+
+      const { status, data } = await apiRequest(`/api/files/${fileId}/date-candidates`);
+      expect(status).toBe(200);
+      expect(data.fileId).toBe(fileId);
+      expect(data.candidates.map(c => c.source)).toContain('modified');
+    });
+
+    test('PUT /api/files/:id/date sets a manual date', async () => {
+      const { data: listData } = await apiRequest('/api/files');
+      const fileId = listData.files[0].id;
+
+      const { status, data } = await apiRequest(`/api/files/${fileId}/date`, {
+        method: 'PUT',
+        body: JSON.stringify({ date: '2020-05-17T14:00:00Z' })
+      });
+      expect(status).toBe(200);
+      expect(data.batchId).toBeDefined();
+      expect(data.file.resolved_date).toBe('2020-05-17T14:00:00.000Z');
+      expect(data.file.date_source).toBe('manual');
+    });
+
+    test('PUT /api/files/dates sets one date on several files', async () => {
+      const { data: listData } = await apiRequest('/api/files');
+      const fileIds = listData.files.slice(0, 2).map(f => f.id);
+
+      const { status, data } = await apiRequest('/api/files/dates', {
+        method: 'PUT',
+        body: JSON.stringify({ fileIds, date: '2020-05-17', timezone: 'UTC' })
+      });
+      expect(status).toBe(200);
+      expect(data.updated).toBe(2);
+    });
+
+    test('PUT /api/files/:id/date with an invalid date returns 400', async () => {
+      const { data: listData } = await apiRequest('/api/files');
+      const fileId = listData.files[0].id;
+
+      const { status, data } = await apiRequest(`/api/files/${fileId}/date`, {
+        method: 'PUT',
+        body: JSON.stringify({ date: '17/05/2020' })
+      });
+      expect(status).toBe(400);
+      expect(data.error.message).toContain('date must look like');
+    });
   });
 
   describe('Duplicate Detection', () => {
@@ -144,6 +241,51 @@ describe('E2E: API Endpoints', () => {
       // Should find at least one duplicate group (image1.jpg and image1_dup.jpg)
       expect(data.groups.length).toBeGreaterThan(0);
     });
+
+    test('GET /api/duplicates/similar returns similarity clusters', async () => {
+      const { status, data } = await apiRequest('/api/duplicates/similar');
+      expect(status).toBe(200);
+      expect(Array.isArray(data.groups)).toBe(true);
+      expect(data.threshold).toBeDefined();
+      expect(data.computedAt).toBeDefined();
+    });
+
+    test('GET /api/duplicates/similar rejects invalid thresholds', async () => {
+      const { status } = await apiRequest('/api/duplicates/similar?threshold=100');
+      expect(status).toBe(400);
+    });
+
+    test('POST /api/duplicates/resolve dry run returns a plan', async () => {
+      const { status, data } = await apiRequest('/api/duplicates/resolve', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'trash', policy: 'shortest_path', destinationPath: destDir, dryRun: true })
+      });
+      expect(status).toBe(200);
+      expect(data.dryRun).toBe(true);
+      expect(data.plan.length).toBeGreaterThan(0);
+      expect(data.filesResolved).toBeGreaterThan(0);
+    });
+
+    test('POST /api/duplicates/resolve rejects unknown actions and policies', async () => {
+      const badAction = await apiRequest('/api/duplicates/resolve', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'shred' })
+      });
+      expect(badAction.status).toBe(400);
+
+      const badPolicy = await apiRequest('/api/duplicates/resolve', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'trash', policy: ['newest'] })
+      });
+      expect(badPolicy.status).toBe(400);
+
+      const noDestination = await apiRequest('/api/duplicates/resolve', {
+        method: 'POST',
+        body: JSON.stringify({ action: 'trash', dryRun: true })
+      });
+      expect(noDestination.status).toBe(400);
+      expect(noDestination.data.error.message).toMatch(/destinationPath/);
+    });
   });
 
   describe('Search', () => {
@@ -160,6 +302,12 @@ describe('E2E: API Endpoints', () => {
       expect(data.files).toBeDefined();
     });
 
+    test('GET /api/search with needsDateReview lists files with weak dates', async () => {
+      const { status, data } = await apiRequest('/api/search?needsDateReview=true');
+      expect(status).toBe(200);
+      expect(data.files.every(f => ['created', 'modified', 'discovered'].includes(f.date_source))).toBe(true);
+    });
+
     test('GET /api/search/extensions returns extension list', async () => {
       const { status, data } = await apiRequest('/api/search/extensions');
       expect(status).toBe(200);
@@ -175,8 +323,102 @@ describe('E2E: API Endpoints', () => {
     });
   });
 
+  describe('Organize Profiles', () => {
+    let profileId;
+
+    test('POST /api/profiles creates a profile', async () => {
+      const { status, data } = await apiRequest('/api/profiles', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: 'Pictures first',
+          rules: [{ name: 'Pictures', match: { category: 'image' }, template: 'Pictures/{year}' }]
+        })
+      });
+
+      expect(status).toBe(201);
+      expect(data.rules).toEqual([{ name: 'Pictures', match: { category: 'image' }, template: 'Pictures/{year}' }]);
+      profileId = data.id;
+    });
+
+    test('GET /api/organize/preview shows the matched rule', async () => {
+      const { status, data } = await apiRequest(
+        `/api/organize/preview?destinationPath=${encodeURIComponent(destDir)}&profileId=${profileId}`
+      );
+
+      expect(status).toBe(200);
+      const matched = data.preview.filter(entry => entry.rule === 'Pictures');
+      expect(matched.length).toBeGreaterThan(0);
+      expect(matched.every(entry => entry.destinationPath.startsWith(path.join(destDir, 'Pictures')))).toBe(true);
+    });
+
+    test('GET /api/organize/preview pages files and counts them all', async () => {
+      const { status, data } = await apiRequest(
+        `/api/organize/preview?destinationPath=${encodeURIComponent(destDir)}&limit=1&offset=0`
+      );
+
+      expect(status).toBe(200);
+      expect(data.preview.length).toBe(Math.min(1, data.totalFiles));
+      expect(data.summary.totalFiles).toBe(data.totalFiles);
+      expect(Object.values(data.summary.byAction).reduce((sum, count) => sum + count, 0)).toBe(data.totalFiles);
+      expect(Array.isArray(data.folders)).toBe(true);
+
+      // Later pages come from the same preview
+      const next = await apiRequest(`/api/organize/preview?previewId=${data.previewId}&limit=1&offset=1`);
+      expect(next.status).toBe(200);
+      expect(next.data).toMatchObject({ previewId: data.previewId, totalFiles: data.totalFiles, offset: 1 });
+      expect(next.data.summary).toEqual(data.summary);
+    });
+
+    test('GET /api/organize/preview with an unknown previewId returns 404', async () => {
+      const { status } = await apiRequest('/api/organize/preview?previewId=no-such-preview');
+
+      expect(status).toBe(404);
+    });
+
+    test('PUT /api/profiles/:id replaces the rules', async () => {
+      const { status, data } = await apiRequest(`/api/profiles/${profileId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ name: 'Pictures first', template: '{year}', rules: [] })
+      });
+
+      expect(status).toBe(200);
+      expect(data).toMatchObject({ template: '{year}', rules: [] });
+    });
+
+    test('POST /api/profiles with an invalid rule returns 400', async () => {
+      const { status, data } = await apiRequest('/api/profiles', {
+        method: 'POST',
+        body: JSON.stringify({ name: 'Broken', rules: [{ name: 'Odd', match: { colour: 'red' }, template: '{year}' }] })
+      });
+
+      expect(status).toBe(400);
+      expect(data.error.errors).toEqual(['Rule 1: unknown condition "colour"']);
+    });
+
+    test('DELETE /api/profiles/:id removes the profile', async () => {
+      expect((await apiRequest(`/api/profiles/${profileId}`, { method: 'DELETE' })).status).toBe(200);
+      expect((await apiRequest(`/api/profiles/${profileId}`)).status).toBe(404);
+
+      const { status } = await apiRequest('/api/organize', {
+        method: 'POST',
+        body: JSON.stringify({ destinationPath: destDir, profileId })
+      });
+      expect(status).toBe(400);
+    });
+  });
+
   describe('Organization', () => {
-    test('POST /api/organize with dryRun shows preview', async () => {
+    let planId;
+
+    async function waitForJob(job) {
+      for (let attempt = 0; attempt < 100 && !['completed', 'failed'].includes(job.status); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        ({ data: job } = await apiRequest(`/api/jobs/${job.id}`));
+      }
+      return job;
+    }
+
+    test('POST /api/organize with dryRun stores a plan', async () => {
       const { status, data } = await apiRequest('/api/organize', {
         method: 'POST',
         body: JSON.stringify({ destinationPath: destDir, dryRun: true })
@@ -185,12 +427,98 @@ describe('E2E: API Endpoints', () => {
       expect(status).toBe(202);
       expect(data.dryRun).toBe(true);
 
-      // Wait for completion
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      const job = await waitForJob(data.job);
+      expect(job.status).toBe('completed');
+      planId = job.result.planId;
 
-      const { data: statusData } = await apiRequest('/api/organize/status');
-      expect(statusData.status).toBe('completed');
-      expect(statusData.operations.length).toBeGreaterThan(0);
+      const { data: plan } = await apiRequest(`/api/plans/${planId}`);
+      expect(plan.status).toBe('draft');
+      expect(plan.summary.totalFiles).toBeGreaterThan(0);
+
+      const { data: operations } = await apiRequest('/api/operations?limit=1000');
+      expect(operations.operations.some(operation => operation.reason?.startsWith('Dry run'))).toBe(false);
+    });
+
+    test('POST /api/organize and GET /api/organize/preview reject an invalid template', async () => {
+      const queued = await apiRequest('/api/organize', {
+        method: 'POST',
+        body: JSON.stringify({ destinationPath: destDir, template: '{year}/{colour}' })
+      });
+      const previewed = await apiRequest(
+        `/api/organize/preview?destinationPath=${encodeURIComponent(destDir)}&template=${encodeURIComponent('{year}/{colour}')}`
+      );
+
+      for (const { status, data } of [queued, previewed]) {
+        expect(status).toBe(400);
+        expect(data.error.errors).toEqual(['Unknown token {colour}']);
+        expect(data.errors).toBeUndefined();
+      }
+    });
+
+    test('PATCH /api/plans/:id/items/:itemId excludes a file and POST /api/plans/:id/execute runs the rest', async () => {
+      const { status, data } = await apiRequest(`/api/plans/${planId}/items?limit=1000`);
+      expect(status).toBe(200);
+      expect(data.items.length).toBe(data.total);
+
+      const item = data.items.find(entry => ['move', 'collision_rename', 'no_date'].includes(entry.action));
+      const { status: patchStatus, data: patched } = await apiRequest(`/api/plans/${planId}/items/${item.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ excluded: true })
+      });
+      expect(patchStatus).toBe(200);
+      expect(patched.excluded).toBe(true);
+
+      const { status: executeStatus, data: execution } = await apiRequest(`/api/plans/${planId}/execute`, { method: 'POST' });
+      expect(executeStatus).toBe(202);
+      expect(execution.job.type).toBe('plan');
+
+      const job = await waitForJob(execution.job);
+      expect(job.status).toBe('completed');
+      expect(job.result.skippedFiles).toBeGreaterThanOrEqual(1);
+
+      const { data: plan } = await apiRequest(`/api/plans/${planId}`);
+      expect(plan.status).toBe('executed');
+      expect(plan.byStatus.planned).toBe(0);
+
+      // Executed plans can't be edited
+      const { status: lateStatus } = await apiRequest(`/api/plans/${planId}/items/${item.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ excluded: false })
+      });
+      expect(lateStatus).toBe(409);
+    });
+
+    test('GET /api/plans/:id/export and POST /api/plans/import round-trip a plan as CSV', async () => {
+      const response = await fetch(`${BASE_URL}/api/plans/${planId}/export?format=csv`);
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toMatch(/^text\/csv/);
+      expect(response.headers.get('content-disposition')).toBe(`attachment; filename="plan-${planId}.csv"`);
+      const csv = await response.text();
+      const [header, ...lines] = csv.trim().split('\r\n');
+      expect(header).toBe('file_id,source,destination,action,resolved_date,date_source,duplicate_of,rule,excluded,status');
+
+      const importCsv = (body) => apiRequest(`/api/plans/import?destinationPath=${encodeURIComponent(destDir)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body
+      });
+
+      // Files the plan placed are no longer pending
+      const { status: staleStatus, data: stale } = await importCsv(csv);
+      expect(staleStatus).toBe(400);
+      expect(stale.error.errors.some(error => error.endsWith('not pending'))).toBe(true);
+
+      // The file excluded from it still is
+      const excludedLine = lines.find(line => line.includes(',true,skipped'));
+      const { status, data: imported } = await importCsv(`${header}\r\n${excludedLine.replace(',true,skipped', ',false,')}\r\n`);
+      expect(status).toBe(201);
+      expect(imported).toMatchObject({ status: 'draft', destinationPath: destDir });
+      expect(imported.summary.totalFiles).toBe(1);
+
+      const { data: exported } = await apiRequest(`/api/plans/${imported.id}/export?format=json`);
+      expect(exported.plan.id).toBe(imported.id);
+      expect(exported.items).toHaveLength(1);
+      expect((await apiRequest(`/api/plans/${imported.id}`, { method: 'DELETE' })).status).toBe(200);
     });
 
     test('POST /api/organize actually moves files', async () => {
@@ -225,7 +553,7 @@ describe('E2E: API Endpoints', () => {
       expect(data.batches).toBeDefined();
     });
 
-    test('POST /api/operations/batch/:id/revert reverts a batch', async () => {
+    test('POST /api/operations/batch/:id/revert queues a batch revert', async () => {
       // Get the latest batch
       const { data: batchData } = await apiRequest('/api/operations/batches');
       const latestBatch = batchData.batches.find(b => b.operation_type === 'move');
@@ -236,9 +564,266 @@ describe('E2E: API Endpoints', () => {
           { method: 'POST' }
         );
 
-        expect(status).toBe(200);
-        expect(data.result.reverted).toBeGreaterThanOrEqual(0);
+        expect(status).toBe(202);
+        expect(data.job.type).toBe('revert');
+
+        let job = data.job;
+        for (let attempt = 0; attempt < 50 && !['completed', 'failed'].includes(job.status); attempt++) {
+          await new Promise(resolve => setTimeout(resolve, 100));
+          ({ data: job } = await apiRequest(`/api/jobs/${data.job.id}`));
+        }
+
+        expect(job.status).toBe('completed');
+        expect(job.result.reverted).toBeGreaterThanOrEqual(0);
+      }
+    });
+  });
+
+  describe('Trash', () => {
+    let fileId;
+    let itemId;
+
+    beforeAll(async () => {
+      const trashSource = path.join(tempDir, 'trash-source');
+      await fs.mkdir(trashSource, { recursive: true });
+      await fs.writeFile(path.join(trashSource, 'unwanted.jpg'), 'unwanted photo bytes');
+
+      const { data } = await apiRequest('/api/scan', {
+        method: 'POST',
+        body: JSON.stringify({ sourcePath: trashSource, recursive: true })
+      });
+      let job = data.job;
+      for (let attempt = 0; attempt < 100 && !['completed', 'failed'].includes(job.status); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        ({ data: job } = await apiRequest(`/api/jobs/${job.id}`));
+      }
+
+      const { data: files } = await apiRequest('/api/files?limit=1000');
+      fileId = files.files.find(file => file.original_path === path.join(trashSource, 'unwanted.jpg')).id;
+    });
+
+    test('POST /api/files/:id/trash moves a file into the trash inside the destination', async () => {
+      const { status, data } = await apiRequest(`/api/files/${fileId}/trash`, {
+        method: 'POST',
+        body: JSON.stringify({ destinationPath: destDir, reason: 'Not needed' })
+      });
+
+      expect(status).toBe(200);
+      expect(data.file.status).toBe('trashed');
+      expect(data.item.trashPath.startsWith(path.join(destDir, '.trash'))).toBe(true);
+      itemId = data.item.id;
+
+      const { data: trash } = await apiRequest('/api/trash');
+      expect(trash.items.some(item => item.id === itemId)).toBe(true);
+      expect(trash.retentionDays).toBeGreaterThan(0);
+
+      const manifest = JSON.parse(await fs.readFile(path.join(destDir, '.trash', 'manifest.json'), 'utf8'));
+      expect(manifest.items.some(item => item.fileId === fileId)).toBe(true);
+    });
+
+    test('POST /api/trash/:id/restore moves it back once', async () => {
+      const { status, data } = await apiRequest(`/api/trash/${itemId}/restore`, { method: 'POST' });
+      expect(status).toBe(200);
+      expect(data.item.status).toBe('restored');
+
+      const { data: file } = await apiRequest(`/api/files/${fileId}`);
+      expect(file.status).toBe('pending');
+
+      expect((await apiRequest(`/api/trash/${itemId}/restore`, { method: 'POST' })).status).toBe(409);
+    });
+
+    test('POST /api/trash/empty keeps files within their retention period unless all is set', async () => {
+      const { data: trashed } = await apiRequest(`/api/files/${fileId}/trash`, {
+        method: 'POST',
+        body: JSON.stringify({ destinationPath: destDir })
+      });
+
+      const { status, data } = await apiRequest('/api/trash/empty', { method: 'POST', body: JSON.stringify({}) });
+      expect(status).toBe(200);
+      expect(data.deletedFiles).toBe(0);
+
+      const { data: emptied } = await apiRequest('/api/trash/empty', { method: 'POST', body: JSON.stringify({ all: true }) });
+      expect(emptied.deletedFiles).toBeGreaterThanOrEqual(1);
+      await expect(fs.access(trashed.item.trashPath)).rejects.toThrow();
+
+      const { data: item } = await apiRequest(`/api/trash/${trashed.item.id}`);
+      expect(item.status).toBe('deleted');
+      expect((await apiRequest(`/api/trash/${trashed.item.id}/restore`, { method: 'POST' })).status).toBe(409);
+    });
+  });
+
+  describe('Jobs', () => {
+    test('POST /api/jobs runs queued jobs one at a time in order', async () => {
+      const queued = [];
+      for (const body of [
+        { type: 'scan', params: { sourcePath: sourceDir } },
+        { type: 'scan', params: { sourcePath: path.join(sourceDir, 'nested') } },
+        { type: 'organize', params: { destinationPath: destDir, dryRun: true } }
+      ]) {
+        const { status, data } = await apiRequest('/api/jobs', { method: 'POST', body: JSON.stringify(body) });
+        expect(status).toBe(202);
+        queued.push(data.job);
+      }
+
+      let last = queued[2];
+      for (let attempt = 0; attempt < 100 && !['completed', 'failed'].includes(last.status); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        ({ data: last } = await apiRequest(`/api/jobs/${last.id}`));
+      }
+      expect(last.status).toBe('completed');
+
+      const jobs = [];
+      for (const { id } of queued) {
+        const { data } = await apiRequest(`/api/jobs/${id}`);
+        jobs.push(data);
       }
+      expect(jobs.map(job => job.status)).toEqual(['completed', 'completed', 'completed']);
+      expect(jobs[0].completed_at <= jobs[1].started_at).toBe(true);
+      expect(jobs[1].completed_at <= jobs[2].started_at).toBe(true);
+    });
+
+    test('GET /api/jobs lists jobs', async () => {
+      const { status, data } = await apiRequest('/api/jobs?status=completed');
+      expect(status).toBe(200);
+      expect(data.jobs.length).toBeGreaterThan(0);
+      expect(data.jobs.every(job => job.status === 'completed')).toBe(true);
+      expect(data.total).toBeGreaterThanOrEqual(data.jobs.length);
+    });
+
+    test('GET /api/jobs/:id/logs returns job logs', async () => {
+      const { data: list } = await apiRequest('/api/jobs?status=completed&limit=1');
+      const { status, data } = await apiRequest(`/api/jobs/${list.jobs[0].id}/logs`);
+
+      expect(status).toBe(200);
+      expect(data.logs.map(log => log.message)).toEqual(expect.arrayContaining(['Queued', 'Started', 'Completed']));
+    });
+
+    test('POST /api/jobs rejects unknown types', async () => {
+      const { status } = await apiRequest('/api/jobs', {
+        method: 'POST',
+        body: JSON.stringify({ type: 'defragment' })
+      });
+      expect(status).toBe(400);
+    });
+
+    test('GET /api/jobs/:id returns 404 for unknown jobs', async () => {
+      const { status } = await apiRequest('/api/jobs/999999');
+      expect(status).toBe(404);
+    });
+
+    test('POST /api/jobs/:id/resume rejects completed jobs', async () => {
+      const { data: list } = await apiRequest('/api/jobs?status=completed&limit=1');
+      const { status } = await apiRequest(`/api/jobs/${list.jobs[0].id}/resume`, { method: 'POST' });
+      expect(status).toBe(400);
+    });
+  });
+
+  describe('Library Verification', () => {
+    test('POST /api/library/verify checks organized files in the background', async () => {
+      const { status, data } = await apiRequest('/api/library/verify', { method: 'POST', body: JSON.stringify({}) });
+      expect(status).toBe(202);
+      expect(data.job.type).toBe('verify');
+
+      let job = data.job;
+      for (let attempt = 0; attempt < 100 && !['completed', 'failed'].includes(job.status); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        ({ data: job } = await apiRequest(`/api/jobs/${job.id}`));
+      }
+      expect(job.status).toBe('completed');
+
+      const { data: verifyStatus } = await apiRequest('/api/library/verify/status');
+      expect(verifyStatus.status).toBe('completed');
+      expect(verifyStatus.processedFiles).toBe(verifyStatus.totalFiles);
+    });
+
+    test('GET /api/library/verify/problems lists files that failed the check', async () => {
+      const { status, data } = await apiRequest('/api/library/verify/problems');
+      expect(status).toBe(200);
+      expect(Array.isArray(data.files)).toBe(true);
+      expect(Object.keys(data.counts).sort()).toEqual(['corrupted', 'missing', 'modified']);
+    });
+
+    test('POST /api/library/verify with invalid fileIds returns 400', async () => {
+      const { status } = await apiRequest('/api/library/verify', {
+        method: 'POST',
+        body: JSON.stringify({ fileIds: 3 })
+      });
+      expect(status).toBe(400);
+    });
+  });
+
+  describe('Settings', () => {
+    afterAll(async () => {
+      await apiRequest('/api/settings', {
+        method: 'PUT',
+        body: JSON.stringify({ filenameDatePatterns: [], defaultTimezone: null, dateWriteBack: 'off' })
+      });
+    });
+
+    test('GET /api/settings lists built-in filename date patterns', async () => {
+      const { status, data } = await apiRequest('/api/settings');
+      expect(status).toBe(200);
+      expect(data.filenameDatePatterns).toEqual([]);
+      expect(data.builtInFilenameDatePatterns.length).toBeGreaterThan(0);
+    });
+
+    test('PUT /api/settings saves custom filename date patterns', async () => {
+      const pattern = 'roll(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2})';
+      const { status, data } = await apiRequest('/api/settings', {
+        method: 'PUT',
+        body: JSON.stringify({ filenameDatePatterns: [{ name: 'Film rolls', pattern }] })
+      });
+      expect(status).toBe(200);
+      expect(data.filenameDatePatterns).toEqual([{ name: 'Film rolls', pattern }]);
+
+      const { data: tried } = await apiRequest('/api/settings/filename-date?filename=roll19990101-frame3.jpg');
+      expect(tried.match.pattern).toBe('Film rolls');
+    });
+
+    test('PUT /api/settings rejects patterns without date groups', async () => {
+      const { status, data } = await apiRequest('/api/settings', {
+        method: 'PUT',
+        body: JSON.stringify({ filenameDatePatterns: [{ pattern: '\\d+' }] })
+      });
+      expect(status).toBe(400);
+      expect(data.error.message).toContain('named groups');
+    });
+
+    test('PUT /api/settings saves the default timezone', async () => {
+      const { status, data } = await apiRequest('/api/settings', {
+        method: 'PUT',
+        body: JSON.stringify({ defaultTimezone: 'Europe/Berlin' })
+      });
+      expect(status).toBe(200);
+      expect(data.defaultTimezone).toBe('Europe/Berlin');
+    });
+
+    test('PUT /api/settings rejects unknown timezones', async () => {
+      const { status, data } = await apiRequest('/api/settings', {
+        method: 'PUT',
+        body: JSON.stringify({ defaultTimezone: 'Mars/Olympus_Mons' })
+      });
+      expect(status).toBe(400);
+      expect(data.error.message).toContain('Unknown timezone');
+    });
+
+    test('PUT /api/settings saves the date write-back mode', async () => {
+      const { status, data } = await apiRequest('/api/settings', {
+        method: 'PUT',
+        body: JSON.stringify({ dateWriteBack: 'sidecar' })
+      });
+      expect(status).toBe(200);
+      expect(data.dateWriteBack).toBe('sidecar');
+      expect(data.dateWriteBackModes).toEqual(['off', 'sidecar', 'embed']);
+    });
+
+    test('PUT /api/settings rejects unknown write-back modes', async () => {
+      const { status, data } = await apiRequest('/api/settings', {
+        method: 'PUT',
+        body: JSON.stringify({ dateWriteBack: 'always' })
+      });
+      expect(status).toBe(400);
+      expect(data.error.message).toContain('Unknown date write-back mode');
     });
   });
 
@@ -249,6 +834,71 @@ describe('E2E: API Endpoints', () => {
       expect(data.errors).toBeDefined();
     });
 
+    test('GET /api/files/errors/grouped groups open errors', async () => {
+      const { status, data } = await apiRequest('/api/files/errors/grouped?by=directory');
+      expect(status).toBe(200);
+      expect(data.by).toBe('directory');
+      expect(Array.isArray(data.groups)).toBe(true);
+    });
+
+    test('GET /api/files/errors/grouped with invalid grouping returns 400', async () => {
+      const { status } = await apiRequest('/api/files/errors/grouped?by=size');
+      expect(status).toBe(400);
+    });
+
+    test('POST /api/files/errors/:id/retry with unknown ID returns 404', async () => {
+      const { status } = await apiRequest('/api/files/errors/999999/retry', { method: 'POST' });
+      expect(status).toBe(404);
+    });
+
+    test('unknown plans return 404', async () => {
+      expect((await apiRequest('/api/plans/999999')).status).toBe(404);
+      expect((await apiRequest('/api/plans/999999/execute', { method: 'POST' })).status).toBe(404);
+      expect((await apiRequest('/api/plans/999999/export')).status).toBe(404);
+    });
+
+    test('POST /api/plans without destinationPath returns 400', async () => {
+      const { status } = await apiRequest('/api/plans', { method: 'POST', body: JSON.stringify({}) });
+      expect(status).toBe(400);
+    });
+
+    test('unknown files and trash items return 404', async () => {
+      expect((await apiRequest('/api/files/999999/trash', {
+        method: 'POST',
+        body: JSON.stringify({ destinationPath: destDir })
+      })).status).toBe(404);
+      expect((await apiRequest('/api/trash/999999')).status).toBe(404);
+      expect((await apiRequest('/api/trash/999999/restore', { method: 'POST' })).status).toBe(404);
+    });
+
+    test('POST /api/plans/import without CSV returns 415', async () => {
+      const { status } = await apiRequest('/api/plans/import', { method: 'POST', body: JSON.stringify({}) });
+      expect(status).toBe(415);
+    });
+
+    test('POST /api/files/errors/ignore without pattern returns 400', async () => {
+      const { status } = await apiRequest('/api/files/errors/ignore', {
+        method: 'POST',
+        body: JSON.stringify({})
+      });
+      expect(status).toBe(400);
+    });
+
+    test('POST /api/files/errors/ignore adds a removable pattern', async () => {
+      const { status, data } = await apiRequest('/api/files/errors/ignore', {
+        method: 'POST',
+        body: JSON.stringify({ pattern: '/nonexistent/e2e-ignored/**' })
+      });
+      expect(status).toBe(200);
+      expect(data.pattern.pattern).toBe('/nonexistent/e2e-ignored/**');
+
+      const list = await apiRequest('/api/files/errors/ignore-patterns');
+      expect(list.data.patterns.map(p => p.pattern)).toContain('/nonexistent/e2e-ignored/**');
+
+      const removed = await apiRequest(`/api/files/errors/ignore-patterns/${data.pattern.id}`, { method: 'DELETE' });
+      expect(removed.status).toBe(200);
+    });
+
     test('POST /api/scan with invalid path handles gracefully', async () => {
       const { status, data } = await apiRequest('/api/scan', {
         method: 'POST',
@@ -269,6 +919,16 @@ describe('E2E: API Endpoints', () => {
       expect(data.error).toBeDefined();
     });
 
+    test('POST /api/organize with an unknown mode returns 400', async () => {
+      const { status, data } = await apiRequest('/api/organize', {
+        method: 'POST',
+        body: JSON.stringify({ destinationPath: '/tmp/organized', dryRun: true, mode: 'teleport' })
+      });
+
+      expect(status).toBe(400);
+      expect(data.error.message).toContain('Invalid organize mode');
+    });
+
     test('GET /api/nonexistent returns 404', async () => {
       const { status } = await apiRequest('/api/nonexistent');
       expect(status).toBe(404);
@@ -299,6 +959,16 @@ describe('E2E: Edge Cases', () => {
     tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-edge-test-'));
   });
 
+  afterEach(async () => {
+    // Each test queues a background scan; let it finish so the next test
+    // reads the status of its own scan
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const { data } = await apiRequest('/api/scan/status');
+      if (!['in_progress', 'cancelling'].includes(data.status)) break;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  });
+
   afterAll(async () => {
     try {
       await fs.rm(tempDir, { recursive: true, force: true });
@@ -375,4 +1045,52 @@ describe('E2E: Edge Cases', () => {
       expect(data.totalFiles).toBe(0);
     });
   });
+
+  describe('Live Events', () => {
+    test('GET /api/events streams scan progress until completion', async () => {
+      const sourceDir = path.join(tempDir, 'events');
+      await fs.mkdir(sourceDir, { recursive: true });
+      await fs.writeFile(path.join(sourceDir, 'streamed.txt'), 'streamed content');
+
+      const controller = new AbortController();
+      const response = await fetch(`${BASE_URL}/api/events`, { signal: controller.signal });
+      expect(response.headers.get('content-type')).toContain('text/event-stream');
+
+      const { status } = await apiRequest('/api/scan', {
+        method: 'POST',
+        body: JSON.stringify({ sourcePath: sourceDir, recursive: true })
+      });
+      expect(status).toBe(202);
+
+      // Read "event: scan" messages until this scan reports completion
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let completed = null;
+      const deadline = Date.now() + 10000;
+
+      while (!completed && Date.now() < deadline) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        for (const message of messages) {
+          const type = message.match(/^event: (.+)$/m)?.[1];
+          const data = message.match(/^data: (.+)$/m)?.[1];
+          if (type !== 'scan' || !data) continue;
+          const scan = JSON.parse(data);
+          if (scan.sourcePath === sourceDir && scan.status === 'completed') {
+            completed = scan;
+          }
+        }
+      }
+      controller.abort();
+
+      expect(completed).not.toBeNull();
+      expect(completed.processedFiles).toBe(1);
+      expect(completed).toHaveProperty('throughput');
+    });
+  });
 });
@@ -1,11 +1,42 @@
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
-import { initDatabase, closeDatabase, getDatabase, fileQueries } from '../../src/database/index.js';
-import { scanDirectory } from '../../src/services/scanner.js';
-import { organizeFiles } from '../../src/services/organizer.js';
-import { findAllDuplicateGroups } from '../../src/services/duplicateDetector.js';
-import { revertBatch } from '../../src/services/revert.js';
+import sharp from 'sharp';
+import {
+  initDatabase, closeDatabase, getDatabase, fileQueries, operationQueries, errorQueries, jobQueries, scanSessionQueries
+} from '../../src/database/index.js';
+import { scanDirectory, cancelScan, markInterruptedScans, getScanChanges, retryFile, rescanFile, getScanStatus } from '../../src/services/scanner.js';
+import {
+  organizeFiles, cancelOrganize, retryOrganizeFile, previewOrganization, storePreview, getStoredPreview
+} from '../../src/services/organizer.js';
+import { addIgnorePattern, setIgnorePatterns } from '../../src/services/ignoreRules.js';
+import { saveFilenameDatePatterns, setFilenameDatePatterns } from '../../src/services/filenameDates.js';
+import { saveDefaultTimezone, setDefaultTimezone } from '../../src/services/timezone.js';
+import { shiftFileDates, listCameras } from '../../src/services/timeShift.js';
+import { setFileDates, getDateCandidates } from '../../src/services/dateOverride.js';
+import { saveDateWriteBack, writeBackDates } from '../../src/services/dateWriteBack.js';
+import { extractAllMetadata } from '../../src/services/metadata.js';
+import { calculateHash } from '../../src/services/hasher.js';
+import { subscribe } from '../../src/services/events.js';
+import {
+  enqueueScan, enqueueOrganize, enqueuePlan, enqueueRevert, enqueueVerify, enqueueResolveDuplicates, processQueue, recoverJobs,
+  getJob, listJobs, getJobLogs, pauseJob, resumeJob, cancelJob
+} from '../../src/services/jobQueue.js';
+import {
+  findAllDuplicateGroups, findSimilarGroups, refreshSimilarGroups, getDuplicateGroupsPage
+} from '../../src/services/duplicateDetector.js';
+import { revertBatch, canRevert } from '../../src/services/revert.js';
+import { trashFile, listTrash, emptyTrash, getTrashRoot, TRASH_FOLDER } from '../../src/services/trash.js';
+import { resolveDuplicates } from '../../src/services/duplicateResolver.js';
+import { copyFile } from '../../src/services/fileOperations.js';
+import { verifyLibrary, getVerifyProblems } from '../../src/services/libraryVerifier.js';
+import { createProfile, updateProfile } from '../../src/services/organizeProfiles.js';
+import {
+  createPlan, getPlan, getPlanItems, updatePlanItem, deletePlan, exportPlan, importPlan, PLAN_CSV_COLUMNS
+} from '../../src/services/plans.js';
+import { formatCsv, parseCsv } from '../../src/services/csv.js';
+import { getSchemaVersion, setSchemaVersion } from '../../src/database/migrations.js';
+import config from '../../src/config.js';
 
 describe('Integration: Full Workflow', () => {
   let tempDir;
@@ -82,6 +113,23 @@ describe('Integration: Full Workflow', () => {
       expect(result.newFiles).toBe(0);
       expect(result.skippedFiles).toBe(4);
     });
+
+    test('should publish progress events', async () => {
+      const events = [];
+      const unsubscribe = subscribe(event => events.push(event));
+
+      await scanDirectory(sourceDir, true, null);
+      unsubscribe();
+
+      const scanEvents = events.filter(e => e.type === 'scan').map(e => e.data);
+      expect(scanEvents[0].status).toBe('in_progress');
+      const last = scanEvents[scanEvents.length - 1];
+      expect(last.status).toBe('completed');
+      expect(last.processedFiles).toBe(4);
+      expect(last.totalFiles).toBe(4);
+      expect(last).toHaveProperty('throughput');
+      expect(last).toHaveProperty('etaSeconds');
+    });
   });
 
   describe('Duplicate Detection', () => {
@@ -105,6 +153,10 @@ describe('Integration: Full Workflow', () => {
       // Files should not actually be moved in dry run
       const sourceFiles = await fs.readdir(sourceDir);
       expect(sourceFiles).toContain('file1.txt');
+
+      // Nor logged as operations, which could be offered for revert
+      const logged = getDatabase().prepare('SELECT COUNT(*) as count FROM operations WHERE batch_id = ?').get(result.batchId);
+      expect(logged.count).toBe(0);
     });
 
     test('should organize files and move them', async () => {
@@ -154,6 +206,1958 @@ describe('Integration: Full Workflow', () => {
   });
 });
 
+describe('Integration: Cancellation', () => {
+  let tempDir;
+  let sourceDir;
+  let destDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cancel-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    destDir = path.join(tempDir, 'destination');
+    await fs.mkdir(sourceDir, { recursive: true });
+
+    for (let i = 0; i < 5; i++) {
+      await fs.writeFile(path.join(sourceDir, `file${i}.txt`), `Content ${i}`);
+    }
+
+    initDatabase(path.join(tempDir, 'test.db'));
+  });
+
+  afterAll(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  test('should stop a scan and mark the session cancelled', async () => {
+    const db = getDatabase();
+    const sessionId = db.prepare("INSERT INTO scan_sessions (source_path) VALUES (?)").run(sourceDir).lastInsertRowid;
+
+    const scan = scanDirectory(sourceDir, true, sessionId);
+    expect(cancelScan()).toBe(true);
+    const result = await scan;
+
+    expect(result.status).toBe('cancelled');
+    expect(result.newFiles).toBeLessThan(5);
+
+    const session = db.prepare('SELECT * FROM scan_sessions WHERE id = ?').get(sessionId);
+    expect(session.status).toBe('cancelled');
+    expect(session.completed_at).not.toBeNull();
+  });
+
+  test('should return false when no scan is running', () => {
+    expect(cancelScan()).toBe(false);
+  });
+
+  test('should leave a fully revertible batch when organize is cancelled', async () => {
+    await scanDirectory(sourceDir, true, null);
+
+    const organize = organizeFiles(destDir, false, null);
+    expect(cancelOrganize()).toBe(true);
+    const result = await organize;
+
+    expect(result.status).toBe('cancelled');
+    expect(result.processedFiles).toBeLessThan(result.totalFiles);
+
+    const revert = await revertBatch(result.batchId);
+    expect(revert.reverted).toBe(result.movedFiles);
+    expect(revert.failed).toBe(0);
+
+    const sourceFiles = await fs.readdir(sourceDir);
+    expect(sourceFiles.length).toBe(5);
+  });
+});
+
+describe('Integration: Resumable Scans', () => {
+  let tempDir;
+  let sourceDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resume-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    await fs.mkdir(path.join(sourceDir, 'a'), { recursive: true });
+    await fs.mkdir(path.join(sourceDir, 'b'), { recursive: true });
+
+    await fs.writeFile(path.join(sourceDir, 'root.txt'), 'root');
+    await fs.writeFile(path.join(sourceDir, 'a', 'one.txt'), 'one');
+    await fs.writeFile(path.join(sourceDir, 'b', 'two.txt'), 'two');
+
+    initDatabase(path.join(tempDir, 'test.db'));
+  });
+
+  afterAll(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  test('should mark sessions left in progress as interrupted', () => {
+    const db = getDatabase();
+    const sessionId = db.prepare("INSERT INTO scan_sessions (source_path) VALUES (?)").run(sourceDir).lastInsertRowid;
+
+    expect(markInterruptedScans()).toBe(1);
+
+    const session = db.prepare('SELECT * FROM scan_sessions WHERE id = ?').get(sessionId);
+    expect(session.status).toBe('interrupted');
+  });
+
+  test('should skip checkpointed directories when resuming', async () => {
+    const db = getDatabase();
+    const sessionId = db.prepare("INSERT INTO scan_sessions (source_path) VALUES (?)").run(sourceDir).lastInsertRowid;
+
+    // Simulate a crash after directory "a" was fully processed
+    await scanDirectory(path.join(sourceDir, 'a'), true, null);
+    db.prepare(`
+      INSERT INTO scan_checkpoints (session_id, directory_path, file_count) VALUES (?, ?, 1)
+    `).run(sessionId, path.join(sourceDir, 'a'));
+    markInterruptedScans();
+
+    const result = await scanDirectory(sourceDir, true, sessionId, { resume: true });
+
+    expect(result.status).toBe('completed');
+    expect(result.skippedDirectories).toBe(1);
+    expect(result.newFiles).toBe(2);
+    expect(result.processedFiles).toBe(3);
+
+    const checkpoints = db.prepare('SELECT * FROM scan_checkpoints WHERE session_id = ?').all(sessionId);
+    expect(checkpoints.length).toBe(3);
+  });
+});
+
+describe('Integration: Incremental Rescan', () => {
+  let tempDir;
+  let sourceDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'incremental-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    await fs.mkdir(path.join(sourceDir, 'sub'), { recursive: true });
+
+    await fs.writeFile(path.join(sourceDir, 'same.txt'), 'unchanged content');
+    await fs.writeFile(path.join(sourceDir, 'edit.txt'), 'original content');
+    await fs.writeFile(path.join(sourceDir, 'gone.txt'), 'deleted content');
+    await fs.writeFile(path.join(sourceDir, 'move.txt'), 'moved content');
+
+    initDatabase(path.join(tempDir, 'test.db'));
+    await scanDirectory(sourceDir, true, null);
+  });
+
+  afterAll(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  test('should report changed, moved, missing and added files', async () => {
+    await fs.writeFile(path.join(sourceDir, 'edit.txt'), 'edited content that is longer');
+    await fs.unlink(path.join(sourceDir, 'gone.txt'));
+    await fs.rename(path.join(sourceDir, 'move.txt'), path.join(sourceDir, 'sub', 'moved.txt'));
+    await fs.writeFile(path.join(sourceDir, 'new.txt'), 'brand new content');
+
+    const db = getDatabase();
+    const sessionId = db.prepare("INSERT INTO scan_sessions (source_path, incremental) VALUES (?, 1)").run(sourceDir).lastInsertRowid;
+
+    const result = await scanDirectory(sourceDir, true, sessionId, { incremental: true });
+
+    expect(result.status).toBe('completed');
+    expect(result.unchangedFiles).toBe(1);
+    expect(result.changedFiles).toBe(1);
+    expect(result.movedFiles).toBe(1);
+    expect(result.missingFiles).toBe(1);
+    expect(result.newFiles).toBe(1);
+
+    const report = getScanChanges(sessionId);
+    expect(report.summary).toEqual({ added: 1, modified: 1, moved: 1, missing: 1 });
+
+    const moved = report.changes.find(c => c.change_type === 'moved');
+    expect(moved.previous_path).toBe(path.join(sourceDir, 'move.txt'));
+    expect(moved.path).toBe(path.join(sourceDir, 'sub', 'moved.txt'));
+  });
+
+  test('should update records for changed, moved and missing files', () => {
+    const db = getDatabase();
+
+    const gone = db.prepare('SELECT * FROM files WHERE original_path = ?').get(path.join(sourceDir, 'gone.txt'));
+    expect(gone.status).toBe('missing');
+
+    const moved = db.prepare('SELECT * FROM files WHERE original_path = ?').get(path.join(sourceDir, 'move.txt'));
+    expect(moved.current_path).toBe(path.join(sourceDir, 'sub', 'moved.txt'));
+    expect(moved.filename).toBe('moved.txt');
+
+    const edited = db.prepare('SELECT * FROM files WHERE original_path = ?').get(path.join(sourceDir, 'edit.txt'));
+    expect(edited.size).toBe('edited content that is longer'.length);
+  });
+});
+
+describe('Integration: Near-Duplicate Detection', () => {
+  let tempDir;
+  let sourceDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'similar-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    await fs.mkdir(sourceDir, { recursive: true });
+
+    // A photo-like gradient, a re-saved copy of it, and an unrelated image
+    const width = 400;
+    const height = 300;
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let i = 0; i < width * height; i++) {
+      const x = (i % width) / width;
+      const y = Math.floor(i / width) / height;
+      pixels.fill(Math.round(127 + 120 * Math.sin(x * 9 + y * 4)), i * 3, i * 3 + 3);
+    }
+    const original = sharp(pixels, { raw: { width, height, channels: 3 } });
+    await original.clone().jpeg({ quality: 95 }).toFile(path.join(sourceDir, 'IMG_0001.jpg'));
+    await original.clone().resize(200, 150).jpeg({ quality: 40 }).toFile(path.join(sourceDir, 'IMG-20230101-WA0001.jpg'));
+    await original.clone().negate().jpeg().toFile(path.join(sourceDir, 'other.jpg'));
+    await fs.writeFile(path.join(sourceDir, 'notes.txt'), 'not an image');
+
+    initDatabase(path.join(tempDir, 'test.db'));
+    await scanDirectory(sourceDir, true, null);
+    // As a completed scan job does
+    refreshSimilarGroups();
+  });
+
+  afterAll(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  test('should store perceptual hashes for images only', () => {
+    const files = getDatabase().prepare('SELECT filename, hash_perceptual FROM files').all();
+    const byName = Object.fromEntries(files.map(f => [f.filename, f.hash_perceptual]));
+
+    expect(byName['IMG_0001.jpg']).toMatch(/^[0-9a-f]{16}$/);
+    expect(byName['notes.txt']).toBeNull();
+  });
+
+  test('should cluster re-saved copies with their original', () => {
+    const result = findSimilarGroups({ threshold: 10 });
+
+    expect(result.totalGroups).toBe(1);
+    const [group] = result.groups;
+    expect(group.files.map(f => f.filename).sort()).toEqual(['IMG-20230101-WA0001.jpg', 'IMG_0001.jpg']);
+    expect(group.reference.filename).toBe('IMG_0001.jpg');
+    expect(group.similarity).toBeGreaterThan(0.8);
+  });
+
+  test('should only link identical fingerprints with a zero threshold', () => {
+    const result = findSimilarGroups({ threshold: 0 });
+    expect(result.groups.every(g => g.files.every(f => f.distance === 0))).toBe(true);
+  });
+
+  test('should link every image with the maximum threshold', () => {
+    const result = findSimilarGroups({ threshold: 64 });
+    expect(result.totalGroups).toBe(1);
+    expect(result.groups[0].count).toBe(3);
+  });
+
+  test('should page through the stored clusters until they are refreshed', () => {
+    const stored = findSimilarGroups({ threshold: 10 });
+    expect(findSimilarGroups({ threshold: 10, offset: 1 })).toMatchObject({
+      groups: [],
+      totalGroups: 1,
+      computedAt: stored.computedAt
+    });
+
+    // Pages show the files as they are now
+    const [copy] = stored.groups[0].files.filter(f => f.filename !== 'IMG_0001.jpg');
+    getDatabase().prepare("UPDATE files SET status = 'organized' WHERE id = ?").run(copy.id);
+    const refetched = findSimilarGroups({ threshold: 10 }).groups[0].files.find(f => f.id === copy.id);
+    expect(refetched.status).toBe('organized');
+
+    // A refresh clusters the files again
+    const otherHash = getDatabase().prepare("SELECT hash_perceptual FROM files WHERE filename = 'other.jpg'").get();
+    getDatabase().prepare('UPDATE files SET hash_perceptual = ? WHERE id = ?').run(otherHash.hash_perceptual, copy.id);
+    expect(findSimilarGroups({ threshold: 10 }).groups[0].files).toHaveLength(2);
+    expect(refreshSimilarGroups({ threshold: 10 }).totalGroups).toBe(1);
+    expect(findSimilarGroups({ threshold: 10 }).groups[0].files.map(f => f.filename).sort())
+      .toEqual(['IMG-20230101-WA0001.jpg', 'other.jpg']);
+  });
+});
+
+describe('Integration: Duplicate Resolution', () => {
+  let tempDir;
+  let sourceDir;
+  let destDir;
+  let trashRoot;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resolve-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    destDir = path.join(tempDir, 'library');
+    trashRoot = path.join(destDir, '.trash');
+
+    await fs.mkdir(path.join(sourceDir, 'keep'), { recursive: true });
+    await fs.mkdir(path.join(sourceDir, 'a', 'much', 'deeper', 'folder'), { recursive: true });
+    await fs.writeFile(path.join(sourceDir, 'a', 'much', 'deeper', 'folder', 'photo.jpg'), 'same photo bytes');
+    await fs.writeFile(path.join(sourceDir, 'keep', 'photo copy.jpg'), 'same photo bytes');
+    await fs.writeFile(path.join(sourceDir, 'p.jpg'), 'same photo bytes');
+
+    initDatabase(path.join(tempDir, 'test.db'));
+    await scanDirectory(sourceDir, true, null);
+  });
+
+  afterEach(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  test('should keep the file chosen by policy and trash the rest', async () => {
+    const result = await resolveDuplicates({ action: 'trash', policies: ['shortest_path'], destinationPath: destDir });
+
+    expect(result.filesResolved).toBe(2);
+    expect(result.failed).toBe(0);
+    expect(result.plan[0].keeperPath).toBe(path.join(sourceDir, 'p.jpg'));
+
+    await expect(fs.access(path.join(sourceDir, 'p.jpg'))).resolves.toBeUndefined();
+    await expect(fs.access(path.join(sourceDir, 'keep', 'photo copy.jpg'))).rejects.toThrow();
+
+    const trashed = getDatabase().prepare("SELECT * FROM files WHERE status = 'trashed'").all();
+    expect(trashed).toHaveLength(2);
+    for (const file of trashed) {
+      expect(file.current_path.startsWith(trashRoot)).toBe(true);
+      await expect(fs.access(file.current_path)).resolves.toBeUndefined();
+    }
+
+    // Resolved groups no longer show up as duplicates
+    expect(await findAllDuplicateGroups()).toHaveLength(0);
+
+    // They are in the destination's trash, listed in its manifest
+    expect(listTrash().total).toBe(2);
+    const manifest = JSON.parse(await fs.readFile(path.join(trashRoot, 'manifest.json'), 'utf8'));
+    expect(manifest.items.map(item => item.fileId).sort()).toEqual(trashed.map(file => file.id).sort());
+  });
+
+  test('should restore trashed duplicates when the batch is reverted', async () => {
+    const result = await resolveDuplicates({ action: 'trash', policies: ['shortest_path'], destinationPath: destDir });
+    const revertResult = await revertBatch(result.batchId);
+
+    expect(revertResult.reverted).toBe(2);
+    await expect(fs.access(path.join(sourceDir, 'keep', 'photo copy.jpg'))).resolves.toBeUndefined();
+
+    const restored = getDatabase().prepare("SELECT * FROM files WHERE status = 'duplicate'").all();
+    expect(restored).toHaveLength(2);
+  });
+
+  test('should resolve duplicates in a queued job and publish its progress', async () => {
+    const events = [];
+    const unsubscribe = subscribe(event => events.push(event));
+
+    const job = enqueueResolveDuplicates({
+      action: 'quarantine', policies: ['shortest_path'], quarantinePath: path.join(tempDir, 'quarantine')
+    });
+    expect(job.status).toBe('queued');
+    await processQueue();
+    unsubscribe();
+
+    expect(getJob(job.id)).toMatchObject({
+      status: 'completed',
+      result: expect.objectContaining({ batchId: job.params.batchId, filesResolved: 2, failed: 0 })
+    });
+    expect(getDatabase().prepare("SELECT COUNT(*) AS count FROM files WHERE status = 'quarantined'").get().count).toBe(2);
+
+    const resolveEvents = events.filter(e => e.type === 'resolve').map(e => e.data);
+    expect(resolveEvents[0]).toMatchObject({ status: 'in_progress', totalFiles: 2 });
+    expect(resolveEvents[resolveEvents.length - 1]).toMatchObject({ status: 'completed', processedFiles: 2 });
+
+    expect(() => enqueueResolveDuplicates({ action: 'shred' })).toThrow(expect.objectContaining({ status: 400 }));
+    // Trashing needs a destination to hold the trash
+    expect(() => enqueueResolveDuplicates({ action: 'trash' })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('should honour the preferred folder policy in a dry run', async () => {
+    const preferredFolder = path.join(sourceDir, 'keep');
+    const result = await resolveDuplicates({
+      action: 'quarantine',
+      policies: ['preferred_folder'],
+      preferredFolder,
+      dryRun: true
+    });
+
+    expect(result.batchId).toBeNull();
+    expect(result.plan[0].keeperPath).toBe(path.join(preferredFolder, 'photo copy.jpg'));
+    expect(result.spaceFreed).toBe(2 * 'same photo bytes'.length);
+
+    // Nothing was touched
+    const statuses = getDatabase().prepare('SELECT DISTINCT status FROM files').all();
+    expect(statuses.map(s => s.status)).toEqual(['pending']);
+  });
+
+  test('should replace duplicates with hardlinks and revert them', async () => {
+    const result = await resolveDuplicates({ action: 'hardlink', policies: ['shortest_path'] });
+    expect(result.filesResolved).toBe(2);
+
+    const keeperStat = await fs.stat(path.join(sourceDir, 'p.jpg'));
+    const linkStat = await fs.stat(path.join(sourceDir, 'keep', 'photo copy.jpg'));
+    expect(linkStat.ino).toBe(keeperStat.ino);
+
+    const ops = getDatabase().prepare("SELECT * FROM operations WHERE operation_type = 'hardlink'").all();
+    expect(ops).toHaveLength(2);
+
+    await revertBatch(result.batchId);
+
+    const revertedStat = await fs.stat(path.join(sourceDir, 'keep', 'photo copy.jpg'));
+    expect(revertedStat.ino).not.toBe(keeperStat.ino);
+    expect(await fs.readFile(path.join(sourceDir, 'keep', 'photo copy.jpg'), 'utf8')).toBe('same photo bytes');
+  });
+
+  test('should page groups by potential savings', async () => {
+    await fs.writeFile(path.join(sourceDir, 'big1.bin'), 'a much larger duplicated payload'.repeat(10));
+    await fs.writeFile(path.join(sourceDir, 'big2.bin'), 'a much larger duplicated payload'.repeat(10));
+    await scanDirectory(sourceDir, true, null);
+
+    const firstPage = getDuplicateGroupsPage({ limit: 1, offset: 0 });
+    expect(firstPage.totalGroups).toBe(2);
+    expect(firstPage.groups).toHaveLength(1);
+    expect(firstPage.groups[0].files.map(f => f.filename).sort()).toEqual(['big1.bin', 'big2.bin']);
+
+    const secondPage = getDuplicateGroupsPage({ limit: 1, offset: 1, policies: ['shortest_path'] });
+    expect(secondPage.groups[0].count).toBe(3);
+    expect(secondPage.groups[0].original.filename).toBe('p.jpg');
+  });
+
+  test('should refuse to act on files modified since the scan', async () => {
+    await fs.writeFile(path.join(sourceDir, 'keep', 'photo copy.jpg'), 'edited after scanning');
+
+    const result = await resolveDuplicates({ action: 'trash', policies: ['shortest_path'], destinationPath: destDir });
+
+    expect(result.failed).toBe(1);
+    expect(result.filesResolved).toBe(1);
+    await expect(fs.access(path.join(sourceDir, 'keep', 'photo copy.jpg'))).resolves.toBeUndefined();
+  });
+});
+
+describe('Integration: Trash', () => {
+  let tempDir;
+  let sourceDir;
+  let destDir;
+  let trashRoot;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'trash-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    destDir = path.join(tempDir, 'organized');
+    trashRoot = path.join(destDir, TRASH_FOLDER);
+    await fs.mkdir(sourceDir, { recursive: true });
+
+    for (const name of ['blurry.txt', 'organized.txt', 'edited.txt', 'old.txt', 'older.txt']) {
+      await fs.writeFile(path.join(sourceDir, name), `content of ${name}`);
+    }
+
+    initDatabase(path.join(tempDir, 'test.db'));
+    await scanDirectory(sourceDir, true, null);
+  });
+
+  afterAll(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  const getFile = (name) => fileQueries.getFileByPath().get(path.join(sourceDir, name));
+  const readManifest = async () => JSON.parse(await fs.readFile(path.join(trashRoot, 'manifest.json'), 'utf8'));
+
+  test('should move a file into the trash inside the destination and restore it', async () => {
+    const file = getFile('blurry.txt');
+
+    const { batchId, item } = await trashFile(file.id, { destinationPath: destDir, reason: 'Out of focus' });
+
+    expect(getTrashRoot(destDir)).toBe(trashRoot);
+    expect(item).toMatchObject({ fileId: file.id, originalPath: file.original_path, status: 'trashed', trashRoot, expired: false });
+    expect(item.trashPath.startsWith(path.join(trashRoot, batchId))).toBe(true);
+    expect(await fs.readFile(item.trashPath, 'utf8')).toBe('content of blurry.txt');
+    await expect(fs.access(file.original_path)).rejects.toThrow();
+    expect(getFile('blurry.txt')).toMatchObject({ status: 'trashed', current_path: item.trashPath });
+
+    const manifest = await readManifest();
+    expect(manifest.retentionDays).toBe(config.trashRetentionDays);
+    expect(manifest.items).toEqual([expect.objectContaining({
+      fileId: file.id,
+      originalPath: file.original_path,
+      path: path.relative(trashRoot, item.trashPath),
+      reason: 'Out of focus'
+    })]);
+
+    // A scan of the destination leaves the trash alone
+    await scanDirectory(destDir, true, null);
+    expect(fileQueries.countFiles().get().count).toBe(5);
+
+    const reverted = await revertBatch(batchId);
+
+    expect(reverted.reverted).toBe(1);
+    expect(getFile('blurry.txt')).toMatchObject({ status: 'pending', current_path: file.original_path });
+    expect((await readManifest()).items).toEqual([]);
+    expect(await fs.readdir(trashRoot)).toEqual(['manifest.json']);
+  });
+
+  test('should give an organized file its status back when restored', async () => {
+    const file = getFile('organized.txt');
+    await organizeFiles(destDir, false, [file.id], { template: 'files/{filename}' });
+    const organizedPath = path.join(destDir, 'files', 'organized.txt');
+
+    const { batchId } = await trashFile(file.id, { destinationPath: destDir });
+    await revertBatch(batchId);
+
+    expect(getFile('organized.txt')).toMatchObject({ status: 'moved', current_path: organizedPath });
+  });
+
+  test('should refuse unknown, trashed and modified files', async () => {
+    const { item } = await trashFile(getFile('old.txt').id, { destinationPath: destDir });
+    await fs.writeFile(path.join(sourceDir, 'edited.txt'), 'edited since the scan');
+
+    await expect(trashFile(999999, { destinationPath: destDir })).rejects.toMatchObject({ status: 404 });
+    await expect(trashFile(item.fileId, { destinationPath: destDir })).rejects.toMatchObject({ status: 409 });
+    await expect(trashFile(getFile('edited.txt').id, { destinationPath: destDir }))
+      .rejects.toMatchObject({ status: 409, message: 'File has been modified since it was scanned' });
+    await expect(trashFile(getFile('older.txt').id, { destinationPath: 'organized' })).rejects.toMatchObject({ status: 400 });
+    await expect(trashFile(getFile('older.txt').id)).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('should empty only expired files unless told to empty everything', async () => {
+    const { item: older } = await trashFile(getFile('older.txt').id, { destinationPath: destDir });
+    const old = listTrash().items.find(entry => entry.filename === 'old.txt');
+    getDatabase().prepare("UPDATE trash_items SET expires_at = '2000-01-01T00:00:00.000Z' WHERE id = ?").run(old.id);
+    expect(listTrash()).toMatchObject({ total: 2, expiredFiles: 1 });
+
+    const emptied = await emptyTrash();
+
+    expect(emptied).toMatchObject({ deletedFiles: 1, failedFiles: 0, freedBytes: 'content of old.txt'.length });
+    await expect(fs.access(old.trashPath)).rejects.toThrow();
+    expect(getFile('old.txt').status).toBe('deleted');
+    expect(operationQueries.getOperationsByBatch().all(emptied.batchId).map(op => op.operation_type)).toEqual(['delete']);
+    expect((await readManifest()).items.map(entry => entry.fileId)).toEqual([older.fileId]);
+
+    // Emptied files can no longer be restored
+    const trashOperation = operationQueries.getOperationById().get(old.operationId);
+    expect(await canRevert(trashOperation)).toEqual({ canRevert: false, reason: 'The trash was emptied; the file is gone' });
+    await expect(revertBatch(old.batchId)).resolves.toMatchObject({ reverted: 0, failed: 1 });
+
+    expect(await emptyTrash({ all: true })).toMatchObject({ deletedFiles: 1 });
+    expect(listTrash().total).toBe(0);
+    expect(await fs.readdir(trashRoot)).toEqual(['manifest.json']);
+    await expect(emptyTrash({ all: 'yes' })).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('Integration: Error Retry and Ignore Patterns', () => {
+  let tempDir;
+  let sourceDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'retry-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    await fs.mkdir(path.join(sourceDir, 'cache'), { recursive: true });
+    await fs.writeFile(path.join(sourceDir, 'photo.txt'), 'photo content');
+    await fs.writeFile(path.join(sourceDir, 'cache', 'render.txt'), 'cached render');
+    initDatabase(path.join(tempDir, 'test.db'));
+  });
+
+  afterAll(async () => {
+    setIgnorePatterns([]);
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  test('should skip paths matching ignore patterns', async () => {
+    addIgnorePattern('cache');
+
+    const result = await scanDirectory(sourceDir, true, null);
+
+    expect(result.newFiles).toBe(1);
+    expect(fileQueries.getFileByPath().get(path.join(sourceDir, 'cache', 'render.txt'))).toBeUndefined();
+  });
+
+  test('should retry a failed organize with the logged destination', async () => {
+    // A regular file where the destination folder should be makes every move fail
+    const blocked = path.join(tempDir, 'organized');
+    await fs.writeFile(blocked, 'not a directory');
+
+    const result = await organizeFiles(blocked, false, null, { template: '{filename}' });
+    expect(result.errorFiles).toBe(1);
+
+    const [error] = errorQueries.getAllErrorsByStatus().all('open');
+    expect(error.error_type).toBe('organize_error');
+    expect(JSON.parse(error.context_json)).toEqual({ destinationBase: blocked, template: '{filename}', profileId: null, mode: 'move' });
+
+    await fs.rm(blocked);
+    const retry = await retryOrganizeFile(error.file_id, blocked, { template: '{filename}' });
+
+    expect(retry.success).toBe(true);
+    expect(retry.file.status).toBe('moved');
+    expect(retry.file.current_path).toBe(path.join(blocked, 'photo.txt'));
+  });
+
+  test('should retry processing a file that was not recorded', async () => {
+    const filePath = path.join(sourceDir, 'late.txt');
+    await fs.writeFile(filePath, 'written after the scan');
+
+    const retry = await retryFile(filePath);
+
+    expect(retry.success).toBe(true);
+    expect(retry.file.original_path).toBe(filePath);
+  });
+
+  test('should report a retry that fails again', async () => {
+    const retry = await retryFile(path.join(sourceDir, 'vanished.txt'));
+
+    expect(retry.success).toBe(false);
+    expect(retry.file).toBeNull();
+  });
+
+  test('should leave the status of a scan started during a retry alone', async () => {
+    const otherDir = path.join(tempDir, 'other');
+    await fs.mkdir(otherDir);
+    await fs.writeFile(path.join(otherDir, 'one.txt'), 'one');
+    await fs.writeFile(path.join(sourceDir, 'retried.txt'), 'retried');
+
+    const retry = retryFile(path.join(sourceDir, 'retried.txt'));
+    const scan = scanDirectory(otherDir, true, null);
+    await Promise.all([retry, scan]);
+
+    expect(getScanStatus()).toMatchObject({ sourcePath: otherDir, status: 'completed', newFiles: 1 });
+  });
+});
+
+describe('Integration: Filename Dates', () => {
+  let tempDir;
+  let sourceDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'filename-date-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    await fs.mkdir(sourceDir, { recursive: true });
+    await fs.writeFile(path.join(sourceDir, 'IMG_20190704_153012.txt'), 'fireworks');
+    await fs.writeFile(path.join(sourceDir, 'scan-07.04.1999.txt'), 'old print');
+    await fs.writeFile(path.join(sourceDir, 'notes.txt'), 'no date here');
+    initDatabase(path.join(tempDir, 'test.db'));
+  });
+
+  afterAll(async () => {
+    setFilenameDatePatterns([]);
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  test('should rank filename dates above filesystem dates, including saved patterns', async () => {
+    saveFilenameDatePatterns([
+      { name: 'Scanned prints', pattern: 'scan-(?<day>\\d{2})\\.(?<month>\\d{2})\\.(?<year>\\d{4})' }
+    ]);
+    // The scanner reloads saved patterns from the settings table
+    setFilenameDatePatterns([]);
+
+    await scanDirectory(sourceDir, true, null);
+
+    const camera = fileQueries.getFileByPath().get(path.join(sourceDir, 'IMG_20190704_153012.txt'));
+    expect(camera.date_source).toBe('filename');
+    expect(camera.resolved_date).toBe(new Date(2019, 6, 4, 15, 30, 12).toISOString());
+
+    const print = fileQueries.getFileByPath().get(path.join(sourceDir, 'scan-07.04.1999.txt'));
+    expect(print.date_source).toBe('filename');
+    expect(print.resolved_date).toBe(new Date(1999, 3, 7).toISOString());
+
+    const notes = fileQueries.getFileByPath().get(path.join(sourceDir, 'notes.txt'));
+    expect(notes.date_source).not.toBe('filename');
+  });
+});
+
+describe('Integration: Capture Timezones', () => {
+  let tempDir;
+  let sourceDir;
+  let destDir;
+
+  async function writePhoto(name, exif) {
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } })
+      .jpeg()
+      .withExif(exif)
+      .toFile(path.join(sourceDir, name));
+  }
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'timezone-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    destDir = path.join(tempDir, 'organized');
+    await fs.mkdir(sourceDir, { recursive: true });
+
+    await writePhoto('tokyo.jpg', {
+      IFD2: { DateTimeOriginal: '2023:07:16 01:30:00', OffsetTimeOriginal: '+09:00' }
+    });
+    await writePhoto('new-york.jpg', {
+      IFD2: { DateTimeOriginal: '2023:01:10 08:00:00' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '40/1 42/1 46/1', GPSLongitudeRef: 'W', GPSLongitude: '74/1 0/1 22/1' }
+    });
+    await writePhoto('unknown.jpg', {
+      IFD2: { DateTimeOriginal: '2023:03:01 00:15:00' }
+    });
+
+    initDatabase(path.join(tempDir, 'test.db'));
+  });
+
+  afterAll(async () => {
+    setDefaultTimezone(null);
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  test('should resolve capture times from the offset, GPS or default timezone', async () => {
+    saveDefaultTimezone('Asia/Kolkata');
+    // The scanner reloads the saved default timezone from the settings table
+    setDefaultTimezone(null);
+
+    await scanDirectory(sourceDir, true, null);
+
+    const tokyo = fileQueries.getFileByPath().get(path.join(sourceDir, 'tokyo.jpg'));
+    expect(tokyo.resolved_date).toBe('2023-07-15T16:30:00.000Z');
+    expect(tokyo.local_date).toBe('2023-07-16T01:30:00');
+    expect(tokyo.utc_offset).toBe('+09:00');
+    expect(tokyo.timezone_source).toBe('offset');
+
+    const newYork = fileQueries.getFileByPath().get(path.join(sourceDir, 'new-york.jpg'));
+    expect(newYork.resolved_date).toBe('2023-01-10T13:00:00.000Z');
+    expect(newYork.utc_offset).toBe('-05:00');
+    expect(newYork.timezone_source).toBe('gps');
+
+    const unknown = fileQueries.getFileByPath().get(path.join(sourceDir, 'unknown.jpg'));
+    expect(unknown.resolved_date).toBe('2023-02-28T18:45:00.000Z');
+    expect(unknown.timezone_source).toBe('default');
+  });
+
+  test('should organize by the capture-local day', async () => {
+    await organizeFiles(destDir, false, null);
+
+    await expect(fs.access(path.join(destDir, '2023', '07', '16', 'tokyo.jpg'))).resolves.toBeUndefined();
+    await expect(fs.access(path.join(destDir, '2023', '03', '01', 'unknown.jpg'))).resolves.toBeUndefined();
+  });
+});
+
+describe('Integration: Time Shift', () => {
+  let tempDir;
+  let sourceDir;
+  let destDir;
+
+  async function writePhoto(name, make, model, dateTimeOriginal) {
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#406080' } })
+      .jpeg()
+      .withExif({ IFD0: { Make: make, Model: model }, IFD2: { DateTimeOriginal: dateTimeOriginal, OffsetTimeOriginal: '+00:00' } })
+      .toFile(path.join(sourceDir, name));
+  }
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'timeshift-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    destDir = path.join(tempDir, 'organized');
+    await fs.mkdir(sourceDir, { recursive: true });
+
+    // The travel camera's clock ran 3 days and 1 hour ahead
+    await writePhoto('travel1.jpg', 'Canon', 'EOS R5', '2023:07:18 10:00:00');
+    await writePhoto('travel2.jpg', 'Canon', 'EOS R5', '2023:07:19 00:30:00');
+    await writePhoto('phone.jpg', 'Apple', 'iPhone 14', '2023:07:15 12:00:00');
+
+    initDatabase(path.join(tempDir, 'test.db'));
+    await scanDirectory(sourceDir, true, null);
+  });
+
+  afterAll(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  const getFile = (name) => fileQueries.getFileByPath().get(path.join(sourceDir, name));
+
+  test('should list cameras in the library', () => {
+    expect(listCameras()).toEqual([
+      { make: 'Canon', model: 'EOS R5', count: 2 },
+      { make: 'Apple', model: 'iPhone 14', count: 1 }
+    ]);
+  });
+
+  test('should shift only the chosen camera and keep the previous dates', () => {
+    const preview = shiftFileDates({ make: 'canon', model: 'EOS R5', offset: { days: -3, hours: -1 }, dryRun: true });
+    expect(preview.shifted).toBe(2);
+    expect(getFile('travel1.jpg').date_source).toBe('exif');
+
+    const result = shiftFileDates({ make: 'canon', model: 'EOS R5', offset: { days: -3, hours: -1 } });
+
+    const travel = getFile('travel1.jpg');
+    expect(travel.resolved_date).toBe('2023-07-15T09:00:00.000Z');
+    expect(travel.local_date).toBe('2023-07-15T09:00:00');
+    expect(travel.date_source).toBe('corrected');
+    expect(travel.exif_date).toBeTruthy();
+    expect(getFile('phone.jpg').date_source).toBe('exif');
+
+    const operations = getDatabase().prepare('SELECT * FROM operations WHERE batch_id = ?').all(result.batchId);
+    expect(operations).toHaveLength(2);
+    expect(operations[0].operation_type).toBe('timeshift');
+    expect(JSON.parse(operations[0].details_json).before.resolved_date).toBe('2023-07-18T10:00:00.000Z');
+  });
+
+  test('should keep corrected dates when a file is rescanned', async () => {
+    await rescanFile(getFile('travel1.jpg').id);
+    expect(getFile('travel1.jpg').resolved_date).toBe('2023-07-15T09:00:00.000Z');
+  });
+
+  test('should revert a shift through the operations log', async () => {
+    const batch = getDatabase().prepare(
+      "SELECT batch_id FROM operations WHERE operation_type = 'timeshift' ORDER BY id DESC LIMIT 1"
+    ).get();
+
+    const result = await revertBatch(batch.batch_id);
+
+    expect(result.reverted).toBe(2);
+    const travel = getFile('travel1.jpg');
+    expect(travel.resolved_date).toBe('2023-07-18T10:00:00.000Z');
+    expect(travel.date_source).toBe('exif');
+  });
+
+  test('should organize by the corrected date', async () => {
+    shiftFileDates({ fileIds: [getFile('travel2.jpg').id], offset: { days: -3, hours: -1 } });
+
+    await organizeFiles(destDir, false, null);
+
+    await expect(fs.access(path.join(destDir, '2023', '07', '15', 'travel2.jpg'))).resolves.toBeUndefined();
+    await expect(fs.access(path.join(destDir, '2023', '07', '18', 'travel1.jpg'))).resolves.toBeUndefined();
+  });
+});
+
+describe('Integration: Manual Dates', () => {
+  let tempDir;
+  let sourceDir;
+
+  async function writePhoto(name, dateTimeOriginal) {
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#604020' } })
+      .jpeg()
+      .withExif({ IFD2: { DateTimeOriginal: dateTimeOriginal, OffsetTimeOriginal: '+02:00' } })
+      .toFile(path.join(sourceDir, name));
+  }
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'manual-date-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    await fs.mkdir(sourceDir, { recursive: true });
+
+    await writePhoto('IMG_0001.jpg', '2023:07:15 10:00:00');
+    // A copy that lost its EXIF, between two photos of the same afternoon
+    await fs.writeFile(path.join(sourceDir, 'IMG_0002.txt'), 'stripped copy');
+    await writePhoto('IMG_0003.jpg', '2023:07:15 10:05:00');
+
+    initDatabase(path.join(tempDir, 'test.db'));
+    await scanDirectory(sourceDir, true, null);
+  });
+
+  afterAll(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  const getFile = (name) => fileQueries.getFileByPath().get(path.join(sourceDir, name));
+
+  test('should offer filesystem dates and neighbouring photos as candidates', async () => {
+    const candidates = await getDateCandidates(getFile('IMG_0002.txt'));
+
+    expect(candidates.map(c => c.source)).toEqual(expect.arrayContaining(['modified', 'sibling']));
+    expect(candidates.filter(c => c.source === 'sibling')).toEqual([
+      expect.objectContaining({ label: 'IMG_0001.jpg', localDate: '2023-07-15T10:00:00', utcOffset: '+02:00' }),
+      expect.objectContaining({ label: 'IMG_0003.jpg', localDate: '2023-07-15T10:05:00' })
+    ]);
+  });
+
+  test('should set a manual date in the file\'s timezone and keep it on rescan', async () => {
+    const photo = getFile('IMG_0001.jpg');
+
+    const result = setFileDates([photo.id], { date: '2023-07-14T09:30' });
+
+    expect(result.files[0]).toEqual(expect.objectContaining({
+      resolved_date: '2023-07-14T07:30:00.000Z',
+      local_date: '2023-07-14T09:30:00',
+      date_source: 'manual',
+      timezone_source: 'offset'
+    }));
+
+    await rescanFile(photo.id);
+    expect(getFile('IMG_0001.jpg').date_source).toBe('manual');
+
+    await revertBatch(result.batchId);
+    expect(getFile('IMG_0001.jpg').resolved_date).toBe('2023-07-15T08:00:00.000Z');
+    expect(getFile('IMG_0001.jpg').date_source).toBe('exif');
+  });
+
+  test('should set one date on several files', () => {
+    const ids = [getFile('IMG_0002.txt').id, getFile('IMG_0003.jpg').id];
+
+    const result = setFileDates(ids, { date: '2023-07-15T10:02:00', timezone: 'Europe/Berlin' });
+
+    expect(result.updated).toBe(2);
+    expect(getFile('IMG_0002.txt').resolved_date).toBe('2023-07-15T08:02:00.000Z');
+    expect(getFile('IMG_0002.txt').timezone_source).toBe('manual');
+  });
+
+  test('should reject impossible dates and unknown files', () => {
+    const id = getFile('IMG_0002.txt').id;
+
+    expect(() => setFileDates([id], { date: '2023-02-31' })).toThrow('not a valid date');
+    expect(() => setFileDates([id], { date: 'last summer' })).toThrow('date must look like');
+    expect(() => setFileDates([id, 999999], { date: '2023-02-01' })).toThrow('Files not found: 999999');
+  });
+});
+
+describe('Integration: Date Write-Back', () => {
+  let tempDir;
+  let sourceDir;
+  let originalJpeg;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'writeback-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    await fs.mkdir(sourceDir, { recursive: true });
+
+    originalJpeg = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#208040' } })
+      .jpeg()
+      .withExif({ IFD2: { DateTimeOriginal: '2023:07:15 10:00:00', OffsetTimeOriginal: '+02:00' } })
+      .toBuffer();
+    await fs.writeFile(path.join(sourceDir, 'IMG_0001.jpg'), originalJpeg);
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#802040' } })
+      .png()
+      .toFile(path.join(sourceDir, 'scan.png'));
+
+    initDatabase(path.join(tempDir, 'test.db'));
+    await scanDirectory(sourceDir, true, null);
+  });
+
+  afterAll(async () => {
+    saveDateWriteBack('off');
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  const getFile = (name) => fileQueries.getFileByPath().get(path.join(sourceDir, name));
+
+  test('should not touch files while write-back is off', async () => {
+    saveDateWriteBack('off');
+    const { batchId } = setFileDates([getFile('IMG_0001.jpg').id], { date: '2023-07-14T09:30' });
+
+    expect(await writeBackDates(batchId)).toBeNull();
+    expect(await fs.readFile(path.join(sourceDir, 'IMG_0001.jpg'))).toEqual(originalJpeg);
+
+    await revertBatch(batchId);
+  });
+
+  test('should embed dates in JPEGs, use sidecars for other files and revert both', async () => {
+    saveDateWriteBack('embed');
+    const jpeg = getFile('IMG_0001.jpg');
+    const { batchId } = setFileDates([jpeg.id, getFile('scan.png').id], { date: '2023-07-14T09:30' });
+
+    const result = await writeBackDates(batchId);
+
+    expect(result).toEqual({ mode: 'embed', written: 2, failed: 0, errors: [] });
+    const metadata = await extractAllMetadata(path.join(sourceDir, 'IMG_0001.jpg'));
+    expect(metadata.exifLocalDate).toBe('2023-07-14T09:30:00');
+    expect(getFile('IMG_0001.jpg').hash_sha256).toBe(await calculateHash(path.join(sourceDir, 'IMG_0001.jpg')));
+    const sidecar = await fs.readFile(path.join(sourceDir, 'scan.xmp'), 'utf8');
+    expect(sidecar).toContain('exif:DateTimeOriginal="2023-07-14T09:30:00');
+
+    const reverted = await revertBatch(batchId);
+
+    expect(reverted.failed).toBe(0);
+    expect(await fs.readFile(path.join(sourceDir, 'IMG_0001.jpg'))).toEqual(originalJpeg);
+    expect(getFile('IMG_0001.jpg').hash_sha256).toBe(jpeg.hash_sha256);
+    await expect(fs.access(path.join(sourceDir, 'scan.xmp'))).rejects.toThrow();
+    expect(getFile('IMG_0001.jpg').date_source).toBe('exif');
+  });
+
+  test('should update an existing sidecar and refuse to revert once it was edited', async () => {
+    saveDateWriteBack('sidecar');
+    const sidecarPath = path.join(sourceDir, 'IMG_0001.xmp');
+    await fs.writeFile(sidecarPath, '<x:xmpmeta><rdf:RDF><rdf:Description xmp:Rating="5"/></rdf:RDF></x:xmpmeta>');
+    const { batchId } = setFileDates([getFile('IMG_0001.jpg').id], { date: '2023-07-14T09:30' });
+
+    await writeBackDates(batchId);
+
+    expect(await fs.readFile(path.join(sourceDir, 'IMG_0001.jpg'))).toEqual(originalJpeg);
+    expect(await fs.readFile(sidecarPath, 'utf8')).toContain('xmp:Rating="5"');
+
+    await fs.appendFile(sidecarPath, '\n');
+    const result = await revertBatch(batchId);
+
+    expect(result.errors).toEqual([
+      expect.objectContaining({ error: 'File has been modified since the date was written' })
+    ]);
+  });
+
+  test('should reject unknown modes', () => {
+    expect(() => saveDateWriteBack('exif')).toThrow('Unknown date write-back mode');
+  });
+});
+
+describe('Integration: Companion Files', () => {
+  let tempDir;
+  let sourceDir;
+  let destDir;
+
+  const createJpeg = (background, date) => sharp({ create: { width: 8, height: 8, channels: 3, background } })
+    .jpeg()
+    .withExif({ IFD2: { DateTimeOriginal: date } })
+    .toBuffer();
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'companion-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    destDir = path.join(tempDir, 'organized');
+    await fs.mkdir(sourceDir, { recursive: true });
+
+    // A JPEG stands in for the RAW file; only the extension matters for grouping
+    await fs.writeFile(path.join(sourceDir, 'IMG_0001.CR2'), await createJpeg('#204080', '2019:07:04 10:00:00'));
+    await fs.writeFile(path.join(sourceDir, 'IMG_0001.JPG'), await createJpeg('#204081', '2019:07:04 10:00:01'));
+    await fs.writeFile(path.join(sourceDir, 'IMG_0001.CR2.xmp'), '<x:xmpmeta/>');
+    await fs.writeFile(path.join(sourceDir, 'IMG_0002.JPG'), await createJpeg('#802040', '2020:01:02 12:00:00'));
+    await fs.writeFile(path.join(sourceDir, 'IMG_0002.MOV'), 'live photo video');
+    await fs.writeFile(path.join(sourceDir, 'IMG_0002.AAE'), '<plist/>');
+
+    // The same name is already taken at the destination
+    await fs.mkdir(path.join(destDir, '2019', '07', '04'), { recursive: true });
+    await fs.writeFile(path.join(destDir, '2019', '07', '04', 'IMG_0001.JPG'), 'another photo');
+
+    initDatabase(path.join(tempDir, 'test.db'));
+    await scanDirectory(sourceDir, true, null);
+  });
+
+  afterAll(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  const getFile = (name) => fileQueries.getFileByPath().get(path.join(sourceDir, name));
+
+  test('should link companions to the primary file of their group', () => {
+    const raw = getFile('IMG_0001.CR2');
+    const livePhoto = getFile('IMG_0002.JPG');
+
+    expect(raw.companion_of).toBeNull();
+    expect(getFile('IMG_0001.JPG').companion_of).toBe(raw.id);
+    expect(getFile('IMG_0001.CR2.xmp').companion_of).toBe(raw.id);
+    expect(getFile('IMG_0002.MOV').companion_of).toBe(livePhoto.id);
+    expect(getFile('IMG_0002.AAE').companion_of).toBe(livePhoto.id);
+    expect(fileQueries.getCompanions().all(raw.id).map(file => file.filename).sort())
+      .toEqual(['IMG_0001.CR2.xmp', 'IMG_0001.JPG']);
+  });
+
+  test('should preview companions next to their primary', async () => {
+    const { files: preview } = await previewOrganization(destDir, [getFile('IMG_0002.MOV').id]);
+
+    expect(preview.map(entry => [path.relative(destDir, entry.destinationPath), entry.companionOf])).toEqual([
+      [path.join('2020', '01', '02', 'IMG_0002.JPG'), null],
+      [path.join('2020', '01', '02', 'IMG_0002.MOV'), getFile('IMG_0002.JPG').id],
+      [path.join('2020', '01', '02', 'IMG_0002.AAE'), getFile('IMG_0002.JPG').id]
+    ]);
+  });
+
+  test('should move a whole group under the primary date with one collision suffix', async () => {
+    const sidecar = getFile('IMG_0001.CR2.xmp');
+
+    const result = await organizeFiles(destDir, false, [sidecar.id]);
+
+    expect(result.movedFiles).toBe(3);
+    expect(result.totalFiles).toBe(3);
+    const dayDir = path.join(destDir, '2019', '07', '04');
+    expect((await fs.readdir(dayDir)).sort()).toEqual([
+      'IMG_0001 (1).CR2', 'IMG_0001 (1).CR2.xmp', 'IMG_0001 (1).JPG', 'IMG_0001.JPG'
+    ]);
+    expect(fileQueries.getFileById().get(sidecar.id).current_path).toBe(path.join(dayDir, 'IMG_0001 (1).CR2.xmp'));
+    expect(getFile('IMG_0002.MOV').status).toBe('pending');
+
+    const reverted = await revertBatch(result.batchId);
+
+    expect(reverted.failed).toBe(0);
+    expect((await fs.readdir(sourceDir)).filter(name => name.startsWith('IMG_0001')).sort())
+      .toEqual(['IMG_0001.CR2', 'IMG_0001.CR2.xmp', 'IMG_0001.JPG']);
+  });
+
+  test('should keep Live Photo videos with their photo', async () => {
+    const result = await organizeFiles(destDir, false);
+
+    expect(result.errorFiles).toBe(0);
+    const dayDir = path.join(destDir, '2020', '01', '02');
+    expect((await fs.readdir(dayDir)).sort()).toEqual(['IMG_0002.AAE', 'IMG_0002.JPG', 'IMG_0002.MOV']);
+  });
+});
+
+describe('Integration: Organize Preview', () => {
+  let tempDir;
+  let sourceDir;
+  let destDir;
+
+  async function writeFile(relativePath, content, mtime = '2020-01-01T12:00:00Z') {
+    const filePath = path.join(sourceDir, relativePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+    await fs.utimes(filePath, new Date(mtime), new Date(mtime));
+  }
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'organize-preview-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    destDir = path.join(tempDir, 'organized');
+
+    await writeFile('a/2021-03-04 notes.txt', 'first notes');
+    await writeFile('b/2021-03-04 notes.txt', 'second notes');
+    await writeFile('2021-03-05 photo.txt', 'same bytes');
+    await writeFile('2021-03-05 photo-copy.txt', 'same bytes');
+    await writeFile('2021-03-06 taken.txt', 'new content');
+    await writeFile('gone.txt', 'deleted before organizing');
+    await writeFile('undated.txt', 'no date at all');
+
+    initDatabase(path.join(tempDir, 'test.db'));
+    await scanDirectory(sourceDir, true, null);
+
+    await fs.mkdir(path.join(destDir, 'files'), { recursive: true });
+    await fs.writeFile(path.join(destDir, 'files', '2021-03-06 taken.txt'), 'already there');
+    await fs.unlink(path.join(sourceDir, 'gone.txt'));
+  });
+
+  afterAll(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  const getFile = (relativePath) => fileQueries.getFileByPath().get(path.join(sourceDir, relativePath));
+
+  test('should report the action, collisions and folder totals of every file', async () => {
+    const { files, summary, folders } = await previewOrganization(destDir, null, { template: 'files/{filename}' });
+
+    const byPath = Object.fromEntries(files.map(entry => [path.relative(sourceDir, entry.sourcePath), entry]));
+    const [first, second] = [byPath['a/2021-03-04 notes.txt'], byPath['b/2021-03-04 notes.txt']].sort((x, y) => x.id - y.id);
+    expect(first).toMatchObject({ action: 'move', destinationPath: path.join(destDir, 'files', '2021-03-04 notes.txt') });
+    expect(second).toMatchObject({
+      action: 'collision_rename',
+      destinationPath: path.join(destDir, 'files', '2021-03-04 notes (1).txt'),
+      intendedPath: path.join(destDir, 'files', '2021-03-04 notes.txt'),
+      conflictsWith: first.id
+    });
+    expect(byPath['2021-03-06 taken.txt']).toMatchObject({
+      action: 'collision_rename',
+      destinationPath: path.join(destDir, 'files', '2021-03-06 taken (1).txt'),
+      conflictsWith: 'existing'
+    });
+    // Whichever of two identical files comes first is placed, the other is its duplicate
+    const [original, copy] = [getFile('2021-03-05 photo.txt'), getFile('2021-03-05 photo-copy.txt')].sort((x, y) => x.id - y.id);
+    expect(byPath[original.filename].action).toBe('move');
+    expect(byPath[copy.filename]).toMatchObject({ action: 'duplicate', duplicateOf: original.id });
+    expect(byPath['gone.txt']).toMatchObject({ action: 'missing_source', destinationPath: null });
+    // Only the file without a date in its name falls back to its filesystem date
+    expect(byPath['undated.txt']).toMatchObject({ action: 'no_date', destinationPath: path.join(destDir, 'files', 'undated.txt') });
+
+    expect(summary.byAction).toEqual({ move: 2, collision_rename: 2, no_date: 1, duplicate: 1, missing_source: 1 });
+    expect(summary.totalFiles).toBe(7);
+    expect(folders).toEqual([{ folder: 'files', files: 5, bytes: summary.totalBytes }]);
+  });
+
+  test('should keep only the most recent previews for paging', async () => {
+    const preview = await previewOrganization(destDir, null, { template: 'files/{filename}' });
+    const previewId = storePreview(preview);
+    expect(getStoredPreview(previewId)).toBe(preview);
+
+    for (let i = 0; i < 5; i++) storePreview(preview);
+    expect(getStoredPreview(previewId)).toBeNull();
+  });
+
+  test('should match what the organizer then does', async () => {
+    const { files } = await previewOrganization(destDir, null, { template: 'files/{filename}' });
+
+    const result = await organizeFiles(destDir, false, null, { template: 'files/{filename}' });
+
+    const planned = files.filter(entry => entry.destinationPath && entry.action !== 'duplicate');
+    for (const entry of planned) {
+      expect(fileQueries.getFileById().get(entry.id).current_path).toBe(entry.destinationPath);
+    }
+    expect(result.duplicateFiles).toBe(1);
+    expect(result.skippedFiles).toBe(1);
+  });
+});
+
+describe('Integration: Organize Plans', () => {
+  let tempDir;
+  let sourceDir;
+  let destDir;
+  const template = 'files/{filename}';
+
+  async function writeFile(relativePath, content, mtime = '2020-01-01T12:00:00Z') {
+    const filePath = path.join(sourceDir, relativePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+    await fs.utimes(filePath, new Date(mtime), new Date(mtime));
+  }
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'organize-plans-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    destDir = path.join(tempDir, 'organized');
+
+    await writeFile('keep.txt', 'placed as planned');
+    await writeFile('moved-by-hand.txt', 'given another destination');
+    await writeFile('left-out.txt', 'excluded from the plan');
+    await writeFile('edited.txt', 'edited after planning');
+    await writeFile('blocked.txt', 'destination taken after planning');
+    await fs.writeFile(path.join(sourceDir, 'IMG_0003.JPG'), await sharp({
+      create: { width: 8, height: 8, channels: 3, background: '#408020' }
+    }).jpeg().withExif({ IFD2: { DateTimeOriginal: '2021:03:04 10:00:00' } }).toBuffer());
+    await writeFile('IMG_0003.xmp', '<x:xmpmeta/>');
+
+    initDatabase(path.join(tempDir, 'test.db'));
+    await scanDirectory(sourceDir, true, null);
+  });
+
+  afterAll(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  const getFile = (relativePath) => fileQueries.getFileByPath().get(path.join(sourceDir, relativePath));
+  const findItem = (planId, filename) => getPlanItems(planId).items.find(item => item.filename === filename);
+
+  test('should store a dry run as a plan instead of operations', async () => {
+    const job = enqueueOrganize({ destinationPath: destDir, dryRun: true, template });
+    await processQueue();
+
+    const { status, result } = getJob(job.id);
+    expect(status).toBe('completed');
+    const plan = getPlan(result.planId);
+    expect(plan).toMatchObject({ status: 'draft', destinationPath: destDir, template, mode: 'move' });
+    expect(plan.summary).toMatchObject({ totalFiles: 7, excludedFiles: 0 });
+    // The text files are only dated by their filesystem times
+    expect(plan.summary.byAction).toMatchObject({ move: 2, no_date: 5 });
+    expect(plan.byStatus.planned).toBe(7);
+    expect(plan.folders).toEqual([{ folder: 'files', files: 7, bytes: plan.summary.totalBytes }]);
+
+    expect(getDatabase().prepare('SELECT COUNT(*) as count FROM operations').get().count).toBe(0);
+    expect(fileQueries.getFilesByStatus().all('pending')).toHaveLength(7);
+  });
+
+  test('should execute exactly what was approved and leave files that changed since', async () => {
+    expect(getFile('IMG_0003.xmp').companion_of).toBe(getFile('IMG_0003.JPG').id);
+    const plan = await createPlan({ destinationPath: destDir, template });
+
+    await updatePlanItem(plan.id, findItem(plan.id, 'moved-by-hand.txt').id, {
+      destinationPath: path.join(destDir, 'custom', 'chosen.txt')
+    });
+    await updatePlanItem(plan.id, findItem(plan.id, 'left-out.txt').id, { excluded: true });
+    // The sidecar follows its photo to the new name
+    const photo = await updatePlanItem(plan.id, findItem(plan.id, 'IMG_0003.JPG').id, {
+      destinationPath: path.join(destDir, 'photos', 'holiday.JPG')
+    });
+    expect(photo).toMatchObject({ edited: true, destinationPath: path.join(destDir, 'photos', 'holiday.JPG') });
+    expect(findItem(plan.id, 'IMG_0003.xmp').destinationPath).toBe(path.join(destDir, 'photos', 'holiday.xmp'));
+    expect(getPlan(plan.id).summary.excludedFiles).toBe(1);
+
+    await writeFile('edited.txt', 'edited after planning, and longer', '2021-06-01T00:00:00Z');
+    await fs.mkdir(path.join(destDir, 'files'), { recursive: true });
+    await fs.writeFile(path.join(destDir, 'files', 'blocked.txt'), 'arrived after planning');
+
+    const job = enqueuePlan(plan.id);
+    expect(getPlan(plan.id).status).toBe('approved');
+    await processQueue();
+
+    expect(getJob(job.id)).toMatchObject({ status: 'completed' });
+    expect(getJob(job.id).result).toMatchObject({ movedFiles: 4, skippedFiles: 1, driftedFiles: 2, errorFiles: 0 });
+    expect(getFile('keep.txt').current_path).toBe(path.join(destDir, 'files', 'keep.txt'));
+    expect(getFile('moved-by-hand.txt').current_path).toBe(path.join(destDir, 'custom', 'chosen.txt'));
+    expect(getFile('IMG_0003.xmp').current_path).toBe(path.join(destDir, 'photos', 'holiday.xmp'));
+    expect(getFile('left-out.txt').status).toBe('pending');
+    expect(getFile('edited.txt').status).toBe('pending');
+    // Nothing is renamed around a destination taken since planning
+    expect((await fs.readdir(path.join(destDir, 'files'))).sort()).toEqual(['blocked.txt', 'keep.txt']);
+
+    const executed = getPlan(plan.id);
+    expect(executed.status).toBe('executed');
+    expect(executed.byStatus).toEqual({ planned: 0, done: 4, skipped: 1, drifted: 2, failed: 0 });
+    expect(findItem(plan.id, 'edited.txt').message).toBe('Source file changed after planning');
+    expect(findItem(plan.id, 'blocked.txt').message).toMatch(/was taken after planning/);
+
+    // The moves form one batch that reverts like any other
+    expect(executed.batchId).toBe(job.params.batchId);
+    const reverted = await revertBatch(executed.batchId);
+    expect(reverted.reverted).toBe(4);
+    expect(getFile('keep.txt').status).toBe('pending');
+  });
+
+  test('should refuse clashing or outside destinations and edits after approval', async () => {
+    const plan = await createPlan({ destinationPath: destDir, template: 'plain/{filename}' });
+    const keep = findItem(plan.id, 'keep.txt');
+    const other = findItem(plan.id, 'left-out.txt');
+
+    await expect(updatePlanItem(plan.id, keep.id, { destinationPath: other.destinationPath }))
+      .rejects.toMatchObject({ status: 409 });
+    await expect(updatePlanItem(plan.id, keep.id, { destinationPath: path.join(tempDir, 'elsewhere.txt') }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(updatePlanItem(plan.id, keep.id, { destinationPath: 'relative.txt' }))
+      .rejects.toMatchObject({ status: 400 });
+    await expect(updatePlanItem(plan.id, keep.id, { excluded: 'yes' })).rejects.toMatchObject({ status: 400 });
+
+    const job = enqueuePlan(plan.id);
+    await expect(updatePlanItem(plan.id, keep.id, { excluded: true })).rejects.toMatchObject({ status: 409 });
+    expect(() => deletePlan(plan.id)).toThrow(expect.objectContaining({ status: 409 }));
+
+    // Cancelling the execution before it starts takes the approval back
+    cancelJob(job.id);
+    expect(getPlan(plan.id).status).toBe('draft');
+    expect(deletePlan(plan.id)).toBe(true);
+    expect(getPlan(plan.id)).toBeNull();
+    expect(getDatabase().prepare('SELECT COUNT(*) as count FROM plan_items WHERE plan_id = ?').get(plan.id).count).toBe(0);
+  });
+
+  test('should export a plan and import it back as edited in a spreadsheet', async () => {
+    const plan = await createPlan({ destinationPath: destDir, template: 'sheet/{filename}' });
+
+    const { columns, rows } = parseCsv(exportPlan(plan.id, 'csv').body);
+    expect(columns).toEqual(PLAN_CSV_COLUMNS);
+    const row = (filename) => rows.map(({ values }) => values).find(values => path.basename(values.source) === filename);
+    expect(row('IMG_0003.JPG')).toMatchObject({
+      destination: path.join(destDir, 'sheet', 'IMG_0003.JPG'),
+      action: 'move',
+      resolved_date: '2021-03-04T10:00:00.000Z',
+      date_source: 'exif',
+      excluded: 'false',
+      status: 'planned'
+    });
+    expect(JSON.parse(exportPlan(plan.id, 'json').body)).toMatchObject({ plan: { id: plan.id }, items: expect.any(Array) });
+
+    // Drop a row, rename a file, exclude one and sort the sidecar before its photo
+    const edited = rows.map(({ values }) => values)
+      .filter(values => path.basename(values.source) !== 'left-out.txt')
+      .map(values => {
+        const filename = path.basename(values.source);
+        if (filename === 'keep.txt') return { ...values, destination: path.join(destDir, 'sheet', 'renamed, by hand.txt') };
+        if (filename === 'edited.txt') return { ...values, excluded: 'yes' };
+        return values;
+      })
+      .sort((a, b) => (path.extname(b.source) === '.xmp') - (path.extname(a.source) === '.xmp'));
+
+    const imported = await importPlan(formatCsv(PLAN_CSV_COLUMNS, edited), { destinationPath: destDir, mode: 'copy' });
+
+    expect(imported).toMatchObject({ status: 'draft', mode: 'copy', template: null, destinationPath: destDir });
+    expect(imported.summary).toMatchObject({ totalFiles: 6, excludedFiles: 1 });
+    const items = getPlanItems(imported.id).items;
+    const photoAt = items.findIndex(item => item.filename === 'IMG_0003.JPG');
+    expect(items[photoAt + 1]).toMatchObject({ filename: 'IMG_0003.xmp', companionOf: getFile('IMG_0003.JPG').id });
+    expect(findItem(imported.id, 'edited.txt').excluded).toBe(true);
+
+    const job = enqueuePlan(imported.id);
+    await processQueue();
+
+    expect(getJob(job.id).result).toMatchObject({ movedFiles: 5, skippedFiles: 1, errorFiles: 0 });
+    expect(getFile('keep.txt').current_path).toBe(path.join(destDir, 'sheet', 'renamed, by hand.txt'));
+    expect(getFile('edited.txt').status).toBe('pending');
+
+    await revertBatch(getPlan(imported.id).batchId);
+    expect(getFile('keep.txt').status).toBe('pending');
+  });
+
+  test('should place a duplicate instead of an original that was left out', async () => {
+    for (const name of ['twin-a.txt', 'twin-b.txt', 'twin-c.txt']) await writeFile(`twins/${name}`, 'twin content');
+    for (const name of ['pair-a.txt', 'pair-b.txt']) await writeFile(`pairs/${name}`, 'pair content');
+    await scanDirectory(sourceDir, true, null);
+    const twins = ['twin-a.txt', 'twin-b.txt', 'twin-c.txt'].map(name => getFile(`twins/${name}`));
+    const pairs = ['pair-a.txt', 'pair-b.txt'].map(name => getFile(`pairs/${name}`));
+
+    const plan = await createPlan({
+      destinationPath: destDir, template: 'twins/{filename}', fileIds: [...twins, ...pairs].map(file => file.id)
+    });
+    const items = getPlanItems(plan.id).items;
+    const [original, ...copies] = items.filter(item => item.filename.startsWith('twin'));
+    expect(copies.map(item => item.action)).toEqual(['duplicate', 'duplicate']);
+    const [pairOriginal, pairCopy] = items.filter(item => item.filename.startsWith('pair'));
+
+    await updatePlanItem(plan.id, original.id, { excluded: true });
+    await writeFile(`pairs/${pairOriginal.filename}`, 'pair content, edited after planning');
+    enqueuePlan(plan.id);
+    await processQueue();
+
+    // The first copy takes the place of the excluded original, the second is a duplicate of it
+    expect(getFile(`twins/${original.filename}`).status).toBe('pending');
+    expect(getFile(`twins/${copies[0].filename}`).current_path).toBe(original.destinationPath);
+    expect(findItem(plan.id, copies[0].filename)).toMatchObject({
+      status: 'done', message: `Placed at ${original.destinationPath} instead of file ${original.fileId}, which was not placed`
+    });
+    expect(getFile(`twins/${copies[1].filename}`)).toMatchObject({ status: 'duplicate', duplicate_of: copies[0].fileId });
+
+    // A drifted original is replaced the same way
+    expect(findItem(plan.id, pairOriginal.filename).status).toBe('drifted');
+    expect(getFile(`pairs/${pairCopy.filename}`).current_path).toBe(pairOriginal.destinationPath);
+  });
+
+  test('should reject an imported plan unless every row matches the library', async () => {
+    const keep = getFile('keep.txt');
+    const other = getFile('left-out.txt');
+    const unlike = getFile('moved-by-hand.txt');
+    const destination = (name) => path.join(destDir, 'checked', name);
+    const plansBefore = getDatabase().prepare('SELECT COUNT(*) as count FROM plans').get().count;
+
+    const csv = formatCsv(['file_id', 'source', 'destination', 'action', 'duplicate_of'], [
+      { file_id: keep.id, source: keep.original_path, destination: destination('keep.txt'), action: 'move' },
+      { file_id: 9999, source: '/nowhere/gone.txt', destination: destination('gone.txt'), action: 'move' },
+      { file_id: other.id, source: '/somewhere/else.txt', destination: destination('other.txt'), action: 'move' },
+      { file_id: other.id, source: other.original_path, destination: path.join(tempDir, 'outside.txt'), action: 'move' },
+      { file_id: getFile('edited.txt').id, source: getFile('edited.txt').original_path, destination: destination('keep.txt'), action: 'move' },
+      { file_id: getFile('blocked.txt').id, source: getFile('blocked.txt').original_path, destination: '', action: 'teleport' },
+      { file_id: keep.id, source: keep.original_path, destination: destination('again.txt'), action: 'move' },
+      { file_id: unlike.id, source: unlike.original_path, destination: '', action: 'duplicate', duplicate_of: other.id }
+    ]);
+
+    const error = await importPlan(csv, { destinationPath: destDir }).catch(e => e);
+
+    expect(error.status).toBe(400);
+    expect(error.errors).toEqual([
+      'Line 3: file 9999 is not in the library',
+      `Line 4: file ${other.id} is at ${other.original_path}, not /somewhere/else.txt`,
+      `Line 5: destination must be a file inside ${destDir}`,
+      `Line 6: line 2 already goes to ${destination('keep.txt')}`,
+      expect.stringMatching(/^Line 7: action must be one of/),
+      `Line 8: file ${keep.id} is already on line 2`,
+      `Line 9: file ${unlike.id} does not have the same content as file ${other.id}`
+    ]);
+    expect(error.message).toMatch(/^7 of 8 rows are invalid: Line 3: .*; and 2 more$/);
+    expect(getDatabase().prepare('SELECT COUNT(*) as count FROM plans').get().count).toBe(plansBefore);
+
+    await expect(importPlan('file_id,source\n1,/a.txt\n', { destinationPath: destDir }))
+      .rejects.toMatchObject({ status: 400, message: 'CSV is missing columns: destination, action' });
+    await expect(importPlan(csv, {})).rejects.toMatchObject({ status: 400, message: 'destinationPath is required' });
+  });
+});
+
+describe('Integration: Legacy Dry Runs', () => {
+  let tempDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'legacy-dry-run-test-'));
+  });
+
+  afterAll(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  test('should remove what old dry runs logged and marked, once', () => {
+    const dbPath = path.join(tempDir, 'test.db');
+    initDatabase(dbPath);
+    const addFile = (name, status = 'pending', duplicateOf = null) => getDatabase().prepare(`
+      INSERT INTO files (original_path, filename, size, status, duplicate_of) VALUES (?, ?, 1, ?, ?)
+    `).run(`/photos/${name}`, name, status, duplicateOf).lastInsertRowid;
+    const log = (batchId, fileId, type, reason) => getDatabase().prepare(`
+      INSERT INTO operations (batch_id, file_id, operation_type, source_path, reason) VALUES (?, ?, ?, '/photos', ?)
+    `).run(batchId, fileId, type, reason);
+
+    const original = addFile('a.jpg', 'moved');
+    const markedByDryRun = addFile('b.jpg', 'duplicate', original);
+    const markedAgainSince = addFile('c.jpg', 'duplicate', original);
+    const placed = addFile('d.jpg');
+    log('dry', placed, 'move', 'Dry run - would move');
+    log('dry', markedByDryRun, 'duplicate', `Duplicate of file ${original}`);
+    log('dry', markedAgainSince, 'duplicate', `Duplicate of file ${original}`);
+    log('dry', placed, 'skip', 'Source file not found');
+    log('real', original, 'move', 'Organized by date');
+    log('real', markedAgainSince, 'duplicate', `Duplicate of file ${original}`);
+    setSchemaVersion(getDatabase(), 1);
+    closeDatabase();
+
+    initDatabase(dbPath);
+    const count = (batchId) => getDatabase().prepare('SELECT COUNT(*) as count FROM operations WHERE batch_id = ?').get(batchId).count;
+    expect(count('dry')).toBe(0);
+    expect(count('real')).toBe(2);
+    expect(fileQueries.getFileById().get(markedByDryRun)).toMatchObject({ status: 'pending', duplicate_of: null });
+    expect(fileQueries.getFileById().get(markedAgainSince)).toMatchObject({ status: 'duplicate', duplicate_of: original });
+    expect(getSchemaVersion(getDatabase())).toBe(2);
+
+    // Later startups leave the operations alone
+    log('later', placed, 'move', 'Dry run - would move');
+    closeDatabase();
+    initDatabase(dbPath);
+    expect(count('later')).toBe(1);
+  });
+});
+
+describe('Integration: Organize Modes', () => {
+  let tempDir;
+  let sourceDir;
+  let destDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'organize-modes-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    destDir = path.join(tempDir, 'organized');
+    await fs.mkdir(sourceDir, { recursive: true });
+
+    for (const [name, mtime] of [['copied.txt', '2018-03-01T12:00:00Z'], ['linked.txt', '2018-03-02T12:00:00Z'],
+      ['symlinked.txt', '2018-03-03T12:00:00Z']]) {
+      const filePath = path.join(sourceDir, name);
+      await fs.writeFile(filePath, `content of ${name}`);
+      await fs.utimes(filePath, new Date(mtime), new Date(mtime));
+    }
+
+    initDatabase(path.join(tempDir, 'test.db'));
+    await scanDirectory(sourceDir, true, null);
+  });
+
+  afterAll(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  const getFile = (name) => fileQueries.getFileByPath().get(path.join(sourceDir, name));
+  const organizeOne = (name, mode) => organizeFiles(destDir, false, [getFile(name).id], { mode });
+  const getOperations = (batchId) => getDatabase()
+    .prepare('SELECT * FROM operations WHERE batch_id = ? ORDER BY id').all(batchId);
+
+  test('should copy files, keep the source and delete the copy on revert', async () => {
+    const source = path.join(sourceDir, 'copied.txt');
+
+    const result = await organizeOne('copied.txt', 'copy');
+
+    const file = getFile('copied.txt');
+    expect(result.movedFiles).toBe(1);
+    expect(file.status).toBe('moved');
+    expect(await fs.readFile(file.current_path, 'utf8')).toBe('content of copied.txt');
+    expect((await fs.stat(file.current_path)).mtime).toEqual((await fs.stat(source)).mtime);
+    expect(await fs.readFile(source, 'utf8')).toBe('content of copied.txt');
+    expect(getOperations(result.batchId).map(op => op.operation_type)).toEqual(['copy']);
+
+    const reverted = await revertBatch(result.batchId);
+
+    expect(reverted.failed).toBe(0);
+    await expect(fs.access(file.current_path)).rejects.toThrow();
+    expect(getFile('copied.txt')).toMatchObject({ status: 'pending', current_path: source });
+  });
+
+  test('should hard-link files to the same content', async () => {
+    const result = await organizeOne('linked.txt', 'hardlink');
+
+    const file = getFile('linked.txt');
+    const [sourceStats, linkStats] = await Promise.all([fs.stat(file.original_path), fs.stat(file.current_path)]);
+    expect(linkStats.ino).toBe(sourceStats.ino);
+    expect(getOperations(result.batchId).map(op => op.operation_type)).toEqual(['link']);
+
+    await revertBatch(result.batchId);
+
+    expect((await fs.stat(file.original_path)).nlink).toBe(1);
+  });
+
+  test('should symlink files and refuse to revert a replaced link', async () => {
+    const result = await organizeOne('symlinked.txt', 'symlink');
+
+    const file = getFile('symlinked.txt');
+    expect(await fs.readlink(file.current_path)).toBe(file.original_path);
+    expect(getOperations(result.batchId).map(op => op.operation_type)).toEqual(['symlink']);
+
+    await fs.unlink(file.current_path);
+    await fs.writeFile(file.current_path, 'something else');
+    const refused = await revertBatch(result.batchId);
+
+    expect(refused.errors).toEqual([
+      expect.objectContaining({ error: 'The link has been replaced since it was created' })
+    ]);
+    expect(await fs.readFile(file.original_path, 'utf8')).toBe('content of symlinked.txt');
+  });
+
+  test('should never overwrite an existing file when copying', async () => {
+    const target = path.join(tempDir, 'existing.txt');
+    await fs.writeFile(target, 'keep me');
+
+    await expect(copyFile(path.join(sourceDir, 'copied.txt'), target)).rejects.toThrow();
+
+    expect(await fs.readFile(target, 'utf8')).toBe('keep me');
+  });
+
+  test('should reject unknown modes when queueing', () => {
+    expect(() => enqueueOrganize({ destinationPath: destDir, mode: 'teleport' })).toThrow('Invalid organize mode');
+  });
+});
+
+describe('Integration: Organize Profiles', () => {
+  let tempDir;
+  let sourceDir;
+  let destDir;
+  let profile;
+
+  async function writePhoto(name, background, exif) {
+    await sharp({ create: { width: 8, height: 8, channels: 3, background } })
+      .jpeg()
+      .withExif(exif)
+      .toFile(path.join(sourceDir, name));
+  }
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'profiles-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    destDir = path.join(tempDir, 'organized');
+    await fs.mkdir(sourceDir, { recursive: true });
+
+    await writePhoto('DJI_0001.JPG', '#3060a0', {
+      IFD0: { Make: 'DJI', Model: 'FC3170' }, IFD2: { DateTimeOriginal: '2021:07:04 10:00:00' }
+    });
+    await writePhoto('family.jpg', '#a06030', { IFD2: { DateTimeOriginal: '2019:01:02 10:00:00' } });
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ffffff' } })
+      .png()
+      .toFile(path.join(sourceDir, 'Screenshot_menu.png'));
+    await fs.writeFile(path.join(sourceDir, 'invoice.pdf'), 'not really a pdf');
+
+    initDatabase(path.join(tempDir, 'test.db'));
+    await scanDirectory(sourceDir, true, null);
+
+    profile = createProfile({
+      name: 'Everything',
+      template: '{year}/{filename}',
+      rules: [
+        { name: 'Screenshots', match: { filename: ['screenshot*', 'Screen Shot*'] }, template: 'Screenshots/{extension}' },
+        { name: 'Large videos', match: { category: 'video', minSize: '1GB' }, template: 'Videos/Large/{year}' },
+        { name: 'Documents', match: { category: 'document' }, template: 'Documents/{extension}' },
+        { name: 'Drone', match: { make: 'dji' }, template: 'Drone/{year}-{month}' }
+      ]
+    });
+  });
+
+  afterAll(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  test('should show the rule that places each file in the preview', async () => {
+    const { files: preview } = await previewOrganization(destDir, null, { profile });
+
+    const byName = Object.fromEntries(preview.map(entry => [entry.filename, entry]));
+    expect(byName['DJI_0001.JPG']).toMatchObject({ rule: 'Drone', destinationPath: path.join(destDir, 'Drone/2021-07/DJI_0001.JPG') });
+    expect(byName['Screenshot_menu.png']).toMatchObject({ rule: 'Screenshots', destinationPath: path.join(destDir, 'Screenshots/png/Screenshot_menu.png') });
+    expect(byName['invoice.pdf']).toMatchObject({ rule: 'Documents', destinationPath: path.join(destDir, 'Documents/pdf/invoice.pdf') });
+    expect(byName['family.jpg']).toMatchObject({ rule: null, destinationPath: path.join(destDir, '2019/family.jpg') });
+  });
+
+  test('should organize each file by the first rule that matches', async () => {
+    // A catch-all placed first wins over the rules after it
+    const reordered = updateProfile(profile.id, {
+      ...profile,
+      rules: [{ name: 'EXIF-dated images', match: { category: 'image', dateSource: 'exif' }, template: 'Exif/{year}' }, ...profile.rules]
+    });
+
+    const result = await organizeFiles(destDir, false, null, { profile: reordered });
+
+    expect(result.errorFiles).toBe(0);
+    expect(result.profile).toBe('Everything');
+    expect(Object.fromEntries(result.operations.map(op => [path.relative(destDir, op.destination), op.rule]))).toEqual({
+      'Exif/2021/DJI_0001.JPG': 'EXIF-dated images',
+      'Exif/2019/family.jpg': 'EXIF-dated images',
+      'Screenshots/png/Screenshot_menu.png': 'Screenshots',
+      'Documents/pdf/invoice.pdf': 'Documents'
+    });
+    await fs.access(path.join(destDir, 'Documents/pdf/invoice.pdf'));
+  });
+
+  test('should reject invalid profiles, duplicate names and unknown profiles', () => {
+    expect(() => createProfile({ name: 'Broken', rules: [{ name: 'x', match: { colour: 'red' }, template: '{nope}' }] }))
+      .toThrow(/unknown condition "colour".*Unknown token \{nope\}|Unknown token \{nope\}.*unknown condition "colour"/);
+    expect(() => createProfile({ name: 'Everything', rules: [] })).toThrow('already exists');
+    expect(() => enqueueOrganize({ destinationPath: destDir, profileId: 9999 })).toThrow('Organize profile 9999 not found');
+  });
+});
+
+describe('Integration: Library Verification', () => {
+  let tempDir;
+  let sourceDir;
+  let destDir;
+  const names = ['intact.txt', 'rotten.txt', 'edited.txt', 'deleted.txt', 'unchecked.txt'];
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'verify-test-'));
+    sourceDir = path.join(tempDir, 'source');
+    destDir = path.join(tempDir, 'organized');
+    await fs.mkdir(sourceDir, { recursive: true });
+
+    for (const name of names) {
+      await fs.writeFile(path.join(sourceDir, name), `original ${name}`);
+    }
+
+    initDatabase(path.join(tempDir, 'test.db'));
+    await scanDirectory(sourceDir, true, null);
+  });
+
+  afterAll(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  const getFile = (name) => fileQueries.getFileByPath().get(path.join(sourceDir, name));
+
+  test('should record copies verified after writing', async () => {
+    const ids = names.slice(0, 4).map(name => getFile(name).id);
+
+    const result = await organizeFiles(destDir, false, ids, { mode: 'copy' });
+
+    expect(result.verifiedFiles).toBe(4);
+    expect(getFile('intact.txt')).toMatchObject({ verify_result: 'ok', verified_at: expect.any(String) });
+  });
+
+  test('should skip verification when turned off', async () => {
+    const result = await organizeFiles(destDir, false, [getFile('unchecked.txt').id], { mode: 'copy', verify: false });
+
+    expect(result.verifiedFiles).toBe(0);
+    expect(getFile('unchecked.txt')).toMatchObject({ status: 'moved', verified_at: null });
+  });
+
+  test('should refuse a copy of a file that changed since it was scanned', async () => {
+    const source = path.join(tempDir, 'changed.txt');
+    const target = path.join(tempDir, 'changed-copy.txt');
+    await fs.writeFile(source, 'new content');
+
+    await expect(copyFile(source, target, { expectedHash: 'f'.repeat(64) })).rejects.toThrow('has changed since it was scanned');
+    await expect(fs.access(target)).rejects.toThrow();
+  });
+
+  test('should tell bit-rot from edits and missing files', async () => {
+    const rotten = getFile('rotten.txt').current_path;
+    const { mtime } = await fs.stat(rotten);
+    await fs.writeFile(rotten, 'originaL rotten.txt');
+    await fs.utimes(rotten, mtime, mtime);
+    await fs.appendFile(getFile('edited.txt').current_path, ' and more');
+    await fs.unlink(getFile('deleted.txt').current_path);
+
+    const result = await verifyLibrary();
+
+    expect(result).toMatchObject({
+      status: 'completed', totalFiles: 5, okFiles: 2, corruptedFiles: 1, modifiedFiles: 1, missingFiles: 1
+    });
+    expect(getFile('unchecked.txt').verify_result).toBe('ok');
+
+    const problems = getVerifyProblems();
+
+    expect(problems.counts).toEqual({ missing: 1, modified: 1, corrupted: 1 });
+    expect(problems.files.map(file => [file.filename, file.verify_result]).sort()).toEqual([
+      ['deleted.txt', 'missing'], ['edited.txt', 'modified'], ['rotten.txt', 'corrupted']
+    ]);
+  });
+
+  test('should queue verification as a job', async () => {
+    const job = enqueueVerify({ fileIds: [getFile('intact.txt').id] });
+
+    await processQueue();
+
+    expect(getJob(job.id)).toMatchObject({
+      status: 'completed',
+      result: expect.objectContaining({ totalFiles: 1, okFiles: 1 })
+    });
+  });
+});
+
+describe('Integration: Job Queue', () => {
+  let tempDir;
+  let albumA;
+  let albumB;
+  let destDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-test-'));
+    albumA = path.join(tempDir, 'album-a');
+    albumB = path.join(tempDir, 'album-b');
+    destDir = path.join(tempDir, 'organized');
+    await fs.mkdir(albumA, { recursive: true });
+    await fs.mkdir(albumB, { recursive: true });
+    await fs.writeFile(path.join(albumA, 'a1.txt'), 'album a first');
+    await fs.writeFile(path.join(albumA, 'a2.txt'), 'album a second');
+    await fs.writeFile(path.join(albumB, 'b1.txt'), 'album b first');
+    initDatabase(path.join(tempDir, 'test.db'));
+  });
+
+  afterAll(async () => {
+    closeDatabase();
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+  });
+
+  test('should run scan A, scan B, then organize to C in order', async () => {
+    const scanA = enqueueScan({ sourcePath: albumA });
+    const scanB = enqueueScan({ sourcePath: albumB });
+    const organize = enqueueOrganize({ destinationPath: destDir, template: '{filename}' });
+    expect([scanA, scanB, organize].map(job => job.status)).toEqual(['queued', 'queued', 'queued']);
+
+    await processQueue();
+
+    const jobs = [scanA, scanB, organize].map(job => getJob(job.id));
+    expect(jobs.map(job => job.status)).toEqual(['completed', 'completed', 'completed']);
+    expect(jobs[0].result.newFiles).toBe(2);
+    expect(jobs[1].result.newFiles).toBe(1);
+    expect(jobs[2].result.movedFiles).toBe(3);
+    expect(jobs[2].result.batchId).toBe(organize.params.batchId);
+    expect((await fs.readdir(destDir)).sort()).toEqual(['a1.txt', 'a2.txt', 'b1.txt']);
+
+    const { logs } = getJobLogs(organize.id);
+    expect(logs.map(log => log.message)).toEqual(expect.arrayContaining(['Queued', 'Started', 'Completed']));
+    expect(getJobLogs(scanA.id).logs.map(log => log.message)).toContain('Found 0 clusters of similar images');
+  });
+
+  test('should hold a paused job until it is resumed', async () => {
+    const revert = enqueueRevert(getJobsOfType('organize')[0].params.batchId);
+    pauseJob(revert.id);
+
+    await processQueue();
+    expect(getJob(revert.id).status).toBe('paused');
+
+    resumeJob(revert.id);
+    await processQueue();
+
+    expect(getJob(revert.id).status).toBe('completed');
+    expect(getJob(revert.id).result.reverted).toBe(3);
+  });
+
+  test('should pause a running scan and resume it from its checkpoints', async () => {
+    const job = enqueueScan({ sourcePath: albumA, incremental: true });
+    const run = processQueue();
+    expect(getJob(job.id).status).toBe('running');
+
+    pauseJob(job.id);
+    await run;
+
+    expect(getJob(job.id).status).toBe('paused');
+    expect(scanSessionQueries.getSession().get(job.params.sessionId).status).toBe('cancelled');
+
+    resumeJob(job.id);
+    await processQueue();
+
+    expect(getJob(job.id).status).toBe('completed');
+    expect(getJob(job.id).result.resumed).toBe(true);
+    expect(scanSessionQueries.getSession().get(job.params.sessionId).status).toBe('completed');
+  });
+
+  test('should cancel a queued scan and close its session', async () => {
+    const job = enqueueScan({ sourcePath: albumB });
+    cancelJob(job.id);
+    await processQueue();
+
+    expect(getJob(job.id).status).toBe('cancelled');
+    expect(scanSessionQueries.getSession().get(job.params.sessionId).status).toBe('cancelled');
+  });
+
+  test('should refuse to stop a running dry run', async () => {
+    const job = enqueueOrganize({ destinationPath: destDir, dryRun: true });
+    const run = processQueue();
+    expect(getJob(job.id).status).toBe('running');
+
+    expect(() => pauseJob(job.id)).toThrow(expect.objectContaining({ status: 409 }));
+    expect(() => cancelJob(job.id)).toThrow('Running dry-run organize jobs cannot be stopped');
+    await run;
+
+    expect(getJob(job.id).status).toBe('completed');
+    expect(getJob(job.id).result.planId).toEqual(expect.any(Number));
+  });
+
+  test('should record failures and carry on with the next job', async () => {
+    const failing = enqueueRevert('no-such-batch');
+    const scan = enqueueScan({ sourcePath: albumB });
+    await processQueue();
+
+    expect(getJob(failing.id).status).toBe('failed');
+    expect(getJob(failing.id).error_message).toBe('No revertible operations found in batch');
+    expect(getJob(scan.id).status).toBe('completed');
+  });
+
+  test('should requeue jobs left running by a restart', async () => {
+    const job = enqueueScan({ sourcePath: albumB });
+    // Simulate a server that stopped mid-scan
+    jobQueries.markJobRunning().run(job.id);
+    scanSessionQueries.updateSession().run({
+      id: job.params.sessionId, total_files: 1, processed_files: 0, status: 'in_progress', completed_at: null
+    });
+    markInterruptedScans();
+
+    expect(recoverJobs()).toBe(1);
+    expect(getJob(job.id).status).toBe('queued');
+
+    await processQueue();
+    expect(getJob(job.id).status).toBe('completed');
+    expect(getJob(job.id).result.resumed).toBe(true);
+  });
+
+  test('should reject invalid jobs', () => {
+    expect(() => enqueueScan({})).toThrow('sourcePath is required');
+    expect(() => enqueueOrganize({ destinationPath: destDir, template: '{nope}' })).toThrow(/Invalid path template/);
+    expect(() => resumeJob(999999)).toThrow('Job not found');
+  });
+
+  function getJobsOfType(type) {
+    return listJobs().jobs.filter(job => job.type === type);
+  }
+});
+
 describe('Integration: Error Handling', () => {
   let tempDir;
   let dbPath;
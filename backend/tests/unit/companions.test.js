@@ -0,0 +1,71 @@
+import { groupCompanions, getCompanionFilename } from '../../src/services/companions.js';
+
+let nextId = 1;
+
+function file(filename, metadata = null) {
+  return { id: nextId++, filename, metadata_json: metadata ? JSON.stringify(metadata) : null };
+}
+
+function describeGroups(groups) {
+  return groups.map(({ primary, companions }) => [primary.filename, ...companions.map(c => c.filename)]);
+}
+
+describe('Companion Files Service', () => {
+  describe('groupCompanions', () => {
+    test('should group a RAW+JPEG pair and its sidecars under the RAW file', () => {
+      const groups = groupCompanions([
+        file('IMG_0001.JPG'),
+        file('IMG_0001.xmp'),
+        file('IMG_0001.CR2'),
+        file('img_0001.cr2.xmp'),
+        file('IMG_0002.JPG')
+      ]);
+
+      expect(describeGroups(groups)).toEqual([
+        ['IMG_0001.CR2', 'IMG_0001.JPG', 'IMG_0001.xmp', 'img_0001.cr2.xmp']
+      ]);
+    });
+
+    test('should pair Live Photos by content identifier even when the names differ', () => {
+      const identifier = '5E2C4A1B-7D3F-4E8A-9B6C-1D2E3F4A5B6C';
+      const groups = groupCompanions([
+        file('IMG_0003.MOV', { video: { contentIdentifier: identifier } }),
+        file('IMG_0003.AAE'),
+        file('Holiday.HEIC', { exif: { ContentIdentifier: identifier } })
+      ]);
+
+      expect(describeGroups(groups)).toEqual([['Holiday.HEIC', 'IMG_0003.MOV', 'IMG_0003.AAE']]);
+    });
+
+    test('should leave documents, lone files and orphaned sidecars alone', () => {
+      const groups = groupCompanions([
+        file('notes.txt'),
+        file('notes.pdf'),
+        file('IMG_0004.JPG'),
+        file('IMG_0005.xmp'),
+        file('IMG_0005.aae')
+      ]);
+
+      expect(groups).toEqual([]);
+    });
+  });
+
+  describe('getCompanionFilename', () => {
+    const primary = { filename: 'IMG_0001.CR2' };
+
+    test('should follow the primary name and suffix', () => {
+      const destPath = '/dest/2019/IMG_0001.CR2';
+
+      expect(getCompanionFilename(primary, destPath, { filename: 'IMG_0001.JPG' }, ' (1)')).toBe('IMG_0001 (1).JPG');
+      expect(getCompanionFilename(primary, destPath, { filename: 'IMG_0001.CR2.xmp' }, ' (1)')).toBe('IMG_0001 (1).CR2.xmp');
+    });
+
+    test('should follow a template that renames the primary', () => {
+      expect(getCompanionFilename(primary, '/dest/2019/ab12cd34.cr2', { filename: 'IMG_0001.xmp' })).toBe('ab12cd34.xmp');
+    });
+
+    test('should keep the own name of a companion named differently', () => {
+      expect(getCompanionFilename(primary, '/dest/IMG_0001.CR2', { filename: 'clip.MOV' }, ' (2)')).toBe('clip (2).MOV');
+    });
+  });
+});
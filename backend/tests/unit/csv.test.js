@@ -0,0 +1,69 @@
+import { formatCsv, parseCsv } from '../../src/services/csv.js';
+
+describe('CSV Service', () => {
+  describe('formatCsv', () => {
+    test('should write a header and quote only the fields that need it', () => {
+      const csv = formatCsv(['id', 'path', 'note'], [
+        { id: 1, path: '/photos/a.jpg', note: null },
+        { id: 2, path: '/photos/b, c.jpg', note: 'say "hi"\nbye' }
+      ]);
+
+      expect(csv).toBe('id,path,note\r\n1,/photos/a.jpg,\r\n2,"/photos/b, c.jpg","say ""hi""\nbye"\r\n');
+    });
+
+    test('should keep spreadsheets from running fields as formulas', () => {
+      const csv = formatCsv(['a', 'b', 'c', 'd', 'e'], [
+        { a: '=HYPERLINK("http://x")', b: '+1', c: '-1', d: '@SUM(A1)', e: "it's" }
+      ]);
+
+      expect(csv).toBe(`a,b,c,d,e\r\n"'=HYPERLINK(""http://x"")",'+1,'-1,'@SUM(A1),it's\r\n`);
+    });
+  });
+
+  describe('parseCsv', () => {
+    test('should read back what formatCsv writes', () => {
+      const rows = [
+        { id: '1', path: '/photos/b, c.jpg', note: 'say "hi"\r\nbye' },
+        { id: '2', path: '/photos/d.jpg', note: '' }
+      ];
+
+      const parsed = parseCsv(formatCsv(['id', 'path', 'note'], rows));
+
+      expect(parsed.columns).toEqual(['id', 'path', 'note']);
+      expect(parsed.rows.map(row => row.values)).toEqual(rows);
+    });
+
+    test('should take off the apostrophe in front of formulas, and only that', () => {
+      const rows = [{ a: '=1+1', b: "'=quoted", c: "'plain", d: '-' }];
+
+      const parsed = parseCsv(formatCsv(['a', 'b', 'c', 'd'], rows));
+
+      expect(parsed.rows[0].values).toEqual(rows[0]);
+    });
+
+    test('should number rows by the line they start on and skip blank lines', () => {
+      const { rows } = parseCsv('\uFEFFid,note\n1,"two\nlines"\n\n3,last');
+
+      expect(rows).toEqual([
+        { line: 2, values: { id: '1', note: 'two\nlines' } },
+        { line: 5, values: { id: '3', note: 'last' } }
+      ]);
+    });
+
+    test('should fill missing trailing fields and reject extra ones', () => {
+      expect(parseCsv('a,b,c\n1\n').rows[0].values).toEqual({ a: '1', b: '', c: '' });
+      expect(() => parseCsv('a,b\n1,2,3\n')).toThrow('Line 2 has 3 fields but the header has 2');
+    });
+
+    test('should reject empty input and unclosed quotes as bad requests', () => {
+      expect(() => parseCsv('')).toThrow('CSV is empty');
+      expect(() => parseCsv('a\n"open')).toThrow('Line 2 has a quoted field that is never closed');
+      try {
+        parseCsv(null);
+      } catch (error) {
+        expect(error.status).toBe(400);
+      }
+      expect.assertions(3);
+    });
+  });
+});
@@ -6,6 +6,7 @@ import {
   compareDates,
   formatDate
 } from '../../src/services/dateResolver.js';
+import { setDefaultTimezone } from '../../src/services/timezone.js';
 
 describe('DateResolver Service', () => {
   describe('isValidDate', () => {
@@ -46,6 +47,33 @@ describe('DateResolver Service', () => {
       expect(result.date).toContain('2023-07-15');
     });
 
+    test('should use the video container date before filesystem times', () => {
+      const metadata = {
+        exifDate: null,
+        videoDate: '2022-05-20T18:45:00.000Z',
+        createdAt: '2023-08-01T12:00:00.000Z',
+        modifiedAt: '2023-09-01T00:00:00.000Z'
+      };
+
+      const result = resolveDate(metadata);
+      expect(result.source).toBe('video_metadata');
+      expect(result.date).toBe('2022-05-20T18:45:00.000Z');
+    });
+
+    test('should use a filename date before filesystem times', () => {
+      const metadata = {
+        exifDate: null,
+        videoDate: null,
+        filenameDate: '2019-07-04T15:30:12.000Z',
+        createdAt: '2023-08-01T12:00:00.000Z',
+        modifiedAt: '2023-09-01T00:00:00.000Z'
+      };
+
+      const result = resolveDate(metadata);
+      expect(result.source).toBe('filename');
+      expect(result.date).toBe('2019-07-04T15:30:12.000Z');
+    });
+
     test('should fall back to created date if no EXIF', () => {
       const metadata = {
         exifDate: null,
@@ -94,6 +122,71 @@ describe('DateResolver Service', () => {
     });
   });
 
+  describe('resolveDate timezones', () => {
+    afterEach(() => {
+      setDefaultTimezone(null);
+    });
+
+    test('should use the EXIF offset for the capture-local time', () => {
+      const result = resolveDate({
+        exifDate: '2023-07-15T23:30:00.000Z',
+        exifLocalDate: '2023-07-15T23:30:00',
+        exifOffset: '+09:00',
+        gps: { latitude: 48.8566, longitude: 2.3522 }
+      });
+
+      expect(result).toEqual({
+        date: '2023-07-15T14:30:00.000Z',
+        source: 'exif',
+        localDate: '2023-07-15T23:30:00',
+        utcOffset: '+09:00',
+        timezoneSource: 'offset'
+      });
+    });
+
+    test('should look up the timezone from GPS when there is no offset', () => {
+      const result = resolveDate({
+        exifLocalDate: '2023-01-10T08:00:00',
+        gps: { latitude: 40.7128, longitude: -74.006 }
+      });
+
+      expect(result.date).toBe('2023-01-10T13:00:00.000Z');
+      expect(result.utcOffset).toBe('-05:00');
+      expect(result.timezoneSource).toBe('gps');
+    });
+
+    test('should follow daylight saving time in the GPS timezone', () => {
+      const result = resolveDate({
+        exifLocalDate: '2023-07-10T08:00:00',
+        gps: { latitude: 40.7128, longitude: -74.006 }
+      });
+
+      expect(result.date).toBe('2023-07-10T12:00:00.000Z');
+      expect(result.utcOffset).toBe('-04:00');
+    });
+
+    test('should fall back to the default timezone', () => {
+      setDefaultTimezone('Europe/Berlin');
+
+      const result = resolveDate({ filenameLocalDate: '2019-07-04T15:30:12' });
+
+      expect(result.source).toBe('filename');
+      expect(result.date).toBe('2019-07-04T13:30:12.000Z');
+      expect(result.timezoneSource).toBe('default');
+    });
+
+    test('should give the capture-local time of UTC instants', () => {
+      const result = resolveDate({
+        videoDate: '2022-05-20T22:45:00.000Z',
+        videoOffset: '-07:00'
+      });
+
+      expect(result.date).toBe('2022-05-20T22:45:00.000Z');
+      expect(result.localDate).toBe('2022-05-20T15:45:00');
+      expect(result.timezoneSource).toBe('offset');
+    });
+  });
+
   describe('extractDateComponents', () => {
     test('should extract year, month, day correctly', () => {
       const result = extractDateComponents('2023-07-15T10:30:00.000Z');
@@ -109,6 +202,10 @@ describe('DateResolver Service', () => {
       expect(result.day).toBe('05');
     });
 
+    test('should take capture-local times as they are', () => {
+      expect(extractDateComponents('2023-07-15T23:30:00')).toEqual({ year: '2023', month: '07', day: '15' });
+    });
+
     test('should handle invalid dates by using current date', () => {
       const result = extractDateComponents('invalid');
       expect(result.year).toBeDefined();
@@ -0,0 +1,98 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+import { getSidecarPath, setXmpDates, embedJpegDates } from '../../src/services/dateWriteBack.js';
+import { extractAllMetadata } from '../../src/services/metadata.js';
+
+const fields = { local_date: '2019-07-04T15:30:12', utc_offset: '+02:00' };
+
+function createJpeg(exif) {
+  const image = sharp({ create: { width: 8, height: 8, channels: 3, background: '#406080' } }).jpeg();
+  return (exif ? image.withExif(exif) : image).toBuffer();
+}
+
+describe('Date Write-Back Service', () => {
+  describe('getSidecarPath', () => {
+    test('should replace the extension with .xmp', () => {
+      expect(getSidecarPath(path.join('photos', 'IMG_0001.JPG'))).toBe(path.join('photos', 'IMG_0001.xmp'));
+    });
+  });
+
+  describe('setXmpDates', () => {
+    test('should add the date properties and their namespaces', () => {
+      const xml = setXmpDates('<x:xmpmeta><rdf:RDF><rdf:Description rdf:about=""/></rdf:RDF></x:xmpmeta>', fields);
+
+      expect(xml).toContain('exif:DateTimeOriginal="2019-07-04T15:30:12+02:00"');
+      expect(xml).toContain('xmp:CreateDate="2019-07-04T15:30:12+02:00"');
+      expect(xml).toContain('photoshop:DateCreated="2019-07-04T15:30:12+02:00"');
+      expect(xml).toContain('xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"');
+    });
+
+    test('should replace existing dates and keep other properties', () => {
+      const xml = setXmpDates([
+        '<rdf:Description xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmp:Rating="4" xmp:CreateDate="2001-01-01T00:00:00">',
+        '<exif:DateTimeOriginal>2001-01-01T00:00:00</exif:DateTimeOriginal>',
+        '</rdf:Description>'
+      ].join('\n'), { local_date: '2019-07-04T15:30:12', utc_offset: null });
+
+      expect(xml).toContain('xmp:Rating="4"');
+      expect(xml).toContain('xmp:CreateDate="2019-07-04T15:30:12"');
+      expect(xml).toContain('<exif:DateTimeOriginal>2019-07-04T15:30:12</exif:DateTimeOriginal>');
+      expect(xml.match(/xmlns:xmp=/g)).toHaveLength(1);
+    });
+
+    test('should reject XMP without a description', () => {
+      expect(() => setXmpDates('<x:xmpmeta/>', fields)).toThrow('no rdf:Description');
+    });
+  });
+
+  describe('embedJpegDates', () => {
+    let tempDir;
+
+    beforeAll(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'writeback-test-'));
+    });
+
+    afterAll(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('should patch the EXIF dates so readers see the new date', async () => {
+      const original = await createJpeg({
+        IFD2: { DateTimeOriginal: '2001:01:01 00:00:00', OffsetTimeOriginal: '+00:00' }
+      });
+      const filePath = path.join(tempDir, 'exif.jpg');
+      await fs.writeFile(filePath, embedJpegDates(original, fields));
+
+      const metadata = await extractAllMetadata(filePath);
+
+      expect(metadata.exifLocalDate).toBe('2019-07-04T15:30:12');
+      expect(metadata.exifOffset).toBe('+02:00');
+    });
+
+    test('should add an XMP packet and keep the image intact', async () => {
+      const original = await createJpeg(null);
+
+      const updated = embedJpegDates(original, fields);
+
+      expect(updated.length).toBeGreaterThan(original.length);
+      expect(updated.toString('latin1')).toContain('exif:DateTimeOriginal="2019-07-04T15:30:12+02:00"');
+      const { width, height } = await sharp(updated).metadata();
+      expect([width, height]).toEqual([8, 8]);
+    });
+
+    test('should replace an existing XMP packet rather than add another', async () => {
+      const once = embedJpegDates(await createJpeg(null), fields);
+
+      const twice = embedJpegDates(once, { local_date: '2020-01-02T03:04:05', utc_offset: null });
+
+      expect(twice.toString('latin1').match(/http:\/\/ns\.adobe\.com\/xap\/1\.0\/\0/g)).toHaveLength(1);
+      expect(twice.toString('latin1')).toContain('xmp:CreateDate="2020-01-02T03:04:05"');
+    });
+
+    test('should reject files that are not JPEGs', () => {
+      expect(() => embedJpegDates(Buffer.from('not an image'), fields)).toThrow('Not a JPEG file');
+    });
+  });
+});
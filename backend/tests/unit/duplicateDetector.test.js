@@ -0,0 +1,61 @@
+import { rankByKeepPolicy, KEEP_POLICIES } from '../../src/services/duplicateDetector.js';
+
+describe('Duplicate Detector', () => {
+  const file = (id, currentPath, overrides = {}) => ({
+    id,
+    original_path: currentPath,
+    current_path: currentPath,
+    size: 1000,
+    exif_date: null,
+    metadata_json: null,
+    created_timestamp: '2024-01-01 10:00:00',
+    ...overrides
+  });
+
+  describe('rankByKeepPolicy', () => {
+    test('should expose the supported policies', () => {
+      expect(KEEP_POLICIES).toEqual(
+        expect.arrayContaining(['oldest', 'highest_resolution', 'has_exif', 'shortest_path', 'preferred_folder'])
+      );
+    });
+
+    test('should keep the first discovered file by default', () => {
+      const files = [
+        file(2, '/b/photo.jpg', { created_timestamp: '2024-01-02 10:00:00' }),
+        file(1, '/a/photo.jpg')
+      ];
+      expect(rankByKeepPolicy(files)[0].id).toBe(1);
+    });
+
+    test('should keep the highest resolution copy', () => {
+      const small = file(1, '/a.jpg', { metadata_json: JSON.stringify({ exif: { ImageWidth: 640, ImageHeight: 480 } }) });
+      const large = file(2, '/b.jpg', { metadata_json: JSON.stringify({ exif: { ImageWidth: 4000, ImageHeight: 3000 } }) });
+      expect(rankByKeepPolicy([small, large], ['highest_resolution'])[0].id).toBe(2);
+    });
+
+    test('should keep the copy with EXIF data', () => {
+      const stripped = file(1, '/a.jpg');
+      const withExif = file(2, '/b.jpg', { exif_date: '2023-05-01T10:00:00.000Z' });
+      expect(rankByKeepPolicy([stripped, withExif], ['has_exif'])[0].id).toBe(2);
+    });
+
+    test('should keep the shortest path', () => {
+      const files = [file(1, '/photos/backup/old/photo.jpg'), file(2, '/photos/photo.jpg')];
+      expect(rankByKeepPolicy(files, ['shortest_path'])[0].id).toBe(2);
+    });
+
+    test('should keep the copy under the preferred folder', () => {
+      const files = [file(1, '/downloads/photo.jpg'), file(2, '/library/2023/photo.jpg')];
+      expect(rankByKeepPolicy(files, ['preferred_folder'], { preferredFolder: '/library' })[0].id).toBe(2);
+    });
+
+    test('should apply later policies as tie-breakers', () => {
+      const files = [
+        file(1, '/photos/long/path/a.jpg', { exif_date: '2023-05-01T10:00:00.000Z' }),
+        file(2, '/photos/b.jpg', { exif_date: '2023-05-01T10:00:00.000Z' }),
+        file(3, '/c.jpg')
+      ];
+      expect(rankByKeepPolicy(files, ['has_exif', 'shortest_path']).map(f => f.id)).toEqual([2, 1, 3]);
+    });
+  });
+});
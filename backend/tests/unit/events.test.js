@@ -0,0 +1,79 @@
+import {
+  publish,
+  subscribe,
+  getLatestEvents,
+  closeAllStreams,
+  onClose,
+  getProgressRates
+} from '../../src/services/events.js';
+
+describe('Event Bus', () => {
+  describe('publish', () => {
+    test('should deliver events to subscribers', () => {
+      const received = [];
+      const unsubscribe = subscribe(event => received.push(event));
+
+      publish('scan', { status: 'in_progress' }, { force: true });
+      unsubscribe();
+      publish('scan', { status: 'completed' }, { force: true });
+
+      expect(received).toHaveLength(1);
+      expect(received[0].type).toBe('scan');
+      expect(received[0].data).toEqual({ status: 'in_progress' });
+    });
+
+    test('should throttle progress but always send forced events', () => {
+      const received = [];
+      const unsubscribe = subscribe(event => received.push(event));
+
+      expect(publish('organize', { processedFiles: 1 }, { force: true })).toBe(true);
+      expect(publish('organize', { processedFiles: 2 })).toBe(false);
+      expect(publish('organize', { processedFiles: 3 }, { force: true })).toBe(true);
+      unsubscribe();
+
+      expect(received.map(e => e.data.processedFiles)).toEqual([1, 3]);
+    });
+
+    test('should keep the latest event of each type in order', () => {
+      publish('revert', { status: 'in_progress' }, { force: true });
+      publish('thumbnails', { status: 'in_progress' }, { force: true });
+      publish('revert', { status: 'completed' }, { force: true });
+
+      const latest = getLatestEvents();
+      const types = latest.map(e => e.type);
+      expect(types.slice(-2)).toEqual(['thumbnails', 'revert']);
+      expect(latest.find(e => e.type === 'revert').data.status).toBe('completed');
+      expect(latest[latest.length - 1].id).toBeGreaterThan(latest[0].id);
+    });
+  });
+
+  describe('closeAllStreams', () => {
+    test('should notify close listeners once', () => {
+      let calls = 0;
+      onClose(() => calls++);
+
+      closeAllStreams();
+      closeAllStreams();
+
+      expect(calls).toBe(1);
+    });
+  });
+
+  describe('getProgressRates', () => {
+    test('should calculate throughput and ETA', () => {
+      const startedAt = new Date(Date.now() - 10000).toISOString();
+      const rates = getProgressRates(startedAt, 50, 150);
+
+      expect(rates.elapsedSeconds).toBe(10);
+      expect(rates.throughput).toBeCloseTo(5, 0);
+      expect(rates.etaSeconds).toBeGreaterThanOrEqual(19);
+      expect(rates.etaSeconds).toBeLessThanOrEqual(21);
+    });
+
+    test('should have no ETA until the total is known', () => {
+      const startedAt = new Date(Date.now() - 1000).toISOString();
+      expect(getProgressRates(startedAt, 10, 0).etaSeconds).toBeNull();
+      expect(getProgressRates(new Date().toISOString(), 0, 100).etaSeconds).toBeNull();
+    });
+  });
+});
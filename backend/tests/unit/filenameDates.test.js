@@ -0,0 +1,79 @@
+import {
+  BUILT_IN_PATTERNS,
+  validateFilenamePattern,
+  setFilenameDatePatterns,
+  getFilenameDatePatterns,
+  extractFilenameDate
+} from '../../src/services/filenameDates.js';
+
+function localIso(...parts) {
+  return new Date(parts[0], parts[1] - 1, ...parts.slice(2)).toISOString();
+}
+
+describe('FilenameDates Service', () => {
+  afterEach(() => {
+    setFilenameDatePatterns([]);
+  });
+
+  describe('extractFilenameDate', () => {
+    test('should read camera and phone timestamps', () => {
+      expect(extractFilenameDate('IMG_20190704_153012.jpg').date).toBe(localIso(2019, 7, 4, 15, 30, 12));
+      expect(extractFilenameDate('PXL_20230101_120000123.jpg').date).toBe(localIso(2023, 1, 1, 12, 0, 0));
+      expect(extractFilenameDate('VID_20200229_235959.mp4').date).toBe(localIso(2020, 2, 29, 23, 59, 59));
+    });
+
+    test('should read screenshot timestamps', () => {
+      expect(extractFilenameDate('Screenshot 2021-03-05 at 10.11.12.png').date).toBe(localIso(2021, 3, 5, 10, 11, 12));
+      expect(extractFilenameDate('Screenshot_2021-03-05-10-11-12.png').date).toBe(localIso(2021, 3, 5, 10, 11, 12));
+    });
+
+    test('should read WhatsApp and date-only names', () => {
+      expect(extractFilenameDate('VID-20200101-WA0003.mp4').date).toBe(localIso(2020, 1, 1));
+      expect(extractFilenameDate('holiday 2018_08_21.jpg').date).toBe(localIso(2018, 8, 21));
+      expect(extractFilenameDate('20170412.jpg').date).toBe(localIso(2017, 4, 12));
+    });
+
+    test('should ignore directories in the path', () => {
+      expect(extractFilenameDate('/photos/2020-01-01/holiday.jpg')).toBeNull();
+    });
+
+    test('should reject impossible dates and unrelated numbers', () => {
+      expect(extractFilenameDate('IMG_20190231_120000.jpg')).toBeNull();
+      expect(extractFilenameDate('DSC_1234.jpg')).toBeNull();
+      expect(extractFilenameDate('IMG_123456789.jpg')).toBeNull();
+      expect(extractFilenameDate('')).toBeNull();
+    });
+
+    test('should try custom patterns before the built-in ones', () => {
+      setFilenameDatePatterns([
+        { name: 'Day first', pattern: '(?<day>\\d{2})(?<month>\\d{2})(?<year>\\d{4})' }
+      ]);
+
+      const result = extractFilenameDate('scan_04072019.jpg');
+
+      expect(result).toEqual({ date: localIso(2019, 7, 4), localDate: '2019-07-04T00:00:00', pattern: 'Day first' });
+      expect(getFilenameDatePatterns()).toEqual([
+        { name: 'Day first', pattern: '(?<day>\\d{2})(?<month>\\d{2})(?<year>\\d{4})' }
+      ]);
+    });
+  });
+
+  describe('validateFilenamePattern', () => {
+    test('should accept every built-in pattern', () => {
+      for (const { pattern } of BUILT_IN_PATTERNS) {
+        expect(validateFilenamePattern(pattern).valid).toBe(true);
+      }
+    });
+
+    test('should require year, month and day groups', () => {
+      const result = validateFilenamePattern('(?<year>\\d{4})(?<month>\\d{2})');
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('(?<day>...)');
+    });
+
+    test('should reject invalid regular expressions', () => {
+      expect(validateFilenamePattern('(?<year>\\d{4}').valid).toBe(false);
+      expect(validateFilenamePattern('').valid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import {
+  globToRegExp,
+  setIgnorePatterns,
+  getIgnorePatterns,
+  isIgnoredPath,
+  matchesIgnorePattern
+} from '../../src/services/ignoreRules.js';
+import { shouldSkipFile, shouldSkipDirectory } from '../../src/services/metadata.js';
+
+describe('Ignore Rules Service', () => {
+  afterEach(() => {
+    setIgnorePatterns([]);
+  });
+
+  describe('globToRegExp', () => {
+    test('should keep single wildcards within one path segment', () => {
+      expect(globToRegExp('/photos/*.jpg').test('/photos/a.jpg')).toBe(true);
+      expect(globToRegExp('/photos/*.jpg').test('/photos/sub/a.jpg')).toBe(false);
+      expect(globToRegExp('IMG_????.jpg').test('IMG_0001.jpg')).toBe(true);
+      expect(globToRegExp('IMG_????.jpg').test('IMG_01.jpg')).toBe(false);
+    });
+
+    test('should let double wildcards cross directories', () => {
+      expect(globToRegExp('/photos/**/*.tmp').test('/photos/a/b/c.tmp')).toBe(true);
+      expect(globToRegExp('/photos/**/*.tmp').test('/photos/c.tmp')).toBe(true);
+    });
+
+    test('should match a directory itself for dir/** patterns', () => {
+      const regex = globToRegExp('/photos/cache/**');
+      expect(regex.test('/photos/cache')).toBe(true);
+      expect(regex.test('/photos/cache/a/b.jpg')).toBe(true);
+      expect(regex.test('/photos/cached')).toBe(false);
+    });
+
+    test('should escape regular expression characters', () => {
+      expect(globToRegExp('photo (1).jpg').test('photo (1).jpg')).toBe(true);
+      expect(globToRegExp('photo (1).jpg').test('photo 1xjpg')).toBe(false);
+    });
+  });
+
+  describe('isIgnoredPath', () => {
+    test('should ignore nothing without patterns', () => {
+      expect(isIgnoredPath('/photos/a.jpg')).toBe(false);
+    });
+
+    test('should match patterns without a slash against the name', () => {
+      setIgnorePatterns(['*.tmp']);
+      expect(isIgnoredPath('/photos/deep/file.tmp')).toBe(true);
+      expect(isIgnoredPath('/photos/file.jpg')).toBe(false);
+    });
+
+    test('should match patterns with a slash against the full path', () => {
+      setIgnorePatterns(['/photos/exports/**']);
+      expect(isIgnoredPath('/photos/exports/a.jpg')).toBe(true);
+      expect(isIgnoredPath('/other/exports/a.jpg')).toBe(false);
+      expect(getIgnorePatterns()).toEqual(['/photos/exports/**']);
+    });
+
+    test('should treat backslashes as separators', () => {
+      setIgnorePatterns(['C:/Photos/cache/**']);
+      expect(isIgnoredPath('C:\\Photos\\cache\\a.jpg')).toBe(true);
+    });
+  });
+
+  describe('matchesIgnorePattern', () => {
+    test('should match files inside a matching directory', () => {
+      expect(matchesIgnorePattern('cache', '/photos/cache/a/b.jpg')).toBe(true);
+      expect(matchesIgnorePattern('cache', '/photos/cached/b.jpg')).toBe(false);
+    });
+  });
+
+  describe('scanner skip rules', () => {
+    test('should skip files and directories matching ignore patterns', () => {
+      setIgnorePatterns(['*.xmp.bak', '/photos/exports/**']);
+
+      expect(shouldSkipFile('a.xmp.bak', '/photos')).toBe(true);
+      expect(shouldSkipFile('a.jpg', '/photos')).toBe(false);
+      expect(shouldSkipDirectory('exports', '/photos')).toBe(true);
+      expect(shouldSkipDirectory('exports', '/archive')).toBe(false);
+    });
+  });
+});
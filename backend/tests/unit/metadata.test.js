@@ -5,6 +5,8 @@ import {
   getFileStats,
   getFileTypeInfo,
   extractExifDate,
+  extractExifCaptureTime,
+  parseAppleContentIdentifier,
   shouldSkipFile,
   shouldSkipDirectory,
   extractAllMetadata
@@ -129,6 +131,57 @@ describe('Metadata Service', () => {
     });
   });
 
+  describe('parseAppleContentIdentifier', () => {
+    function appleMakerNote(tag, value) {
+      const text = Buffer.from(`${value}\0`, 'latin1');
+      const note = Buffer.alloc(32 + text.length);
+      note.write('Apple iOS\0', 0, 'latin1');
+      note.writeUInt16BE(1, 10);
+      note.write('MM', 12, 'latin1');
+      note.writeUInt16BE(1, 14);
+      note.writeUInt16BE(tag, 16);
+      note.writeUInt16BE(2, 18);
+      note.writeUInt32BE(text.length, 20);
+      note.writeUInt32BE(32, 24);
+      text.copy(note, 32);
+      return new Uint8Array(note);
+    }
+
+    test('should read the Live Photo content identifier', () => {
+      const makerNote = appleMakerNote(0x0011, '5E2C4A1B-7D3F-4E8A-9B6C-1D2E3F4A5B6C');
+
+      expect(parseAppleContentIdentifier(makerNote)).toBe('5E2C4A1B-7D3F-4E8A-9B6C-1D2E3F4A5B6C');
+    });
+
+    test('should return null for other maker notes and tags', () => {
+      expect(parseAppleContentIdentifier(appleMakerNote(0x0008, 'something else'))).toBeNull();
+      expect(parseAppleContentIdentifier(new Uint8Array(Buffer.from('Nikon\0\x02\x10\0\0MM\0*\0\0\0\x08', 'latin1')))).toBeNull();
+    });
+  });
+
+  describe('extractExifCaptureTime', () => {
+    test('should pair DateTimeOriginal with OffsetTimeOriginal', () => {
+      const exifData = {
+        DateTimeOriginal: new Date(2023, 6, 15, 23, 30, 0),
+        OffsetTimeOriginal: '+09:00',
+        ModifyDate: new Date(2024, 0, 1, 12, 0, 0),
+        OffsetTime: '+01:00'
+      };
+
+      expect(extractExifCaptureTime(exifData)).toEqual({ localDate: '2023-07-15T23:30:00', offset: '+09:00' });
+    });
+
+    test('should read string dates without an offset', () => {
+      expect(extractExifCaptureTime({ CreateDate: '2023:07:15 10:30:00' }))
+        .toEqual({ localDate: '2023-07-15T10:30:00', offset: null });
+    });
+
+    test('should return null without EXIF dates', () => {
+      expect(extractExifCaptureTime(null)).toBeNull();
+      expect(extractExifCaptureTime({ OffsetTime: '+02:00' })).toBeNull();
+    });
+  });
+
   describe('shouldSkipFile', () => {
     test('should skip hidden files', () => {
       expect(shouldSkipFile('.hidden', '/path')).toBe(true);
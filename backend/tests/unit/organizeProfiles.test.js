@@ -0,0 +1,96 @@
+import { selectRule, validateProfile, resolveDestination } from '../../src/services/organizeProfiles.js';
+
+function file(filename, { size = 1000, category = 'image', exif = null, video = null, dateSource = 'exif' } = {}) {
+  return {
+    id: 1,
+    filename,
+    extension: filename.slice(filename.lastIndexOf('.')),
+    size,
+    date_source: dateSource,
+    resolved_date: '2022-08-15T10:00:00.000Z',
+    local_date: '2022-08-15T12:00:00',
+    metadata_json: JSON.stringify({ category, exif, video })
+  };
+}
+
+const rules = [
+  { name: 'Screenshots', match: { filename: ['Screenshot*', 'Screen Shot*'] }, template: 'Screenshots/{year}' },
+  { name: 'Large videos', match: { category: 'video', minSize: '1GB' }, template: 'Videos/Large/{year}' },
+  { name: 'Documents', match: { category: 'document' }, template: 'Documents/{extension}' },
+  { name: 'Drone', match: { make: 'DJI' }, template: 'Drone/{year}-{month}' }
+];
+
+const ruleName = (f) => selectRule(f, rules)?.rule.name || null;
+
+describe('Organize Profiles Service', () => {
+  describe('selectRule', () => {
+    test('should pick the first rule whose conditions all hold', () => {
+      expect(ruleName(file('screen shot 2022-08-15.png'))).toBe('Screenshots');
+      expect(ruleName(file('DJI_0001.JPG', { exif: { Make: 'dji' } }))).toBe('Drone');
+      expect(ruleName(file('DJI_0002.MP4', { category: 'video', video: { make: 'DJI' }, size: 2 * 1024 ** 3 })))
+        .toBe('Large videos');
+      expect(ruleName(file('tax.pdf', { category: 'document' }))).toBe('Documents');
+    });
+
+    test('should compare sizes against units', () => {
+      expect(ruleName(file('clip.mp4', { category: 'video', size: 1024 ** 3 - 1 }))).toBeNull();
+      expect(ruleName(file('clip.mp4', { category: 'video', size: 1024 ** 3 }))).toBe('Large videos');
+    });
+
+    test('should match a rule without conditions to every file', () => {
+      expect(selectRule(file('any.jpg'), [{ name: 'All', template: '{year}' }])).toEqual({
+        rule: { name: 'All', template: '{year}' },
+        index: 0
+      });
+    });
+  });
+
+  describe('resolveDestination', () => {
+    const profile = { name: 'Default', template: 'Other/{year}', rules };
+
+    test('should render the template of the matched rule', () => {
+      expect(resolveDestination('/dest', file('DJI_0001.JPG', { exif: { Make: 'DJI' } }), { profile })).toEqual({
+        destinationPath: '/dest/Drone/2022-08/DJI_0001.JPG',
+        rule: 'Drone'
+      });
+    });
+
+    test('should fall back to the profile template, then the run template', () => {
+      expect(resolveDestination('/dest', file('beach.jpg'), { profile, template: '{year}/{month}' })).toEqual({
+        destinationPath: '/dest/Other/2022/beach.jpg',
+        rule: null
+      });
+      expect(resolveDestination('/dest', file('beach.jpg'), {
+        profile: { ...profile, template: null },
+        template: '{year}/{month}'
+      }).destinationPath).toBe('/dest/2022/08/beach.jpg');
+    });
+  });
+
+  describe('validateProfile', () => {
+    test('should accept a valid profile', () => {
+      expect(validateProfile({ name: 'Default', template: null, rules })).toEqual({ valid: true, errors: [] });
+    });
+
+    test('should report every problem', () => {
+      const validation = validateProfile({
+        name: ' ',
+        rules: [
+          { name: 'Sizes', match: { minSize: 'huge', extension: [] }, template: 'Big/{year}' },
+          { match: { lens: 'wide' }, template: '/absolute' }
+        ]
+      });
+
+      expect(validation.valid).toBe(false);
+      expect(validation.errors).toEqual([
+        'Profile name is required',
+        'Rule 1: minSize must be a size such as 1073741824 or "1GB"',
+        'Rule 1: extension must be a non-empty string or a list of them',
+        'Rule 2: name is required',
+        'Rule 2: Template must be relative to the destination folder',
+        'Rule 2: Template contains an empty path segment',
+        'Rule 2: unknown condition "lens"'
+      ]);
+    });
+  });
+});
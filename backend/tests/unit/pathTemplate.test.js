@@ -0,0 +1,127 @@
+import {
+  validateTemplate,
+  renderTemplate,
+  renderDestinationPath,
+  getTemplateTokens
+} from '../../src/services/pathTemplate.js';
+
+function makeFile(overrides = {}) {
+  return {
+    id: 1,
+    filename: 'IMG_0001.JPG',
+    extension: '.jpg',
+    // Use noon UTC to avoid timezone day boundary issues
+    resolved_date: '2023-07-15T12:00:00.000Z',
+    date_source: 'exif',
+    hash_sha256: 'abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789',
+    metadata_json: JSON.stringify({
+      category: 'image',
+      exif: { Make: 'Canon', Model: 'Canon EOS R5' }
+    }),
+    ...overrides
+  };
+}
+
+describe('PathTemplate Service', () => {
+  describe('validateTemplate', () => {
+    test('should accept templates using known tokens', () => {
+      expect(validateTemplate('{year}/{month}/{day}/{filename}').valid).toBe(true);
+      expect(validateTemplate('{year}/{year}-{month} {monthName}/{camera}/{filename}').valid).toBe(true);
+      expect(validateTemplate('{category}/{year}/Q{quarter}').valid).toBe(true);
+      expect(validateTemplate('{year}/W{week}/{basename}_{hash:12}.{extension}').valid).toBe(true);
+    });
+
+    test('should reject empty templates', () => {
+      expect(validateTemplate('').valid).toBe(false);
+      expect(validateTemplate(null).valid).toBe(false);
+    });
+
+    test('should reject unknown tokens', () => {
+      const result = validateTemplate('{year}/{colour}');
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Unknown token {colour}');
+    });
+
+    test('should reject unbalanced braces', () => {
+      expect(validateTemplate('{year/{month}').valid).toBe(false);
+      expect(validateTemplate('{year}}/{month}').valid).toBe(false);
+    });
+
+    test('should reject absolute paths and parent segments', () => {
+      expect(validateTemplate('/{year}').valid).toBe(false);
+      expect(validateTemplate('{year}/../{month}').valid).toBe(false);
+      expect(validateTemplate('{year}//{month}').valid).toBe(false);
+    });
+
+    test('should reject filename tokens outside the last segment', () => {
+      expect(validateTemplate('{filename}/{year}').valid).toBe(false);
+    });
+
+    test('should validate hash length argument', () => {
+      expect(validateTemplate('{hash:abc}').valid).toBe(false);
+      expect(validateTemplate('{hash:0}').valid).toBe(false);
+      expect(validateTemplate('{year:2}').valid).toBe(false);
+    });
+  });
+
+  describe('renderTemplate', () => {
+    test('should render date tokens', () => {
+      const result = renderTemplate('{year}/{year}-{month} {monthName}/{filename}', makeFile());
+      expect(result).toBe('2023/2023-07 July/IMG_0001.JPG');
+    });
+
+    test('should render quarter and ISO week', () => {
+      expect(renderTemplate('Q{quarter}/W{week}', makeFile())).toBe('Q3/W28/IMG_0001.JPG');
+      // 2021-01-02 belongs to ISO week 53 of 2020
+      const file = makeFile({ resolved_date: '2021-01-02T12:00:00.000Z' });
+      expect(renderTemplate('W{week}', file)).toBe('W53/IMG_0001.JPG');
+    });
+
+    test('should not repeat the make in the camera token', () => {
+      expect(renderTemplate('{camera}', makeFile())).toBe('Canon EOS R5/IMG_0001.JPG');
+
+      const file = makeFile({ metadata_json: JSON.stringify({ exif: { Make: 'NIKON', Model: 'D750' } }) });
+      expect(renderTemplate('{camera}', file)).toBe('NIKON D750/IMG_0001.JPG');
+    });
+
+    test('should use the video camera when EXIF is missing', () => {
+      const file = makeFile({
+        metadata_json: JSON.stringify({ category: 'video', exif: null, video: { make: 'Apple', model: 'iPhone 14 Pro' } })
+      });
+      expect(renderTemplate('{camera}/{make}', file)).toBe('Apple iPhone 14 Pro/Apple/IMG_0001.JPG');
+    });
+
+    test('should fall back when EXIF is missing', () => {
+      const file = makeFile({ metadata_json: null });
+      expect(renderTemplate('{camera}/{make}/{category}', file)).toBe('Unknown Camera/Unknown/other/IMG_0001.JPG');
+    });
+
+    test('should render extension, date source and hash prefix', () => {
+      expect(renderTemplate('{extension}/{dateSource}/{hash}', makeFile())).toBe('jpg/exif/abcdef01/IMG_0001.JPG');
+      expect(renderTemplate('{basename}-{hash:4}.{extension}', makeFile())).toBe('IMG_0001-abcd.jpg');
+    });
+
+    test('should sanitize values that contain path separators', () => {
+      const file = makeFile({ metadata_json: JSON.stringify({ exif: { Make: 'AC/DC', Model: 'X:1' } }) });
+      expect(renderTemplate('{camera}', file)).toBe('AC_DC X_1/IMG_0001.JPG');
+    });
+  });
+
+  describe('renderDestinationPath', () => {
+    test('should use the default YYYY/MM/DD layout without a template', () => {
+      expect(renderDestinationPath('/dest', null, makeFile())).toBe('/dest/2023/07/15/IMG_0001.JPG');
+    });
+
+    test('should join the rendered template to the destination', () => {
+      expect(renderDestinationPath('/dest', '{category}/{year}', makeFile())).toBe('/dest/image/2023/IMG_0001.JPG');
+    });
+  });
+
+  describe('getTemplateTokens', () => {
+    test('should describe every token', () => {
+      const tokens = getTemplateTokens();
+      expect(tokens.map(t => t.token)).toContain('{monthName}');
+      expect(tokens.every(t => t.description)).toBe(true);
+    });
+  });
+});
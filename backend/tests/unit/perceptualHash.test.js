@@ -0,0 +1,113 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+import { calculatePerceptualHash, hammingDistance, getHashBands, similarityScore } from '../../src/services/perceptualHash.js';
+
+/**
+ * Build a raw RGB image from a per-pixel brightness function
+ */
+function createImage(width, height, brightness) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels.fill(brightness(x / width, y / height), (y * width + x) * 3, (y * width + x + 1) * 3);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } });
+}
+
+describe('Perceptual Hash Service', () => {
+  let tempDir;
+  let originalFile;
+  let resavedFile;
+  let differentFile;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'phash-test-'));
+
+    // Diagonal waves so the difference hash has structure to capture
+    const waves = (x, y) => Math.round(127 + 120 * Math.sin(x * 9 + y * 4));
+    originalFile = path.join(tempDir, 'original.png');
+    await createImage(640, 480, waves).png().toFile(originalFile);
+
+    // A smaller, heavily recompressed copy, as a messenger app would save it
+    resavedFile = path.join(tempDir, 'resaved.jpg');
+    await sharp(originalFile).resize(320, 240).jpeg({ quality: 40 }).toFile(resavedFile);
+
+    differentFile = path.join(tempDir, 'different.png');
+    await createImage(640, 480, (x, y) => Math.round(255 * (1 - y) * Math.abs(Math.cos(x * 20)))).png().toFile(differentFile);
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('calculatePerceptualHash', () => {
+    test('should return a 16-character hex string', async () => {
+      const hash = await calculatePerceptualHash(originalFile);
+      expect(hash).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    test('should be stable for the same file', async () => {
+      const hash1 = await calculatePerceptualHash(originalFile);
+      const hash2 = await calculatePerceptualHash(originalFile);
+      expect(hash1).toBe(hash2);
+    });
+
+    test('should stay close for resized and recompressed copies', async () => {
+      const original = await calculatePerceptualHash(originalFile);
+      const resaved = await calculatePerceptualHash(resavedFile);
+      expect(hammingDistance(original, resaved)).toBeLessThanOrEqual(4);
+    });
+
+    test('should differ for unrelated images', async () => {
+      const original = await calculatePerceptualHash(originalFile);
+      const different = await calculatePerceptualHash(differentFile);
+      expect(hammingDistance(original, different)).toBeGreaterThan(16);
+    });
+
+    test('should reject files that are not images', async () => {
+      const textFile = path.join(tempDir, 'notes.txt');
+      await fs.writeFile(textFile, 'not an image');
+      await expect(calculatePerceptualHash(textFile)).rejects.toThrow();
+    });
+  });
+
+  describe('hammingDistance', () => {
+    test('should return 0 for identical hashes', () => {
+      expect(hammingDistance('0123456789abcdef', '0123456789abcdef')).toBe(0);
+    });
+
+    test('should count differing bits in both halves', () => {
+      expect(hammingDistance('8000000000000001', '0000000000000000')).toBe(2);
+      expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+    });
+  });
+
+  describe('getHashBands', () => {
+    test('should split the hash into the requested number of bands', () => {
+      expect(getHashBands('ffffffffffffffff', 1)).toEqual(['0:ffffffffffffffff']);
+      expect(getHashBands('0123456789abcdef', 4)).toEqual(['0:cdef', '1:89ab', '2:4567', '3:123']);
+      expect(getHashBands('0123456789abcdef', 11)).toHaveLength(11);
+    });
+
+    test('should share a band between hashes within count - 1 bits', () => {
+      // 10 bits apart, spread over the whole hash
+      const hash1 = '0000000000000000';
+      const hash2 = '8421084210840000';
+      expect(hammingDistance(hash1, hash2)).toBe(10);
+
+      const bands1 = getHashBands(hash1, 11);
+      expect(getHashBands(hash2, 11).some(band => bands1.includes(band))).toBe(true);
+    });
+  });
+
+  describe('similarityScore', () => {
+    test('should map distance to a 0-1 score', () => {
+      expect(similarityScore(0)).toBe(1);
+      expect(similarityScore(64)).toBe(0);
+      expect(similarityScore(8)).toBe(0.875);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+import config from '../../src/config.js';
+import {
+  getThumbnailSizes,
+  getThumbnailPath,
+  getThumbnail,
+  enforceCacheLimits
+} from '../../src/services/thumbnailer.js';
+
+describe('Thumbnail Service', () => {
+  let tempDir;
+  let originalCachePath;
+  let originalMaxBytes;
+  let landscapeFile;
+  let rotatedFile;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'thumbnailer-test-'));
+    originalCachePath = config.thumbnailCachePath;
+    originalMaxBytes = config.thumbnailCacheMaxBytes;
+    config.thumbnailCachePath = path.join(tempDir, 'cache');
+
+    const landscape = sharp({
+      create: { width: 800, height: 400, channels: 3, background: { r: 200, g: 50, b: 50 } }
+    });
+
+    landscapeFile = path.join(tempDir, 'landscape.jpg');
+    await landscape.clone().jpeg().toFile(landscapeFile);
+
+    // Same pixels, but EXIF says the camera was rotated 90 degrees
+    rotatedFile = path.join(tempDir, 'rotated.jpg');
+    await landscape.clone().jpeg().withMetadata({ orientation: 6 }).toFile(rotatedFile);
+  });
+
+  afterAll(async () => {
+    config.thumbnailCachePath = originalCachePath;
+    config.thumbnailCacheMaxBytes = originalMaxBytes;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const fileRecord = (filePath, hash) => ({
+    original_path: filePath,
+    current_path: filePath,
+    hash_sha256: hash
+  });
+
+  describe('getThumbnailSizes', () => {
+    test('should list small, medium and large', () => {
+      expect(getThumbnailSizes()).toEqual(['small', 'medium', 'large']);
+    });
+  });
+
+  describe('getThumbnailPath', () => {
+    test('should key cache entries by hash and size', () => {
+      const thumbnailPath = getThumbnailPath('abcdef', 'small');
+      expect(thumbnailPath).toBe(path.join(config.thumbnailCachePath, 'ab', 'abcdef-small.jpg'));
+    });
+  });
+
+  describe('getThumbnail', () => {
+    test('should generate a thumbnail within the size limit', async () => {
+      const thumbnailPath = await getThumbnail(fileRecord(landscapeFile, 'a1'.repeat(32)), 'small');
+      const { width, height, format } = await sharp(thumbnailPath).metadata();
+
+      expect(format).toBe('jpeg');
+      expect(width).toBe(config.thumbnailSizes.small);
+      expect(height).toBe(config.thumbnailSizes.small / 2);
+    });
+
+    test('should not enlarge images smaller than the requested size', async () => {
+      const thumbnailPath = await getThumbnail(fileRecord(landscapeFile, 'a1'.repeat(32)), 'large');
+      const { width } = await sharp(thumbnailPath).metadata();
+
+      expect(width).toBe(800);
+    });
+
+    test('should apply EXIF orientation', async () => {
+      const thumbnailPath = await getThumbnail(fileRecord(rotatedFile, 'b2'.repeat(32)), 'small');
+      const { width, height } = await sharp(thumbnailPath).metadata();
+
+      expect(height).toBeGreaterThan(width);
+    });
+
+    test('should serve cached thumbnails without regenerating', async () => {
+      const file = fileRecord(landscapeFile, 'c3'.repeat(32));
+      const first = await getThumbnail(file, 'medium');
+      const { mtimeMs } = await fs.stat(first);
+
+      // A missing source proves the cache is used
+      const second = await getThumbnail({ ...file, current_path: path.join(tempDir, 'gone.jpg') }, 'medium');
+
+      expect(second).toBe(first);
+      expect((await fs.stat(second)).mtimeMs).toBeGreaterThanOrEqual(mtimeMs);
+    });
+
+    test('should reject unknown sizes', async () => {
+      await expect(getThumbnail(fileRecord(landscapeFile, 'd4'.repeat(32)), 'huge'))
+        .rejects.toThrow('Unknown thumbnail size');
+    });
+
+    test('should reject files without a hash', async () => {
+      await expect(getThumbnail(fileRecord(landscapeFile, null), 'small'))
+        .rejects.toThrow('not been hashed');
+    });
+
+    test('should fail for RAW files without an embedded preview', async () => {
+      const rawFile = path.join(tempDir, 'empty.cr2');
+      await fs.writeFile(rawFile, 'not really a raw file');
+
+      await expect(getThumbnail(fileRecord(rawFile, 'e5'.repeat(32)), 'small'))
+        .rejects.toThrow('No embedded preview');
+    });
+  });
+
+  describe('enforceCacheLimits', () => {
+    test('should evict least recently used thumbnails over the size limit', async () => {
+      const older = await getThumbnail(fileRecord(landscapeFile, 'f6'.repeat(32)), 'small');
+      const newer = await getThumbnail(fileRecord(landscapeFile, 'f7'.repeat(32)), 'small');
+      const past = new Date(Date.now() - 60 * 1000);
+      await fs.utimes(older, past, past);
+
+      config.thumbnailCacheMaxBytes = (await fs.stat(newer)).size;
+      await enforceCacheLimits();
+      config.thumbnailCacheMaxBytes = originalMaxBytes;
+
+      await expect(fs.access(older)).rejects.toThrow();
+      await expect(fs.access(newer)).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import { parseShiftOffset, formatShiftOffset } from '../../src/services/timeShift.js';
+
+describe('TimeShift Service', () => {
+  describe('parseShiftOffset', () => {
+    test('should accept seconds', () => {
+      expect(parseShiftOffset(-3600)).toBe(-3600);
+    });
+
+    test('should add up units, which may be negative', () => {
+      expect(parseShiftOffset({ days: 3, hours: 1 })).toBe(262800);
+      expect(parseShiftOffset({ days: -3, hours: -1 })).toBe(-262800);
+      expect(parseShiftOffset({ hours: 1, minutes: -30 })).toBe(1800);
+    });
+
+    test('should reject missing, zero and malformed offsets', () => {
+      expect(() => parseShiftOffset(undefined)).toThrow('offset is required');
+      expect(() => parseShiftOffset({ hours: 0 })).toThrow('must not be zero');
+      expect(() => parseShiftOffset({ weeks: 1 })).toThrow('Unknown offset units: weeks');
+      expect(() => parseShiftOffset({ hours: 'soon' })).toThrow('whole number');
+      expect(() => parseShiftOffset(1.5)).toThrow('whole number');
+    });
+
+    test('should mark errors as bad requests', () => {
+      try {
+        parseShiftOffset(null);
+      } catch (error) {
+        expect(error.status).toBe(400);
+      }
+      expect.assertions(1);
+    });
+  });
+
+  describe('formatShiftOffset', () => {
+    test('should describe offsets by unit', () => {
+      expect(formatShiftOffset(262800)).toBe('+3d 1h');
+      expect(formatShiftOffset(-1800)).toBe('-30m');
+      expect(formatShiftOffset(90061)).toBe('+1d 1h 1m 1s');
+    });
+  });
+});
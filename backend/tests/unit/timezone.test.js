@@ -0,0 +1,95 @@
+import {
+  parseUtcOffset,
+  formatUtcOffset,
+  isValidTimezone,
+  getZoneOffset,
+  timezoneFromCoordinates,
+  formatLocalDate,
+  localToUtc
+} from '../../src/services/timezone.js';
+
+describe('Timezone Service', () => {
+  describe('parseUtcOffset', () => {
+    test('should parse EXIF and ISO offsets', () => {
+      expect(parseUtcOffset('+09:00')).toBe(540);
+      expect(parseUtcOffset('-0330')).toBe(-210);
+      expect(parseUtcOffset('+05')).toBe(300);
+      expect(parseUtcOffset('Z')).toBe(0);
+    });
+
+    test('should reject malformed offsets', () => {
+      expect(parseUtcOffset('Europe/Berlin')).toBeNull();
+      expect(parseUtcOffset('+15:00')).toBeNull();
+      expect(parseUtcOffset(null)).toBeNull();
+    });
+  });
+
+  describe('formatUtcOffset', () => {
+    test('should format minutes as an offset', () => {
+      expect(formatUtcOffset(540)).toBe('+09:00');
+      expect(formatUtcOffset(-210)).toBe('-03:30');
+      expect(formatUtcOffset(0)).toBe('+00:00');
+    });
+  });
+
+  describe('isValidTimezone', () => {
+    test('should accept IANA names and offsets', () => {
+      expect(isValidTimezone('Europe/Berlin')).toBe(true);
+      expect(isValidTimezone('+02:00')).toBe(true);
+    });
+
+    test('should reject unknown names', () => {
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+    });
+  });
+
+  describe('getZoneOffset', () => {
+    test('should follow daylight saving time', () => {
+      expect(getZoneOffset('Europe/Berlin', new Date('2023-01-15T12:00:00Z'))).toBe(60);
+      expect(getZoneOffset('Europe/Berlin', new Date('2023-07-15T12:00:00Z'))).toBe(120);
+      expect(getZoneOffset('-04:00', new Date('2023-07-15T12:00:00Z'))).toBe(-240);
+    });
+  });
+
+  describe('timezoneFromCoordinates', () => {
+    test('should find the timezone of major cities', () => {
+      expect(timezoneFromCoordinates(51.5074, -0.1278)).toBe('Europe/London');
+      expect(timezoneFromCoordinates(35.6762, 139.6503)).toBe('Asia/Tokyo');
+      expect(timezoneFromCoordinates(34.0522, -118.2437)).toBe('America/Los_Angeles');
+      expect(timezoneFromCoordinates(-33.8688, 151.2093)).toBe('Australia/Sydney');
+    });
+
+    test('should fall back to nautical zones at sea', () => {
+      expect(timezoneFromCoordinates(0, -150)).toBe('Etc/GMT+10');
+    });
+
+    test('should reject invalid coordinates', () => {
+      expect(timezoneFromCoordinates(95, 0)).toBeNull();
+      expect(timezoneFromCoordinates(null, 10)).toBeNull();
+    });
+  });
+
+  describe('localToUtc', () => {
+    test('should convert a capture-local time in a timezone', () => {
+      expect(localToUtc('2023-07-15T23:30:00', 'Europe/Berlin').toISOString()).toBe('2023-07-15T21:30:00.000Z');
+      expect(localToUtc('2023-01-15T23:30:00', 'Europe/Berlin').toISOString()).toBe('2023-01-15T22:30:00.000Z');
+      expect(localToUtc('2023-07-15T23:30:00', '+09:00').toISOString()).toBe('2023-07-15T14:30:00.000Z');
+    });
+
+    test('should settle times just after a DST change', () => {
+      expect(localToUtc('2023-03-26T03:30:00', 'Europe/Berlin').toISOString()).toBe('2023-03-26T01:30:00.000Z');
+    });
+
+    test('should reject malformed local times', () => {
+      expect(localToUtc('2023-07-15', 'Europe/Berlin')).toBeNull();
+    });
+  });
+
+  describe('formatLocalDate', () => {
+    test('should give the wall-clock time in an offset', () => {
+      expect(formatLocalDate(new Date('2023-07-15T21:30:00Z'), 120)).toBe('2023-07-15T23:30:00');
+      expect(formatLocalDate(new Date('2023-07-15T23:30:00Z'), 120)).toBe('2023-07-16T01:30:00');
+    });
+  });
+});
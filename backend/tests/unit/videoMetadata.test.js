@@ -0,0 +1,224 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+  extractVideoMetadata,
+  parseVideoDate,
+  parseIso6709
+} from '../../src/services/videoMetadata.js';
+
+// Seconds from 1904-01-01 (QuickTime epoch) to 1970-01-01
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+
+function box(type, ...payloads) {
+  const body = Buffer.concat(payloads);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function mvhd(createdMs, timescale, duration) {
+  const body = Buffer.alloc(100);
+  body.writeUInt32BE(createdMs / 1000 + QUICKTIME_EPOCH_OFFSET, 4);
+  body.writeUInt32BE(createdMs / 1000 + QUICKTIME_EPOCH_OFFSET, 8);
+  body.writeUInt32BE(timescale, 12);
+  body.writeUInt32BE(duration, 16);
+  return box('mvhd', body);
+}
+
+function userDataText(type, text) {
+  const value = Buffer.from(text, 'utf8');
+  const prefix = Buffer.alloc(4);
+  prefix.writeUInt16BE(value.length, 0);
+  return box(type, prefix, value);
+}
+
+function quickTimeMeta(entries) {
+  const names = Object.keys(entries);
+  const count = Buffer.alloc(8);
+  count.writeUInt32BE(names.length, 4);
+  const keys = box('keys', count, ...names.map(name => box('mdta', Buffer.from(name, 'utf8'))));
+
+  const items = names.map((name, index) => {
+    const dataHeader = Buffer.alloc(8);
+    dataHeader.writeUInt32BE(1, 0);
+    const data = box('data', dataHeader, Buffer.from(entries[name], 'utf8'));
+    const item = box('xxxx', data);
+    item.writeUInt32BE(index + 1, 4);
+    return item;
+  });
+
+  return box('meta', box('hdlr', Buffer.alloc(25)), keys, box('ilst', ...items));
+}
+
+function riffChunk(id, body) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'latin1');
+  header.writeUInt32LE(body.length, 4);
+  const padding = body.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0);
+  return Buffer.concat([header, body, padding]);
+}
+
+function riffList(type, ...chunks) {
+  return riffChunk('LIST', Buffer.concat([Buffer.from(type, 'latin1'), ...chunks]));
+}
+
+function ebml(idBytes, body) {
+  // 8-byte size: marker 0x01 followed by 7 bytes of length
+  const size = Buffer.alloc(8);
+  size[0] = 0x01;
+  size.writeUIntBE(body.length, 2, 6);
+  return Buffer.concat([Buffer.from(idBytes), size, body]);
+}
+
+describe('VideoMetadata Service', () => {
+  let tempDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'video-metadata-test-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  async function writeVideo(name, buffer) {
+    const filePath = path.join(tempDir, name);
+    await fs.writeFile(filePath, buffer);
+    return filePath;
+  }
+
+  describe('extractVideoMetadata', () => {
+    test('should read mvhd duration and QuickTime keys from an MP4', async () => {
+      const filePath = await writeVideo('clip.mov', Buffer.concat([
+        box('ftyp', Buffer.from('qt  \0\0\0\0qt  ', 'latin1')),
+        box('mdat', Buffer.alloc(64)),
+        box('moov',
+          mvhd(Date.UTC(2023, 0, 2, 3, 4, 5), 600, 6300),
+          quickTimeMeta({
+            'com.apple.quicktime.creationdate': '2023-06-01T12:34:56+0200',
+            'com.apple.quicktime.location.ISO6709': '+37.7749-122.4194+010.500/',
+            'com.apple.quicktime.make': 'Apple',
+            'com.apple.quicktime.model': 'iPhone 14 Pro',
+            'com.apple.quicktime.content.identifier': '5E2C4A1B-7D3F-4E8A-9B6C-1D2E3F4A5B6C'
+          })
+        )
+      ]));
+
+      const result = await extractVideoMetadata(filePath);
+
+      expect(result).toEqual({
+        container: 'iso-bmff',
+        creationDate: '2023-06-01T10:34:56.000Z',
+        utcOffset: '+02:00',
+        durationSeconds: 10.5,
+        location: { latitude: 37.7749, longitude: -122.4194, altitude: 10.5 },
+        make: 'Apple',
+        model: 'iPhone 14 Pro',
+        contentIdentifier: '5E2C4A1B-7D3F-4E8A-9B6C-1D2E3F4A5B6C'
+      });
+    });
+
+    test('should fall back to mvhd creation time and read udta location', async () => {
+      const filePath = await writeVideo('clip.mp4', Buffer.concat([
+        box('ftyp', Buffer.from('isom\0\0\0\0isom', 'latin1')),
+        box('moov',
+          mvhd(Date.UTC(2021, 7, 9, 14, 0, 0), 1000, 2500),
+          box('udta', userDataText('©xyz', '+48.8584+002.2945/'))
+        )
+      ]));
+
+      const result = await extractVideoMetadata(filePath);
+
+      expect(result.creationDate).toBe('2021-08-09T14:00:00.000Z');
+      expect(result.utcOffset).toBeNull();
+      expect(result.durationSeconds).toBe(2.5);
+      expect(result.location).toEqual({ latitude: 48.8584, longitude: 2.2945, altitude: null });
+    });
+
+    test('should read AVI duration and IDIT date', async () => {
+      const avih = Buffer.alloc(56);
+      avih.writeUInt32LE(40000, 0); // 25 fps
+      avih.writeUInt32LE(250, 16);
+
+      const filePath = await writeVideo('clip.avi', (() => {
+        const body = Buffer.concat([
+          Buffer.from('AVI ', 'latin1'),
+          riffList('hdrl', riffChunk('avih', avih), riffChunk('IDIT', Buffer.from('SAT MAR 12 10:00:00 2005\n\0'))),
+          riffList('movi', riffChunk('00dc', Buffer.alloc(33)))
+        ]);
+        return riffChunk('RIFF', body);
+      })());
+
+      const result = await extractVideoMetadata(filePath);
+
+      expect(result.container).toBe('avi');
+      expect(result.durationSeconds).toBe(10);
+      expect(result.creationDate).toBe(new Date(2005, 2, 12, 10, 0, 0).toISOString());
+    });
+
+    test('should read MKV DateUTC and duration', async () => {
+      const dateUtc = Buffer.alloc(8);
+      dateUtc.writeBigInt64BE(BigInt(Date.UTC(2020, 4, 17, 8, 30, 0) - Date.UTC(2001, 0, 1)) * 1000000n);
+      const duration = Buffer.alloc(8);
+      duration.writeDoubleBE(12345);
+
+      const filePath = await writeVideo('clip.mkv', Buffer.concat([
+        ebml([0x1A, 0x45, 0xDF, 0xA3], ebml([0x42, 0x82], Buffer.from('matroska'))),
+        ebml([0x18, 0x53, 0x80, 0x67], Buffer.concat([
+          ebml([0x15, 0x49, 0xA9, 0x66], Buffer.concat([
+            ebml([0x2A, 0xD7, 0xB1], Buffer.from([0x0F, 0x42, 0x40])),
+            ebml([0x44, 0x89], duration),
+            ebml([0x44, 0x61], dateUtc)
+          ])),
+          ebml([0x1F, 0x43, 0xB6, 0x75], Buffer.alloc(16))
+        ]))
+      ]));
+
+      const result = await extractVideoMetadata(filePath);
+
+      expect(result.container).toBe('matroska');
+      expect(result.creationDate).toBe('2020-05-17T08:30:00.000Z');
+      expect(result.durationSeconds).toBe(12.345);
+    });
+
+    test('should return null for unrecognised or truncated files', async () => {
+      const text = await writeVideo('fake.mp4', 'not a video');
+      const truncated = await writeVideo('truncated.mp4', box('ftyp', Buffer.from('isom')).subarray(0, 6));
+
+      expect(await extractVideoMetadata(text)).toBeNull();
+      expect(await extractVideoMetadata(truncated)).toBeNull();
+      expect(await extractVideoMetadata(path.join(tempDir, 'missing.mp4'))).toBeNull();
+    });
+  });
+
+  describe('parseVideoDate', () => {
+    test('should honour explicit offsets', () => {
+      expect(parseVideoDate('2023-06-01T12:34:56+0200')).toBe('2023-06-01T10:34:56.000Z');
+      expect(parseVideoDate('2023-06-01T12:34:56Z')).toBe('2023-06-01T12:34:56.000Z');
+    });
+
+    test('should treat dates without an offset as local time', () => {
+      expect(parseVideoDate('2005:03:12 10:00:00')).toBe(new Date(2005, 2, 12, 10, 0, 0).toISOString());
+      expect(parseVideoDate('2005-03-12')).toBe(new Date(2005, 2, 12).toISOString());
+    });
+
+    test('should reject unparseable values', () => {
+      expect(parseVideoDate('2005')).toBeNull();
+      expect(parseVideoDate('yesterday')).toBeNull();
+      expect(parseVideoDate(null)).toBeNull();
+    });
+  });
+
+  describe('parseIso6709', () => {
+    test('should parse latitude, longitude and altitude', () => {
+      expect(parseIso6709('-33.8688+151.2093+050.000/')).toEqual({ latitude: -33.8688, longitude: 151.2093, altitude: 50 });
+    });
+
+    test('should reject malformed or out-of-range values', () => {
+      expect(parseIso6709('north')).toBeNull();
+      expect(parseIso6709('+95.0000+010.0000/')).toBeNull();
+    });
+  });
+});
@@ -3,9 +3,16 @@ import { AppProvider } from './contexts/AppContext';
 import Layout from './components/Layout/Layout';
 import FolderSelector from './components/FolderSelector/FolderSelector';
 import FileList from './components/FileList/FileList';
+import DuplicateGroups from './components/DuplicateGroups/DuplicateGroups';
 import SearchBar from './components/SearchBar/SearchBar';
 import FilterPanel from './components/FilterPanel/FilterPanel';
 import OperationHistory from './components/OperationHistory/OperationHistory';
+import ErrorList from './components/ErrorList/ErrorList';
+import JobQueue from './components/JobQueue/JobQueue';
+import TimeShift from './components/TimeShift/TimeShift';
+import Trash from './components/Trash/Trash';
+import Settings from './components/Settings/Settings';
+import OrganizeProfiles from './components/OrganizeProfiles/OrganizeProfiles';
 import ProgressIndicator from './components/ProgressIndicator/ProgressIndicator';
 
 function App() {
@@ -80,6 +87,46 @@ function App() {
                 >
                   Errors
                 </button>
+                <button
+                  onClick={() => setActiveTab('jobs')}
+                  className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                    activeTab === 'jobs'
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  Jobs
+                </button>
+                <button
+                  onClick={() => setActiveTab('timeshift')}
+                  className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                    activeTab === 'timeshift'
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  Time Shift
+                </button>
+                <button
+                  onClick={() => setActiveTab('trash')}
+                  className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                    activeTab === 'trash'
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  Trash
+                </button>
+                <button
+                  onClick={() => setActiveTab('settings')}
+                  className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                    activeTab === 'settings'
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  Settings
+                </button>
               </nav>
             </div>
 
@@ -103,12 +150,7 @@ function App() {
 
               {activeTab === 'duplicates' && (
                 <div className="p-6">
-                  <h2 className="text-lg font-medium text-gray-900 mb-4">
-                    Duplicate Files
-                  </h2>
-                  <p className="text-gray-500">
-                    Files with identical content will be shown here after scanning.
-                  </p>
+                  <DuplicateGroups />
                 </div>
               )}
 
@@ -120,12 +162,34 @@ function App() {
 
               {activeTab === 'errors' && (
                 <div className="p-6">
-                  <h2 className="text-lg font-medium text-gray-900 mb-4">
-                    Errors
-                  </h2>
-                  <p className="text-gray-500">
-                    Files that could not be processed will be shown here.
-                  </p>
+                  <ErrorList />
+                </div>
+              )}
+
+              {activeTab === 'jobs' && (
+                <div className="p-6">
+                  <JobQueue />
+                </div>
+              )}
+
+              {activeTab === 'timeshift' && (
+                <div className="p-6">
+                  <TimeShift />
+                </div>
+              )}
+
+              {activeTab === 'trash' && (
+                <div className="p-6">
+                  <Trash />
+                </div>
+              )}
+
+              {activeTab === 'settings' && (
+                <div className="p-6">
+                  <Settings />
+                  <div className="mt-8 pt-6 border-t">
+                    <OrganizeProfiles />
+                  </div>
                 </div>
               )}
             </div>
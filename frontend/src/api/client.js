@@ -37,32 +37,119 @@ export async function getFileById(id) {
   return fetchApi(`/files/${id}`);
 }
 
-export async function getFilePreview(id) {
-  return `${API_BASE}/files/${id}/preview`;
+export function getFilePreview(id, size = 'medium') {
+  return `${API_BASE}/files/${id}/preview?size=${size}`;
+}
+
+export async function getThumbnailStatus() {
+  return fetchApi('/files/thumbnails/status');
 }
 
 export async function getStats() {
   return fetchApi('/files/stats');
 }
 
-export async function getDuplicates() {
-  return fetchApi('/files/duplicates/all');
+export async function getCameras() {
+  return fetchApi('/files/cameras');
+}
+
+export async function shiftFileDates(options) {
+  return fetchApi('/files/timeshift', {
+    method: 'POST',
+    body: JSON.stringify(options)
+  });
+}
+
+export async function getDateCandidates(fileId) {
+  return fetchApi(`/files/${fileId}/date-candidates`);
+}
+
+export async function setFileDate(fileId, date, timezone = null) {
+  return fetchApi(`/files/${fileId}/date`, {
+    method: 'PUT',
+    body: JSON.stringify({ date, timezone })
+  });
+}
+
+export async function setFileDates(fileIds, date, timezone = null) {
+  return fetchApi('/files/dates', {
+    method: 'PUT',
+    body: JSON.stringify({ fileIds, date, timezone })
+  });
+}
+
+export async function getDuplicates(options = {}) {
+  const params = new URLSearchParams();
+  if (options.limit) params.append('limit', options.limit);
+  if (options.offset) params.append('offset', options.offset);
+  if (options.policy) params.append('policy', options.policy);
+
+  const queryString = params.toString();
+  return fetchApi(`/files/duplicates/all${queryString ? `?${queryString}` : ''}`);
+}
+
+export async function getDuplicateStats() {
+  return fetchApi('/duplicates/stats');
+}
+
+export async function getSimilarDuplicates(options = {}) {
+  const params = new URLSearchParams();
+  if (options.threshold !== undefined) params.append('threshold', options.threshold);
+  if (options.limit) params.append('limit', options.limit);
+  if (options.offset) params.append('offset', options.offset);
+
+  return fetchApi(`/duplicates/similar?${params.toString()}`);
+}
+
+export async function resolveDuplicates(options) {
+  return fetchApi('/duplicates/resolve', {
+    method: 'POST',
+    body: JSON.stringify(options)
+  });
 }
 
 export async function getErrors(options = {}) {
   const params = new URLSearchParams();
   if (options.limit) params.append('limit', options.limit);
   if (options.offset) params.append('offset', options.offset);
+  if (options.status) params.append('status', options.status);
 
   const queryString = params.toString();
   return fetchApi(`/files/errors/all${queryString ? `?${queryString}` : ''}`);
 }
 
+export async function getErrorGroups(by = 'type', status = 'open') {
+  return fetchApi(`/files/errors/grouped?by=${by}&status=${status}`);
+}
+
+export async function getErrorById(id) {
+  return fetchApi(`/files/errors/${id}`);
+}
+
+export async function retryError(id) {
+  return fetchApi(`/files/errors/${id}/retry`, { method: 'POST' });
+}
+
+export async function ignoreErrors(pattern) {
+  return fetchApi('/files/errors/ignore', {
+    method: 'POST',
+    body: JSON.stringify({ pattern })
+  });
+}
+
+export async function getIgnorePatterns() {
+  return fetchApi('/files/errors/ignore-patterns');
+}
+
+export async function removeIgnorePattern(id) {
+  return fetchApi(`/files/errors/ignore-patterns/${id}`, { method: 'DELETE' });
+}
+
 // Scan API
-export async function startScan(sourcePath, recursive = true) {
+export async function startScan(sourcePath, recursive = true, options = {}) {
   return fetchApi('/scan', {
     method: 'POST',
-    body: JSON.stringify({ sourcePath, recursive })
+    body: JSON.stringify({ sourcePath, recursive, ...options })
   });
 }
 
@@ -78,11 +165,29 @@ export async function getScanHistory() {
   return fetchApi('/scan/history');
 }
 
+export async function getResumableScans() {
+  return fetchApi('/scan/resumable');
+}
+
+export async function getScanChanges(sessionId, options = {}) {
+  const params = new URLSearchParams();
+  if (options.type) params.append('type', options.type);
+  if (options.limit) params.append('limit', options.limit);
+  if (options.offset) params.append('offset', options.offset);
+
+  const queryString = params.toString();
+  return fetchApi(`/scan/${sessionId}/changes${queryString ? `?${queryString}` : ''}`);
+}
+
+export async function resumeScan(sessionId) {
+  return fetchApi(`/scan/${sessionId}/resume`, { method: 'POST' });
+}
+
 // Organize API
-export async function startOrganize(destinationPath, dryRun = false, fileIds = null) {
+export async function startOrganize(destinationPath, dryRun = false, fileIds = null, options = {}) {
   return fetchApi('/organize', {
     method: 'POST',
-    body: JSON.stringify({ destinationPath, dryRun, fileIds })
+    body: JSON.stringify({ destinationPath, dryRun, fileIds, ...options })
   });
 }
 
@@ -94,8 +199,113 @@ export async function cancelOrganize() {
   return fetchApi('/organize/cancel', { method: 'POST' });
 }
 
-export async function getOrganizePreview(destinationPath) {
-  return fetchApi(`/organize/preview?destinationPath=${encodeURIComponent(destinationPath)}`);
+export async function getOrganizePreview(destinationPath, template = null, profileId = null, options = {}) {
+  const params = new URLSearchParams({ destinationPath });
+  if (template) params.append('template', template);
+  if (profileId) params.append('profileId', profileId);
+  if (options.limit) params.append('limit', options.limit);
+  if (options.offset) params.append('offset', options.offset);
+
+  return fetchApi(`/organize/preview?${params.toString()}`);
+}
+
+// Further pages of a preview, without working it out again
+export async function getOrganizePreviewPage(previewId, options = {}) {
+  const params = new URLSearchParams({ previewId });
+  if (options.limit) params.append('limit', options.limit);
+  if (options.offset) params.append('offset', options.offset);
+
+  return fetchApi(`/organize/preview?${params.toString()}`);
+}
+
+export async function getTemplateTokens() {
+  return fetchApi('/organize/template-tokens');
+}
+
+// Organize plans API
+export async function createPlan(destinationPath, options = {}) {
+  return fetchApi('/plans', {
+    method: 'POST',
+    body: JSON.stringify({ destinationPath, ...options })
+  });
+}
+
+export async function getPlans(options = {}) {
+  const params = new URLSearchParams();
+  if (options.limit) params.append('limit', options.limit);
+  if (options.offset) params.append('offset', options.offset);
+
+  return fetchApi(`/plans?${params.toString()}`);
+}
+
+export async function getPlan(id) {
+  return fetchApi(`/plans/${id}`);
+}
+
+export async function getPlanItems(id, options = {}) {
+  const params = new URLSearchParams();
+  if (options.limit) params.append('limit', options.limit);
+  if (options.offset) params.append('offset', options.offset);
+
+  return fetchApi(`/plans/${id}/items?${params.toString()}`);
+}
+
+export async function updatePlanItem(planId, itemId, changes) {
+  return fetchApi(`/plans/${planId}/items/${itemId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(changes)
+  });
+}
+
+export async function executePlan(id) {
+  return fetchApi(`/plans/${id}/execute`, { method: 'POST' });
+}
+
+export async function deletePlan(id) {
+  return fetchApi(`/plans/${id}`, { method: 'DELETE' });
+}
+
+export function getPlanExportUrl(id, format = 'csv') {
+  return `${API_BASE}/plans/${id}/export?format=${format}`;
+}
+
+export async function importPlan(csv, destinationPath, options = {}) {
+  const params = new URLSearchParams({ destinationPath });
+  if (options.mode) params.append('mode', options.mode);
+  if (typeof options.verify === 'boolean') params.append('verify', options.verify);
+
+  return fetchApi(`/plans/import?${params.toString()}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/csv' },
+    body: csv
+  });
+}
+
+// Organize profiles API
+export async function getProfiles() {
+  return fetchApi('/profiles');
+}
+
+export async function getRuleFields() {
+  return fetchApi('/profiles/rule-fields');
+}
+
+export async function createProfile(profile) {
+  return fetchApi('/profiles', {
+    method: 'POST',
+    body: JSON.stringify(profile)
+  });
+}
+
+export async function updateProfile(id, profile) {
+  return fetchApi(`/profiles/${id}`, {
+    method: 'PUT',
+    body: JSON.stringify(profile)
+  });
+}
+
+export async function deleteProfile(id) {
+  return fetchApi(`/profiles/${id}`, { method: 'DELETE' });
 }
 
 // Operations API
@@ -124,6 +334,107 @@ export async function revertBatch(batchId) {
   return fetchApi(`/operations/batch/${batchId}/revert`, { method: 'POST' });
 }
 
+// Trash API
+export async function trashFile(fileId, destinationPath, reason = null) {
+  return fetchApi(`/files/${fileId}/trash`, {
+    method: 'POST',
+    body: JSON.stringify({ destinationPath, reason })
+  });
+}
+
+export async function getTrash(options = {}) {
+  const params = new URLSearchParams();
+  if (options.limit) params.append('limit', options.limit);
+  if (options.offset) params.append('offset', options.offset);
+
+  const queryString = params.toString();
+  return fetchApi(`/trash${queryString ? `?${queryString}` : ''}`);
+}
+
+export async function restoreTrashItem(id) {
+  return fetchApi(`/trash/${id}/restore`, { method: 'POST' });
+}
+
+export async function emptyTrash(all = false) {
+  return fetchApi('/trash/empty', {
+    method: 'POST',
+    body: JSON.stringify({ all })
+  });
+}
+
+// Library API
+export async function verifyLibrary(fileIds = null) {
+  return fetchApi('/library/verify', {
+    method: 'POST',
+    body: JSON.stringify({ fileIds })
+  });
+}
+
+export async function getVerifyStatus() {
+  return fetchApi('/library/verify/status');
+}
+
+export async function getVerifyProblems(options = {}) {
+  const params = new URLSearchParams();
+  if (options.limit) params.append('limit', options.limit);
+  if (options.offset) params.append('offset', options.offset);
+
+  const queryString = params.toString();
+  return fetchApi(`/library/verify/problems${queryString ? `?${queryString}` : ''}`);
+}
+
+// Jobs API
+export async function getJobs(options = {}) {
+  const params = new URLSearchParams();
+  if (options.status) params.append('status', options.status);
+  if (options.limit) params.append('limit', options.limit);
+  if (options.offset) params.append('offset', options.offset);
+
+  const queryString = params.toString();
+  return fetchApi(`/jobs${queryString ? `?${queryString}` : ''}`);
+}
+
+export async function getJob(id) {
+  return fetchApi(`/jobs/${id}`);
+}
+
+export async function getJobLogs(id, options = {}) {
+  const params = new URLSearchParams();
+  if (options.limit) params.append('limit', options.limit);
+  if (options.offset) params.append('offset', options.offset);
+
+  const queryString = params.toString();
+  return fetchApi(`/jobs/${id}/logs${queryString ? `?${queryString}` : ''}`);
+}
+
+export async function pauseJob(id) {
+  return fetchApi(`/jobs/${id}/pause`, { method: 'POST' });
+}
+
+export async function resumeJob(id) {
+  return fetchApi(`/jobs/${id}/resume`, { method: 'POST' });
+}
+
+export async function cancelJob(id) {
+  return fetchApi(`/jobs/${id}/cancel`, { method: 'POST' });
+}
+
+// Settings API
+export async function getSettings() {
+  return fetchApi('/settings');
+}
+
+export async function updateSettings(settings) {
+  return fetchApi('/settings', {
+    method: 'PUT',
+    body: JSON.stringify(settings)
+  });
+}
+
+export async function testFilenameDate(filename) {
+  return fetchApi(`/settings/filename-date?filename=${encodeURIComponent(filename)}`);
+}
+
 // Search API
 export async function searchFiles(params = {}) {
   const queryParams = new URLSearchParams();
@@ -136,6 +447,7 @@ export async function searchFiles(params = {}) {
   if (params.maxSize) queryParams.append('maxSize', params.maxSize);
   if (params.status) queryParams.append('status', params.status);
   if (params.extension) queryParams.append('extension', params.extension);
+  if (params.needsDateReview) queryParams.append('needsDateReview', 'true');
   if (params.limit) queryParams.append('limit', params.limit);
   if (params.offset) queryParams.append('offset', params.offset);
 
@@ -151,6 +463,67 @@ export async function getDateRange() {
   return fetchApi('/search/dates');
 }
 
+// Live progress events
+const EVENT_TYPES = ['scan', 'organize', 'revert', 'verify', 'resolve', 'thumbnails', 'jobs'];
+const MAX_RECONNECT_DELAY = 30000;
+
+/**
+ * Subscribe to the server's progress event stream. The browser retries
+ * dropped connections itself; if it gives up, a new connection is opened
+ * with exponential backoff.
+ * @param {Object} handlers - { scan, organize, revert, resolve, thumbnails, jobs } callbacks
+ *   receiving parsed event data, plus optional onOpen called on every (re)connect
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToEvents(handlers) {
+  if (typeof EventSource === 'undefined') {
+    return () => {};
+  }
+
+  let source = null;
+  let reconnectTimer = null;
+  let reconnectDelay = 1000;
+  let closed = false;
+
+  const connect = () => {
+    source = new EventSource(`${API_BASE}/events`);
+
+    source.onopen = () => {
+      reconnectDelay = 1000;
+      handlers.onOpen?.();
+    };
+
+    source.onerror = () => {
+      if (closed || source.readyState !== EventSource.CLOSED) return;
+      source.close();
+      reconnectTimer = setTimeout(connect, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+    };
+
+    for (const type of EVENT_TYPES) {
+      if (!handlers[type]) continue;
+      source.addEventListener(type, (event) => {
+        let data;
+        try {
+          data = JSON.parse(event.data);
+        } catch (error) {
+          console.error(`Invalid ${type} event:`, error);
+          return;
+        }
+        handlers[type](data);
+      });
+    }
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    source?.close();
+  };
+}
+
 // Health check
 export async function healthCheck() {
   return fetchApi('/health');
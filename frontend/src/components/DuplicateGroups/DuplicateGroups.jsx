@@ -0,0 +1,365 @@
+import React, { useEffect, useState } from 'react';
+import { useApp } from '../../contexts/AppContext';
+import * as api from '../../api/client';
+
+const KEEP_POLICIES = [
+  { value: 'oldest', label: 'First discovered' },
+  { value: 'highest_resolution', label: 'Highest resolution' },
+  { value: 'has_exif', label: 'Has EXIF data' },
+  { value: 'shortest_path', label: 'Shortest path' }
+];
+
+const ACTIONS = [
+  { value: 'trash', label: 'Move to trash' },
+  { value: 'quarantine', label: 'Move to quarantine' },
+  { value: 'hardlink', label: 'Replace with hardlink' }
+];
+
+// Metadata compared between the copies of a group
+const COMPARED_FIELDS = [
+  { key: 'path', label: 'Path' },
+  { key: 'size', label: 'Size' },
+  { key: 'exifDate', label: 'EXIF date' },
+  { key: 'camera', label: 'Camera' }
+];
+
+function DuplicateGroups() {
+  const { state, actions } = useApp();
+  const [groups, setGroups] = useState([]);
+  const [totalGroups, setTotalGroups] = useState(0);
+  const [stats, setStats] = useState(null);
+  const [page, setPage] = useState(0);
+  const [policy, setPolicy] = useState('oldest');
+  const [action, setAction] = useState('trash');
+  const [keepers, setKeepers] = useState({});
+  const [selected, setSelected] = useState(new Set());
+  const [isLoading, setIsLoading] = useState(true);
+  // Resolution job queued from here
+  const [resolveJobId, setResolveJobId] = useState(null);
+  const isResolving = Boolean(resolveJobId);
+  // The trash is kept inside the destination folder
+  const needsDestination = action === 'trash' && !state.destinationPath;
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const pageSize = 20;
+
+  useEffect(() => {
+    loadGroups();
+  }, [page, policy]);
+
+  useEffect(() => {
+    loadStats();
+  }, []);
+
+  // The resolution runs as a background job; refresh once it finishes
+  useEffect(() => {
+    const job = resolveJobId && state.jobs[resolveJobId];
+    if (!job || !['completed', 'failed', 'cancelled'].includes(job.status)) return;
+
+    setResolveJobId(null);
+    if (job.status === 'failed') {
+      setError(job.error_message);
+    } else {
+      setResult(job.result);
+    }
+    loadGroups();
+    loadStats();
+    actions.fetchFiles();
+    actions.fetchStats();
+  }, [state.jobs, resolveJobId]);
+
+  const loadGroups = async () => {
+    setIsLoading(true);
+    try {
+      const data = await api.getDuplicates({ limit: pageSize, offset: page * pageSize, policy });
+      // Resolving can empty the last page
+      if ((data.groups || []).length === 0 && page > 0) {
+        setPage(page - 1);
+        return;
+      }
+      setGroups(data.groups || []);
+      setTotalGroups(data.totalGroups || 0);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadStats = async () => {
+    try {
+      setStats(await api.getDuplicateStats());
+    } catch (err) {
+      console.error('Error loading duplicate stats:', err);
+    }
+  };
+
+  const formatFileSize = (bytes) => {
+    if (!bytes) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  const formatDate = (dateStr) => {
+    if (!dateStr) return 'None';
+    const date = new Date(dateStr);
+    return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+  };
+
+  const getFieldValues = (file) => {
+    let exif = null;
+    try {
+      exif = JSON.parse(file.metadata_json || '{}').exif;
+    } catch (e) {
+      exif = null;
+    }
+
+    return {
+      path: file.current_path || file.original_path,
+      size: formatFileSize(file.size),
+      exifDate: formatDate(file.exif_date),
+      camera: [exif?.Make, exif?.Model].filter(Boolean).join(' ') || 'Unknown'
+    };
+  };
+
+  const getKeeperId = (group) => keepers[group.hash] ?? group.original.id;
+
+  const toggleSelected = (hash) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(hash)) {
+        next.delete(hash);
+      } else {
+        next.add(hash);
+      }
+      return next;
+    });
+  };
+
+  const toggleSelectPage = () => {
+    const allSelected = groups.every(group => selected.has(group.hash));
+    setSelected(allSelected ? new Set() : new Set(groups.map(group => group.hash)));
+  };
+
+  const handleResolve = async (hashes) => {
+    const actionLabel = ACTIONS.find(a => a.value === action).label.toLowerCase();
+    const scope = hashes ? `${hashes.length} selected group(s)` : 'all duplicate groups';
+    const confirmed = window.confirm(
+      `Keep one file in ${scope} and ${actionLabel} the other copies? This can be reverted from the History tab.`
+    );
+    if (!confirmed) return;
+
+    try {
+      const response = await actions.resolveDuplicates({
+        action,
+        policy,
+        hashes,
+        keep: keepers,
+        destinationPath: state.destinationPath || null
+      });
+      setResolveJobId(response.job.id);
+      setResult(null);
+      setSelected(new Set());
+      setKeepers({});
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (isLoading && groups.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-gray-500">Loading duplicates...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-medium text-gray-900">Duplicate Files</h2>
+        {stats && (
+          <div className="text-sm text-gray-600">
+            {stats.duplicateGroups} groups · {stats.totalDuplicateFiles} extra copies ·{' '}
+            <span className="font-medium text-green-700">
+              {formatFileSize(stats.potentialSpaceSavings)} can be freed
+            </span>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>
+      )}
+
+      {result && (
+        <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded text-sm text-green-800">
+          Resolved {result.filesResolved} file(s), freed {formatFileSize(result.spaceFreed)}
+          {result.failed > 0 && `, ${result.failed} failed`}
+        </div>
+      )}
+
+      {groups.length === 0 ? (
+        <p className="text-gray-500">No duplicate files found. Files with identical content will be shown here after scanning.</p>
+      ) : (
+        <>
+          {/* Bulk actions */}
+          <div className="flex flex-wrap items-center gap-3 mb-4 p-3 bg-gray-50 rounded">
+            <label className="text-sm text-gray-700">
+              Keep{' '}
+              <select
+                value={policy}
+                onChange={(e) => {
+                  setPolicy(e.target.value);
+                  setKeepers({});
+                }}
+                className="ml-1 border rounded px-2 py-1 text-sm"
+              >
+                {KEEP_POLICIES.map(p => (
+                  <option key={p.value} value={p.value}>{p.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Other copies{' '}
+              <select
+                value={action}
+                onChange={(e) => setAction(e.target.value)}
+                className="ml-1 border rounded px-2 py-1 text-sm"
+              >
+                {ACTIONS.map(a => (
+                  <option key={a.value} value={a.value}>{a.label}</option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={toggleSelectPage}
+              className="px-3 py-1 border rounded text-sm hover:bg-white"
+            >
+              {groups.every(group => selected.has(group.hash)) ? 'Clear Selection' : 'Select Page'}
+            </button>
+            <button
+              onClick={() => handleResolve([...selected])}
+              disabled={isResolving || needsDestination || selected.size === 0}
+              className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              Resolve Selected ({selected.size})
+            </button>
+            <button
+              onClick={() => handleResolve(null)}
+              disabled={isResolving || needsDestination}
+              className="px-3 py-1 text-sm bg-yellow-600 text-white rounded hover:bg-yellow-700 disabled:opacity-50"
+            >
+              {isResolving ? 'Resolving...' : 'Resolve All'}
+            </button>
+            {needsDestination && (
+              <span className="text-sm text-gray-500">Choose a destination folder to move copies to its trash</span>
+            )}
+          </div>
+
+          {/* Groups */}
+          <div className="space-y-4">
+            {groups.map((group) => {
+              const keeperId = getKeeperId(group);
+              const keeper = group.files.find(f => f.id === keeperId) || group.original;
+              const keeperValues = getFieldValues(keeper);
+
+              return (
+                <div key={group.hash} className="border rounded-lg p-4">
+                  <div className="flex items-center justify-between mb-3">
+                    <label className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={selected.has(group.hash)}
+                        onChange={() => toggleSelected(group.hash)}
+                        className="mr-2"
+                      />
+                      {group.count} copies of {formatFileSize(group.files[0].size)}
+                    </label>
+                    <span className="text-sm text-green-700">
+                      Saves {formatFileSize(group.totalSize - group.files[0].size)}
+                    </span>
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    {group.files.map((file) => {
+                      const values = getFieldValues(file);
+                      const isKeeper = file.id === keeperId;
+
+                      return (
+                        <div
+                          key={file.id}
+                          className={`border rounded p-3 ${isKeeper ? 'border-green-500 bg-green-50' : 'border-gray-200'}`}
+                        >
+                          <img
+                            src={api.getFilePreview(file.id, 'small')}
+                            alt={file.filename}
+                            loading="lazy"
+                            className="w-full h-32 object-contain bg-gray-100 rounded mb-2"
+                            onError={(e) => {
+                              e.target.style.display = 'none';
+                            }}
+                          />
+                          <label className="flex items-center text-sm font-medium text-gray-900 mb-2">
+                            <input
+                              type="radio"
+                              name={`keep-${group.hash}`}
+                              checked={isKeeper}
+                              onChange={() => setKeepers(prev => ({ ...prev, [group.hash]: file.id }))}
+                              className="mr-2"
+                            />
+                            {isKeeper ? 'Keep' : 'Remove'}: <span className="ml-1 truncate">{file.filename}</span>
+                          </label>
+                          <dl className="text-xs space-y-1">
+                            {COMPARED_FIELDS.map(({ key, label }) => (
+                              <div
+                                key={key}
+                                className={!isKeeper && values[key] !== keeperValues[key] ? 'bg-yellow-100 rounded px-1' : 'px-1'}
+                              >
+                                <dt className="inline text-gray-500">{label}: </dt>
+                                <dd className="inline text-gray-800 break-all">{values[key]}</dd>
+                              </div>
+                            ))}
+                          </dl>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Pagination */}
+          <div className="flex items-center justify-between px-4 py-3 mt-4 border-t">
+            <div className="text-sm text-gray-700">
+              Showing {page * pageSize + 1} to {Math.min((page + 1) * pageSize, totalGroups)} of{' '}
+              {totalGroups} groups
+            </div>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setPage(Math.max(0, page - 1))}
+                disabled={page === 0}
+                className="px-3 py-1 border rounded text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={(page + 1) * pageSize >= totalGroups}
+                className="px-3 py-1 border rounded text-sm disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DuplicateGroups;
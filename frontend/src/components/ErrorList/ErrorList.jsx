@@ -0,0 +1,305 @@
+import React, { useEffect, useState } from 'react';
+import { useApp } from '../../contexts/AppContext';
+import * as api from '../../api/client';
+
+const GROUPINGS = [
+  { value: 'type', label: 'By type' },
+  { value: 'directory', label: 'By folder' }
+];
+
+const ERROR_TYPE_LABELS = {
+  file_processing: 'Could not read file',
+  directory_access: 'Could not open folder',
+  organize_error: 'Could not organize file',
+  duplicate_resolve_error: 'Could not resolve duplicate'
+};
+
+// Must match RETRIABLE_ERROR_TYPES in the backend files route
+const RETRIABLE_TYPES = ['file_processing', 'organize_error'];
+
+function ErrorList() {
+  const { actions } = useApp();
+  const [groupBy, setGroupBy] = useState('type');
+  const [groups, setGroups] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [expanded, setExpanded] = useState(new Set());
+  const [stacks, setStacks] = useState({});
+  const [patterns, setPatterns] = useState([]);
+  const [patternInput, setPatternInput] = useState('');
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    loadGroups();
+  }, [groupBy]);
+
+  useEffect(() => {
+    loadPatterns();
+  }, []);
+
+  const loadGroups = async () => {
+    setIsLoading(true);
+    try {
+      const data = await api.getErrorGroups(groupBy);
+      setGroups(data.groups || []);
+      setTotal(data.total || 0);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadPatterns = async () => {
+    try {
+      const data = await api.getIgnorePatterns();
+      setPatterns(data.patterns || []);
+    } catch (err) {
+      console.error('Error loading ignore patterns:', err);
+    }
+  };
+
+  const formatDate = (dateStr) => {
+    if (!dateStr) return 'Unknown';
+    const date = new Date(dateStr);
+    return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+  };
+
+  const getGroupLabel = (group) => {
+    if (groupBy === 'type') return ERROR_TYPE_LABELS[group.key] || group.key;
+    return group.key;
+  };
+
+  const toggleGroup = (key) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const toggleStack = async (errorId) => {
+    if (stacks[errorId] !== undefined) {
+      setStacks(prev => {
+        const { [errorId]: _removed, ...rest } = prev;
+        return rest;
+      });
+      return;
+    }
+
+    try {
+      const record = await api.getErrorById(errorId);
+      setStacks(prev => ({ ...prev, [errorId]: record.stack_trace || 'No stack trace recorded' }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRetry = async (record) => {
+    setBusyId(record.id);
+    try {
+      const result = await api.retryError(record.id);
+      setMessage(result.success
+        ? `Retried ${record.file_path} successfully`
+        : `Retrying ${record.file_path} failed again`);
+      await loadGroups();
+      actions.fetchFiles();
+      actions.fetchStats();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleIgnore = async (pattern) => {
+    if (!pattern.trim()) return;
+
+    try {
+      const result = await api.ignoreErrors(pattern.trim());
+      setMessage(`Ignoring ${result.pattern.pattern} in future scans (${result.ignoredErrors} error(s) dismissed)`);
+      setPatternInput('');
+      await Promise.all([loadGroups(), loadPatterns()]);
+      actions.fetchStats();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemovePattern = async (id) => {
+    try {
+      await api.removeIgnorePattern(id);
+      await loadPatterns();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-medium text-gray-900">Errors ({total})</h2>
+        <div className="flex space-x-2">
+          {GROUPINGS.map(g => (
+            <button
+              key={g.value}
+              onClick={() => setGroupBy(g.value)}
+              className={`px-3 py-1 text-sm rounded border ${
+                groupBy === g.value ? 'bg-blue-600 text-white border-blue-600' : 'hover:bg-gray-50'
+              }`}
+            >
+              {g.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>
+      )}
+
+      {message && (
+        <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded text-sm text-green-800">{message}</div>
+      )}
+
+      {isLoading && groups.length === 0 ? (
+        <div className="text-gray-500">Loading errors...</div>
+      ) : groups.length === 0 ? (
+        <p className="text-gray-500">No open errors. Files that could not be processed will be shown here.</p>
+      ) : (
+        <div className="space-y-3">
+          {groups.map(group => (
+            <div key={group.key} className="border rounded-lg">
+              <div className="flex items-center justify-between p-3 bg-gray-50">
+                <button
+                  onClick={() => toggleGroup(group.key)}
+                  className="text-left text-sm font-medium text-gray-900 break-all"
+                >
+                  {expanded.has(group.key) ? '▾' : '▸'} {getGroupLabel(group)}{' '}
+                  <span className="text-gray-500">({group.count})</span>
+                </button>
+                {groupBy === 'directory' && (
+                  <button
+                    onClick={() => handleIgnore(`${group.key}/**`)}
+                    className="ml-3 px-2 py-1 text-xs border rounded hover:bg-white whitespace-nowrap"
+                  >
+                    Ignore folder
+                  </button>
+                )}
+              </div>
+
+              {expanded.has(group.key) && (
+                <ul className="divide-y">
+                  {group.errors.map(record => (
+                    <li key={record.id} className="p-3 text-sm">
+                      <div className="flex items-start justify-between">
+                        <div className="min-w-0">
+                          <div className="font-mono text-xs text-gray-800 break-all">{record.file_path}</div>
+                          <div className="text-red-700">{record.error_message}</div>
+                          <div className="text-xs text-gray-500">
+                            {groupBy === 'directory' && `${ERROR_TYPE_LABELS[record.error_type] || record.error_type} · `}
+                            {formatDate(record.created_at)}
+                          </div>
+                        </div>
+                        <div className="flex space-x-2 ml-3 flex-shrink-0">
+                          {record.hasStackTrace && (
+                            <button
+                              onClick={() => toggleStack(record.id)}
+                              className="px-2 py-1 text-xs border rounded hover:bg-gray-50"
+                            >
+                              {stacks[record.id] !== undefined ? 'Hide stack' : 'Show stack'}
+                            </button>
+                          )}
+                          {RETRIABLE_TYPES.includes(record.error_type) && (
+                            <button
+                              onClick={() => handleRetry(record)}
+                              disabled={busyId === record.id}
+                              className="px-2 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                            >
+                              {busyId === record.id ? 'Retrying...' : 'Retry'}
+                            </button>
+                          )}
+                          <button
+                            onClick={() => setPatternInput(record.file_path)}
+                            className="px-2 py-1 text-xs border rounded hover:bg-gray-50"
+                          >
+                            Ignore...
+                          </button>
+                        </div>
+                      </div>
+                      {stacks[record.id] !== undefined && (
+                        <pre className="mt-2 p-2 bg-gray-900 text-gray-100 text-xs rounded overflow-x-auto">
+                          {stacks[record.id]}
+                        </pre>
+                      )}
+                    </li>
+                  ))}
+                  {group.count > group.errors.length && (
+                    <li className="p-3 text-xs text-gray-500">
+                      and {group.count - group.errors.length} more
+                    </li>
+                  )}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Ignore patterns */}
+      <div className="mt-6 border-t pt-4">
+        <h3 className="text-sm font-medium text-gray-900 mb-2">Ignored paths</h3>
+        <p className="text-xs text-gray-500 mb-2">
+          Scans skip matching files and folders. * matches within a folder name, ** across folders;
+          patterns without a slash match names anywhere.
+        </p>
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            handleIgnore(patternInput);
+          }}
+          className="flex space-x-2 mb-3"
+        >
+          <input
+            type="text"
+            value={patternInput}
+            onChange={(e) => setPatternInput(e.target.value)}
+            placeholder="e.g. *.tmp or /photos/cache/**"
+            className="flex-1 border rounded px-2 py-1 text-sm font-mono"
+          />
+          <button
+            type="submit"
+            disabled={!patternInput.trim()}
+            className="px-3 py-1 text-sm bg-gray-700 text-white rounded hover:bg-gray-800 disabled:opacity-50"
+          >
+            Ignore Pattern
+          </button>
+        </form>
+        {patterns.length > 0 && (
+          <ul className="space-y-1">
+            {patterns.map(p => (
+              <li key={p.id} className="flex items-center justify-between text-sm">
+                <span className="font-mono text-gray-800">{p.pattern}</span>
+                <button
+                  onClick={() => handleRemovePattern(p.id)}
+                  className="text-xs text-red-600 hover:underline"
+                >
+                  Remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ErrorList;
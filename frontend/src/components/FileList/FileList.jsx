@@ -1,17 +1,67 @@
 import React, { useEffect, useState } from 'react';
 import { useApp } from '../../contexts/AppContext';
 import FilePreview from '../FilePreview/FilePreview';
+import { getFilePreview, setFileDates } from '../../api/client';
+
+const THUMBNAIL_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.heic', '.heif', '.tiff', '.tif', '.raw', '.cr2', '.nef', '.arw'];
 
 function FileList() {
   const { state, actions } = useApp();
   const [selectedFile, setSelectedFile] = useState(null);
   const [page, setPage] = useState(0);
+  const [brokenThumbnails, setBrokenThumbnails] = useState(new Set());
+  const [bulkDate, setBulkDate] = useState('');
+  const [bulkDateError, setBulkDateError] = useState(null);
   const pageSize = 50;
 
   useEffect(() => {
     actions.fetchFiles({ limit: pageSize, offset: page * pageSize });
   }, [page]);
 
+  const reloadFiles = () => {
+    const hasFilters = state.searchQuery || Object.values(state.filters).some(v => v !== null);
+    if (hasFilters) {
+      actions.searchFiles(state.searchQuery, state.filters);
+    } else {
+      actions.fetchFiles({ limit: pageSize, offset: page * pageSize });
+    }
+    actions.fetchStats();
+  };
+
+  const toggleSelected = (fileId) => {
+    actions.setSelectedFiles(state.selectedFiles.includes(fileId)
+      ? state.selectedFiles.filter(id => id !== fileId)
+      : [...state.selectedFiles, fileId]);
+  };
+
+  const allSelected = state.files.length > 0 && state.files.every(file => state.selectedFiles.includes(file.id));
+
+  const toggleAll = () => {
+    actions.setSelectedFiles(allSelected ? [] : state.files.map(file => file.id));
+  };
+
+  const applyBulkDate = async () => {
+    setBulkDateError(null);
+    try {
+      await setFileDates(state.selectedFiles, bulkDate);
+      actions.setSelectedFiles([]);
+      setBulkDate('');
+      reloadFiles();
+    } catch (err) {
+      setBulkDateError(err.message);
+    }
+  };
+
+  const handleDateChange = (file) => {
+    setSelectedFile(file);
+    reloadFiles();
+  };
+
+  const handleTrash = () => {
+    setSelectedFile(null);
+    reloadFiles();
+  };
+
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -31,6 +81,11 @@ function FileList() {
       pending: 'bg-gray-100 text-gray-800',
       moved: 'bg-green-100 text-green-800',
       duplicate: 'bg-yellow-100 text-yellow-800',
+      linked: 'bg-blue-100 text-blue-800',
+      quarantined: 'bg-purple-100 text-purple-800',
+      trashed: 'bg-gray-200 text-gray-600',
+      deleted: 'bg-gray-300 text-gray-500',
+      missing: 'bg-orange-100 text-orange-800',
       error: 'bg-red-100 text-red-800'
     };
     return badges[status] || 'bg-gray-100 text-gray-800';
@@ -76,11 +131,43 @@ function FileList() {
 
   return (
     <div>
+      {/* Bulk date editing */}
+      {state.selectedFiles.length > 0 && (
+        <div className="flex items-center space-x-2 px-4 py-2 border-b bg-blue-50 text-sm">
+          <span className="text-gray-700">{state.selectedFiles.length} selected</span>
+          <input
+            type="datetime-local"
+            step="1"
+            aria-label="Date for selected files"
+            value={bulkDate}
+            onChange={(e) => setBulkDate(e.target.value)}
+            className="border rounded px-2 py-1 text-sm"
+          />
+          <button
+            onClick={applyBulkDate}
+            disabled={!bulkDate}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+          >
+            Set Date
+          </button>
+          <button
+            onClick={() => actions.setSelectedFiles([])}
+            className="px-3 py-1 text-sm border rounded hover:bg-white"
+          >
+            Clear Selection
+          </button>
+          {bulkDateError && <span className="text-red-600">{bulkDateError}</span>}
+        </div>
+      )}
+
       {/* File list */}
       <div className="file-list-container">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50 sticky top-0">
             <tr>
+              <th className="px-4 py-3 w-8">
+                <input type="checkbox" aria-label="Select all files" checked={allSelected} onChange={toggleAll} />
+              </th>
               <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 File
               </th>
@@ -104,9 +191,27 @@ function FileList() {
                   selectedFile?.id === file.id ? 'bg-blue-50' : ''
                 }`}
               >
+                <td className="px-4 py-3" onClick={(e) => e.stopPropagation()}>
+                  <input
+                    type="checkbox"
+                    aria-label={`Select ${file.filename}`}
+                    checked={state.selectedFiles.includes(file.id)}
+                    onChange={() => toggleSelected(file.id)}
+                  />
+                </td>
                 <td className="px-4 py-3">
                   <div className="flex items-center">
-                    <span className="text-xl mr-3">{getFileIcon(file.extension)}</span>
+                    {THUMBNAIL_EXTENSIONS.includes(file.extension?.toLowerCase()) && !brokenThumbnails.has(file.id) ? (
+                      <img
+                        src={getFilePreview(file.id, 'small')}
+                        alt=""
+                        loading="lazy"
+                        className="w-10 h-10 object-cover rounded mr-3 bg-gray-100"
+                        onError={() => setBrokenThumbnails(prev => new Set(prev).add(file.id))}
+                      />
+                    ) : (
+                      <span className="text-xl mr-3">{getFileIcon(file.extension)}</span>
+                    )}
                     <div>
                       <div className="text-sm font-medium text-gray-900 truncate max-w-md">
                         {file.filename}
@@ -165,7 +270,13 @@ function FileList() {
 
       {/* Preview modal */}
       {selectedFile && (
-        <FilePreview file={selectedFile} onClose={() => setSelectedFile(null)} />
+        <FilePreview
+          file={selectedFile}
+          onClose={() => setSelectedFile(null)}
+          onDateChange={handleDateChange}
+          onTrash={handleTrash}
+          destinationPath={state.destinationPath}
+        />
       )}
     </div>
   );
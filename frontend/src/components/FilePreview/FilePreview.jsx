@@ -1,8 +1,17 @@
-import React from 'react';
-import { getFilePreview } from '../../api/client';
+import React, { useState } from 'react';
+import { getFilePreview, getDateCandidates, setFileDate, trashFile } from '../../api/client';
 
-function FilePreview({ file, onClose }) {
-  const isImage = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'].includes(
+function FilePreview({ file, onClose, onDateChange, onTrash, destinationPath = '' }) {
+  const [isEditingDate, setIsEditingDate] = useState(false);
+  const [candidates, setCandidates] = useState(null);
+  const [dateValue, setDateValue] = useState('');
+  const [dateTimezone, setDateTimezone] = useState(null);
+  const [isSavingDate, setIsSavingDate] = useState(false);
+  const [dateError, setDateError] = useState(null);
+  const [isTrashing, setIsTrashing] = useState(false);
+  const [trashError, setTrashError] = useState(null);
+
+  const isImage = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.heic', '.heif', '.tiff', '.tif', '.raw', '.cr2', '.nef', '.arw'].includes(
     file.extension?.toLowerCase()
   );
 
@@ -20,6 +29,70 @@ function FilePreview({ file, onClose }) {
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
   };
 
+  const timezoneSources = {
+    offset: 'embedded offset',
+    gps: 'GPS position',
+    default: 'default timezone',
+    server: 'server timezone',
+    manual: 'set by hand'
+  };
+
+  const candidateSources = {
+    exif: 'EXIF',
+    video_metadata: 'Video metadata',
+    filename: 'Filename',
+    created: 'File created',
+    modified: 'File modified'
+  };
+
+  const formatLocalDate = (localDate) => localDate.replace('T', ' ');
+
+  const openDateEditor = async () => {
+    setIsEditingDate(true);
+    setDateValue(file.local_date || '');
+    setDateTimezone(null);
+    setDateError(null);
+    try {
+      const data = await getDateCandidates(file.id);
+      setCandidates(data.candidates);
+    } catch (err) {
+      setDateError(err.message);
+    }
+  };
+
+  // A candidate's time is kept in the zone it was recorded in
+  const applyCandidate = (candidate) => {
+    setDateValue(candidate.localDate);
+    setDateTimezone(candidate.utcOffset);
+  };
+
+  const saveDate = async () => {
+    setIsSavingDate(true);
+    setDateError(null);
+    try {
+      const result = await setFileDate(file.id, dateValue, dateTimezone);
+      setIsEditingDate(false);
+      onDateChange?.(result.file);
+    } catch (err) {
+      setDateError(err.message);
+    } finally {
+      setIsSavingDate(false);
+    }
+  };
+
+  // The trash goes inside the destination folder, so one has to be chosen
+  const moveToTrash = async () => {
+    setIsTrashing(true);
+    setTrashError(null);
+    try {
+      const result = await trashFile(file.id, destinationPath);
+      onTrash?.(result);
+    } catch (err) {
+      setTrashError(err.message);
+      setIsTrashing(false);
+    }
+  };
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto m-4">
@@ -44,7 +117,7 @@ function FilePreview({ file, onClose }) {
           {isImage && (
             <div className="preview-container mb-6 bg-gray-100 rounded-lg flex items-center justify-center">
               <img
-                src={getFilePreview(file.id)}
+                src={getFilePreview(file.id, 'large')}
                 alt={file.filename}
                 className="max-w-full max-h-[300px] object-contain"
                 onError={(e) => {
@@ -88,7 +161,14 @@ function FilePreview({ file, onClose }) {
             </div>
 
             <div>
-              <h3 className="text-sm font-medium text-gray-500">Resolved Date</h3>
+              <div className="flex items-center justify-between">
+                <h3 className="text-sm font-medium text-gray-500">Resolved Date</h3>
+                {!isEditingDate && (
+                  <button onClick={openDateEditor} className="text-xs text-blue-600 hover:text-blue-800">
+                    Change date
+                  </button>
+                )}
+              </div>
               <p className="mt-1 text-sm text-gray-900">
                 {formatDate(file.resolved_date)}
                 {file.date_source && (
@@ -99,6 +179,82 @@ function FilePreview({ file, onClose }) {
               </p>
             </div>
 
+            {isEditingDate && (
+              <div className="p-3 border rounded bg-gray-50">
+                {dateError && <p className="mb-2 text-sm text-red-600">{dateError}</p>}
+
+                {candidates === null ? (
+                  <p className="text-sm text-gray-500">Loading candidate dates...</p>
+                ) : candidates.length === 0 ? (
+                  <p className="text-sm text-gray-500">No other dates found for this file.</p>
+                ) : (
+                  <ul className="mb-3 divide-y divide-gray-200">
+                    {candidates.map((candidate, index) => (
+                      <li key={index} className="flex items-center justify-between py-1 text-sm">
+                        <span className="text-gray-700">
+                          {candidate.source === 'sibling'
+                            ? `Same folder: ${candidate.label}`
+                            : candidateSources[candidate.source] || candidate.source}
+                        </span>
+                        <span className="flex items-center">
+                          <span className="text-gray-900">
+                            {candidate.localDate ? formatLocalDate(candidate.localDate) : formatDate(candidate.date)}
+                            {candidate.utcOffset && ` UTC${candidate.utcOffset}`}
+                          </span>
+                          <button
+                            onClick={() => applyCandidate(candidate)}
+                            className="ml-3 text-xs text-blue-600 hover:text-blue-800"
+                          >
+                            Use
+                          </button>
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="datetime-local"
+                    step="1"
+                    aria-label="New date"
+                    value={dateValue}
+                    onChange={(e) => setDateValue(e.target.value)}
+                    className="border rounded px-2 py-1 text-sm"
+                  />
+                  {dateTimezone && <span className="text-xs text-gray-500">UTC{dateTimezone}</span>}
+                  <button
+                    onClick={saveDate}
+                    disabled={!dateValue || isSavingDate}
+                    className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Save Date
+                  </button>
+                  <button
+                    onClick={() => setIsEditingDate(false)}
+                    className="px-3 py-1 text-sm border rounded hover:bg-white"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {file.local_date && (
+              <div>
+                <h3 className="text-sm font-medium text-gray-500">Capture Time (local)</h3>
+                <p className="mt-1 text-sm text-gray-900">
+                  {formatLocalDate(file.local_date)}
+                  {file.utc_offset && ` UTC${file.utc_offset}`}
+                  {file.timezone_source && (
+                    <span className="text-gray-500 ml-2">
+                      (from {timezoneSources[file.timezone_source] || file.timezone_source})
+                    </span>
+                  )}
+                </p>
+              </div>
+            )}
+
             {file.exif_date && (
               <div>
                 <h3 className="text-sm font-medium text-gray-500">EXIF Date</h3>
@@ -130,12 +286,27 @@ function FilePreview({ file, onClose }) {
 
         {/* Footer */}
         <div className="px-6 py-4 border-t bg-gray-50 rounded-b-lg">
-          <button
-            onClick={onClose}
-            className="w-full px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
-          >
-            Close
-          </button>
+          {trashError && <p className="mb-2 text-sm text-red-600">{trashError}</p>}
+          {!destinationPath && !['trashed', 'deleted'].includes(file.status) && (
+            <p className="mb-2 text-sm text-gray-500">Choose a destination folder to move files to its trash</p>
+          )}
+          <div className="flex space-x-3">
+            {!['trashed', 'deleted'].includes(file.status) && (
+              <button
+                onClick={moveToTrash}
+                disabled={isTrashing || !destinationPath}
+                className="px-4 py-2 text-sm font-medium text-red-700 bg-white border border-red-300 rounded-md hover:bg-red-50 disabled:opacity-50"
+              >
+                {isTrashing ? 'Moving...' : 'Move to Trash'}
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="flex-1 px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              Close
+            </button>
+          </div>
         </div>
       </div>
     </div>
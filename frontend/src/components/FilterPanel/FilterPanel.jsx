@@ -17,7 +17,8 @@ function FilterPanel() {
       dateFrom: null,
       dateTo: null,
       minSize: null,
-      maxSize: null
+      maxSize: null,
+      needsDateReview: null
     });
     actions.fetchFiles();
   };
@@ -52,6 +53,11 @@ function FilterPanel() {
           <option value="pending">Pending</option>
           <option value="moved">Moved</option>
           <option value="duplicate">Duplicate</option>
+          <option value="linked">Linked</option>
+          <option value="quarantined">Quarantined</option>
+          <option value="trashed">Trashed</option>
+          <option value="deleted">Deleted</option>
+          <option value="missing">Missing</option>
           <option value="error">Error</option>
         </select>
       </div>
@@ -96,6 +102,23 @@ function FilterPanel() {
         </div>
       </div>
 
+      {/* Files dated only by filesystem times */}
+      <div>
+        <label className="flex items-center text-xs font-medium text-gray-700">
+          <input
+            type="checkbox"
+            checked={!!state.filters.needsDateReview}
+            onChange={(e) => handleFilterChange('needsDateReview', e.target.checked)}
+            className="mr-2"
+          />
+          Needs date review
+        </label>
+        <p className="text-xs text-gray-500 mt-1">
+          Files without an EXIF, video or filename date
+          {state.stats?.needsDateReview > 0 && ` (${state.stats.needsDateReview})`}
+        </p>
+      </div>
+
       {/* Size filter */}
       <div>
         <label className="block text-xs font-medium text-gray-700 mb-2">
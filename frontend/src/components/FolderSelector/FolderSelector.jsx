@@ -1,14 +1,96 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useApp } from '../../contexts/AppContext';
+import * as api from '../../api/client';
+import OrganizePreview from '../OrganizePreview/OrganizePreview';
+import PlanReview from '../PlanReview/PlanReview';
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// How organized files get to the destination; everything but move leaves the source alone
+const ORGANIZE_MODES = [
+  { value: 'move', label: 'Move', verb: 'move' },
+  { value: 'copy', label: 'Copy', verb: 'copy' },
+  { value: 'hardlink', label: 'Hard link', verb: 'hard-link' },
+  { value: 'symlink', label: 'Symlink', verb: 'symlink' }
+];
 
 function FolderSelector() {
   const { state, actions } = useApp();
   const [localSourcePath, setLocalSourcePath] = useState(state.sourcePath);
   const [localDestPath, setLocalDestPath] = useState(state.destinationPath);
-  const [isScanning, setIsScanning] = useState(false);
-  const [isOrganizing, setIsOrganizing] = useState(false);
+  // Jobs queued from here that have not finished yet
+  const [scanJobIds, setScanJobIds] = useState([]);
+  const [organizeJobIds, setOrganizeJobIds] = useState([]);
   const [dryRun, setDryRun] = useState(true);
+  const [pathTemplate, setPathTemplate] = useState('');
+  const [organizeMode, setOrganizeMode] = useState('move');
+  const [profiles, setProfiles] = useState([]);
+  const [profileId, setProfileId] = useState('');
+  const [showPreview, setShowPreview] = useState(false);
+  const [reviewPlanId, setReviewPlanId] = useState(null);
+  const [isPlanning, setIsPlanning] = useState(false);
   const [error, setError] = useState(null);
+  const [resumableScans, setResumableScans] = useState([]);
+
+  useEffect(() => {
+    loadResumableScans();
+    loadProfiles();
+  }, []);
+
+  const isScanning = scanJobIds.length > 0;
+  const isOrganizing = organizeJobIds.length > 0;
+
+  // Job updates arrive as live events through the app context; refresh
+  // when a job queued here finishes
+  useEffect(() => {
+    const finished = scanJobIds.map(id => state.jobs[id]).filter(job => job && FINISHED_STATUSES.includes(job.status));
+    if (finished.length === 0) return;
+
+    setScanJobIds(ids => ids.filter(id => !finished.some(job => job.id === id)));
+    const failed = finished.find(job => job.status === 'failed');
+    if (failed) {
+      setError('Scan failed: ' + (failed.error_message || 'Unknown error'));
+    }
+    actions.fetchFiles();
+    actions.fetchStats();
+    loadResumableScans();
+  }, [state.jobs, scanJobIds]);
+
+  useEffect(() => {
+    const finished = organizeJobIds.map(id => state.jobs[id]).filter(job => job && FINISHED_STATUSES.includes(job.status));
+    if (finished.length === 0) return;
+
+    setOrganizeJobIds(ids => ids.filter(id => !finished.some(job => job.id === id)));
+    const failed = finished.find(job => job.status === 'failed');
+    if (failed) {
+      setError('Organize failed: ' + (failed.error_message || 'Unknown error'));
+    }
+    // A dry run leaves a plan to review
+    const planned = finished.find(job => job.status === 'completed' && job.result?.planId);
+    if (planned) {
+      setReviewPlanId(planned.result.planId);
+    }
+    actions.fetchFiles();
+    actions.fetchStats();
+  }, [state.jobs, organizeJobIds]);
+
+  const loadResumableScans = async () => {
+    try {
+      const result = await api.getResumableScans();
+      setResumableScans(result.sessions || []);
+    } catch (err) {
+      console.error('Error loading resumable scans:', err);
+    }
+  };
+
+  const loadProfiles = async () => {
+    try {
+      const result = await api.getProfiles();
+      setProfiles(result.profiles || []);
+    } catch (err) {
+      console.error('Error loading organize profiles:', err);
+    }
+  };
 
   // Check if File System Access API is supported
   const isFileSystemAccessSupported = 'showDirectoryPicker' in window;
@@ -73,7 +155,40 @@ function FolderSelector() {
     }
   };
 
-  const handleScan = async () => {
+  const handleResume = async (session) => {
+    setError(null);
+    setLocalSourcePath(session.source_path);
+    actions.setSourcePath(session.source_path);
+
+    try {
+      const result = await actions.resumeScan(session.id);
+      trackJob(setScanJobIds, result);
+      setResumableScans(resumableScans.filter(s => s.id !== session.id));
+    } catch (err) {
+      console.error('Resume failed:', err);
+      setError('Resume failed: ' + err.message);
+    }
+  };
+
+  // e.g. "Scanning... 2 scans waiting"
+  const describeJobs = (ids, runningText, noun) => {
+    const jobs = ids.map(id => state.jobs[id]).filter(Boolean);
+    const running = jobs.filter(job => job.status === 'running').length;
+    const waiting = jobs.length - running;
+    return [
+      running > 0 ? runningText : null,
+      waiting > 0 ? `${waiting} ${noun}${waiting === 1 ? '' : 's'} waiting` : null
+    ].filter(Boolean).join(' ');
+  };
+
+  const trackJob = (setJobIds, result) => {
+    const id = result?.job?.id;
+    if (id !== undefined) {
+      setJobIds(ids => (ids.includes(id) ? ids : [...ids, id]));
+    }
+  };
+
+  const handleScan = async (incremental = false) => {
     console.log('Scan button clicked, path:', localSourcePath);
     setError(null);
 
@@ -82,32 +197,25 @@ function FolderSelector() {
       return;
     }
 
-    setIsScanning(true);
+    // Offer to pick up an unfinished scan of the same folder
+    const unfinished = resumableScans.find(s => s.source_path === localSourcePath.trim());
+    if (unfinished && window.confirm(
+      'An unfinished scan of this folder exists. Resume it instead of starting over?'
+    )) {
+      await handleResume(unfinished);
+      return;
+    }
+
     actions.setSourcePath(localSourcePath);
 
     try {
-      console.log('Starting scan for:', localSourcePath);
-      await actions.startScan(localSourcePath, true);
-      console.log('Scan started successfully, beginning polling');
-
-      // Start polling for status
-      const pollInterval = setInterval(async () => {
-        const status = await actions.fetchScanStatus();
-        console.log('Scan status:', status);
-        if (status.status === 'completed' || status.status === 'error' || status.status === 'idle') {
-          clearInterval(pollInterval);
-          setIsScanning(false);
-          if (status.status === 'error') {
-            setError('Scan failed: ' + (status.error || 'Unknown error'));
-          }
-          actions.fetchFiles();
-          actions.fetchStats();
-        }
-      }, 1000);
+      console.log('Queueing scan for:', localSourcePath);
+      const result = await actions.startScan(localSourcePath, true, incremental ? { incremental: true } : {});
+      trackJob(setScanJobIds, result);
+      console.log('Scan queued successfully');
     } catch (err) {
       console.error('Scan failed:', err);
       setError('Scan failed: ' + err.message);
-      setIsScanning(false);
     }
   };
 
@@ -121,38 +229,76 @@ function FolderSelector() {
     }
 
     if (!dryRun) {
+      const { verb } = ORGANIZE_MODES.find(mode => mode.value === organizeMode);
       const confirmed = window.confirm(
-        'This will move files to the destination folder. Are you sure you want to continue?'
+        `This will ${verb} files to the destination folder. Are you sure you want to continue?`
       );
       if (!confirmed) return;
     }
 
-    setIsOrganizing(true);
+    await queueOrganize(dryRun);
+  };
+
+  // Plan right away and open it; executing it from the review stands in for the confirmation
+  const handleReviewPlan = async () => {
+    setShowPreview(false);
+    setError(null);
+    setIsPlanning(true);
+    actions.setDestinationPath(localDestPath);
+
+    try {
+      const plan = await api.createPlan(localDestPath.trim(), getOrganizeOptions());
+      setReviewPlanId(plan.id);
+    } catch (err) {
+      setError('Planning failed: ' + err.message);
+    } finally {
+      setIsPlanning(false);
+    }
+  };
+
+  // An exported plan edited elsewhere comes back as a new draft for the destination above
+  const handleImportPlan = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setIsPlanning(true);
     actions.setDestinationPath(localDestPath);
 
     try {
-      console.log('Starting organize to:', localDestPath);
-      await actions.startOrganize(localDestPath, dryRun);
-      console.log('Organize started successfully, beginning polling');
-
-      // Start polling for status
-      const pollInterval = setInterval(async () => {
-        const status = await actions.fetchOrganizeStatus();
-        console.log('Organize status:', status);
-        if (status.status === 'completed' || status.status === 'error' || status.status === 'idle') {
-          clearInterval(pollInterval);
-          setIsOrganizing(false);
-          if (status.status === 'error') {
-            setError('Organize failed: ' + (status.error || 'Unknown error'));
-          }
-          actions.fetchFiles();
-          actions.fetchStats();
-        }
-      }, 1000);
+      const plan = await api.importPlan(await file.text(), localDestPath.trim(), { mode: organizeMode });
+      setReviewPlanId(plan.id);
+    } catch (err) {
+      setError('Import failed: ' + err.message);
+    } finally {
+      setIsPlanning(false);
+    }
+  };
+
+  const handlePlanExecuted = (result) => {
+    setReviewPlanId(null);
+    trackJob(setOrganizeJobIds, result);
+  };
+
+  const getOrganizeOptions = () => {
+    const options = { mode: organizeMode };
+    if (pathTemplate.trim()) options.template = pathTemplate.trim();
+    if (profileId) options.profileId = parseInt(profileId, 10);
+    return options;
+  };
+
+  const queueOrganize = async (isDryRun) => {
+    actions.setDestinationPath(localDestPath);
+
+    try {
+      console.log('Queueing organize to:', localDestPath);
+      const result = await actions.startOrganize(localDestPath, isDryRun, null, getOrganizeOptions());
+      trackJob(setOrganizeJobIds, result);
+      console.log('Organize queued successfully');
     } catch (err) {
       console.error('Organize failed:', err);
       setError('Organize failed: ' + err.message);
-      setIsOrganizing(false);
     }
   };
 
@@ -172,6 +318,27 @@ function FolderSelector() {
         </div>
       )}
 
+      {/* Unfinished scans */}
+      {!isScanning && resumableScans.length > 0 && (
+        <div className="bg-blue-50 border border-blue-200 rounded-md px-4 py-3 space-y-2">
+          {resumableScans.map((session) => (
+            <div key={session.id} className="flex items-center justify-between text-sm text-blue-800">
+              <span className="truncate">
+                Scan of <span className="font-medium">{session.source_path}</span> was {session.status}
+                {session.total_files > 0 && ` at ${session.processed_files} / ${session.total_files} files`}
+              </span>
+              <button
+                type="button"
+                onClick={() => handleResume(session)}
+                className="ml-4 px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded whitespace-nowrap"
+              >
+                Resume Scan
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Source folder */}
       <div>
         <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -184,13 +351,11 @@ function FolderSelector() {
             onChange={(e) => setLocalSourcePath(e.target.value)}
             placeholder="/path/to/source/folder (e.g., /Users/yourname/Photos)"
             className="flex-1 border border-gray-300 rounded-md px-4 py-2 focus:ring-blue-500 focus:border-blue-500"
-            disabled={isScanning}
           />
           {isFileSystemAccessSupported && (
             <button
               type="button"
               onClick={handleBrowseSource}
-              disabled={isScanning}
               className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
             >
               Browse...
@@ -198,17 +363,35 @@ function FolderSelector() {
           )}
           <button
             type="button"
-            onClick={handleScan}
-            disabled={isScanning || !localSourcePath.trim()}
-            className={`px-6 py-2 rounded-md font-medium transition-colors ${
-              isScanning || !localSourcePath.trim()
+            onClick={() => handleScan(true)}
+            disabled={!localSourcePath.trim()}
+            title="Re-check known files for changes, moves and deletions"
+            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 whitespace-nowrap"
+          >
+            Rescan for Changes
+          </button>
+          <button
+            type="button"
+            onClick={() => handleScan()}
+            disabled={!localSourcePath.trim()}
+            className={`px-6 py-2 rounded-md font-medium transition-colors whitespace-nowrap ${
+              !localSourcePath.trim()
                 ? 'bg-gray-400 cursor-not-allowed text-gray-200'
                 : 'bg-blue-600 hover:bg-blue-700 text-white'
             }`}
           >
-            {isScanning ? 'Scanning...' : 'Scan Folder'}
+            {isScanning ? 'Queue Another Scan' : 'Scan Folder'}
           </button>
         </div>
+        {isScanning && (
+          <p className="text-sm text-blue-700 mt-1">{describeJobs(scanJobIds, 'Scanning...', 'scan')}</p>
+        )}
+        {state.scanStatus?.incremental && state.scanStatus.status === 'completed' && (
+          <p className="text-sm text-gray-700 mt-1">
+            Changes found: {state.scanStatus.newFiles || 0} added, {state.scanStatus.changedFiles || 0} modified,
+            {' '}{state.scanStatus.movedFiles || 0} moved, {state.scanStatus.missingFiles || 0} missing
+          </p>
+        )}
         <p className="text-sm text-gray-500 mt-1">
           {localSourcePath.trim()
             ? 'Click "Scan Folder" to scan this directory'
@@ -228,53 +411,146 @@ function FolderSelector() {
             onChange={(e) => setLocalDestPath(e.target.value)}
             placeholder="/path/to/destination/folder (e.g., /Users/yourname/Organized)"
             className="flex-1 border border-gray-300 rounded-md px-4 py-2 focus:ring-blue-500 focus:border-blue-500"
-            disabled={isOrganizing}
           />
           {isFileSystemAccessSupported && (
             <button
               type="button"
               onClick={handleBrowseDest}
-              disabled={isOrganizing}
               className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
             >
               Browse...
             </button>
           )}
+          <select
+            aria-label="Organize mode"
+            value={organizeMode}
+            onChange={(e) => setOrganizeMode(e.target.value)}
+            className="border border-gray-300 rounded-md px-2 py-2 text-sm text-gray-700"
+          >
+            {ORGANIZE_MODES.map(mode => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
+          </select>
+          {profiles.length > 0 && (
+            <select
+              aria-label="Organize profile"
+              value={profileId}
+              onChange={(e) => setProfileId(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-2 text-sm text-gray-700"
+            >
+              <option value="">No profile</option>
+              {profiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+          )}
           <label className="flex items-center space-x-2 whitespace-nowrap">
             <input
               type="checkbox"
               checked={dryRun}
               onChange={(e) => setDryRun(e.target.checked)}
               className="h-4 w-4 text-blue-600 border-gray-300 rounded"
-              disabled={isOrganizing}
             />
             <span className="text-sm text-gray-700">Dry Run</span>
           </label>
           <button
             type="button"
             onClick={handleOrganize}
-            disabled={isOrganizing || !localDestPath.trim()}
+            disabled={!localDestPath.trim()}
             className={`px-6 py-2 rounded-md font-medium transition-colors whitespace-nowrap ${
-              isOrganizing || !localDestPath.trim()
+              !localDestPath.trim()
                 ? 'bg-gray-400 cursor-not-allowed text-gray-200'
                 : dryRun
                   ? 'bg-yellow-600 hover:bg-yellow-700 text-white'
                   : 'bg-green-600 hover:bg-green-700 text-white'
             }`}
           >
-            {isOrganizing
-              ? 'Processing...'
-              : dryRun
-                ? 'Preview Changes'
-                : 'Organize Files'}
+            {dryRun ? 'Preview Changes' : 'Organize Files'}
           </button>
+          <button
+            type="button"
+            onClick={() => setShowPreview(true)}
+            disabled={!localDestPath.trim()}
+            title="See where every file would go, with duplicates and name collisions, without making a plan"
+            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 whitespace-nowrap"
+          >
+            Preview
+          </button>
+          <button
+            type="button"
+            onClick={handleReviewPlan}
+            disabled={!localDestPath.trim() || isPlanning}
+            title="See where every file would go, leave files out or change where they go, then execute exactly that"
+            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 whitespace-nowrap"
+          >
+            {isPlanning ? 'Planning...' : 'Review Plan'}
+          </button>
+          <label
+            title="Create a plan from an exported plan edited in a spreadsheet"
+            className={`px-4 py-2 border border-gray-300 rounded-md text-gray-700 whitespace-nowrap ${
+              !localDestPath.trim() || isPlanning ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-50 cursor-pointer'
+            }`}
+          >
+            Import Plan
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              aria-label="Import plan CSV"
+              onChange={handleImportPlan}
+              disabled={!localDestPath.trim() || isPlanning}
+              className="hidden"
+            />
+          </label>
         </div>
+        {isOrganizing && (
+          <p className="text-sm text-green-700 mt-1">{describeJobs(organizeJobIds, 'Organizing...', 'organize')}</p>
+        )}
         <p className="text-sm text-gray-500 mt-1">
-          Files will be organized into YYYY/MM/DD structure
-          {dryRun && ' (dry run - no files will be moved)'}
+          {profileId
+            ? `Files will be organized by the rules of the profile${pathTemplate.trim() ? `, others into ${pathTemplate.trim()}` : ''}`
+            : `Files will be organized into ${pathTemplate.trim() || 'YYYY/MM/DD'} structure`}
+          {organizeMode !== 'move' && ', leaving the source files in place'}
+          {dryRun && ' (dry run - no files will be moved; the plan opens for review)'}
         </p>
       </div>
 
+      {/* Folder template */}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Folder Template
+        </label>
+        <input
+          type="text"
+          value={pathTemplate}
+          onChange={(e) => setPathTemplate(e.target.value)}
+          placeholder="{year}/{month}/{day}/{filename}"
+          className="w-full border border-gray-300 rounded-md px-4 py-2 font-mono text-sm focus:ring-blue-500 focus:border-blue-500"
+        />
+        <p className="text-sm text-gray-500 mt-1">
+          Optional. Tokens include {'{year}'}, {'{month}'}, {'{monthName}'}, {'{week}'}, {'{quarter}'},
+          {' '}{'{camera}'}, {'{category}'}, {'{extension}'}, {'{dateSource}'} and {'{hash}'}
+        </p>
+      </div>
+
+      {showPreview && (
+        <OrganizePreview
+          destinationPath={localDestPath.trim()}
+          template={pathTemplate.trim() || null}
+          profileId={profileId ? parseInt(profileId, 10) : null}
+          confirmLabel="Make Plan"
+          onConfirm={handleReviewPlan}
+          onClose={() => setShowPreview(false)}
+        />
+      )}
+
+      {reviewPlanId && (
+        <PlanReview
+          planId={reviewPlanId}
+          onExecuted={handlePlanExecuted}
+          onClose={() => setReviewPlanId(null)}
+        />
+      )}
+
       {/* Stats display */}
       {state.stats && (
         <div className="flex space-x-6 pt-4 border-t">
@@ -0,0 +1,201 @@
+import React, { useEffect, useState } from 'react';
+import { useApp } from '../../contexts/AppContext';
+import * as api from '../../api/client';
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  running: 'bg-blue-100 text-blue-800',
+  paused: 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-500'
+};
+
+const LOG_LEVEL_STYLES = {
+  info: 'text-gray-700',
+  warn: 'text-yellow-700',
+  error: 'text-red-700'
+};
+
+function JobQueue() {
+  const { state, actions } = useApp();
+  const [logs, setLogs] = useState({});
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    actions.fetchJobs();
+  }, []);
+
+  const jobs = Object.values(state.jobs).sort((a, b) => b.id - a.id);
+
+  const formatDate = (dateStr) => {
+    if (!dateStr) return 'Unknown';
+    const date = new Date(dateStr);
+    return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+  };
+
+  const describeJob = (job) => {
+    const params = job.params || {};
+    switch (job.type) {
+      case 'scan':
+        return `Scan ${params.sourcePath}${params.incremental ? ' for changes' : ''}`;
+      case 'organize':
+        return `${params.dryRun ? 'Plan organizing' : 'Organize'} into ${params.destinationPath}`;
+      case 'plan':
+        return `Execute plan ${params.planId}`;
+      case 'revert':
+        return `Revert batch ${params.batchId}`;
+      case 'resolve':
+        return `Resolve ${params.hashes ? `${params.hashes.length} duplicate groups` : 'all duplicates'} (${params.action})`;
+      case 'verify':
+        return params.fileIds ? `Verify ${params.fileIds.length} files` : 'Verify organized files';
+      default:
+        return job.type;
+    }
+  };
+
+  // A running revert, resolution or dry run cannot be stopped part-way
+  const isStoppable = (job) => job.status !== 'running' ||
+    (!['revert', 'resolve'].includes(job.type) && !(job.type === 'organize' && job.params?.dryRun));
+
+  const toggleLogs = async (jobId) => {
+    if (logs[jobId]) {
+      setLogs(prev => {
+        const { [jobId]: _removed, ...rest } = prev;
+        return rest;
+      });
+      return;
+    }
+
+    try {
+      const result = await api.getJobLogs(jobId);
+      setLogs(prev => ({ ...prev, [jobId]: result.logs }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAction = async (action, jobId) => {
+    setBusyId(jobId);
+    setError(null);
+    try {
+      await action(jobId);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-medium text-gray-900">Jobs</h2>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => handleAction(actions.verifyLibrary, null)}
+            className="px-3 py-1 text-sm border rounded hover:bg-gray-50"
+          >
+            Verify Library
+          </button>
+          <button
+            onClick={() => actions.fetchJobs()}
+            className="px-3 py-1 text-sm border rounded hover:bg-gray-50"
+          >
+            Refresh
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Scans, organizes, plan executions, reverts, duplicate resolutions and library checks run one at a time in the order they were queued,
+        and carry on after a restart. Verify Library re-hashes every organized file to find missing,
+        modified and corrupted files.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>
+      )}
+
+      {jobs.length === 0 ? (
+        <p className="text-gray-500">No jobs yet. Scans and organizes you start are queued here.</p>
+      ) : (
+        <ul className="divide-y border rounded-lg">
+          {jobs.map(job => (
+            <li key={job.id} className="p-3 text-sm">
+              <div className="flex items-start justify-between">
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[job.status] || ''}`}>
+                      {job.status}
+                    </span>
+                    <span className="text-gray-900 break-all">{describeJob(job)}</span>
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    #{job.id} · queued {formatDate(job.created_at)}
+                    {job.completed_at && ` · finished ${formatDate(job.completed_at)}`}
+                  </div>
+                  {job.error_message && (
+                    <div className="text-red-700 mt-1">{job.error_message}</div>
+                  )}
+                  {job.type === 'verify' && job.result && (
+                    <div className={`mt-1 ${job.result.okFiles === job.result.processedFiles ? 'text-green-700' : 'text-red-700'}`}>
+                      {job.result.okFiles} ok, {job.result.missingFiles} missing, {job.result.modifiedFiles} modified,
+                      {' '}{job.result.corruptedFiles} corrupted
+                    </div>
+                  )}
+                </div>
+                <div className="flex space-x-2 ml-3 flex-shrink-0">
+                  {['queued', 'running'].includes(job.status) && isStoppable(job) && (
+                    <button
+                      onClick={() => handleAction(actions.pauseJob, job.id)}
+                      disabled={busyId === job.id}
+                      className="px-2 py-1 text-xs border rounded hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Pause
+                    </button>
+                  )}
+                  {job.status === 'paused' && (
+                    <button
+                      onClick={() => handleAction(actions.resumeJob, job.id)}
+                      disabled={busyId === job.id}
+                      className="px-2 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Resume
+                    </button>
+                  )}
+                  {['queued', 'paused', 'running'].includes(job.status) && isStoppable(job) && (
+                    <button
+                      onClick={() => handleAction(actions.cancelJob, job.id)}
+                      disabled={busyId === job.id}
+                      className="px-2 py-1 text-xs border border-red-300 text-red-700 rounded hover:bg-red-50 disabled:opacity-50"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                  <button
+                    onClick={() => toggleLogs(job.id)}
+                    className="px-2 py-1 text-xs border rounded hover:bg-gray-50"
+                  >
+                    {logs[job.id] ? 'Hide log' : 'Show log'}
+                  </button>
+                </div>
+              </div>
+              {logs[job.id] && (
+                <ul className="mt-2 p-2 bg-gray-50 rounded font-mono text-xs space-y-1">
+                  {logs[job.id].map(line => (
+                    <li key={line.id} className={LOG_LEVEL_STYLES[line.level] || ''}>
+                      {formatDate(line.created_at)} {line.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default JobQueue;
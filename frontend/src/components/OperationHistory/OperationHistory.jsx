@@ -7,12 +7,31 @@ function OperationHistory() {
   const [batches, setBatches] = useState([]);
   const [selectedBatch, setSelectedBatch] = useState(null);
   const [batchOperations, setBatchOperations] = useState([]);
-  const [isReverting, setIsReverting] = useState(false);
+  // Revert job queued from here, and the batch it reverts
+  const [revertJob, setRevertJob] = useState(null);
+  const isReverting = Boolean(revertJob);
 
   useEffect(() => {
     loadBatches();
   }, []);
 
+  // The revert runs as a background job; refresh once it finishes
+  useEffect(() => {
+    const job = revertJob && state.jobs[revertJob.id];
+    if (!job || !['completed', 'failed', 'cancelled'].includes(job.status)) return;
+
+    setRevertJob(null);
+    if (job.status === 'failed') {
+      alert(`Failed to revert: ${job.error_message}`);
+    }
+    loadBatches();
+    if (selectedBatch === revertJob.batchId) {
+      loadBatchOperations(revertJob.batchId);
+    }
+    actions.fetchFiles();
+    actions.fetchStats();
+  }, [state.jobs, revertJob]);
+
   const loadBatches = async () => {
     try {
       const result = await api.getOperationBatches(20);
@@ -38,20 +57,12 @@ function OperationHistory() {
     );
     if (!confirmed) return;
 
-    setIsReverting(true);
     try {
-      await api.revertBatch(batchId);
-      await loadBatches();
-      if (selectedBatch === batchId) {
-        await loadBatchOperations(batchId);
-      }
-      actions.fetchFiles();
-      actions.fetchStats();
+      const result = await actions.revertBatch(batchId);
+      setRevertJob({ id: result.job.id, batchId });
     } catch (error) {
       console.error('Error reverting batch:', error);
       alert(`Failed to revert: ${error.message}`);
-    } finally {
-      setIsReverting(false);
     }
   };
 
@@ -65,10 +76,19 @@ function OperationHistory() {
     const icons = {
       scan: '🔍',
       move: '📦',
+      copy: '📑',
+      link: '🔗',
+      symlink: '↪️',
       skip: '⏭️',
       duplicate: '📋',
       error: '❌',
-      revert: '↩️'
+      revert: '↩️',
+      quarantine: '🗄️',
+      trash: '🗑️',
+      hardlink: '🔗',
+      timeshift: '🕒',
+      date_edit: '📅',
+      date_writeback: '✍️'
     };
     return icons[type] || '📄';
   };
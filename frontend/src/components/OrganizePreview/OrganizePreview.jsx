@@ -0,0 +1,181 @@
+import React, { useEffect, useState } from 'react';
+import * as api from '../../api/client';
+
+const PAGE_SIZE = 50;
+
+const ACTION_LABELS = {
+  move: { label: 'Move', className: 'bg-green-100 text-green-800' },
+  collision_rename: { label: 'Renamed', className: 'bg-yellow-100 text-yellow-800' },
+  no_date: { label: 'No date', className: 'bg-orange-100 text-orange-800' },
+  duplicate: { label: 'Duplicate', className: 'bg-gray-100 text-gray-700' },
+  missing_source: { label: 'Source missing', className: 'bg-red-100 text-red-800' }
+};
+
+function OrganizePreview({ destinationPath, template, profileId, confirmLabel, onConfirm, onClose }) {
+  const [data, setData] = useState(null);
+  const [offset, setOffset] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadPage(offset);
+  }, [offset]);
+
+  // The preview is worked out once; further pages come from the one the server kept
+  const loadPage = async (pageOffset) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const options = { limit: PAGE_SIZE, offset: pageOffset };
+      setData(data?.previewId
+        ? await api.getOrganizePreviewPage(data.previewId, options)
+        : await api.getOrganizePreview(destinationPath, template, profileId, options));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const formatFileSize = (bytes) => {
+    if (!bytes) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  const describeConflict = (entry) => {
+    if (entry.action === 'duplicate') return `Duplicate of file ${entry.duplicateOf}`;
+    if (entry.action === 'missing_source') return 'The source file is gone; it will be skipped';
+    if (!entry.intendedPath) return null;
+    return entry.conflictsWith === 'existing'
+      ? 'Name taken by a file already in the destination'
+      : `Name taken by file ${entry.conflictsWith} of this run`;
+  };
+
+  const summary = data?.summary;
+  const placedFiles = summary ? summary.byAction.move + summary.byAction.collision_rename + summary.byAction.no_date : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div role="dialog" aria-label="Organize preview" className="bg-white rounded-lg shadow-xl max-w-5xl w-full max-h-[90vh] flex flex-col m-4">
+        <div className="flex items-center justify-between px-6 py-4 border-b">
+          <h2 className="text-lg font-semibold text-gray-900">Organize Preview</h2>
+          <button onClick={onClose} aria-label="Close preview" className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>
+          )}
+          {!data && isLoading && <p className="text-sm text-gray-500">Working out where every file goes...</p>}
+
+          {summary && (
+            <>
+              <p className="text-sm text-gray-700">
+                {placedFiles} of {summary.totalFiles} files go to the destination ({formatFileSize(summary.totalBytes)})
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(ACTION_LABELS).map(([action, { label, className }]) => (
+                  <span key={action} className={`px-2 py-1 rounded text-xs ${className}`}>
+                    {label}: {summary.byAction[action] || 0}
+                  </span>
+                ))}
+              </div>
+
+              {data.folders.length > 0 && (
+                <details className="text-sm">
+                  <summary className="cursor-pointer text-gray-700">{data.folders.length} destination folders</summary>
+                  <table className="mt-2 min-w-full text-xs">
+                    <tbody className="divide-y divide-gray-100">
+                      {data.folders.map(folder => (
+                        <tr key={folder.folder}>
+                          <td className="py-1 pr-4 font-mono text-gray-900">{folder.folder}</td>
+                          <td className="py-1 pr-4 text-gray-600">{folder.files} files</td>
+                          <td className="py-1 text-gray-600">{formatFileSize(folder.bytes)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </details>
+              )}
+
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">File</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Destination</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {data.preview.map(entry => (
+                    <tr key={entry.id}>
+                      <td className="px-3 py-2 text-sm text-gray-900">
+                        {entry.filename}
+                        {entry.rule && <div className="text-xs text-gray-500">Rule: {entry.rule}</div>}
+                      </td>
+                      <td className="px-3 py-2">
+                        <span className={`px-2 py-1 rounded text-xs ${ACTION_LABELS[entry.action].className}`}>
+                          {ACTION_LABELS[entry.action].label}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2 text-xs text-gray-700 break-all">
+                        {entry.destinationPath}
+                        {describeConflict(entry) && <div className="text-gray-500">{describeConflict(entry)}</div>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {data.totalFiles > PAGE_SIZE && (
+                <div className="flex items-center justify-between text-sm text-gray-700">
+                  <span>
+                    Showing {data.offset + 1}-{Math.min(data.offset + PAGE_SIZE, data.totalFiles)} of {data.totalFiles}
+                  </span>
+                  <span className="space-x-2">
+                    <button
+                      onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+                      disabled={offset === 0 || isLoading}
+                      className="px-3 py-1 border rounded hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Previous
+                    </button>
+                    <button
+                      onClick={() => setOffset(offset + PAGE_SIZE)}
+                      disabled={offset + PAGE_SIZE >= data.totalFiles || isLoading}
+                      className="px-3 py-1 border rounded hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Next
+                    </button>
+                  </span>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-2 px-6 py-4 border-t">
+          <button onClick={onClose} className="px-4 py-2 text-sm border rounded-md hover:bg-gray-50">
+            Cancel
+          </button>
+          <button
+            onClick={onConfirm}
+            disabled={!summary || placedFiles === 0}
+            className="px-4 py-2 text-sm bg-green-600 hover:bg-green-700 text-white rounded-md disabled:opacity-50"
+          >
+            {confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OrganizePreview;
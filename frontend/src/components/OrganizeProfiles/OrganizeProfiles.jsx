@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from 'react';
+import * as api from '../../api/client';
+
+const EXAMPLE_RULES = `[
+  { "name": "Screenshots", "match": { "filename": "Screenshot*" }, "template": "Screenshots/{year}" },
+  { "name": "Large videos", "match": { "category": "video", "minSize": "1GB" }, "template": "Videos/Large/{year}" },
+  { "name": "Drone", "match": { "make": "DJI" }, "template": "Drone/{year}-{month}" }
+]`;
+
+function OrganizeProfiles() {
+  const [profiles, setProfiles] = useState([]);
+  const [ruleFields, setRuleFields] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [nameInput, setNameInput] = useState('');
+  const [templateInput, setTemplateInput] = useState('');
+  const [rulesInput, setRulesInput] = useState('');
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadProfiles();
+    loadRuleFields();
+  }, []);
+
+  const loadProfiles = async () => {
+    try {
+      const data = await api.getProfiles();
+      setProfiles(data.profiles || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const loadRuleFields = async () => {
+    try {
+      const data = await api.getRuleFields();
+      setRuleFields(data.fields || []);
+    } catch (err) {
+      console.error('Error loading rule fields:', err);
+    }
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setNameInput('');
+    setTemplateInput('');
+    setRulesInput('');
+  };
+
+  const handleEdit = (profile) => {
+    setError(null);
+    setMessage(null);
+    setEditingId(profile.id);
+    setNameInput(profile.name);
+    setTemplateInput(profile.template || '');
+    setRulesInput(JSON.stringify(profile.rules, null, 2));
+  };
+
+  const handleSave = async () => {
+    setError(null);
+    setMessage(null);
+
+    let rules;
+    try {
+      rules = rulesInput.trim() ? JSON.parse(rulesInput) : [];
+    } catch (err) {
+      setError(`Rules are not valid JSON: ${err.message}`);
+      return;
+    }
+
+    const profile = { name: nameInput.trim(), template: templateInput.trim() || null, rules };
+    try {
+      if (editingId) {
+        await api.updateProfile(editingId, profile);
+        setMessage('Profile saved.');
+      } else {
+        await api.createProfile(profile);
+        setMessage('Profile created. Choose it next to the destination folder to organize with it.');
+      }
+      resetForm();
+      loadProfiles();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Delete the profile "${profile.name}"?`)) return;
+
+    setError(null);
+    setMessage(null);
+    try {
+      await api.deleteProfile(profile.id);
+      if (editingId === profile.id) resetForm();
+      loadProfiles();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <h3 className="text-sm font-medium text-gray-900 mb-2">Organize profiles</h3>
+      <p className="text-xs text-gray-500 mb-3">
+        A profile sends files to different folders by rules. Rules are tried in order and the first one whose
+        conditions all hold picks the folder template; files no rule matches use the profile's default template.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>
+      )}
+      {message && (
+        <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded text-sm text-green-700">{message}</div>
+      )}
+
+      {profiles.length > 0 && (
+        <ul className="space-y-1 mb-3">
+          {profiles.map(profile => (
+            <li key={profile.id} className="flex items-center justify-between text-sm">
+              <span>
+                <span className="text-gray-900">{profile.name}</span>
+                <span className="ml-2 text-xs text-gray-500">
+                  {profile.rules.length} {profile.rules.length === 1 ? 'rule' : 'rules'}
+                </span>
+              </span>
+              <span className="space-x-3">
+                <button onClick={() => handleEdit(profile)} className="text-xs text-blue-600 hover:underline">
+                  Edit
+                </button>
+                <button onClick={() => handleDelete(profile)} className="text-xs text-red-600 hover:underline">
+                  Delete
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          handleSave();
+        }}
+        className="space-y-2 mb-4"
+      >
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={nameInput}
+            onChange={(e) => setNameInput(e.target.value)}
+            placeholder="Profile name"
+            className="w-48 border rounded px-2 py-1 text-sm"
+          />
+          <input
+            type="text"
+            value={templateInput}
+            onChange={(e) => setTemplateInput(e.target.value)}
+            placeholder="Default template (optional), e.g. {year}/{month}"
+            className="flex-1 border rounded px-2 py-1 text-sm font-mono"
+          />
+        </div>
+        <textarea
+          aria-label="Rules"
+          value={rulesInput}
+          onChange={(e) => setRulesInput(e.target.value)}
+          placeholder={EXAMPLE_RULES}
+          rows={6}
+          className="w-full border rounded px-2 py-1 text-xs font-mono"
+        />
+        <div className="space-x-2">
+          <button
+            type="submit"
+            disabled={!nameInput.trim()}
+            className="px-3 py-1 text-sm bg-gray-700 text-white rounded hover:bg-gray-800 disabled:opacity-50"
+          >
+            {editingId ? 'Save Profile' : 'Add Profile'}
+          </button>
+          {editingId && (
+            <button type="button" onClick={resetForm} className="px-3 py-1 text-sm border rounded hover:bg-gray-50">
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      <details className="text-sm">
+        <summary className="cursor-pointer text-gray-700">Rule conditions</summary>
+        <ul className="mt-2 space-y-1 text-xs text-gray-600">
+          {ruleFields.map(({ field, description }) => (
+            <li key={field}>
+              <span className="font-mono">{field}</span> - {description}
+            </li>
+          ))}
+        </ul>
+      </details>
+    </div>
+  );
+}
+
+export default OrganizeProfiles;
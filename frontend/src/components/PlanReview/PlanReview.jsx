@@ -0,0 +1,307 @@
+import React, { useEffect, useState } from 'react';
+import * as api from '../../api/client';
+
+const PAGE_SIZE = 50;
+
+const ACTION_LABELS = {
+  move: { label: 'Move', className: 'bg-green-100 text-green-800' },
+  collision_rename: { label: 'Renamed', className: 'bg-yellow-100 text-yellow-800' },
+  no_date: { label: 'No date', className: 'bg-orange-100 text-orange-800' },
+  duplicate: { label: 'Duplicate', className: 'bg-gray-100 text-gray-700' },
+  missing_source: { label: 'Source missing', className: 'bg-red-100 text-red-800' }
+};
+
+// Actions that put a file in the destination; only these can be given another one
+const PLACED_ACTIONS = ['move', 'collision_rename', 'no_date'];
+
+const ITEM_STATUS_LABELS = {
+  done: { label: 'Done', className: 'text-green-700' },
+  skipped: { label: 'Skipped', className: 'text-gray-500' },
+  drifted: { label: 'Changed since planning', className: 'text-orange-700' },
+  failed: { label: 'Failed', className: 'text-red-700' }
+};
+
+// Plans that can be (re)sent for execution
+const EXECUTABLE_STATUSES = ['draft', 'approved', 'stopped'];
+
+function PlanReview({ planId, onExecuted, onClose }) {
+  const [plan, setPlan] = useState(null);
+  const [items, setItems] = useState(null);
+  const [offset, setOffset] = useState(0);
+  const [editing, setEditing] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isExecuting, setIsExecuting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadPlan();
+  }, [planId]);
+
+  useEffect(() => {
+    loadItems(offset);
+  }, [planId, offset]);
+
+  const loadPlan = async () => {
+    try {
+      setPlan(await api.getPlan(planId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const loadItems = async (pageOffset) => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setItems(await api.getPlanItems(planId, { limit: PAGE_SIZE, offset: pageOffset }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Edits can touch companions on the same page and the totals; reload both
+  const updateItem = async (item, changes) => {
+    setError(null);
+    try {
+      await api.updatePlanItem(planId, item.id, changes);
+      setEditing(null);
+      await Promise.all([loadPlan(), loadItems(offset)]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleExecute = async () => {
+    setError(null);
+    setIsExecuting(true);
+    try {
+      const result = await api.executePlan(planId);
+      onExecuted(result);
+    } catch (err) {
+      setError(err.message);
+      setIsExecuting(false);
+    }
+  };
+
+  const formatFileSize = (bytes) => {
+    if (!bytes) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  const describeConflict = (item) => {
+    if (item.action === 'duplicate') return `Duplicate of file ${item.duplicateOf}`;
+    if (item.action === 'missing_source') return 'The source file is gone; it will be skipped';
+    if (item.edited) return 'Destination changed by hand';
+    if (!item.intendedPath) return null;
+    return item.conflictsWith === 'existing'
+      ? 'Name taken by a file already in the destination'
+      : `Name taken by file ${item.conflictsWith} of this plan`;
+  };
+
+  const summary = plan?.summary;
+  const placedFiles = summary ? PLACED_ACTIONS.reduce((total, action) => total + summary.byAction[action], 0) : 0;
+  const isDraft = plan?.status === 'draft';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div role="dialog" aria-label="Organize plan" className="bg-white rounded-lg shadow-xl max-w-5xl w-full max-h-[90vh] flex flex-col m-4">
+        <div className="flex items-center justify-between px-6 py-4 border-b">
+          <h2 className="text-lg font-semibold text-gray-900">
+            Organize Plan {plan && <span className="ml-2 text-sm font-normal text-gray-500">#{plan.id}, {plan.status}</span>}
+          </h2>
+          <button onClick={onClose} aria-label="Close plan" className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto space-y-4">
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>
+          )}
+          {!items && isLoading && <p className="text-sm text-gray-500">Loading the plan...</p>}
+
+          {summary && (
+            <>
+              <p className="text-sm text-gray-700">
+                {placedFiles} of {summary.totalFiles} files go to the destination ({formatFileSize(summary.totalBytes)})
+                {summary.excludedFiles > 0 && `, ${summary.excludedFiles} excluded`}
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(ACTION_LABELS).map(([action, { label, className }]) => (
+                  <span key={action} className={`px-2 py-1 rounded text-xs ${className}`}>
+                    {label}: {summary.byAction[action] || 0}
+                  </span>
+                ))}
+              </div>
+              {!isDraft && (
+                <p className="text-sm text-gray-700">
+                  {plan.byStatus.done} done, {plan.byStatus.skipped} skipped,
+                  {' '}{plan.byStatus.drifted} changed since planning, {plan.byStatus.failed} failed
+                  {plan.byStatus.planned > 0 && `, ${plan.byStatus.planned} still to run`}
+                </p>
+              )}
+
+              {plan.folders.length > 0 && (
+                <details className="text-sm">
+                  <summary className="cursor-pointer text-gray-700">{plan.folders.length} destination folders</summary>
+                  <table className="mt-2 min-w-full text-xs">
+                    <tbody className="divide-y divide-gray-100">
+                      {plan.folders.map(folder => (
+                        <tr key={folder.folder}>
+                          <td className="py-1 pr-4 font-mono text-gray-900">{folder.folder}</td>
+                          <td className="py-1 pr-4 text-gray-600">{folder.files} files</td>
+                          <td className="py-1 text-gray-600">{formatFileSize(folder.bytes)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </details>
+              )}
+            </>
+          )}
+
+          {items && (
+            <>
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Include</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">File</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Destination</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {items.items.map(item => (
+                    <tr key={item.id} className={item.excluded ? 'opacity-50' : ''}>
+                      <td className="px-3 py-2">
+                        <input
+                          type="checkbox"
+                          aria-label={`Include ${item.filename}`}
+                          checked={!item.excluded}
+                          disabled={!isDraft}
+                          onChange={(e) => updateItem(item, { excluded: !e.target.checked })}
+                          className="h-4 w-4"
+                        />
+                      </td>
+                      <td className="px-3 py-2 text-sm text-gray-900">
+                        {item.filename}
+                        {item.rule && <div className="text-xs text-gray-500">Rule: {item.rule}</div>}
+                        {item.companionOf && <div className="text-xs text-gray-500">With file {item.companionOf}</div>}
+                      </td>
+                      <td className="px-3 py-2">
+                        <span className={`px-2 py-1 rounded text-xs ${ACTION_LABELS[item.action].className}`}>
+                          {ACTION_LABELS[item.action].label}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2 text-xs text-gray-700 break-all">
+                        {editing?.id === item.id ? (
+                          <form
+                            onSubmit={(e) => {
+                              e.preventDefault();
+                              updateItem(item, { destinationPath: editing.value.trim() });
+                            }}
+                            className="flex space-x-2"
+                          >
+                            <input
+                              type="text"
+                              aria-label={`Destination of ${item.filename}`}
+                              value={editing.value}
+                              onChange={(e) => setEditing({ id: item.id, value: e.target.value })}
+                              className="flex-1 border rounded px-2 py-1 font-mono"
+                            />
+                            <button type="submit" className="text-blue-600 hover:underline">Save</button>
+                            <button type="button" onClick={() => setEditing(null)} className="text-gray-500 hover:underline">
+                              Cancel
+                            </button>
+                          </form>
+                        ) : (
+                          <>
+                            {item.destinationPath}
+                            {isDraft && !item.excluded && PLACED_ACTIONS.includes(item.action) && (
+                              <button
+                                onClick={() => setEditing({ id: item.id, value: item.destinationPath })}
+                                aria-label={`Change destination of ${item.filename}`}
+                                className="ml-2 text-blue-600 hover:underline"
+                              >
+                                Change
+                              </button>
+                            )}
+                          </>
+                        )}
+                        {describeConflict(item) && <div className="text-gray-500">{describeConflict(item)}</div>}
+                        {ITEM_STATUS_LABELS[item.status] && (
+                          <div className={ITEM_STATUS_LABELS[item.status].className}>
+                            {ITEM_STATUS_LABELS[item.status].label}{item.message && `: ${item.message}`}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {items.total > PAGE_SIZE && (
+                <div className="flex items-center justify-between text-sm text-gray-700">
+                  <span>
+                    Showing {items.offset + 1}-{Math.min(items.offset + PAGE_SIZE, items.total)} of {items.total}
+                  </span>
+                  <span className="space-x-2">
+                    <button
+                      onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+                      disabled={offset === 0 || isLoading}
+                      className="px-3 py-1 border rounded hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Previous
+                    </button>
+                    <button
+                      onClick={() => setOffset(offset + PAGE_SIZE)}
+                      disabled={offset + PAGE_SIZE >= items.total || isLoading}
+                      className="px-3 py-1 border rounded hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Next
+                    </button>
+                  </span>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="flex justify-end items-center space-x-2 px-6 py-4 border-t">
+          {plan && (
+            <span className="mr-auto space-x-4 text-sm">
+              <a href={api.getPlanExportUrl(plan.id, 'csv')} download className="text-blue-600 hover:underline">
+                Export CSV
+              </a>
+              <a href={api.getPlanExportUrl(plan.id, 'json')} download className="text-blue-600 hover:underline">
+                Export JSON
+              </a>
+            </span>
+          )}
+          <button onClick={onClose} className="px-4 py-2 text-sm border rounded-md hover:bg-gray-50">
+            Close
+          </button>
+          {plan && EXECUTABLE_STATUSES.includes(plan.status) && (
+            <button
+              onClick={handleExecute}
+              disabled={placedFiles === 0 || isExecuting}
+              className="px-4 py-2 text-sm bg-green-600 hover:bg-green-700 text-white rounded-md disabled:opacity-50"
+            >
+              {plan.status === 'stopped' ? 'Continue Plan' : 'Execute Plan'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PlanReview;
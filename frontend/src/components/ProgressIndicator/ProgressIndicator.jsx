@@ -1,22 +1,60 @@
 import React from 'react';
 import { useApp } from '../../contexts/AppContext';
 
+const ACTIVE_STATUSES = ['in_progress', 'cancelling'];
+
 function ProgressIndicator() {
-  const { state } = useApp();
+  const { state, actions } = useApp();
 
   const scanStatus = state.scanStatus;
   const organizeStatus = state.organizeStatus;
 
-  // Determine which operation is active
-  const isScanning = scanStatus?.status === 'in_progress';
-  const isOrganizing = organizeStatus?.status === 'in_progress';
+  // Determine which operation is active; thumbnails only show when nothing else runs
+  const isScanning = ACTIVE_STATUSES.includes(scanStatus?.status);
+  const isOrganizing = ACTIVE_STATUSES.includes(organizeStatus?.status);
+  const isReverting = ACTIVE_STATUSES.includes(state.revertStatus?.status);
+  const isResolving = ACTIVE_STATUSES.includes(state.resolveStatus?.status);
+  const isGeneratingThumbnails = ACTIVE_STATUSES.includes(state.thumbnailStatus?.status);
 
-  if (!isScanning && !isOrganizing) {
+  if (!isScanning && !isOrganizing && !isReverting && !isResolving && !isGeneratingThumbnails) {
     return null;
   }
 
-  const activeOperation = isScanning ? scanStatus : organizeStatus;
-  const operationType = isScanning ? 'Scanning' : 'Organizing';
+  let activeOperation;
+  let operationType;
+  if (isScanning) {
+    activeOperation = scanStatus;
+    operationType = 'Scanning';
+  } else if (isOrganizing) {
+    activeOperation = organizeStatus;
+    operationType = 'Organizing';
+  } else if (isReverting) {
+    activeOperation = state.revertStatus;
+    operationType = 'Reverting';
+  } else if (isResolving) {
+    activeOperation = state.resolveStatus;
+    operationType = 'Resolving duplicates';
+  } else {
+    activeOperation = state.thumbnailStatus;
+    operationType = 'Generating thumbnails';
+  }
+  const isCancelling = activeOperation.status === 'cancelling';
+  const canCancel = isScanning || isOrganizing;
+
+  const handleCancel = () => {
+    if (isScanning) {
+      actions.cancelScan();
+    } else {
+      actions.cancelOrganize();
+    }
+  };
+
+  const formatDuration = (seconds) => {
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  };
 
   const progress = activeOperation.totalFiles > 0
     ? Math.round((activeOperation.processedFiles / activeOperation.totalFiles) * 100)
@@ -48,13 +86,23 @@ function ProgressIndicator() {
               />
             </svg>
 
-            <span className="font-medium">{operationType}...</span>
+            <span className="font-medium">
+              {isCancelling ? `Cancelling ${operationType.toLowerCase()}...` : `${operationType}...`}
+            </span>
 
             {activeOperation.totalFiles > 0 && (
               <span className="text-blue-200">
                 {activeOperation.processedFiles} / {activeOperation.totalFiles} files
               </span>
             )}
+
+            {activeOperation.throughput > 0 && (
+              <span className="text-blue-200">{activeOperation.throughput} files/s</span>
+            )}
+
+            {activeOperation.etaSeconds != null && (
+              <span className="text-blue-200">{formatDuration(activeOperation.etaSeconds)} left</span>
+            )}
           </div>
 
           <div className="flex items-center space-x-4">
@@ -68,9 +116,23 @@ function ProgressIndicator() {
                 style={{ width: `${progress}%` }}
               />
             </div>
+
+            {canCancel && (
+              <button
+                onClick={handleCancel}
+                disabled={isCancelling}
+                className="px-3 py-1 text-sm border border-blue-300 rounded hover:bg-blue-700 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+            )}
           </div>
         </div>
 
+        {activeOperation.currentFile && (
+          <div className="mt-1 text-xs text-blue-200 truncate">{activeOperation.currentFile}</div>
+        )}
+
         {/* Additional stats for organizing */}
         {isOrganizing && (
           <div className="flex items-center space-x-6 mt-2 text-sm text-blue-200">
@@ -0,0 +1,248 @@
+import React, { useEffect, useState } from 'react';
+import * as api from '../../api/client';
+
+function Settings() {
+  const [patterns, setPatterns] = useState([]);
+  const [builtInPatterns, setBuiltInPatterns] = useState([]);
+  const [nameInput, setNameInput] = useState('');
+  const [patternInput, setPatternInput] = useState('');
+  const [sampleInput, setSampleInput] = useState('');
+  const [sampleResult, setSampleResult] = useState(undefined);
+  const [timezoneInput, setTimezoneInput] = useState('');
+  const [writeBack, setWriteBack] = useState('off');
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      const data = await api.getSettings();
+      setPatterns(data.filenameDatePatterns || []);
+      setBuiltInPatterns(data.builtInFilenameDatePatterns || []);
+      setTimezoneInput(data.defaultTimezone || '');
+      setWriteBack(data.dateWriteBack || 'off');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const savePatterns = async (next, successMessage) => {
+    setError(null);
+    setMessage(null);
+    try {
+      const data = await api.updateSettings({ filenameDatePatterns: next });
+      setPatterns(data.filenameDatePatterns || []);
+      setMessage(successMessage);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleAdd = async () => {
+    const pattern = patternInput.trim();
+    if (!pattern) return;
+
+    const saved = await savePatterns(
+      [...patterns, { name: nameInput.trim() || pattern, pattern }],
+      'Pattern saved. It applies to files scanned from now on.'
+    );
+    if (saved) {
+      setNameInput('');
+      setPatternInput('');
+    }
+  };
+
+  const handleRemove = (index) => {
+    savePatterns(patterns.filter((_, i) => i !== index), 'Pattern removed.');
+  };
+
+  const handleSaveTimezone = async () => {
+    setError(null);
+    setMessage(null);
+    try {
+      const data = await api.updateSettings({ defaultTimezone: timezoneInput.trim() || null });
+      setTimezoneInput(data.defaultTimezone || '');
+      setMessage('Default timezone saved. Rescan files to apply it to ones already scanned.');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleWriteBackChange = async (mode) => {
+    setError(null);
+    setMessage(null);
+    try {
+      const data = await api.updateSettings({ dateWriteBack: mode });
+      setWriteBack(data.dateWriteBack);
+      setMessage(mode === 'off'
+        ? 'Date write-back turned off.'
+        : 'Date write-back saved. It applies to dates changed from now on.');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleTry = async () => {
+    if (!sampleInput.trim()) return;
+    try {
+      const data = await api.testFilenameDate(sampleInput.trim());
+      setSampleResult(data.match);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <h2 className="text-lg font-medium text-gray-900 mb-4">Settings</h2>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>
+      )}
+      {message && (
+        <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded text-sm text-green-700">{message}</div>
+      )}
+
+      <h3 className="text-sm font-medium text-gray-900 mb-2">Dates in filenames</h3>
+      <p className="text-xs text-gray-500 mb-3">
+        Files without EXIF or video dates are dated from their name before falling back to filesystem times.
+        Your patterns are tried first. Each is a regular expression with named groups
+        {' '}<span className="font-mono">(?&lt;year&gt;)</span>, <span className="font-mono">(?&lt;month&gt;)</span> and
+        {' '}<span className="font-mono">(?&lt;day&gt;)</span>, and optionally hour, minute and second.
+      </p>
+
+      {patterns.length > 0 && (
+        <ul className="space-y-1 mb-3">
+          {patterns.map((p, index) => (
+            <li key={`${index}-${p.pattern}`} className="flex items-center justify-between text-sm">
+              <span>
+                <span className="text-gray-900">{p.name}</span>
+                {p.name !== p.pattern && <span className="ml-2 font-mono text-xs text-gray-500">{p.pattern}</span>}
+              </span>
+              <button
+                onClick={() => handleRemove(index)}
+                className="text-xs text-red-600 hover:underline"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          handleAdd();
+        }}
+        className="flex space-x-2 mb-4"
+      >
+        <input
+          type="text"
+          value={nameInput}
+          onChange={(e) => setNameInput(e.target.value)}
+          placeholder="Name (optional)"
+          className="w-48 border rounded px-2 py-1 text-sm"
+        />
+        <input
+          type="text"
+          value={patternInput}
+          onChange={(e) => setPatternInput(e.target.value)}
+          placeholder="e.g. scan-(?<day>\d{2})\.(?<month>\d{2})\.(?<year>\d{4})"
+          className="flex-1 border rounded px-2 py-1 text-sm font-mono"
+        />
+        <button
+          type="submit"
+          disabled={!patternInput.trim()}
+          className="px-3 py-1 text-sm bg-gray-700 text-white rounded hover:bg-gray-800 disabled:opacity-50"
+        >
+          Add Pattern
+        </button>
+      </form>
+
+      <div className="mb-4">
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={sampleInput}
+            onChange={(e) => setSampleInput(e.target.value)}
+            placeholder="Try a filename, e.g. IMG_20190704_153012.jpg"
+            className="flex-1 border rounded px-2 py-1 text-sm font-mono"
+          />
+          <button
+            onClick={handleTry}
+            disabled={!sampleInput.trim()}
+            className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            Try
+          </button>
+        </div>
+        {sampleResult !== undefined && (
+          <p className="mt-2 text-sm text-gray-700">
+            {sampleResult
+              ? `${new Date(sampleResult.date).toLocaleString()} (${sampleResult.pattern})`
+              : 'No date found in this filename'}
+          </p>
+        )}
+      </div>
+
+      <details className="text-sm mb-6">
+        <summary className="cursor-pointer text-gray-700">Built-in patterns</summary>
+        <ul className="mt-2 space-y-1 text-xs text-gray-600">
+          {builtInPatterns.map(p => (
+            <li key={p.pattern}>{p.name}</li>
+          ))}
+        </ul>
+      </details>
+
+      <h3 className="text-sm font-medium text-gray-900 mb-2">Default timezone</h3>
+      <p className="text-xs text-gray-500 mb-3">
+        Used for capture times that carry neither a UTC offset nor a GPS position. Leave empty to use the server's timezone.
+      </p>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          handleSaveTimezone();
+        }}
+        className="flex space-x-2"
+      >
+        <input
+          type="text"
+          value={timezoneInput}
+          onChange={(e) => setTimezoneInput(e.target.value)}
+          placeholder="e.g. Europe/Berlin or +02:00"
+          className="w-64 border rounded px-2 py-1 text-sm font-mono"
+        />
+        <button
+          type="submit"
+          className="px-3 py-1 text-sm bg-gray-700 text-white rounded hover:bg-gray-800"
+        >
+          Save Timezone
+        </button>
+      </form>
+
+      <h3 className="text-sm font-medium text-gray-900 mt-6 mb-2">Date write-back</h3>
+      <p className="text-xs text-gray-500 mb-3">
+        Write dates changed by a time shift or by hand back to the files, so other tools see them too. Embedding changes
+        JPEG files themselves; other files get an XMP sidecar. Both can be undone from the History tab.
+      </p>
+      <select
+        aria-label="Date write-back"
+        value={writeBack}
+        onChange={(e) => handleWriteBackChange(e.target.value)}
+        className="border rounded px-2 py-1 text-sm"
+      >
+        <option value="off">Off - only change the library</option>
+        <option value="sidecar">XMP sidecar files</option>
+        <option value="embed">Embed in JPEG files</option>
+      </select>
+    </div>
+  );
+}
+
+export default Settings;
@@ -0,0 +1,153 @@
+import React, { useEffect, useState } from 'react';
+import * as api from '../../api/client';
+
+function TimeShift() {
+  const [cameras, setCameras] = useState([]);
+  const [cameraIndex, setCameraIndex] = useState('');
+  const [offset, setOffset] = useState({ days: 0, hours: 0, minutes: 0 });
+  const [preview, setPreview] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadCameras();
+  }, []);
+
+  const loadCameras = async () => {
+    try {
+      const data = await api.getCameras();
+      setCameras(data.cameras || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const camera = cameraIndex === '' ? null : cameras[cameraIndex];
+  const hasOffset = Object.values(offset).some(value => value !== 0);
+
+  const cameraName = (c) => (c.model && !c.model.toLowerCase().startsWith(c.make.toLowerCase())
+    ? `${c.make} ${c.model}`
+    : c.model || c.make);
+
+  const formatLocal = (fields) => (fields.local_date
+    ? fields.local_date.replace('T', ' ')
+    : new Date(fields.resolved_date).toLocaleString());
+
+  const runShift = async (dryRun) => {
+    setError(null);
+    setMessage(null);
+    setIsWorking(true);
+    try {
+      const data = await api.shiftFileDates({ make: camera.make, model: camera.model || null, offset, dryRun });
+      if (dryRun) {
+        setPreview(data.result);
+      } else {
+        setPreview(null);
+        const written = data.writeBack ? ` Dates written to ${data.writeBack.written} files.` : '';
+        setMessage(`Shifted ${data.result.shifted} files.${written} Undo it from the History tab.`);
+        loadCameras();
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const updateOffset = (unit, value) => {
+    setOffset({ ...offset, [unit]: parseInt(value, 10) || 0 });
+    setPreview(null);
+  };
+
+  return (
+    <div>
+      <h2 className="text-lg font-medium text-gray-900 mb-2">Time Shift</h2>
+      <p className="text-xs text-gray-500 mb-4">
+        Correct the dates of every photo from a camera whose clock was set wrong. Use negative values if the clock was
+        ahead. Shifted files are organized by their corrected date.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>
+      )}
+      {message && (
+        <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded text-sm text-green-700">{message}</div>
+      )}
+
+      <div className="flex items-end space-x-3 mb-4">
+        <label className="text-sm text-gray-700">
+          Camera
+          <select
+            value={cameraIndex}
+            onChange={(e) => {
+              setCameraIndex(e.target.value === '' ? '' : parseInt(e.target.value, 10));
+              setPreview(null);
+            }}
+            className="block mt-1 border rounded px-2 py-1 text-sm"
+          >
+            <option value="">Choose a camera</option>
+            {cameras.map((c, index) => (
+              <option key={`${c.make}-${c.model}`} value={index}>
+                {cameraName(c)} ({c.count} files)
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {['days', 'hours', 'minutes'].map(unit => (
+          <label key={unit} className="text-sm text-gray-700 capitalize">
+            {unit}
+            <input
+              type="number"
+              value={offset[unit]}
+              onChange={(e) => updateOffset(unit, e.target.value)}
+              className="block mt-1 w-20 border rounded px-2 py-1 text-sm"
+            />
+          </label>
+        ))}
+
+        <button
+          onClick={() => runShift(true)}
+          disabled={!camera || !hasOffset || isWorking}
+          className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:opacity-50"
+        >
+          Preview
+        </button>
+        <button
+          onClick={() => runShift(false)}
+          disabled={!camera || !hasOffset || isWorking}
+          className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+        >
+          Apply Shift
+        </button>
+      </div>
+
+      {preview && (
+        <div className="max-h-96 overflow-y-auto">
+          <p className="text-sm text-gray-700 mb-2">{preview.shifted} files would be shifted.</p>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">File</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Current date</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Corrected date</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {preview.files.slice(0, 100).map(file => (
+                <tr key={file.id}>
+                  <td className="px-3 py-2 text-sm text-gray-900">{file.filename}</td>
+                  <td className="px-3 py-2 text-xs text-gray-600">{formatLocal(file.before)}</td>
+                  <td className="px-3 py-2 text-xs text-gray-900">{formatLocal(file.after)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TimeShift;
@@ -0,0 +1,195 @@
+import React, { useEffect, useState } from 'react';
+import { useApp } from '../../contexts/AppContext';
+import * as api from '../../api/client';
+
+const PAGE_SIZE = 50;
+
+function Trash() {
+  const { actions } = useApp();
+  const [items, setItems] = useState([]);
+  const [summary, setSummary] = useState({ total: 0, totalBytes: 0, expiredFiles: 0, retentionDays: null });
+  const [page, setPage] = useState(0);
+  const [busyId, setBusyId] = useState(null);
+  const [isEmptying, setIsEmptying] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    loadTrash();
+  }, [page]);
+
+  const loadTrash = async () => {
+    setIsLoading(true);
+    try {
+      const data = await api.getTrash({ limit: PAGE_SIZE, offset: page * PAGE_SIZE });
+      setItems(data.items || []);
+      setSummary({
+        total: data.total || 0,
+        totalBytes: data.totalBytes || 0,
+        expiredFiles: data.expiredFiles || 0,
+        retentionDays: data.retentionDays
+      });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const formatFileSize = (bytes) => {
+    if (!bytes) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  };
+
+  const formatDate = (dateStr) => {
+    if (!dateStr) return 'Unknown';
+    return new Date(dateStr).toLocaleDateString();
+  };
+
+  const refreshFiles = () => {
+    actions.fetchFiles();
+    actions.fetchStats();
+  };
+
+  const handleRestore = async (item) => {
+    setBusyId(item.id);
+    setMessage(null);
+    try {
+      await api.restoreTrashItem(item.id);
+      setMessage(`Restored ${item.filename} to ${item.originalPath}`);
+      await loadTrash();
+      refreshFiles();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleEmpty = async (all) => {
+    if (all && !window.confirm(
+      `Permanently delete all ${summary.total} file(s) in the trash? They cannot be restored afterwards.`
+    )) return;
+
+    setIsEmptying(true);
+    setMessage(null);
+    try {
+      const result = await api.emptyTrash(all);
+      setMessage(`Deleted ${result.deletedFiles} file(s), freeing ${formatFileSize(result.freedBytes)}` +
+        (result.failedFiles ? ` (${result.failedFiles} could not be deleted)` : ''));
+      if (page === 0) {
+        await loadTrash();
+      } else {
+        setPage(0);
+      }
+      refreshFiles();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsEmptying(false);
+    }
+  };
+
+  const first = page * PAGE_SIZE + 1;
+  const last = Math.min((page + 1) * PAGE_SIZE, summary.total);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">Trash ({summary.total})</h2>
+          <p className="text-sm text-gray-500">
+            {formatFileSize(summary.totalBytes)} in the trash
+            {summary.retentionDays !== null && ` · files are kept for ${summary.retentionDays} days`}
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => handleEmpty(false)}
+            disabled={isEmptying || summary.expiredFiles === 0}
+            className="px-3 py-1 text-sm border rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            Empty Expired ({summary.expiredFiles})
+          </button>
+          <button
+            onClick={() => handleEmpty(true)}
+            disabled={isEmptying || summary.total === 0}
+            className="px-3 py-1 text-sm bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50"
+          >
+            Empty All
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>
+      )}
+
+      {message && (
+        <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded text-sm text-green-800">{message}</div>
+      )}
+
+      {isLoading && items.length === 0 ? (
+        <div className="text-gray-500">Loading trash...</div>
+      ) : items.length === 0 ? (
+        <p className="text-gray-500">The trash is empty. Files you move to the trash can be restored from here.</p>
+      ) : (
+        <>
+          <ul className="divide-y border rounded-lg">
+            {items.map(item => (
+              <li key={item.id} className="flex items-start justify-between p-3 text-sm">
+                <div className="min-w-0">
+                  <div className="font-medium text-gray-900">{item.filename}</div>
+                  <div className="font-mono text-xs text-gray-600 break-all">{item.originalPath}</div>
+                  <div className="text-xs text-gray-500">
+                    {formatFileSize(item.size)} · {item.reason} · trashed {formatDate(item.trashedAt)} ·{' '}
+                    <span className={item.expired ? 'text-red-600' : ''}>
+                      {item.expired ? 'expired' : `kept until ${formatDate(item.expiresAt)}`}
+                    </span>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRestore(item)}
+                  disabled={busyId === item.id}
+                  aria-label={`Restore ${item.filename}`}
+                  className="ml-3 flex-shrink-0 px-2 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {busyId === item.id ? 'Restoring...' : 'Restore'}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {summary.total > PAGE_SIZE && (
+            <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+              <span>Showing {first}-{last} of {summary.total}</span>
+              <div className="space-x-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page === 0}
+                  className="px-3 py-1 border rounded hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={last >= summary.total}
+                  className="px-3 py-1 border rounded hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Trash;
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useReducer, useCallback } from 'react';
+import React, { createContext, useContext, useReducer, useCallback, useEffect } from 'react';
 import * as api from '../api/client';
 
 // Initial state
@@ -17,6 +17,14 @@ const initialState = {
   organizeStatus: null,
   organizeProgress: null,
 
+  // Batch revert, duplicate resolution and background thumbnail progress (from live events)
+  revertStatus: null,
+  resolveStatus: null,
+  thumbnailStatus: null,
+
+  // Queued, running and finished jobs by ID
+  jobs: {},
+
   // Search/Filter state
   searchQuery: '',
   filters: {
@@ -25,7 +33,8 @@ const initialState = {
     dateFrom: null,
     dateTo: null,
     minSize: null,
-    maxSize: null
+    maxSize: null,
+    needsDateReview: null
   },
 
   // Operations history
@@ -50,6 +59,12 @@ const ActionTypes = {
   SET_FILES_ERROR: 'SET_FILES_ERROR',
   SET_SCAN_STATUS: 'SET_SCAN_STATUS',
   SET_ORGANIZE_STATUS: 'SET_ORGANIZE_STATUS',
+  SET_REVERT_STATUS: 'SET_REVERT_STATUS',
+  SET_RESOLVE_STATUS: 'SET_RESOLVE_STATUS',
+  SET_THUMBNAIL_STATUS: 'SET_THUMBNAIL_STATUS',
+  SET_JOB: 'SET_JOB',
+  JOB_QUEUED: 'JOB_QUEUED',
+  SET_JOBS: 'SET_JOBS',
   SET_SEARCH_QUERY: 'SET_SEARCH_QUERY',
   SET_FILTERS: 'SET_FILTERS',
   SET_OPERATIONS: 'SET_OPERATIONS',
@@ -79,6 +94,25 @@ function appReducer(state, action) {
       return { ...state, scanStatus: action.payload };
     case ActionTypes.SET_ORGANIZE_STATUS:
       return { ...state, organizeStatus: action.payload };
+    case ActionTypes.SET_REVERT_STATUS:
+      return { ...state, revertStatus: action.payload };
+    case ActionTypes.SET_RESOLVE_STATUS:
+      return { ...state, resolveStatus: action.payload };
+    case ActionTypes.SET_THUMBNAIL_STATUS:
+      return { ...state, thumbnailStatus: action.payload };
+    case ActionTypes.SET_JOB:
+      return { ...state, jobs: { ...state.jobs, [action.payload.id]: action.payload } };
+    case ActionTypes.JOB_QUEUED:
+      // Events for the job may arrive before the request that queued it returns
+      if (state.jobs[action.payload.id]) {
+        return state;
+      }
+      return { ...state, jobs: { ...state.jobs, [action.payload.id]: action.payload } };
+    case ActionTypes.SET_JOBS:
+      return {
+        ...state,
+        jobs: Object.fromEntries((action.payload || []).map(job => [job.id, job]))
+      };
     case ActionTypes.SET_SEARCH_QUERY:
       return { ...state, searchQuery: action.payload };
     case ActionTypes.SET_FILTERS:
@@ -129,10 +163,10 @@ export function AppProvider({ children }) {
   }, []);
 
   // Scan actions
-  const startScan = useCallback(async (sourcePath, recursive = true) => {
+  const startScan = useCallback(async (sourcePath, recursive = true, options = {}) => {
     try {
-      const result = await api.startScan(sourcePath, recursive);
-      dispatch({ type: ActionTypes.SET_SCAN_STATUS, payload: { status: 'in_progress', ...result } });
+      const result = await api.startScan(sourcePath, recursive, options);
+      if (result.job) dispatch({ type: ActionTypes.JOB_QUEUED, payload: result.job });
       return result;
     } catch (error) {
       dispatch({ type: ActionTypes.SET_SCAN_STATUS, payload: { status: 'error', error: error.message } });
@@ -150,11 +184,32 @@ export function AppProvider({ children }) {
     }
   }, []);
 
+  const resumeScan = useCallback(async (sessionId) => {
+    try {
+      const result = await api.resumeScan(sessionId);
+      if (result.job) dispatch({ type: ActionTypes.JOB_QUEUED, payload: result.job });
+      return result;
+    } catch (error) {
+      dispatch({ type: ActionTypes.SET_SCAN_STATUS, payload: { status: 'error', error: error.message } });
+      throw error;
+    }
+  }, []);
+
+  const cancelScan = useCallback(async () => {
+    try {
+      const result = await api.cancelScan();
+      dispatch({ type: ActionTypes.SET_SCAN_STATUS, payload: result.scan });
+      return result;
+    } catch (error) {
+      console.error('Error cancelling scan:', error);
+    }
+  }, []);
+
   // Organize actions
-  const startOrganize = useCallback(async (destinationPath, dryRun = false, fileIds = null) => {
+  const startOrganize = useCallback(async (destinationPath, dryRun = false, fileIds = null, options = {}) => {
     try {
-      const result = await api.startOrganize(destinationPath, dryRun, fileIds);
-      dispatch({ type: ActionTypes.SET_ORGANIZE_STATUS, payload: { status: 'in_progress', ...result } });
+      const result = await api.startOrganize(destinationPath, dryRun, fileIds, options);
+      if (result.job) dispatch({ type: ActionTypes.JOB_QUEUED, payload: result.job });
       return result;
     } catch (error) {
       dispatch({ type: ActionTypes.SET_ORGANIZE_STATUS, payload: { status: 'error', error: error.message } });
@@ -172,6 +227,57 @@ export function AppProvider({ children }) {
     }
   }, []);
 
+  const cancelOrganize = useCallback(async () => {
+    try {
+      const result = await api.cancelOrganize();
+      dispatch({ type: ActionTypes.SET_ORGANIZE_STATUS, payload: result.organize });
+      return result;
+    } catch (error) {
+      console.error('Error cancelling organization:', error);
+    }
+  }, []);
+
+  // Job actions
+  const fetchJobs = useCallback(async () => {
+    try {
+      const result = await api.getJobs({ limit: 50 });
+      dispatch({ type: ActionTypes.SET_JOBS, payload: result.jobs });
+      return result;
+    } catch (error) {
+      console.error('Error fetching jobs:', error);
+    }
+  }, []);
+
+  const revertBatch = useCallback(async (batchId) => {
+    const result = await api.revertBatch(batchId);
+    dispatch({ type: ActionTypes.JOB_QUEUED, payload: result.job });
+    return result;
+  }, []);
+
+  const verifyLibrary = useCallback(async () => {
+    const result = await api.verifyLibrary();
+    dispatch({ type: ActionTypes.JOB_QUEUED, payload: result.job });
+    return result;
+  }, []);
+
+  // A dry run answers with its plan; a real resolution is queued
+  const resolveDuplicates = useCallback(async (options) => {
+    const result = await api.resolveDuplicates(options);
+    if (result.job) dispatch({ type: ActionTypes.JOB_QUEUED, payload: result.job });
+    return result;
+  }, []);
+
+  // Pause, resume and cancel return the job as the server left it
+  const updateJob = useCallback(async (request, id) => {
+    const result = await request(id);
+    dispatch({ type: ActionTypes.SET_JOB, payload: result.job });
+    return result.job;
+  }, []);
+
+  const pauseJob = useCallback((id) => updateJob(api.pauseJob, id), [updateJob]);
+  const resumeJob = useCallback((id) => updateJob(api.resumeJob, id), [updateJob]);
+  const cancelJob = useCallback((id) => updateJob(api.cancelJob, id), [updateJob]);
+
   // Stats actions
   const fetchStats = useCallback(async () => {
     try {
@@ -215,6 +321,25 @@ export function AppProvider({ children }) {
     dispatch({ type: ActionTypes.SET_SELECTED_FILES, payload: files });
   }, []);
 
+  // Live progress: one subscription for the whole app. After every
+  // (re)connect the REST status is fetched too, in case a run finished
+  // while the stream was down.
+  useEffect(() => {
+    return api.subscribeToEvents({
+      scan: (data) => dispatch({ type: ActionTypes.SET_SCAN_STATUS, payload: data }),
+      organize: (data) => dispatch({ type: ActionTypes.SET_ORGANIZE_STATUS, payload: data }),
+      revert: (data) => dispatch({ type: ActionTypes.SET_REVERT_STATUS, payload: data }),
+      resolve: (data) => dispatch({ type: ActionTypes.SET_RESOLVE_STATUS, payload: data }),
+      thumbnails: (data) => dispatch({ type: ActionTypes.SET_THUMBNAIL_STATUS, payload: data }),
+      jobs: (data) => dispatch({ type: ActionTypes.SET_JOB, payload: data }),
+      onOpen: () => {
+        fetchScanStatus();
+        fetchOrganizeStatus();
+        fetchJobs();
+      }
+    });
+  }, [fetchScanStatus, fetchOrganizeStatus, fetchJobs]);
+
   const value = {
     state,
     actions: {
@@ -222,8 +347,18 @@ export function AppProvider({ children }) {
       searchFiles,
       startScan,
       fetchScanStatus,
+      resumeScan,
+      cancelScan,
       startOrganize,
       fetchOrganizeStatus,
+      cancelOrganize,
+      fetchJobs,
+      revertBatch,
+      verifyLibrary,
+      resolveDuplicates,
+      pauseJob,
+      resumeJob,
+      cancelJob,
       fetchStats,
       fetchOperations,
       setSearchQuery,
@@ -1,5 +1,6 @@
-import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
 import * as api from '../../src/api/client';
+import { FakeEventSource } from '../helpers/FakeEventSource';
 
 // Mock fetch
 global.fetch = vi.fn();
@@ -79,6 +80,16 @@ describe('API Client', () => {
     });
   });
 
+  describe('getFilePreview', () => {
+    test('builds thumbnail URL with requested size', () => {
+      expect(api.getFilePreview(1, 'small')).toBe('/api/files/1/preview?size=small');
+    });
+
+    test('defaults to medium size', () => {
+      expect(api.getFilePreview(1)).toBe('/api/files/1/preview?size=medium');
+    });
+  });
+
   describe('getStats', () => {
     test('fetches file statistics', async () => {
       mockFetchSuccess({ total: 100, byStatus: { pending: 50, moved: 50 } });
@@ -150,6 +161,117 @@ describe('API Client', () => {
         })
       );
     });
+
+    test('includes path template option', async () => {
+      mockFetchSuccess({ message: 'Organization started' });
+
+      await api.startOrganize('/dest/path', false, null, { template: '{year}/{camera}' });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/organize',
+        expect.objectContaining({
+          body: expect.stringContaining('"template":"{year}/{camera}"')
+        })
+      );
+    });
+  });
+
+  describe('getOrganizePreview', () => {
+    test('includes template in query when provided', async () => {
+      mockFetchSuccess({ totalFiles: 0, preview: [] });
+
+      await api.getOrganizePreview('/dest/path', '{year}/{monthName}');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('template=%7Byear%7D%2F%7BmonthName%7D'),
+        expect.anything()
+      );
+    });
+
+    test('pages an earlier preview by its ID', async () => {
+      mockFetchSuccess({ previewId: 'p1', totalFiles: 120, preview: [] });
+
+      await api.getOrganizePreviewPage('p1', { limit: 50, offset: 50 });
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/organize/preview?previewId=p1&limit=50&offset=50', expect.anything());
+    });
+  });
+
+  describe('organize profiles', () => {
+    test('passes the profile to the preview', async () => {
+      mockFetchSuccess({ totalFiles: 0, preview: [] });
+
+      await api.getOrganizePreview('/dest/path', null, 4);
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/organize/preview?destinationPath=%2Fdest%2Fpath&profileId=4', expect.anything());
+    });
+
+    test('sends PUT request with the whole profile', async () => {
+      const profile = { name: 'Drone', template: null, rules: [{ name: 'DJI', match: { make: 'DJI' }, template: 'Drone/{year}' }] };
+      mockFetchSuccess({ id: 4, ...profile });
+
+      await api.updateProfile(4, profile);
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/profiles/4',
+        expect.objectContaining({ method: 'PUT', body: JSON.stringify(profile) })
+      );
+    });
+  });
+
+  describe('organize plans', () => {
+    test('sends the organize options when creating a plan', async () => {
+      mockFetchSuccess({ id: 3, status: 'draft' });
+
+      await api.createPlan('/dest/path', { mode: 'copy', profileId: 4 });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/plans',
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ destinationPath: '/dest/path', mode: 'copy', profileId: 4 })
+        })
+      );
+    });
+
+    test('sends PATCH request with the item changes', async () => {
+      mockFetchSuccess({ id: 12, excluded: true });
+
+      await api.updatePlanItem(3, 12, { excluded: true });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/plans/3/items/12',
+        expect.objectContaining({ method: 'PATCH', body: JSON.stringify({ excluded: true }) })
+      );
+    });
+
+    test('pages through plan items', async () => {
+      mockFetchSuccess({ items: [], total: 0 });
+
+      await api.getPlanItems(3, { limit: 50, offset: 100 });
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/plans/3/items?limit=50&offset=100', expect.anything());
+    });
+
+    test('links to plan exports', () => {
+      expect(api.getPlanExportUrl(3)).toBe('/api/plans/3/export?format=csv');
+      expect(api.getPlanExportUrl(3, 'json')).toBe('/api/plans/3/export?format=json');
+    });
+
+    test('sends an edited plan as CSV with the organize options in the query', async () => {
+      mockFetchSuccess({ id: 4, status: 'draft' });
+
+      await api.importPlan('file_id,source,destination,action\r\n', '/dest/path', { mode: 'copy' });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/plans/import?destinationPath=%2Fdest%2Fpath&mode=copy',
+        expect.objectContaining({
+          method: 'POST',
+          headers: { 'Content-Type': 'text/csv' },
+          body: 'file_id,source,destination,action\r\n'
+        })
+      );
+    });
   });
 
   describe('getOperations', () => {
@@ -191,6 +313,113 @@ describe('API Client', () => {
     });
   });
 
+  describe('trash', () => {
+    test('sends POST request to move a file to the trash', async () => {
+      mockFetchSuccess({ batchId: 'batch-1', item: { id: 2 } });
+
+      await api.trashFile(5, '/dest/path');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/files/5/trash',
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ destinationPath: '/dest/path', reason: null })
+        })
+      );
+    });
+
+    test('pages through the trash', async () => {
+      mockFetchSuccess({ items: [], total: 0 });
+
+      await api.getTrash({ limit: 50, offset: 50 });
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/trash?limit=50&offset=50', expect.anything());
+    });
+
+    test('restores an item and empties the trash', async () => {
+      mockFetchSuccess({ message: 'File restored' });
+      mockFetchSuccess({ deletedFiles: 3, freedBytes: 1024 });
+
+      await api.restoreTrashItem(2);
+      await api.emptyTrash(true);
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/trash/2/restore',
+        expect.objectContaining({ method: 'POST' })
+      );
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/trash/empty',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ all: true }) })
+      );
+    });
+  });
+
+  describe('getJobs', () => {
+    test('includes status and pagination parameters', async () => {
+      mockFetchSuccess({ jobs: [], total: 0 });
+
+      await api.getJobs({ status: 'queued', limit: 10 });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/jobs?status=queued&limit=10',
+        expect.anything()
+      );
+    });
+  });
+
+  describe('getJobLogs', () => {
+    test('fetches the logs of one job', async () => {
+      mockFetchSuccess({ logs: [], total: 0 });
+
+      await api.getJobLogs(4);
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/jobs/4/logs', expect.anything());
+    });
+  });
+
+  describe('job controls', () => {
+    test.each([
+      ['pauseJob', 'pause'],
+      ['resumeJob', 'resume'],
+      ['cancelJob', 'cancel']
+    ])('%s sends POST request to the %s endpoint', async (method, endpoint) => {
+      mockFetchSuccess({ job: { id: 4 } });
+
+      await api[method](4);
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        `/api/jobs/4/${endpoint}`,
+        expect.objectContaining({ method: 'POST' })
+      );
+    });
+  });
+
+  describe('updateSettings', () => {
+    test('sends PUT request with the changed settings', async () => {
+      mockFetchSuccess({ filenameDatePatterns: [] });
+
+      await api.updateSettings({ filenameDatePatterns: [] });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/settings',
+        expect.objectContaining({ method: 'PUT', body: JSON.stringify({ filenameDatePatterns: [] }) })
+      );
+    });
+  });
+
+  describe('testFilenameDate', () => {
+    test('encodes the filename', async () => {
+      mockFetchSuccess({ match: null });
+
+      await api.testFilenameDate('Screenshot 2021-03-05 at 10.11.12.png');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/settings/filename-date?filename=Screenshot%202021-03-05%20at%2010.11.12.png',
+        expect.anything()
+      );
+    });
+  });
+
   describe('searchFiles', () => {
     test('includes all search parameters', async () => {
       mockFetchSuccess({ files: [], total: 0 });
@@ -214,6 +443,14 @@ describe('API Client', () => {
       expect(call).toContain('minSize=1000');
       expect(call).toContain('maxSize=10000000');
     });
+
+    test('asks for files needing date review', async () => {
+      mockFetchSuccess({ files: [], total: 0 });
+
+      await api.searchFiles({ needsDateReview: true });
+
+      expect(global.fetch.mock.calls[0][0]).toBe('/api/search?needsDateReview=true');
+    });
   });
 
   describe('Error Handling', () => {
@@ -243,6 +480,179 @@ describe('API Client', () => {
     });
   });
 
+  describe('getSimilarDuplicates', () => {
+    test('passes threshold and pagination', async () => {
+      mockFetchSuccess({ groups: [], totalGroups: 0 });
+
+      await api.getSimilarDuplicates({ threshold: 6, limit: 20 });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/duplicates/similar?threshold=6&limit=20',
+        expect.anything()
+      );
+    });
+  });
+
+  describe('shiftFileDates', () => {
+    test('posts the camera and offset', async () => {
+      mockFetchSuccess({ result: { shifted: 2 } });
+
+      await api.shiftFileDates({ make: 'Canon', model: 'EOS R5', offset: { days: -3, hours: -1 }, dryRun: true });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/files/timeshift',
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ make: 'Canon', model: 'EOS R5', offset: { days: -3, hours: -1 }, dryRun: true })
+        })
+      );
+    });
+  });
+
+  describe('setFileDate', () => {
+    test('puts the date and timezone for one file', async () => {
+      mockFetchSuccess({ file: { id: 4 } });
+
+      await api.setFileDate(4, '2023-07-15T10:30:00', '+02:00');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/files/4/date',
+        expect.objectContaining({
+          method: 'PUT',
+          body: JSON.stringify({ date: '2023-07-15T10:30:00', timezone: '+02:00' })
+        })
+      );
+    });
+  });
+
+  describe('setFileDates', () => {
+    test('puts one date for several files', async () => {
+      mockFetchSuccess({ updated: 2 });
+
+      await api.setFileDates([1, 2], '2023-07-15');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/files/dates',
+        expect.objectContaining({
+          method: 'PUT',
+          body: JSON.stringify({ fileIds: [1, 2], date: '2023-07-15', timezone: null })
+        })
+      );
+    });
+  });
+
+  describe('resolveDuplicates', () => {
+    test('posts action and keep policy', async () => {
+      mockFetchSuccess({ filesResolved: 2 });
+
+      await api.resolveDuplicates({ action: 'trash', policy: 'has_exif', dryRun: true });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/duplicates/resolve',
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ action: 'trash', policy: 'has_exif', dryRun: true })
+        })
+      );
+    });
+  });
+
+  describe('getErrorGroups', () => {
+    test('requests open errors grouped by folder', async () => {
+      mockFetchSuccess({ groups: [], total: 0 });
+
+      await api.getErrorGroups('directory');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/files/errors/grouped?by=directory&status=open',
+        expect.anything()
+      );
+    });
+  });
+
+  describe('retryError', () => {
+    test('posts to the retry endpoint', async () => {
+      mockFetchSuccess({ success: true });
+
+      await api.retryError(7);
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/files/errors/7/retry',
+        expect.objectContaining({ method: 'POST' })
+      );
+    });
+  });
+
+  describe('ignoreErrors', () => {
+    test('posts the path pattern', async () => {
+      mockFetchSuccess({ pattern: { id: 1, pattern: '*.tmp' }, ignoredErrors: 3 });
+
+      await api.ignoreErrors('*.tmp');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/files/errors/ignore',
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ pattern: '*.tmp' })
+        })
+      );
+    });
+  });
+
+  describe('subscribeToEvents', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.stubGlobal('EventSource', FakeEventSource);
+      FakeEventSource.instances = [];
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.unstubAllGlobals();
+    });
+
+    test('passes parsed events to the matching handler', () => {
+      const scan = vi.fn();
+      const onOpen = vi.fn();
+      api.subscribeToEvents({ scan, onOpen });
+
+      const source = FakeEventSource.instances[0];
+      expect(source.url).toBe('/api/events');
+      source.open();
+      source.emit('scan', { status: 'in_progress', processedFiles: 3 });
+
+      expect(onOpen).toHaveBeenCalled();
+      expect(scan).toHaveBeenCalledWith({ status: 'in_progress', processedFiles: 3 });
+    });
+
+    test('reconnects with backoff after the connection is closed', () => {
+      api.subscribeToEvents({ scan: vi.fn() });
+
+      FakeEventSource.instances[0].fail();
+      vi.advanceTimersByTime(999);
+      expect(FakeEventSource.instances).toHaveLength(1);
+      vi.advanceTimersByTime(1);
+      expect(FakeEventSource.instances).toHaveLength(2);
+
+      FakeEventSource.instances[1].fail();
+      vi.advanceTimersByTime(1000);
+      expect(FakeEventSource.instances).toHaveLength(2);
+      vi.advanceTimersByTime(1000);
+      expect(FakeEventSource.instances).toHaveLength(3);
+    });
+
+    test('stops reconnecting once unsubscribed', () => {
+      const unsubscribe = api.subscribeToEvents({ scan: vi.fn() });
+
+      unsubscribe();
+      FakeEventSource.instances[0].fail();
+      vi.advanceTimersByTime(60000);
+
+      expect(FakeEventSource.instances).toHaveLength(1);
+      expect(FakeEventSource.instances[0].readyState).toBe(FakeEventSource.CLOSED);
+    });
+  });
+
   describe('healthCheck', () => {
     test('checks API health', async () => {
       mockFetchSuccess({ status: 'ok' });
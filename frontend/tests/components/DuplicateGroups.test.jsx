@@ -0,0 +1,215 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { AppProvider } from '../../src/contexts/AppContext';
+import DuplicateGroups from '../../src/components/DuplicateGroups/DuplicateGroups';
+import { FakeEventSource } from '../helpers/FakeEventSource';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+const mockGroup = {
+  hash: 'abc123',
+  count: 2,
+  totalSize: 2048,
+  files: [
+    {
+      id: 1,
+      filename: 'IMG_0001.jpg',
+      original_path: '/photos/IMG_0001.jpg',
+      current_path: '/photos/IMG_0001.jpg',
+      size: 1024,
+      exif_date: '2023-07-15T10:30:00.000Z',
+      metadata_json: JSON.stringify({ exif: { Make: 'Canon', Model: 'EOS R5' } })
+    },
+    {
+      id: 2,
+      filename: 'IMG_0001 copy.jpg',
+      original_path: '/downloads/IMG_0001 copy.jpg',
+      current_path: '/downloads/IMG_0001 copy.jpg',
+      size: 1024,
+      exif_date: null,
+      metadata_json: null
+    }
+  ]
+};
+mockGroup.original = mockGroup.files[0];
+
+const resolveJob = {
+  id: 'job-1',
+  type: 'resolve',
+  status: 'queued',
+  params: { action: 'quarantine', hashes: ['abc123'] }
+};
+
+const mockStats = {
+  duplicateGroups: 1,
+  totalDuplicateFiles: 1,
+  potentialSpaceSavings: 1024
+};
+
+function mockResponses(overrides = {}) {
+  global.fetch.mockImplementation((url, options) => {
+    let body;
+    if (url.startsWith('/api/files/duplicates/all')) {
+      body = overrides.groups || { groups: [mockGroup], totalGroups: 1 };
+    } else if (url === '/api/duplicates/stats') {
+      body = mockStats;
+    } else if (url === '/api/duplicates/resolve') {
+      body = { message: 'Duplicate resolution queued', action: 'quarantine', job: resolveJob };
+    } else {
+      body = { files: [], total: 0 };
+    }
+    return Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+  });
+}
+
+function renderWithProvider(component) {
+  return render(
+    <AppProvider>
+      {component}
+    </AppProvider>
+  );
+}
+
+describe('DuplicateGroups Component', () => {
+  beforeEach(() => {
+    global.fetch.mockReset();
+    vi.stubGlobal('EventSource', FakeEventSource);
+    FakeEventSource.instances = [];
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  test('renders empty state when there are no duplicates', async () => {
+    mockResponses({ groups: { groups: [], totalGroups: 0 } });
+
+    renderWithProvider(<DuplicateGroups />);
+
+    await waitFor(() => {
+      expect(screen.getByText(/no duplicate files found/i)).toBeInTheDocument();
+    });
+  });
+
+  test('renders groups with per-file metadata and savings', async () => {
+    mockResponses();
+
+    renderWithProvider(<DuplicateGroups />);
+
+    await waitFor(() => {
+      expect(screen.getByText('IMG_0001.jpg')).toBeInTheDocument();
+      expect(screen.getByText('IMG_0001 copy.jpg')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('Canon EOS R5')).toBeInTheDocument();
+    expect(screen.getByText('/downloads/IMG_0001 copy.jpg')).toBeInTheDocument();
+    expect(screen.getByText(/1 KB can be freed/)).toBeInTheDocument();
+  });
+
+  test('requests the next page of groups', async () => {
+    mockResponses({ groups: { groups: [mockGroup], totalGroups: 45 } });
+
+    renderWithProvider(<DuplicateGroups />);
+
+    await waitFor(() => {
+      expect(screen.getByText(/of 45 groups/)).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: /next/i }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('offset=20'),
+        expect.anything()
+      );
+    });
+  });
+
+  test('resolves selected groups with the chosen keeper', async () => {
+    mockResponses();
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+    renderWithProvider(<DuplicateGroups />);
+
+    await waitFor(() => {
+      expect(screen.getByText('IMG_0001 copy.jpg')).toBeInTheDocument();
+    });
+
+    // Keep the copy instead of the policy's choice
+    fireEvent.click(screen.getAllByRole('radio')[1]);
+    fireEvent.change(screen.getByLabelText(/other copies/i), { target: { value: 'quarantine' } });
+    fireEvent.click(screen.getByRole('checkbox'));
+    fireEvent.click(screen.getByRole('button', { name: /resolve selected/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Resolving...')).toBeInTheDocument();
+    });
+
+    act(() => {
+      FakeEventSource.instances[0].emit('jobs', {
+        ...resolveJob,
+        status: 'completed',
+        result: { filesResolved: 1, spaceFreed: 1024, failed: 0 }
+      });
+    });
+
+    await waitFor(() => {
+      expect(screen.getByText(/resolved 1 file/i)).toBeInTheDocument();
+    });
+
+    const resolveCall = global.fetch.mock.calls.find(([url]) => url === '/api/duplicates/resolve');
+    expect(JSON.parse(resolveCall[1].body)).toEqual({
+      action: 'quarantine',
+      policy: 'oldest',
+      hashes: ['abc123'],
+      keep: { abc123: 2 },
+      destinationPath: null
+    });
+  });
+
+  test('shows the error of a failed resolution job', async () => {
+    mockResponses();
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+    renderWithProvider(<DuplicateGroups />);
+
+    await waitFor(() => {
+      expect(screen.getByText('IMG_0001 copy.jpg')).toBeInTheDocument();
+    });
+
+    fireEvent.change(screen.getByLabelText(/other copies/i), { target: { value: 'quarantine' } });
+    fireEvent.click(screen.getByRole('button', { name: /resolve all/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Resolving...')).toBeInTheDocument();
+    });
+
+    act(() => {
+      FakeEventSource.instances[0].emit('jobs', { ...resolveJob, status: 'failed', error_message: 'Disk full' });
+    });
+
+    await waitFor(() => {
+      expect(screen.getByText('Disk full')).toBeInTheDocument();
+    });
+    expect(screen.getByRole('button', { name: /resolve all/i })).not.toBeDisabled();
+  });
+
+  test('needs a destination folder to trash copies', async () => {
+    mockResponses();
+
+    renderWithProvider(<DuplicateGroups />);
+
+    await waitFor(() => {
+      expect(screen.getByText('IMG_0001 copy.jpg')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText(/choose a destination folder/i)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /resolve all/i })).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText(/other copies/i), { target: { value: 'hardlink' } });
+
+    expect(screen.queryByText(/choose a destination folder/i)).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /resolve all/i })).not.toBeDisabled();
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { AppProvider } from '../../src/contexts/AppContext';
+import ErrorList from '../../src/components/ErrorList/ErrorList';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+const processingError = {
+  id: 1,
+  file_id: null,
+  file_path: '/photos/broken.jpg',
+  error_type: 'file_processing',
+  error_message: 'Unexpected end of file',
+  created_at: '2024-03-01T12:00:00.000Z',
+  status: 'open',
+  hasStackTrace: true
+};
+
+const folderError = {
+  id: 2,
+  file_id: null,
+  file_path: '/photos/locked',
+  error_type: 'directory_access',
+  error_message: 'EACCES: permission denied',
+  created_at: '2024-03-01T12:00:00.000Z',
+  status: 'open',
+  hasStackTrace: false
+};
+
+function mockResponses() {
+  global.fetch.mockImplementation((url) => {
+    let body;
+    if (url.startsWith('/api/files/errors/grouped?by=directory')) {
+      body = {
+        groups: [
+          { key: '/photos', count: 1, errors: [processingError] },
+          { key: '/photos/locked', count: 1, errors: [folderError] }
+        ],
+        total: 2
+      };
+    } else if (url.startsWith('/api/files/errors/grouped')) {
+      body = {
+        groups: [
+          { key: 'file_processing', count: 1, errors: [processingError] },
+          { key: 'directory_access', count: 1, errors: [folderError] }
+        ],
+        total: 2
+      };
+    } else if (url === '/api/files/errors/ignore-patterns') {
+      body = { patterns: [{ id: 5, pattern: '*.tmp' }] };
+    } else if (url === '/api/files/errors/1') {
+      body = { ...processingError, stack_trace: 'Error: Unexpected end of file\n    at parse' };
+    } else if (url === '/api/files/errors/1/retry') {
+      body = { success: true };
+    } else if (url === '/api/files/errors/ignore') {
+      body = { pattern: { id: 6, pattern: '/photos/locked/**' }, ignoredErrors: 1 };
+    } else {
+      body = { files: [], total: 0 };
+    }
+    return Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+  });
+}
+
+function renderWithProvider(component) {
+  return render(
+    <AppProvider>
+      {component}
+    </AppProvider>
+  );
+}
+
+describe('ErrorList Component', () => {
+  beforeEach(() => {
+    global.fetch.mockReset();
+    mockResponses();
+  });
+
+  test('renders error groups by type', async () => {
+    renderWithProvider(<ErrorList />);
+
+    expect(await screen.findByText(/Could not read file/)).toBeInTheDocument();
+    expect(screen.getByText(/Could not open folder/)).toBeInTheDocument();
+    expect(screen.getByText('Errors (2)')).toBeInTheDocument();
+    expect(screen.getByText('*.tmp')).toBeInTheDocument();
+  });
+
+  test('switches to grouping by folder', async () => {
+    renderWithProvider(<ErrorList />);
+    await screen.findByText(/Could not read file/);
+
+    fireEvent.click(screen.getByText('By folder'));
+
+    expect(await screen.findByText(/\/photos\/locked/)).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(
+      '/api/files/errors/grouped?by=directory&status=open',
+      expect.anything()
+    );
+  });
+
+  test('loads the stack trace on demand', async () => {
+    renderWithProvider(<ErrorList />);
+    fireEvent.click(await screen.findByText(/Could not read file/));
+
+    fireEvent.click(screen.getByText('Show stack'));
+
+    expect(await screen.findByText(/at parse/)).toBeInTheDocument();
+    expect(screen.getByText('Hide stack')).toBeInTheDocument();
+  });
+
+  test('only offers retry for retriable errors', async () => {
+    renderWithProvider(<ErrorList />);
+    fireEvent.click(await screen.findByText(/Could not read file/));
+    fireEvent.click(screen.getByText(/Could not open folder/));
+
+    expect(screen.getAllByText('Retry')).toHaveLength(1);
+
+    fireEvent.click(screen.getByText('Retry'));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/files/errors/1/retry',
+        expect.objectContaining({ method: 'POST' })
+      );
+    });
+    expect(await screen.findByText(/Retried \/photos\/broken.jpg successfully/)).toBeInTheDocument();
+  });
+
+  test('ignores a whole folder', async () => {
+    renderWithProvider(<ErrorList />);
+    await screen.findByText(/Could not read file/);
+    fireEvent.click(screen.getByText('By folder'));
+    await screen.findByText(/\/photos\/locked/);
+
+    fireEvent.click(screen.getAllByText('Ignore folder')[1]);
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/files/errors/ignore',
+        expect.objectContaining({ body: JSON.stringify({ pattern: '/photos/locked/**' }) })
+      );
+    });
+  });
+});
@@ -1,6 +1,7 @@
+import React, { useEffect } from 'react';
 import { describe, test, expect, vi, beforeEach } from 'vitest';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
-import { AppProvider } from '../../src/contexts/AppContext';
+import { AppProvider, useApp } from '../../src/contexts/AppContext';
 import FileList from '../../src/components/FileList/FileList';
 
 // Mock fetch
@@ -57,6 +58,15 @@ function renderWithProvider(component) {
   );
 }
 
+// Picks a destination folder the way FolderSelector does
+function WithDestination({ path, children }) {
+  const { actions } = useApp();
+  useEffect(() => {
+    actions.setDestinationPath(path);
+  }, [path]);
+  return children;
+}
+
 describe('FileList Component', () => {
   beforeEach(() => {
     global.fetch.mockReset();
@@ -143,6 +153,122 @@ describe('FileList Component', () => {
     });
   });
 
+  test('date editor lists candidate dates and saves the chosen one', async () => {
+    mockFetch({ files: mockFiles, total: 3, limit: 50, offset: 0 });
+    mockFetch({
+      fileId: 2,
+      candidates: [
+        { source: 'modified', label: 'modified', date: '2023-08-20T14:00:00.000Z', localDate: '2023-08-20T16:00:00', utcOffset: '+02:00' },
+        { source: 'sibling', label: 'scan_001.pdf', date: '2021-03-02T09:00:00.000Z', localDate: '2021-03-02T10:00:00', utcOffset: '+01:00' }
+      ]
+    });
+    mockFetch({ batchId: 'b1', file: { ...mockFiles[1], resolved_date: '2021-03-02T09:00:00.000Z', date_source: 'manual' } });
+    global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ files: mockFiles, total: 3 }) });
+
+    renderWithProvider(<FileList />);
+
+    await waitFor(() => {
+      expect(screen.getByText('document.pdf')).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByText('document.pdf').closest('tr'));
+    fireEvent.click(screen.getByRole('button', { name: 'Change date' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Same folder: scan_001.pdf')).toBeInTheDocument();
+    });
+    expect(screen.getByText('File modified')).toBeInTheDocument();
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Use' })[1]);
+    expect(screen.getByLabelText('New date')).toHaveValue('2021-03-02T10:00');
+    fireEvent.click(screen.getByRole('button', { name: 'Save Date' }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/files/2/date',
+        expect.objectContaining({
+          method: 'PUT',
+          body: JSON.stringify({ date: '2021-03-02T10:00:00', timezone: '+01:00' })
+        })
+      );
+    });
+    await waitFor(() => {
+      expect(screen.getByText('(from manual)')).toBeInTheDocument();
+    });
+  });
+
+  test('preview moves a file to the trash and closes', async () => {
+    mockFetch({ files: mockFiles, total: 3, limit: 50, offset: 0 });
+    mockFetch({ batchId: 'b1', item: { id: 4, fileId: 1 }, file: { ...mockFiles[0], status: 'trashed' } });
+    global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ files: mockFiles, total: 3 }) });
+
+    renderWithProvider(<WithDestination path="/organized"><FileList /></WithDestination>);
+
+    await waitFor(() => {
+      expect(screen.getByText('photo1.jpg')).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByText('photo1.jpg').closest('tr'));
+    fireEvent.click(screen.getByRole('button', { name: 'Move to Trash' }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/files/1/trash',
+        expect.objectContaining({
+          method: 'POST',
+          body: JSON.stringify({ destinationPath: '/organized', reason: null })
+        })
+      );
+    });
+    await waitFor(() => {
+      expect(screen.queryByRole('button', { name: 'Move to Trash' })).not.toBeInTheDocument();
+    });
+  });
+
+  test('preview needs a destination folder to trash a file', async () => {
+    mockFetch({ files: mockFiles, total: 3, limit: 50, offset: 0 });
+    global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ files: mockFiles, total: 3 }) });
+
+    renderWithProvider(<FileList />);
+
+    await waitFor(() => {
+      expect(screen.getByText('photo1.jpg')).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByText('photo1.jpg').closest('tr'));
+
+    expect(screen.getByRole('button', { name: 'Move to Trash' })).toBeDisabled();
+    expect(screen.getByText(/choose a destination folder/i)).toBeInTheDocument();
+  });
+
+  test('selected files can be given one date', async () => {
+    mockFetch({ files: mockFiles, total: 3, limit: 50, offset: 0 });
+    mockFetch({ updated: 2 });
+    global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ files: mockFiles, total: 3 }) });
+
+    renderWithProvider(<FileList />);
+
+    await waitFor(() => {
+      expect(screen.getByText('photo1.jpg')).toBeInTheDocument();
+    });
+    fireEvent.click(screen.getByLabelText('Select document.pdf'));
+    fireEvent.click(screen.getByLabelText('Select video.mp4'));
+    expect(screen.getByText('2 selected')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Date for selected files'), { target: { value: '2023-09-01T12:00' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Set Date' }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/files/dates',
+        expect.objectContaining({
+          method: 'PUT',
+          body: JSON.stringify({ fileIds: [2, 3], date: '2023-09-01T12:00', timezone: null })
+        })
+      );
+    });
+    await waitFor(() => {
+      expect(screen.queryByText('2 selected')).not.toBeInTheDocument();
+    });
+  });
+
   test('pagination shows correct information', async () => {
     mockFetch({ files: mockFiles, total: 100, limit: 50, offset: 0 });
 
@@ -90,6 +90,19 @@ describe('FilterPanel Component', () => {
     });
   });
 
+  test('needs date review filter searches for weakly dated files', async () => {
+    renderWithProvider(<FilterPanel />);
+
+    fireEvent.click(screen.getByLabelText('Needs date review'));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('needsDateReview=true'),
+        expect.anything()
+      );
+    });
+  });
+
   test('quick size filter triggers search', async () => {
     renderWithProvider(<FilterPanel />);
 
@@ -69,7 +69,9 @@ describe('FolderSelector Component', () => {
   });
 
   test('clicking scan button triggers API call', async () => {
-    mockFetch({ message: 'Scan started', sessionId: 1 });
+    mockFetch({ sessions: [] });
+    mockFetch({ profiles: [] });
+    mockFetch({ message: 'Scan queued', sessionId: 1 });
     mockFetch({ status: 'completed', totalFiles: 0 });
     mockFetch({ files: [], total: 0 });
     mockFetch({ total: 0, byStatus: {}, errors: 0 });
@@ -90,8 +92,10 @@ describe('FolderSelector Component', () => {
     });
   });
 
-  test('button shows "Scanning..." while scan is in progress', async () => {
-    mockFetch({ message: 'Scan started', sessionId: 1 });
+  test('shows the queued scan and allows queueing another', async () => {
+    mockFetch({ sessions: [] });
+    mockFetch({ profiles: [] });
+    mockFetch({ message: 'Scan queued', sessionId: 1, job: { id: 9, type: 'scan', status: 'queued' } });
 
     renderWithProvider(<FolderSelector />);
 
@@ -102,8 +106,173 @@ describe('FolderSelector Component', () => {
     fireEvent.click(scanButton);
 
     await waitFor(() => {
-      expect(screen.getByRole('button', { name: /scanning/i })).toBeInTheDocument();
+      expect(screen.getByText('1 scan waiting')).toBeInTheDocument();
     });
+    expect(screen.getByRole('button', { name: /queue another scan/i })).not.toBeDisabled();
+  });
+
+  test('offers to resume an interrupted scan', async () => {
+    mockFetch({
+      sessions: [{ id: 7, source_path: '/photos/nas', status: 'interrupted', processed_files: 40, total_files: 100 }]
+    });
+    mockFetch({ profiles: [] });
+    mockFetch({ message: 'Scan resume queued', sessionId: 7 });
+
+    renderWithProvider(<FolderSelector />);
+
+    const resumeButton = await screen.findByRole('button', { name: /resume scan/i });
+    expect(screen.getByText('/photos/nas')).toBeInTheDocument();
+
+    fireEvent.click(resumeButton);
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/scan/7/resume',
+        expect.objectContaining({ method: 'POST' })
+      );
+    });
+  });
+
+  test('queues an organize with the chosen mode', async () => {
+    mockFetch({ sessions: [] });
+    mockFetch({ profiles: [] });
+    mockFetch({ message: 'Dry run queued', batchId: 'b1', job: { id: 3, type: 'organize', status: 'queued' } });
+
+    renderWithProvider(<FolderSelector />);
+
+    fireEvent.change(screen.getByPlaceholderText(/destination/i), { target: { value: '/organized' } });
+    fireEvent.change(screen.getByLabelText('Organize mode'), { target: { value: 'copy' } });
+    expect(screen.getByText(/leaving the source files in place/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /preview changes/i }));
+
+    await waitFor(() => {
+      const [, request] = global.fetch.mock.calls.find(([url]) => url === '/api/organize');
+      expect(JSON.parse(request.body)).toMatchObject({ destinationPath: '/organized', dryRun: true, mode: 'copy' });
+    });
+  });
+
+  test('queues an organize with the chosen profile', async () => {
+    mockFetch({ sessions: [] });
+    mockFetch({ profiles: [{ id: 4, name: 'Drone and screenshots', template: null, rules: [] }] });
+    mockFetch({ message: 'Dry run queued', batchId: 'b2', job: { id: 5, type: 'organize', status: 'queued' } });
+
+    renderWithProvider(<FolderSelector />);
+
+    fireEvent.change(screen.getByPlaceholderText(/destination/i), { target: { value: '/organized' } });
+    fireEvent.change(await screen.findByLabelText('Organize profile'), { target: { value: '4' } });
+    expect(screen.getByText(/organized by the rules of the profile/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /preview changes/i }));
+
+    await waitFor(() => {
+      const [, request] = global.fetch.mock.calls.find(([url]) => url === '/api/organize');
+      expect(JSON.parse(request.body)).toMatchObject({ destinationPath: '/organized', profileId: 4 });
+    });
+  });
+
+  test('plans, then executes the reviewed plan', async () => {
+    const plan = {
+      id: 8,
+      status: 'draft',
+      summary: {
+        totalFiles: 1,
+        totalBytes: 10,
+        byAction: { move: 1, collision_rename: 0, no_date: 0, duplicate: 0, missing_source: 0 },
+        excludedFiles: 0
+      },
+      byStatus: { planned: 1, done: 0, skipped: 0, drifted: 0, failed: 0 },
+      folders: [{ folder: '2023', files: 1, bytes: 10 }]
+    };
+    mockFetch({ sessions: [] });
+    mockFetch({ profiles: [] });
+    mockFetch(plan);
+    mockFetch(plan);
+    mockFetch({
+      items: [{ id: 1, fileId: 1, filename: 'a.jpg', destinationPath: '/organized/2023/a.jpg', action: 'move', status: 'planned' }],
+      total: 1,
+      limit: 50,
+      offset: 0
+    });
+    mockFetch({ message: 'Plan execution queued', job: { id: 6, type: 'plan', status: 'queued' } });
+
+    renderWithProvider(<FolderSelector />);
+
+    fireEvent.change(screen.getByPlaceholderText(/destination/i), { target: { value: '/organized' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Review Plan' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Execute Plan' }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith('/api/plans/8/execute', expect.objectContaining({ method: 'POST' }));
+    });
+    const [, request] = global.fetch.mock.calls.find(([url]) => url === '/api/plans');
+    expect(JSON.parse(request.body)).toMatchObject({ destinationPath: '/organized', mode: 'move' });
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  test('previews without planning, then makes the plan from the preview', async () => {
+    mockFetch({ sessions: [] });
+    mockFetch({ profiles: [] });
+    mockFetch({
+      previewId: 'p1',
+      totalFiles: 1,
+      summary: { totalFiles: 1, totalBytes: 10, byAction: { move: 1, collision_rename: 0, no_date: 0, duplicate: 0, missing_source: 0 } },
+      folders: [{ folder: '2023', files: 1, bytes: 10 }],
+      preview: [{ id: 1, filename: 'a.jpg', destinationPath: '/organized/2023/a.jpg', action: 'move' }],
+      limit: 50,
+      offset: 0
+    });
+    mockFetch({ id: 8, status: 'draft' });
+
+    renderWithProvider(<FolderSelector />);
+
+    fireEvent.change(screen.getByPlaceholderText(/destination/i), { target: { value: '/organized' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+    expect(await screen.findByRole('dialog', { name: 'Organize preview' })).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith('/api/organize/preview?destinationPath=%2Forganized&limit=50', expect.anything());
+    expect(global.fetch.mock.calls.some(([url]) => url === '/api/plans')).toBe(false);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Make Plan' }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith('/api/plans', expect.objectContaining({ method: 'POST' }));
+    });
+    expect(screen.queryByRole('dialog', { name: 'Organize preview' })).not.toBeInTheDocument();
+  });
+
+  test('imports an edited plan and opens it for review', async () => {
+    const plan = {
+      id: 9,
+      status: 'draft',
+      summary: {
+        totalFiles: 0,
+        totalBytes: 0,
+        byAction: { move: 0, collision_rename: 0, no_date: 0, duplicate: 0, missing_source: 0 },
+        excludedFiles: 0
+      },
+      byStatus: { planned: 0, done: 0, skipped: 0, drifted: 0, failed: 0 },
+      folders: []
+    };
+    mockFetch({ sessions: [] });
+    mockFetch({ profiles: [] });
+    mockFetch(plan);
+    mockFetch(plan);
+    mockFetch({ items: [], total: 0, limit: 50, offset: 0 });
+    const csv = 'file_id,source,destination,action\r\n';
+
+    renderWithProvider(<FolderSelector />);
+
+    fireEvent.change(screen.getByPlaceholderText(/destination/i), { target: { value: '/organized' } });
+    fireEvent.change(screen.getByLabelText('Import plan CSV'), {
+      // jsdom's File has no text()
+      target: { files: [{ name: 'plan-8.csv', text: () => Promise.resolve(csv) }] }
+    });
+
+    expect(await screen.findByRole('dialog', { name: 'Organize plan' })).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(
+      '/api/plans/import?destinationPath=%2Forganized&mode=move',
+      expect.objectContaining({ method: 'POST', body: csv })
+    );
   });
 
   test('toggling dry run checkbox updates state', () => {
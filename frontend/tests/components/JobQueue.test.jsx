@@ -0,0 +1,153 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, act, waitFor } from '@testing-library/react';
+import { AppProvider } from '../../src/contexts/AppContext';
+import JobQueue from '../../src/components/JobQueue/JobQueue';
+import { FakeEventSource } from '../helpers/FakeEventSource';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+const runningScan = {
+  id: 2,
+  type: 'scan',
+  status: 'running',
+  params: { sourcePath: '/photos/2023', sessionId: 5 },
+  result: null,
+  error_message: null,
+  created_at: '2024-03-01T12:00:00.000Z',
+  completed_at: null
+};
+
+const queuedOrganize = {
+  id: 3,
+  type: 'organize',
+  status: 'queued',
+  params: { destinationPath: '/library', dryRun: false },
+  result: null,
+  error_message: null,
+  created_at: '2024-03-01T12:01:00.000Z',
+  completed_at: null
+};
+
+const completedVerify = {
+  id: 4,
+  type: 'verify',
+  status: 'completed',
+  params: { fileIds: null },
+  result: { processedFiles: 10, okFiles: 8, missingFiles: 1, modifiedFiles: 0, corruptedFiles: 1 },
+  error_message: null,
+  created_at: '2024-03-01T12:02:00.000Z',
+  completed_at: '2024-03-01T12:03:00.000Z'
+};
+
+function mockResponses() {
+  global.fetch.mockImplementation((url, options = {}) => {
+    let body;
+    if (url === '/api/jobs/3/pause' && options.method === 'POST') {
+      body = { message: 'Job paused', job: { ...queuedOrganize, status: 'paused' } };
+    } else if (url === '/api/jobs/2/logs') {
+      body = {
+        logs: [
+          { id: 1, job_id: 2, level: 'info', message: 'Queued', created_at: '2024-03-01T12:00:00.000Z' },
+          { id: 2, job_id: 2, level: 'info', message: 'Started', created_at: '2024-03-01T12:00:01.000Z' }
+        ],
+        total: 2
+      };
+    } else if (url === '/api/library/verify' && options.method === 'POST') {
+      body = { message: 'Verification queued', job: completedVerify };
+    } else if (url.startsWith('/api/jobs')) {
+      body = { jobs: [queuedOrganize, runningScan], total: 2 };
+    } else {
+      body = { status: 'idle' };
+    }
+    return Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+  });
+}
+
+function renderWithProvider(component) {
+  return render(
+    <AppProvider>
+      {component}
+    </AppProvider>
+  );
+}
+
+describe('JobQueue Component', () => {
+  beforeEach(() => {
+    global.fetch.mockReset();
+    mockResponses();
+    vi.stubGlobal('EventSource', FakeEventSource);
+    FakeEventSource.instances = [];
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  test('lists jobs newest first', async () => {
+    renderWithProvider(<JobQueue />);
+
+    const items = await screen.findAllByRole('listitem');
+    expect(items[0]).toHaveTextContent('Organize into /library');
+    expect(items[1]).toHaveTextContent('Scan /photos/2023');
+    expect(screen.getByText('queued')).toBeInTheDocument();
+    expect(screen.getByText('running')).toBeInTheDocument();
+  });
+
+  test('pauses a queued job', async () => {
+    renderWithProvider(<JobQueue />);
+    await screen.findByText('Organize into /library');
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Pause' })[0]);
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith('/api/jobs/3/pause', expect.objectContaining({ method: 'POST' }));
+    });
+    expect(await screen.findByRole('button', { name: 'Resume' })).toBeInTheDocument();
+  });
+
+  test('shows a job log', async () => {
+    renderWithProvider(<JobQueue />);
+    await screen.findByText('Scan /photos/2023');
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Show log' })[1]);
+
+    expect(await screen.findByText(/Started/)).toBeInTheDocument();
+  });
+
+  test('queues a library verification and shows its findings', async () => {
+    renderWithProvider(<JobQueue />);
+    await screen.findByText('Scan /photos/2023');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Verify Library' }));
+
+    expect(await screen.findByText('Verify organized files')).toBeInTheDocument();
+    expect(screen.getByText(/8 ok, 1 missing, 0 modified/)).toHaveTextContent('1 corrupted');
+    expect(global.fetch).toHaveBeenCalledWith('/api/library/verify', expect.objectContaining({ method: 'POST' }));
+  });
+
+  test('updates jobs from live events', async () => {
+    renderWithProvider(<JobQueue />);
+    await screen.findByText('Scan /photos/2023');
+
+    act(() => {
+      FakeEventSource.instances[0].emit('jobs', { ...runningScan, status: 'failed', error_message: 'Disk unplugged' });
+    });
+
+    expect(screen.getByText('failed')).toBeInTheDocument();
+    expect(screen.getByText('Disk unplugged')).toBeInTheDocument();
+  });
+
+  test('offers no pause or cancel for a running dry run', async () => {
+    renderWithProvider(<JobQueue />);
+    await screen.findByText('Organize into /library');
+
+    act(() => {
+      FakeEventSource.instances[0].emit('jobs', { ...queuedOrganize, status: 'running', params: { ...queuedOrganize.params, dryRun: true } });
+    });
+
+    expect(screen.getByText('Plan organizing into /library')).toBeInTheDocument();
+    expect(screen.getAllByRole('button', { name: 'Pause' })).toHaveLength(1);
+    expect(screen.getAllByRole('button', { name: 'Cancel' })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import OrganizePreview from '../../src/components/OrganizePreview/OrganizePreview';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+function entry(id, filename, action, fields = {}) {
+  return {
+    id,
+    filename,
+    sourcePath: `/photos/${filename}`,
+    destinationPath: `/organized/2023/${filename}`,
+    intendedPath: null,
+    conflictsWith: null,
+    action,
+    duplicateOf: null,
+    rule: null,
+    ...fields
+  };
+}
+
+function previewPage(offset) {
+  const files = [
+    entry(1, 'beach.jpg', 'move', { rule: 'Holidays' }),
+    entry(2, 'beach (1).jpg', 'collision_rename', { intendedPath: '/organized/2023/beach.jpg', conflictsWith: 1 }),
+    entry(3, 'copy.jpg', 'duplicate', { destinationPath: null, duplicateOf: 1 }),
+    ...Array.from({ length: 57 }, (_, i) => entry(10 + i, `img${i}.jpg`, 'move'))
+  ];
+  return {
+    previewId: 'p1',
+    totalFiles: files.length,
+    summary: {
+      totalFiles: files.length,
+      totalBytes: 3 * 1024 * 1024,
+      byAction: { move: 58, collision_rename: 1, no_date: 0, duplicate: 1, missing_source: 0 }
+    },
+    folders: [{ folder: '2023', files: 59, bytes: 3 * 1024 * 1024 }],
+    preview: files.slice(offset, offset + 50),
+    limit: 50,
+    offset
+  };
+}
+
+describe('OrganizePreview Component', () => {
+  beforeEach(() => {
+    global.fetch.mockReset();
+    global.fetch.mockImplementation((url) => {
+      const offset = parseInt(new URL(url, 'http://localhost').searchParams.get('offset') || '0', 10);
+      return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(previewPage(offset)) });
+    });
+  });
+
+  function renderPreview(props = {}) {
+    const callbacks = { onConfirm: vi.fn(), onClose: vi.fn() };
+    render(
+      <OrganizePreview
+        destinationPath="/organized"
+        template={null}
+        profileId={2}
+        confirmLabel="Move Files"
+        {...callbacks}
+        {...props}
+      />
+    );
+    return callbacks;
+  }
+
+  test('shows summary counts, folders and what happens to each file', async () => {
+    renderPreview();
+
+    expect(await screen.findByText('59 of 60 files go to the destination (3 MB)')).toBeInTheDocument();
+    expect(screen.getByText('Renamed: 1')).toBeInTheDocument();
+    expect(screen.getByText('1 destination folders')).toBeInTheDocument();
+    expect(screen.getByText('Rule: Holidays')).toBeInTheDocument();
+    expect(screen.getByText('Name taken by file 1 of this run')).toBeInTheDocument();
+    expect(screen.getByText('Duplicate of file 1')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith(
+      '/api/organize/preview?destinationPath=%2Forganized&profileId=2&limit=50',
+      expect.anything()
+    );
+  });
+
+  test('pages through the files', async () => {
+    renderPreview();
+    await screen.findByText('Showing 1-50 of 60');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+
+    expect(await screen.findByText('Showing 51-60 of 60')).toBeInTheDocument();
+    expect(screen.getByText('img56.jpg')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Next' })).toBeDisabled();
+    expect(global.fetch).toHaveBeenLastCalledWith('/api/organize/preview?previewId=p1&limit=50&offset=50', expect.anything());
+  });
+
+  test('confirms or closes', async () => {
+    const { onConfirm, onClose } = renderPreview();
+    await screen.findByText('Showing 1-50 of 60');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Move Files' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    expect(onConfirm).toHaveBeenCalled();
+    expect(onClose).toHaveBeenCalled();
+  });
+});
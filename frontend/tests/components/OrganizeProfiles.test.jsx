@@ -0,0 +1,84 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import OrganizeProfiles from '../../src/components/OrganizeProfiles/OrganizeProfiles';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+const droneProfile = {
+  id: 4,
+  name: 'Drone',
+  template: '{year}',
+  rules: [{ name: 'DJI', match: { make: 'DJI' }, template: 'Drone/{year}-{month}' }]
+};
+
+function respond(body, status = 200) {
+  return Promise.resolve({ ok: status < 400, status, json: () => Promise.resolve(body) });
+}
+
+describe('OrganizeProfiles Component', () => {
+  beforeEach(() => {
+    global.fetch.mockReset();
+    global.fetch.mockImplementation((url, options = {}) => {
+      if (url === '/api/profiles/rule-fields') {
+        return respond({ fields: [{ field: 'make', description: 'Camera make' }] });
+      }
+      if (options.method === 'POST' || options.method === 'PUT') {
+        return respond({ id: 4, ...JSON.parse(options.body) });
+      }
+      return respond({ profiles: [droneProfile] });
+    });
+  });
+
+  test('lists saved profiles and the rule conditions', async () => {
+    render(<OrganizeProfiles />);
+
+    expect(await screen.findByText('Drone')).toBeInTheDocument();
+    expect(screen.getByText('1 rule')).toBeInTheDocument();
+    expect(await screen.findByText(/Camera make/)).toBeInTheDocument();
+  });
+
+  test('creates a profile from rules written as JSON', async () => {
+    render(<OrganizeProfiles />);
+    await screen.findByText('Drone');
+
+    const rules = [{ name: 'Screenshots', match: { filename: 'Screenshot*' }, template: 'Screenshots/{year}' }];
+    fireEvent.change(screen.getByPlaceholderText('Profile name'), { target: { value: 'Phone' } });
+    fireEvent.change(screen.getByLabelText('Rules'), { target: { value: JSON.stringify(rules) } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Profile' }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith('/api/profiles', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ name: 'Phone', template: null, rules })
+      }));
+    });
+  });
+
+  test('edits an existing profile', async () => {
+    render(<OrganizeProfiles />);
+    fireEvent.click(await screen.findByRole('button', { name: 'Edit' }));
+
+    expect(screen.getByPlaceholderText('Profile name')).toHaveValue('Drone');
+    fireEvent.click(screen.getByRole('button', { name: 'Save Profile' }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith('/api/profiles/4', expect.objectContaining({
+        method: 'PUT',
+        body: JSON.stringify({ name: 'Drone', template: '{year}', rules: droneProfile.rules })
+      }));
+    });
+  });
+
+  test('reports rules that are not valid JSON without saving', async () => {
+    render(<OrganizeProfiles />);
+    await screen.findByText('Drone');
+
+    fireEvent.change(screen.getByPlaceholderText('Profile name'), { target: { value: 'Broken' } });
+    fireEvent.change(screen.getByLabelText('Rules'), { target: { value: '[{ name: ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Profile' }));
+
+    expect(await screen.findByText(/Rules are not valid JSON/)).toBeInTheDocument();
+    expect(global.fetch).not.toHaveBeenCalledWith('/api/profiles', expect.objectContaining({ method: 'POST' }));
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import PlanReview from '../../src/components/PlanReview/PlanReview';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+function item(id, filename, action, fields = {}) {
+  return {
+    id,
+    fileId: 100 + id,
+    filename,
+    companionOf: null,
+    sourcePath: `/photos/${filename}`,
+    destinationPath: `/organized/2023/${filename}`,
+    edited: false,
+    intendedPath: null,
+    conflictsWith: null,
+    action,
+    duplicateOf: null,
+    rule: null,
+    excluded: false,
+    status: 'planned',
+    message: null,
+    ...fields
+  };
+}
+
+const items = [
+  item(1, 'beach.jpg', 'move', { rule: 'Holidays' }),
+  item(2, 'beach (1).jpg', 'collision_rename', { intendedPath: '/organized/2023/beach.jpg', conflictsWith: 101 }),
+  item(3, 'copy.jpg', 'duplicate', { destinationPath: null, duplicateOf: 101 }),
+  ...Array.from({ length: 57 }, (_, i) => item(10 + i, `img${i}.jpg`, 'move'))
+];
+
+function plan(fields = {}) {
+  return {
+    id: 7,
+    destinationPath: '/organized',
+    mode: 'move',
+    status: 'draft',
+    summary: {
+      totalFiles: items.length,
+      totalBytes: 3 * 1024 * 1024,
+      byAction: { move: 58, collision_rename: 1, no_date: 0, duplicate: 1, missing_source: 0 },
+      excludedFiles: 0
+    },
+    byStatus: { planned: 60, done: 0, skipped: 0, drifted: 0, failed: 0 },
+    folders: [{ folder: '2023', files: 59, bytes: 3 * 1024 * 1024 }],
+    ...fields
+  };
+}
+
+function respond(data) {
+  return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(data) });
+}
+
+describe('PlanReview Component', () => {
+  let currentPlan;
+
+  beforeEach(() => {
+    currentPlan = plan();
+    global.fetch.mockReset();
+    global.fetch.mockImplementation((url, options = {}) => {
+      const { pathname, searchParams } = new URL(url, 'http://localhost');
+      if (pathname === '/api/plans/7/items') {
+        const offset = parseInt(searchParams.get('offset') || '0', 10);
+        return respond({ items: items.slice(offset, offset + 50), total: items.length, limit: 50, offset });
+      }
+      if (pathname === '/api/plans/7/execute') {
+        return respond({ message: 'Plan execution queued', job: { id: 9, type: 'plan', status: 'queued' } });
+      }
+      if (options.method === 'PATCH') {
+        return respond({ ...items[0], ...JSON.parse(options.body) });
+      }
+      return respond(currentPlan);
+    });
+  });
+
+  function renderPlan() {
+    const callbacks = { onExecuted: vi.fn(), onClose: vi.fn() };
+    render(<PlanReview planId={7} {...callbacks} />);
+    return callbacks;
+  }
+
+  test('shows summary counts, folders and what happens to each file', async () => {
+    renderPlan();
+
+    expect(await screen.findByText('59 of 60 files go to the destination (3 MB)')).toBeInTheDocument();
+    expect(screen.getByText('Renamed: 1')).toBeInTheDocument();
+    expect(screen.getByText('1 destination folders')).toBeInTheDocument();
+    expect(await screen.findByText('Rule: Holidays')).toBeInTheDocument();
+    expect(screen.getByText('Name taken by file 101 of this plan')).toBeInTheDocument();
+    expect(screen.getByText('Duplicate of file 101')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith('/api/plans/7/items?limit=50', expect.anything());
+  });
+
+  test('links to the CSV and JSON exports', async () => {
+    renderPlan();
+
+    expect(await screen.findByRole('link', { name: 'Export CSV' })).toHaveAttribute('href', '/api/plans/7/export?format=csv');
+    expect(screen.getByRole('link', { name: 'Export JSON' })).toHaveAttribute('href', '/api/plans/7/export?format=json');
+  });
+
+  test('pages through the items', async () => {
+    renderPlan();
+    await screen.findByText('Showing 1-50 of 60');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+
+    expect(await screen.findByText('Showing 51-60 of 60')).toBeInTheDocument();
+    expect(screen.getByText('img56.jpg')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Next' })).toBeDisabled();
+  });
+
+  test('excludes a file and changes where another goes', async () => {
+    renderPlan();
+
+    fireEvent.click(await screen.findByLabelText('Include copy.jpg'));
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith('/api/plans/7/items/3', expect.objectContaining({
+        method: 'PATCH',
+        body: JSON.stringify({ excluded: true })
+      }));
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Change destination of beach.jpg' }));
+    fireEvent.change(screen.getByLabelText('Destination of beach.jpg'), {
+      target: { value: '/organized/Holidays/beach.jpg' }
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith('/api/plans/7/items/1', expect.objectContaining({
+        method: 'PATCH',
+        body: JSON.stringify({ destinationPath: '/organized/Holidays/beach.jpg' })
+      }));
+    });
+  });
+
+  test('executes the plan or closes', async () => {
+    const { onExecuted, onClose } = renderPlan();
+    await screen.findByText('Showing 1-50 of 60');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Execute Plan' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Close' }));
+
+    await waitFor(() => {
+      expect(onExecuted).toHaveBeenCalledWith(expect.objectContaining({ job: expect.objectContaining({ id: 9 }) }));
+    });
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  test('shows the outcome of an executed plan without edit controls', async () => {
+    currentPlan = plan({
+      status: 'executed',
+      byStatus: { planned: 0, done: 57, skipped: 1, drifted: 2, failed: 0 }
+    });
+    renderPlan();
+
+    expect(await screen.findByText(/57 done, 1 skipped/)).toBeInTheDocument();
+    expect(await screen.findByLabelText('Include beach.jpg')).toBeDisabled();
+    expect(screen.queryByRole('button', { name: 'Execute Plan' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Change destination of beach.jpg' })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, act, waitFor } from '@testing-library/react';
+import { AppProvider } from '../../src/contexts/AppContext';
+import ProgressIndicator from '../../src/components/ProgressIndicator/ProgressIndicator';
+import { FakeEventSource } from '../helpers/FakeEventSource';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+function renderWithProvider(component) {
+  return render(
+    <AppProvider>
+      {component}
+    </AppProvider>
+  );
+}
+
+describe('ProgressIndicator Component', () => {
+  beforeEach(() => {
+    global.fetch.mockReset();
+    global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ status: 'idle' }) });
+    vi.stubGlobal('EventSource', FakeEventSource);
+    FakeEventSource.instances = [];
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  test('renders nothing while idle', () => {
+    const { container } = renderWithProvider(<ProgressIndicator />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('shows live scan progress with throughput and ETA', () => {
+    renderWithProvider(<ProgressIndicator />);
+
+    act(() => {
+      FakeEventSource.instances[0].emit('scan', {
+        status: 'in_progress',
+        processedFiles: 50,
+        totalFiles: 200,
+        throughput: 12.5,
+        etaSeconds: 130,
+        currentFile: '/photos/IMG_0050.jpg'
+      });
+    });
+
+    expect(screen.getByText('Scanning...')).toBeInTheDocument();
+    expect(screen.getByText('50 / 200 files')).toBeInTheDocument();
+    expect(screen.getByText('12.5 files/s')).toBeInTheDocument();
+    expect(screen.getByText('2m 10s left')).toBeInTheDocument();
+    expect(screen.getByText('/photos/IMG_0050.jpg')).toBeInTheDocument();
+    expect(screen.getByText('25%')).toBeInTheDocument();
+  });
+
+  test('hides once the scan completes', () => {
+    const { container } = renderWithProvider(<ProgressIndicator />);
+    const source = FakeEventSource.instances[0];
+
+    act(() => source.emit('scan', { status: 'in_progress', processedFiles: 1, totalFiles: 2 }));
+    act(() => source.emit('scan', { status: 'completed', processedFiles: 2, totalFiles: 2 }));
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('shows revert progress without a cancel button', () => {
+    renderWithProvider(<ProgressIndicator />);
+
+    act(() => {
+      FakeEventSource.instances[0].emit('revert', { status: 'in_progress', processedFiles: 1, totalFiles: 4 });
+    });
+
+    expect(screen.getByText('Reverting...')).toBeInTheDocument();
+    expect(screen.queryByText('Cancel')).not.toBeInTheDocument();
+  });
+
+  test('shows duplicate resolution progress without a cancel button', () => {
+    renderWithProvider(<ProgressIndicator />);
+
+    act(() => {
+      FakeEventSource.instances[0].emit('resolve', { status: 'in_progress', processedFiles: 2, totalFiles: 5 });
+    });
+
+    expect(screen.getByText('Resolving duplicates...')).toBeInTheDocument();
+    expect(screen.getByText('2 / 5 files')).toBeInTheDocument();
+    expect(screen.queryByText('Cancel')).not.toBeInTheDocument();
+  });
+
+  test('resyncs status over REST when the stream connects', async () => {
+    renderWithProvider(<ProgressIndicator />);
+
+    act(() => FakeEventSource.instances[0].open());
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith('/api/scan/status', expect.anything());
+      expect(global.fetch).toHaveBeenCalledWith('/api/organize/status', expect.anything());
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import Settings from '../../src/components/Settings/Settings';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+const builtIn = [{ name: 'Compact date (20210305)', pattern: '(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2})' }];
+
+function respond(body, ok = true) {
+  return Promise.resolve({ ok, status: ok ? 200 : 400, json: () => Promise.resolve(body) });
+}
+
+describe('Settings Component', () => {
+  beforeEach(() => {
+    global.fetch.mockReset();
+  });
+
+  test('lists saved and built-in filename patterns', async () => {
+    global.fetch.mockImplementation(() => respond({
+      filenameDatePatterns: [{ name: 'Film rolls', pattern: 'roll(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2})' }],
+      builtInFilenameDatePatterns: builtIn
+    }));
+
+    render(<Settings />);
+
+    expect(await screen.findByText('Film rolls')).toBeInTheDocument();
+    expect(screen.getByText('Compact date (20210305)')).toBeInTheDocument();
+  });
+
+  test('saves a new pattern', async () => {
+    const pattern = 'scan-(?<day>\\d{2})\\.(?<month>\\d{2})\\.(?<year>\\d{4})';
+    global.fetch.mockImplementation((url, options = {}) => respond(
+      options.method === 'PUT'
+        ? { filenameDatePatterns: JSON.parse(options.body).filenameDatePatterns, builtInFilenameDatePatterns: builtIn }
+        : { filenameDatePatterns: [], builtInFilenameDatePatterns: builtIn }
+    ));
+
+    render(<Settings />);
+    await screen.findByText('Compact date (20210305)');
+
+    fireEvent.change(screen.getByPlaceholderText('Name (optional)'), { target: { value: 'Scanned prints' } });
+    fireEvent.change(screen.getByPlaceholderText(/^e\.g\. scan-/), { target: { value: pattern } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Pattern' }));
+
+    expect(await screen.findByText('Scanned prints')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith('/api/settings', expect.objectContaining({
+      method: 'PUT',
+      body: JSON.stringify({ filenameDatePatterns: [{ name: 'Scanned prints', pattern }] })
+    }));
+  });
+
+  test('shows why a pattern was rejected', async () => {
+    global.fetch.mockImplementation((url, options = {}) => (
+      options.method === 'PUT'
+        ? respond({ error: { message: 'Pattern 1: Pattern must have named groups (?<day>...)' } }, false)
+        : respond({ filenameDatePatterns: [], builtInFilenameDatePatterns: builtIn })
+    ));
+
+    render(<Settings />);
+    await screen.findByText('Compact date (20210305)');
+
+    fireEvent.change(screen.getByPlaceholderText(/^e\.g\. scan-/), { target: { value: '(?<year>\\d{4})' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Pattern' }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/must have named groups/)).toBeInTheDocument();
+    });
+  });
+
+  test('tries a filename against the patterns', async () => {
+    global.fetch.mockImplementation((url) => respond(
+      url.startsWith('/api/settings/filename-date')
+        ? { filename: 'IMG_20190704_153012.jpg', match: { date: '2019-07-04T15:30:12.000Z', pattern: 'Camera timestamp' } }
+        : { filenameDatePatterns: [], builtInFilenameDatePatterns: builtIn }
+    ));
+
+    render(<Settings />);
+    await screen.findByText('Compact date (20210305)');
+
+    fireEvent.change(screen.getByPlaceholderText(/try a filename/i), { target: { value: 'IMG_20190704_153012.jpg' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Try' }));
+
+    expect(await screen.findByText(/Camera timestamp/)).toBeInTheDocument();
+  });
+
+  test('saves the default timezone', async () => {
+    global.fetch.mockImplementation((url, options = {}) => respond({
+      filenameDatePatterns: [],
+      builtInFilenameDatePatterns: builtIn,
+      defaultTimezone: options.method === 'PUT' ? JSON.parse(options.body).defaultTimezone : null
+    }));
+
+    render(<Settings />);
+    await screen.findByText('Compact date (20210305)');
+
+    fireEvent.change(screen.getByPlaceholderText(/Europe\/Berlin/), { target: { value: 'Asia/Tokyo' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Timezone' }));
+
+    expect(await screen.findByText(/Default timezone saved/)).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith('/api/settings', expect.objectContaining({
+      method: 'PUT',
+      body: JSON.stringify({ defaultTimezone: 'Asia/Tokyo' })
+    }));
+  });
+
+  test('saves the date write-back mode', async () => {
+    global.fetch.mockImplementation((url, options = {}) => respond({
+      filenameDatePatterns: [],
+      builtInFilenameDatePatterns: builtIn,
+      defaultTimezone: null,
+      dateWriteBack: options.method === 'PUT' ? JSON.parse(options.body).dateWriteBack : 'off'
+    }));
+
+    render(<Settings />);
+    await screen.findByText('Compact date (20210305)');
+
+    fireEvent.change(screen.getByLabelText('Date write-back'), { target: { value: 'sidecar' } });
+
+    expect(await screen.findByText(/Date write-back saved/)).toBeInTheDocument();
+    expect(screen.getByLabelText('Date write-back')).toHaveValue('sidecar');
+    expect(global.fetch).toHaveBeenCalledWith('/api/settings', expect.objectContaining({
+      method: 'PUT',
+      body: JSON.stringify({ dateWriteBack: 'sidecar' })
+    }));
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import TimeShift from '../../src/components/TimeShift/TimeShift';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+const cameras = [
+  { make: 'Canon', model: 'Canon EOS R5', count: 2 },
+  { make: 'Apple', model: 'iPhone 14', count: 5 }
+];
+
+const shiftedFile = {
+  id: 1,
+  filename: 'travel1.jpg',
+  before: { resolved_date: '2023-07-18T10:00:00.000Z', local_date: '2023-07-18T10:00:00' },
+  after: { resolved_date: '2023-07-15T09:00:00.000Z', local_date: '2023-07-15T09:00:00' }
+};
+
+function respond(body) {
+  return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(body) });
+}
+
+describe('TimeShift Component', () => {
+  beforeEach(() => {
+    global.fetch.mockReset();
+    global.fetch.mockImplementation((url, options = {}) => respond(
+      options.method === 'POST'
+        ? { result: { shifted: 1, files: [shiftedFile], batchId: JSON.parse(options.body).dryRun ? null : 'b1' } }
+        : { cameras }
+    ));
+  });
+
+  async function chooseCanon() {
+    render(<TimeShift />);
+    await screen.findByText('Canon EOS R5 (2 files)');
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: '0' } });
+    fireEvent.change(screen.getByLabelText('days'), { target: { value: '-3' } });
+    fireEvent.change(screen.getByLabelText('hours'), { target: { value: '-1' } });
+  }
+
+  test('lists cameras and needs an offset before shifting', async () => {
+    render(<TimeShift />);
+
+    expect(await screen.findByText('Apple iPhone 14 (5 files)')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Apply Shift' })).toBeDisabled();
+  });
+
+  test('previews the corrected dates', async () => {
+    await chooseCanon();
+    fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+
+    expect(await screen.findByText('2023-07-15 09:00:00')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenCalledWith('/api/files/timeshift', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ make: 'Canon', model: 'Canon EOS R5', offset: { days: -3, hours: -1, minutes: 0 }, dryRun: true })
+    }));
+  });
+
+  test('applies the shift', async () => {
+    await chooseCanon();
+    fireEvent.click(screen.getByRole('button', { name: 'Apply Shift' }));
+
+    expect(await screen.findByText(/Shifted 1 files/)).toBeInTheDocument();
+  });
+});
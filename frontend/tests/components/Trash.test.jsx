@@ -0,0 +1,107 @@
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { AppProvider } from '../../src/contexts/AppContext';
+import Trash from '../../src/components/Trash/Trash';
+
+// Mock fetch
+global.fetch = vi.fn();
+
+const beachItem = {
+  id: 1,
+  fileId: 10,
+  filename: 'beach.jpg',
+  originalPath: '/photos/beach.jpg',
+  size: 2048,
+  reason: 'Moved to the trash',
+  status: 'trashed',
+  trashedAt: '2024-03-01T12:00:00.000Z',
+  expiresAt: '2024-03-31T12:00:00.000Z',
+  expired: true
+};
+
+const copyItem = {
+  ...beachItem,
+  id: 2,
+  fileId: 11,
+  filename: 'copy.jpg',
+  originalPath: '/photos/copy.jpg',
+  reason: 'Duplicate of file 10',
+  expiresAt: '2099-01-01T00:00:00.000Z',
+  expired: false
+};
+
+function mockResponses() {
+  global.fetch.mockImplementation((url) => {
+    let body;
+    if (url.startsWith('/api/trash?')) {
+      body = { items: [beachItem, copyItem], total: 2, totalBytes: 4096, expiredFiles: 1, retentionDays: 30 };
+    } else if (url === '/api/trash/1/restore') {
+      body = { message: 'File restored', item: { ...beachItem, status: 'restored' } };
+    } else if (url === '/api/trash/empty') {
+      body = { deletedFiles: 2, freedBytes: 4096, failedFiles: 0, errors: [] };
+    } else {
+      body = { files: [], total: 0 };
+    }
+    return Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+  });
+}
+
+function renderWithProvider(component) {
+  return render(
+    <AppProvider>
+      {component}
+    </AppProvider>
+  );
+}
+
+describe('Trash Component', () => {
+  beforeEach(() => {
+    global.fetch.mockReset();
+    mockResponses();
+  });
+
+  test('lists trashed files with their retention', async () => {
+    renderWithProvider(<Trash />);
+
+    expect(await screen.findByText('beach.jpg')).toBeInTheDocument();
+    expect(screen.getByText('Trash (2)')).toBeInTheDocument();
+    expect(screen.getByText(/files are kept for 30 days/)).toBeInTheDocument();
+    expect(screen.getByText('expired')).toBeInTheDocument();
+    expect(screen.getByText(/Duplicate of file 10/)).toBeInTheDocument();
+    expect(screen.getByText('Empty Expired (1)')).not.toBeDisabled();
+  });
+
+  test('restores a file', async () => {
+    renderWithProvider(<Trash />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Restore beach.jpg' }));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/trash/1/restore',
+        expect.objectContaining({ method: 'POST' })
+      );
+    });
+    expect(await screen.findByText('Restored beach.jpg to /photos/beach.jpg')).toBeInTheDocument();
+  });
+
+  test('asks before emptying the whole trash', async () => {
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+    renderWithProvider(<Trash />);
+    await screen.findByText('beach.jpg');
+
+    fireEvent.click(screen.getByText('Empty All'));
+    expect(global.fetch).not.toHaveBeenCalledWith('/api/trash/empty', expect.anything());
+
+    fireEvent.click(screen.getByText('Empty All'));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenCalledWith(
+        '/api/trash/empty',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ all: true }) })
+      );
+    });
+    expect(await screen.findByText('Deleted 2 file(s), freeing 4 KB')).toBeInTheDocument();
+    confirm.mockRestore();
+  });
+});